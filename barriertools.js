@@ -0,0 +1,144 @@
+// ----- Barrier Editing -----
+// Edits of a barrier mask in place: an Int32Array of gridWidth * gridHeight,
+// row-major from y = 0 at the bottom, 1 = solid. Painting sets cells to value
+// (1 draws, 0 erases) and skips anything outside the grid.
+
+// A brush of radius 1 is a single cell, radius 2 a 3x3 block, and so on.
+export function paintDisc(mask, gridWidth, gridHeight, cx, cy, radius, value) {
+  const reach = Math.max(radius - 0.5, 0);
+  const r = Math.floor(reach);
+  for (let y = Math.max(cy - r, 0); y <= Math.min(cy + r, gridHeight - 1); y++) {
+    for (let x = Math.max(cx - r, 0); x <= Math.min(cx + r, gridWidth - 1); x++) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 <= reach * reach) mask[y * gridWidth + x] = value;
+    }
+  }
+}
+
+export function paintLine(mask, gridWidth, gridHeight, x0, y0, x1, y1, radius, value) {
+  const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 0 : i / steps;
+    paintDisc(mask, gridWidth, gridHeight, Math.round(x0 + (x1 - x0) * t), Math.round(y0 + (y1 - y0) * t), radius, value);
+  }
+}
+
+// Filled rectangle with corners (x0, y0) and (x1, y1), both included.
+export function paintRect(mask, gridWidth, gridHeight, x0, y0, x1, y1, value) {
+  const box = clampRect(x0, y0, x1, y1, gridWidth, gridHeight);
+  if (!box) return;
+  for (let y = box.minY; y <= box.maxY; y++) {
+    mask.fill(value, y * gridWidth + box.minX, y * gridWidth + box.maxX + 1);
+  }
+}
+
+// Filled ellipse inscribed in the rectangle with corners (x0, y0) and (x1, y1).
+export function paintEllipse(mask, gridWidth, gridHeight, x0, y0, x1, y1, value) {
+  const cx = (x0 + x1) / 2, cy = (y0 + y1) / 2;
+  const rx = Math.abs(x1 - x0) / 2 + 0.5, ry = Math.abs(y1 - y0) / 2 + 0.5;
+  const box = clampRect(x0, y0, x1, y1, gridWidth, gridHeight);
+  if (!box) return;
+  for (let y = box.minY; y <= box.maxY; y++) {
+    for (let x = box.minX; x <= box.maxX; x++) {
+      if (((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1) mask[y * gridWidth + x] = value;
+    }
+  }
+}
+
+// Set the 4-connected region of cells matching the one at (x, y) to value.
+export function floodFill(mask, gridWidth, gridHeight, x, y, value) {
+  if (x < 0 || x >= gridWidth || y < 0 || y >= gridHeight) return;
+  const target = mask[y * gridWidth + x];
+  if (target === value) return;
+  const stack = [y * gridWidth + x];
+  mask[stack[0]] = value;
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const cx = i % gridWidth;
+    for (const j of [
+      cx > 0 ? i - 1 : -1,
+      cx < gridWidth - 1 ? i + 1 : -1,
+      i >= gridWidth ? i - gridWidth : -1,
+      i + gridWidth < mask.length ? i + gridWidth : -1,
+    ]) {
+      if (j >= 0 && mask[j] === target) {
+        mask[j] = value;
+        stack.push(j);
+      }
+    }
+  }
+}
+
+// Rectangle with corners (x0, y0) and (x1, y1) clipped to the grid, as
+// inclusive bounds; null if it lies outside.
+export function clampRect(x0, y0, x1, y1, gridWidth, gridHeight) {
+  const minX = Math.max(Math.min(x0, x1), 0), maxX = Math.min(Math.max(x0, x1), gridWidth - 1);
+  const minY = Math.max(Math.min(y0, y1), 0), maxY = Math.min(Math.max(y0, y1), gridHeight - 1);
+  if (minX > maxX || minY > maxY) return null;
+  return { minX, minY, maxX, maxY };
+}
+
+// ----- Selections -----
+// Lifting a selection cuts its cells out of the mask, so it can be placed
+// again at any offset and scale without the losses of repeated resampling.
+export function liftSelection(mask, gridWidth, box) {
+  const width = box.maxX - box.minX + 1;
+  const height = box.maxY - box.minY + 1;
+  const base = Int32Array.from(mask);
+  const content = new Int32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (box.minY + y) * gridWidth + box.minX + x;
+      content[y * width + x] = mask[i];
+      base[i] = 0;
+    }
+  }
+  return { base, content, width, height, box };
+}
+
+// The mask with the lifted cells scaled about the centre of their original
+// box and moved by (dx, dy), and the box they now cover.
+export function placeSelection({ base, content, width, height, box }, gridWidth, gridHeight, dx, dy, scale) {
+  const mask = Int32Array.from(base);
+  const newWidth = Math.max(Math.round(width * scale), 1);
+  const newHeight = Math.max(Math.round(height * scale), 1);
+  const minX = Math.round((box.minX + box.maxX + 1 - newWidth) / 2) + dx;
+  const minY = Math.round((box.minY + box.maxY + 1 - newHeight) / 2) + dy;
+  for (let y = Math.max(minY, 0); y < Math.min(minY + newHeight, gridHeight); y++) {
+    const sy = Math.min(Math.floor((y - minY + 0.5) * height / newHeight), height - 1);
+    for (let x = Math.max(minX, 0); x < Math.min(minX + newWidth, gridWidth); x++) {
+      const sx = Math.min(Math.floor((x - minX + 0.5) * width / newWidth), width - 1);
+      if (content[sy * width + sx]) mask[y * gridWidth + x] = 1;
+    }
+  }
+  return { mask, box: { minX, minY, maxX: minX + newWidth - 1, maxY: minY + newHeight - 1 } };
+}
+
+// ----- Edit History -----
+// Undo and redo stacks of opaque states, keeping the latest limit entries.
+export class EditHistory {
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // Call with the state from before each edit.
+  record(state) {
+    this.undoStack.push(state);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  // The state to restore, or null if there is none; current is kept for redo.
+  undo(current) {
+    if (this.undoStack.length === 0) return null;
+    this.redoStack.push(current);
+    return this.undoStack.pop();
+  }
+
+  redo(current) {
+    if (this.redoStack.length === 0) return null;
+    this.undoStack.push(current);
+    return this.redoStack.pop();
+  }
+}
@@ -0,0 +1,135 @@
+// ----- Moving Bodies -----
+// A body is a rigid barrier shape: mask (Int32Array of width * height, row-major
+// from y = 0 at the bottom) turning about (pivotX, pivotY) in mask coordinates,
+// where each mask cell covers a unit square. Its pose puts the pivot at grid
+// point (x, y), turned anticlockwise by angle radians.
+//
+// Motion is either constant, with velocity (vx, vy) in cells per step and
+// angular velocity omega in radians per step, or scripted: script(time)
+// returns the { x, y, angle } offset from the start pose time steps after the
+// start, in the cells of the grid the body was created on.
+export const maxBodies = 8;
+
+export function createBody({
+  mask, width, height, pivotX = width / 2, pivotY = height / 2, x, y, angle = 0, vx = 0, vy = 0, omega = 0, script = null,
+}) {
+  if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+    throw new Error("Body size must be positive integers");
+  }
+  if (mask.length !== width * height) throw new Error("Body mask size does not match its width and height");
+  if (![x, y, angle, vx, vy, omega].every(Number.isFinite)) throw new Error("Body pose and velocity must be finite");
+  if (script !== null && typeof script !== "function") throw new Error("Body script must be a function");
+  return {
+    mask: Int32Array.from(mask, (v) => (v ? 1 : 0)),
+    width,
+    height,
+    pivotX,
+    pivotY,
+    start: { x, y, angle },
+    x,
+    y,
+    angle,
+    vx,
+    vy,
+    omega,
+    script,
+    // Grid cells per script unit, changed when the grid is resized.
+    scaleX: 1,
+    scaleY: 1,
+  };
+}
+
+// Body options for the solid cells of a grid mask, cropped to their bounding
+// box and turning about their centroid; null if there are none.
+export function bodyFromMask(mask, gridWidth, gridHeight) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let sumX = 0, sumY = 0, count = 0;
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      if (!mask[y * gridWidth + x]) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+      sumX += x + 0.5;
+      sumY += y + 0.5;
+      count++;
+    }
+  }
+  if (count === 0) return null;
+  const width = maxX - minX + 1;
+  const height = maxY - minY + 1;
+  const bodyMask = new Int32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      bodyMask[y * width + x] = mask[(minY + y) * gridWidth + minX + x] ? 1 : 0;
+    }
+  }
+  return {
+    mask: bodyMask, width, height,
+    pivotX: sumX / count - minX, pivotY: sumY / count - minY,
+    x: sumX / count, y: sumY / count,
+  };
+}
+
+// Script for a body that heaves (cells) and pitches (radians) sinusoidally
+// with the given period in steps, pitch leading heave by a quarter cycle.
+export function oscillation({ heave = 0, pitch = 0, period }) {
+  if (!(period > 0)) throw new Error("Oscillation period must be positive");
+  return (time) => {
+    const phase = 2 * Math.PI * time / period;
+    return { x: 0, y: heave * Math.sin(phase), angle: pitch * Math.cos(phase) };
+  };
+}
+
+// Move the body to its pose time steps after its start and set its velocity
+// for that step. Constant motion integrates, so call once per step in order.
+export function advanceBody(body, time) {
+  if (body.script) {
+    const pose = (t) => {
+      const { x = 0, y = 0, angle = 0 } = body.script(t);
+      return { x: body.start.x + x * body.scaleX, y: body.start.y + y * body.scaleY, angle: body.start.angle + angle };
+    };
+    const [before, now, after] = [pose(time - 0.5), pose(time), pose(time + 0.5)];
+    Object.assign(body, now, { vx: after.x - before.x, vy: after.y - before.y, omega: after.angle - before.angle });
+  } else if (time === 0) {
+    Object.assign(body, body.start);
+  } else {
+    body.x += body.vx;
+    body.y += body.vy;
+    body.angle += body.omega;
+  }
+}
+
+// Rigid-body velocity of the body at grid point (px, py).
+export function bodyVelocityAt(body, px, py) {
+  return [body.vx - body.omega * (py - body.y), body.vy + body.omega * (px - body.x)];
+}
+
+// Mark the cells whose centres fall inside each body with its index + 1 and
+// store their wall velocity (x, y interleaved). Later bodies win overlaps.
+export function rasterizeBodies(bodies, gridWidth, gridHeight, cells, velocity) {
+  bodies.forEach((body, k) => {
+    const cos = Math.cos(body.angle), sin = Math.sin(body.angle);
+    // Bounding box of the turned mask, from the distances of its corners to the pivot.
+    let reachX = 0, reachY = 0;
+    for (const [cx, cy] of [[0, 0], [body.width, 0], [0, body.height], [body.width, body.height]]) {
+      const dx = cx - body.pivotX, dy = cy - body.pivotY;
+      reachX = Math.max(reachX, Math.abs(dx * cos - dy * sin));
+      reachY = Math.max(reachY, Math.abs(dx * sin + dy * cos));
+    }
+    const minX = Math.max(Math.floor(body.x - reachX), 0), maxX = Math.min(Math.ceil(body.x + reachX), gridWidth - 1);
+    const minY = Math.max(Math.floor(body.y - reachY), 0), maxY = Math.min(Math.ceil(body.y + reachY), gridHeight - 1);
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const dx = x + 0.5 - body.x, dy = y + 0.5 - body.y;
+        const i = Math.floor(dx * cos + dy * sin + body.pivotX);
+        const j = Math.floor(-dx * sin + dy * cos + body.pivotY);
+        if (i < 0 || i >= body.width || j < 0 || j >= body.height || !body.mask[j * body.width + i]) continue;
+        const index = y * gridWidth + x;
+        cells[index] = k + 1;
+        [velocity[index * 2], velocity[index * 2 + 1]] = bodyVelocityAt(body, x + 0.5, y + 0.5);
+      }
+    }
+  });
+}
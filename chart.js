@@ -0,0 +1,94 @@
+// ----- Time Series Chart -----
+// Minimal auto-scaling line chart on a 2D canvas, keeping the last maxPoints
+// samples. With logScale the values are plotted by their logarithm, and
+// points that are not positive are left out.
+export class TimeSeriesChart {
+  constructor(canvas, { series, maxPoints = 500, logScale = false }) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.series = series;
+    this.maxPoints = maxPoints;
+    this.logScale = logScale;
+    this.clear();
+  }
+
+  clear() {
+    this.xs = [];
+    this.values = this.series.map(() => []);
+    this.draw();
+  }
+
+  push(x, values) {
+    this.xs.push(x);
+    values.forEach((v, i) => this.values[i].push(v));
+    if (this.xs.length > this.maxPoints) {
+      this.xs.shift();
+      this.values.forEach((v) => v.shift());
+    }
+  }
+
+  draw() {
+    const { context: ctx, canvas } = this;
+    const { width, height } = canvas;
+    const pad = 4;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.4)";
+    ctx.fillRect(0, 0, width, height);
+    if (this.xs.length < 2) return;
+
+    const plotted = this.logScale ? this.values.map((values) => values.map(Math.log10)) : this.values;
+    let min = Infinity, max = -Infinity;
+    for (const values of plotted) {
+      for (const v of values) {
+        if (!isFinite(v)) continue;
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+      }
+    }
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    const x0 = this.xs[0];
+    const xRange = this.xs[this.xs.length - 1] - x0 || 1;
+    const px = (x) => pad + (x - x0) / xRange * (width - 2 * pad);
+    const py = (v) => height - pad - (v - min) / (max - min) * (height - 2 * pad);
+
+    if (!this.logScale && min < 0 && max > 0) {
+      ctx.strokeStyle = "#666";
+      ctx.beginPath();
+      ctx.moveTo(pad, py(0));
+      ctx.lineTo(width - pad, py(0));
+      ctx.stroke();
+    }
+    this.series.forEach(({ color }, i) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let drawing = false;
+      plotted[i].forEach((v, j) => {
+        if (!isFinite(v)) {
+          drawing = false;
+        } else if (!drawing) {
+          ctx.moveTo(px(this.xs[j]), py(v));
+          drawing = true;
+        } else {
+          ctx.lineTo(px(this.xs[j]), py(v));
+        }
+      });
+      ctx.stroke();
+    });
+
+    ctx.font = "10px sans-serif";
+    ctx.fillStyle = "#d8d7d5";
+    const label = (v) => (this.logScale ? 10 ** v : v).toPrecision(3);
+    ctx.fillText(label(max), pad + 2, pad + 10);
+    ctx.fillText(label(min), pad + 2, height - pad - 2);
+    let labelX = width - pad;
+    for (let i = this.series.length - 1; i >= 0; i--) {
+      const { name, color } = this.series[i];
+      labelX -= ctx.measureText(name).width + 6;
+      ctx.fillStyle = color;
+      ctx.fillText(name, labelX, pad + 10);
+    }
+  }
+}
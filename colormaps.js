@@ -0,0 +1,76 @@
+// ----- Colormaps -----
+// Nine evenly spaced RGB stops per map, interpolated linearly in between.
+// viridis and inferno follow matplotlib, coolwarm follows Moreland; diverging
+// runs from cyan through black to yellow, so zero vorticity stays dark.
+export const colormaps = ["viridis", "inferno", "coolwarm", "diverging", "grayscale"];
+export const colormapStops = {
+  viridis: [
+    [0.267, 0.005, 0.329], [0.283, 0.141, 0.458], [0.230, 0.322, 0.546],
+    [0.173, 0.449, 0.558], [0.128, 0.567, 0.551], [0.158, 0.684, 0.502],
+    [0.369, 0.789, 0.383], [0.678, 0.864, 0.190], [0.993, 0.906, 0.144],
+  ],
+  inferno: [
+    [0.001, 0.000, 0.014], [0.087, 0.045, 0.225], [0.258, 0.039, 0.406],
+    [0.416, 0.090, 0.433], [0.578, 0.148, 0.404], [0.736, 0.216, 0.330],
+    [0.865, 0.317, 0.226], [0.955, 0.469, 0.100], [0.988, 0.998, 0.645],
+  ],
+  coolwarm: [
+    [0.231, 0.298, 0.753], [0.384, 0.510, 0.918], [0.553, 0.690, 0.996],
+    [0.722, 0.816, 0.976], [0.867, 0.867, 0.867], [0.961, 0.769, 0.678],
+    [0.957, 0.604, 0.482], [0.871, 0.376, 0.302], [0.706, 0.016, 0.149],
+  ],
+  diverging: [
+    [0.70, 0.95, 1.00], [0.35, 0.75, 0.95], [0.12, 0.50, 0.85],
+    [0.05, 0.22, 0.45], [0.00, 0.00, 0.00], [0.45, 0.15, 0.05],
+    [0.85, 0.35, 0.10], [0.97, 0.62, 0.25], [1.00, 0.92, 0.65],
+  ],
+  grayscale: Array.from({ length: 9 }, (_, i) => [i / 8, i / 8, i / 8]),
+};
+export const colormapStopCount = 9;
+
+// Suggested colormap for each visualization mode.
+export const defaultColormaps = {
+  density: "viridis",
+  speed: "inferno",
+  curl: "diverging",
+  schlieren: "grayscale",
+  temperature: "coolwarm",
+  phase: "viridis",
+  vorticity: "inferno",
+};
+
+// RGB in 0..1 for t in 0..1 (clamped).
+export function sampleColormap(name, t) {
+  const stops = colormapStops[name];
+  const s = Math.min(Math.max(t, 0), 1) * (colormapStopCount - 1);
+  const i = Math.min(Math.floor(s), colormapStopCount - 2);
+  const f = s - i;
+  return stops[i].map((c, k) => c + (stops[i + 1][k] - c) * f);
+}
+
+// Horizontal colour bar with min, mid and max labels and a caption.
+export function drawColorBar(canvas, { colormap, min, max, label }) {
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const pad = 6;
+  const barHeight = 10;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+  ctx.fillRect(0, 0, width, height);
+  for (let x = pad; x < width - pad; x++) {
+    const [r, g, b] = sampleColormap(colormap, (x - pad) / (width - 2 * pad - 1));
+    ctx.fillStyle = `rgb(${r * 255}, ${g * 255}, ${b * 255})`;
+    ctx.fillRect(x, pad, 1, barHeight);
+  }
+  ctx.font = "10px sans-serif";
+  ctx.fillStyle = "#d8d7d5";
+  const labelY = pad + barHeight + 11;
+  const format = (v) => (v === 0 || (Math.abs(v) >= 1e-3 && Math.abs(v) < 1e4)) ? v.toPrecision(3) : v.toExponential(2);
+  ctx.textAlign = "left";
+  ctx.fillText(format(min), pad, labelY);
+  ctx.textAlign = "center";
+  ctx.fillText(format((min + max) / 2), width / 2, labelY);
+  ctx.fillText(label, width / 2, labelY + 12);
+  ctx.textAlign = "right";
+  ctx.fillText(format(max), width - pad, labelY);
+}
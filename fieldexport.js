@@ -0,0 +1,119 @@
+import { toCSV, zipStored } from "./files.js";
+
+// ----- Field Export -----
+// Per-cell fields for post-processing, all row-major with x fastest and y = 0
+// at the bottom: density, ux, uy, vorticity (Float32Array) and barrier
+// (Int32Array, 1 = solid). Metadata is the grid size, tau, inflow and step.
+export const exportFormats = ["vti", "npz", "csv"];
+const mimeTypes = { vti: "application/xml", npz: "application/zip", csv: "text/csv" };
+
+export function exportMimeType(format) {
+  return mimeTypes[format];
+}
+
+export function encodeFields(format, fields, metadata) {
+  if (format === "vti") return encodeVTI(fields, metadata);
+  if (format === "npz") return encodeNPZ(fields, metadata);
+  if (format === "csv") return encodeCSV(fields, metadata);
+  throw new Error(`Unknown export format "${format}"`);
+}
+
+// VTK XML ImageData with one point per cell and raw appended arrays, each
+// preceded by its UInt32 byte count. tau, inflow and step go in FieldData.
+export function encodeVTI({ density, ux, uy, vorticity, barrier }, { gridWidth, gridHeight, tau, inflow, step }) {
+  const numCells = gridWidth * gridHeight;
+  const velocity = new Float32Array(numCells * 3);
+  for (let i = 0; i < numCells; i++) {
+    velocity[i * 3] = ux[i];
+    velocity[i * 3 + 1] = uy[i];
+  }
+  const arrays = [
+    ["density", "Float32", 1, density],
+    ["velocity", "Float32", 3, velocity],
+    ["vorticity", "Float32", 1, vorticity],
+    ["barrier", "Int32", 1, barrier],
+  ];
+  let offset = 0;
+  const dataArrays = arrays.map(([name, type, components, data]) => {
+    const xml = `        <DataArray type="${type}" Name="${name}" NumberOfComponents="${components}" ` +
+      `format="appended" offset="${offset}"/>`;
+    offset += 4 + data.byteLength;
+    return xml;
+  });
+  const extent = `0 ${gridWidth - 1} 0 ${gridHeight - 1} 0 0`;
+  const fieldData = Object.entries({ tau, inflow, step }).map(([name, value]) =>
+    `      <DataArray type="Float64" Name="${name}" NumberOfTuples="1" format="ascii">${value}</DataArray>`);
+  const header = [
+    `<?xml version="1.0"?>`,
+    `<VTKFile type="ImageData" version="1.0" byte_order="LittleEndian" header_type="UInt32">`,
+    `  <ImageData WholeExtent="${extent}" Origin="0 0 0" Spacing="1 1 1">`,
+    `    <FieldData>`,
+    ...fieldData,
+    `    </FieldData>`,
+    `    <Piece Extent="${extent}">`,
+    `      <PointData Scalars="density" Vectors="velocity">`,
+    ...dataArrays,
+    `      </PointData>`,
+    `    </Piece>`,
+    `  </ImageData>`,
+    `  <AppendedData encoding="raw">`,
+    `_`,
+  ].join("\n");
+  const footer = `\n  </AppendedData>\n</VTKFile>\n`;
+
+  const encoder = new TextEncoder();
+  const headerBytes = encoder.encode(header);
+  const footerBytes = encoder.encode(footer);
+  const out = new Uint8Array(headerBytes.length + offset + footerBytes.length);
+  const view = new DataView(out.buffer);
+  out.set(headerBytes, 0);
+  let position = headerBytes.length;
+  for (const [, , , data] of arrays) {
+    view.setUint32(position, data.byteLength, true);
+    out.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), position + 4);
+    position += 4 + data.byteLength;
+  }
+  out.set(footerBytes, position);
+  return out.buffer;
+}
+
+// NumPy .npy (format 1.0) of a little-endian Float32Array, Int32Array or
+// Float64Array with the given shape; shape [] is a scalar.
+export function encodeNPY(data, shape) {
+  const descr = data instanceof Float32Array ? "<f4" : data instanceof Int32Array ? "<i4" : "<f8";
+  const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(", ")})`;
+  let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+  // Magic, version and header length take 10 bytes; pad so the data is 64-byte aligned.
+  header = header.padEnd(Math.ceil((10 + header.length + 1) / 64) * 64 - 10 - 1) + "\n";
+  const out = new Uint8Array(10 + header.length + data.byteLength);
+  out.set([0x93, ..."NUMPY".split("").map((c) => c.charCodeAt(0)), 1, 0], 0);
+  new DataView(out.buffer).setUint16(8, header.length, true);
+  out.set(new TextEncoder().encode(header), 10);
+  out.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), 10 + header.length);
+  return out.buffer;
+}
+
+// NumPy .npz: each field as a (gridHeight, gridWidth) array, so field[y, x],
+// plus scalar tau, inflow and step.
+export function encodeNPZ(fields, { gridWidth, gridHeight, tau, inflow, step }) {
+  return zipStored([
+    ...Object.entries(fields).map(([name, data]) => [`${name}.npy`, encodeNPY(data, [gridHeight, gridWidth])]),
+    ...Object.entries({ tau, inflow, step }).map(([name, value]) => [
+      `${name}.npy`, encodeNPY(Float64Array.of(value), []),
+    ]),
+  ]);
+}
+
+// One row per cell, after "#" comment lines holding the metadata.
+export function encodeCSV({ density, ux, uy, vorticity, barrier }, { gridWidth, gridHeight, tau, inflow, step }) {
+  const value = (v) => parseFloat(v.toPrecision(7));
+  const rows = [];
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      const i = y * gridWidth + x;
+      rows.push([x, y, barrier[i], value(density[i]), value(ux[i]), value(uy[i]), value(vorticity[i])]);
+    }
+  }
+  const comments = `# gridWidth=${gridWidth} gridHeight=${gridHeight} tau=${tau} inflow=${inflow} step=${step}\n`;
+  return comments + toCSV(["x", "y", "barrier", "density", "ux", "uy", "vorticity"], rows);
+}
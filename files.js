@@ -0,0 +1,76 @@
+// ----- File Helpers -----
+// Save text or binary data through a temporary download link.
+export function downloadFile(filename, data, type = "application/octet-stream") {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Rows of values to CSV text, with a header row of column names.
+export function toCSV(columns, rows) {
+  return [columns.join(","), ...rows.map((row) => row.join(","))].join("\n") + "\n";
+}
+
+// ----- Zip Archives -----
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed (stored) zip of [name, ArrayBuffer] entries.
+export function zipStored(entries) {
+  const encoder = new TextEncoder();
+  const files = entries.map(([name, data]) => {
+    const bytes = new Uint8Array(data);
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+  const localSize = files.reduce((sum, { name, bytes }) => sum + 30 + name.length + bytes.length, 0);
+  const centralSize = files.reduce((sum, { name }) => sum + 46 + name.length, 0);
+  const buffer = new ArrayBuffer(localSize + centralSize + 22);
+  const view = new DataView(buffer);
+  const out = new Uint8Array(buffer);
+  // Fields shared by the local and central headers: version, flags, method,
+  // time, date (1980-01-01), CRC and sizes.
+  const writeCommon = (offset, { name, bytes, crc }) => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 8, 0x21, true);
+    view.setUint32(offset + 10, crc, true);
+    view.setUint32(offset + 14, bytes.length, true);
+    view.setUint32(offset + 18, bytes.length, true);
+    view.setUint16(offset + 22, name.length, true);
+  };
+  let offset = 0;
+  const localOffsets = files.map((file) => {
+    const start = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    writeCommon(offset + 4, file);
+    out.set(file.name, offset + 30);
+    out.set(file.bytes, offset + 30 + file.name.length);
+    offset += 30 + file.name.length + file.bytes.length;
+    return start;
+  });
+  files.forEach((file, i) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    writeCommon(offset + 6, file);
+    view.setUint32(offset + 42, localOffsets[i], true);
+    out.set(file.name, offset + 46);
+    offset += 46 + file.name.length;
+  });
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, localSize, true);
+  return buffer;
+}
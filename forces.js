@@ -0,0 +1,23 @@
+// ----- Lift & Drag -----
+// Bounding box of the barrier cells, or null when there are none.
+export function barrierExtent(barriers, gridWidth, gridHeight) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      if (barriers[y * gridWidth + x] !== 1) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+  if (minX > maxX) return null;
+  return { minX, minY, maxX, maxY, chord: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Drag and lift coefficients per unit span: F / (0.5 * rho * U^2 * L), with rho = 1.
+export function forceCoefficients({ fx, fy }, inflow, length) {
+  const q = 0.5 * inflow * inflow * length;
+  if (!(q > 0)) return { cd: 0, cl: 0 };
+  return { cd: fx / q, cl: fy / q };
+}
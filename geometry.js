@@ -0,0 +1,293 @@
+// ----- Parametric Geometry -----
+// Shapes are built as closed polygons in chord units, with the pivot (quarter
+// chord for airfoils, centre otherwise) at the origin and the chord along +x,
+// then placed on the grid and rasterised into a barrier mask.
+//
+// A shape is { type, x, y, chord, angle, naca, aspect, path } where
+//   type   "naca" | "circle" | "ellipse" | "rectangle" | "svg"
+//   x, y   pivot position as a fraction of the grid width/height
+//   chord  length along the chord as a fraction of the grid width
+//   angle  angle of attack in degrees, positive nose up
+//   naca   4-digit NACA code, e.g. "2412"
+//   aspect thickness / chord for ellipses and rectangles
+//   path   SVG path data for "svg" shapes
+export const shapeTypes = ["naca", "circle", "ellipse", "rectangle", "svg"];
+
+// NACA 4-digit airfoil from leading edge (0, 0) to trailing edge (1, 0),
+// with a closed trailing edge and cosine spacing.
+export function nacaAirfoil(code, points = 120) {
+  if (!/^\d{4}$/.test(code)) throw new Error(`"${code}" is not a 4-digit NACA code`);
+  const m = Number(code[0]) / 100;
+  const p = Number(code[1]) / 10;
+  const t = Number(code.slice(2)) / 100;
+  if (t <= 0) throw new Error("NACA thickness must be greater than zero");
+  const upper = [];
+  const lower = [];
+  for (let i = 0; i <= points; i++) {
+    const x = (1 - Math.cos(Math.PI * i / points)) / 2;
+    const yt = 5 * t * (0.2969 * Math.sqrt(x) - 0.1260 * x - 0.3516 * x ** 2 + 0.2843 * x ** 3 - 0.1036 * x ** 4);
+    let yc = 0, dyc = 0;
+    if (m > 0 && p > 0) {
+      if (x < p) {
+        yc = m / p ** 2 * (2 * p * x - x * x);
+        dyc = 2 * m / p ** 2 * (p - x);
+      } else {
+        yc = m / (1 - p) ** 2 * (1 - 2 * p + 2 * p * x - x * x);
+        dyc = 2 * m / (1 - p) ** 2 * (p - x);
+      }
+    }
+    const theta = Math.atan(dyc);
+    upper.push([x - yt * Math.sin(theta), yc + yt * Math.cos(theta)]);
+    lower.push([x + yt * Math.sin(theta), yc - yt * Math.cos(theta)]);
+  }
+  return [...upper.reverse(), ...lower.slice(1)];
+}
+
+function ellipsePolygon(rx, ry, points = 96) {
+  const polygon = [];
+  for (let i = 0; i < points; i++) {
+    const a = 2 * Math.PI * i / points;
+    polygon.push([rx * Math.cos(a), ry * Math.sin(a)]);
+  }
+  return polygon;
+}
+
+// ----- SVG Paths -----
+// Flatten SVG path data (all commands, absolute and relative) into polygons,
+// one per subpath, in SVG coordinates (y down).
+export function parseSVGPath(d, segments = 16) {
+  const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const polygons = [];
+  let polygon = null;
+  let x = 0, y = 0, startX = 0, startY = 0;
+  let lastControl = null;
+  let command = null;
+  let i = 0;
+  const number = () => {
+    const value = parseFloat(tokens[i++]);
+    if (Number.isNaN(value)) throw new Error("Malformed SVG path data");
+    return value;
+  };
+  const lineTo = (nx, ny) => {
+    if (!polygon) {
+      polygon = [[x, y]];
+      polygons.push(polygon);
+    }
+    polygon.push([nx, ny]);
+    x = nx;
+    y = ny;
+  };
+  const cubic = (x1, y1, x2, y2, x3, y3) => {
+    const x0 = x, y0 = y;
+    for (let s = 1; s <= segments; s++) {
+      const t = s / segments, u = 1 - t;
+      lineTo(
+        u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+        u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3
+      );
+    }
+  };
+  const quadratic = (x1, y1, x2, y2) => {
+    const x0 = x, y0 = y;
+    for (let s = 1; s <= segments; s++) {
+      const t = s / segments, u = 1 - t;
+      lineTo(u * u * x0 + 2 * u * t * x1 + t * t * x2, u * u * y0 + 2 * u * t * y1 + t * t * y2);
+    }
+  };
+  // Endpoint to centre parameterisation, SVG spec appendix B.2.4.
+  const arc = (rx, ry, rotation, largeArc, sweep, x2, y2) => {
+    const x1 = x, y1 = y;
+    if (rx === 0 || ry === 0) return lineTo(x2, y2);
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    const lambda = x1p ** 2 / rx ** 2 + y1p ** 2 / ry ** 2;
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    const num = rx ** 2 * ry ** 2 - rx ** 2 * y1p ** 2 - ry ** 2 * x1p ** 2;
+    const den = rx ** 2 * y1p ** 2 + ry ** 2 * x1p ** 2;
+    const coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let dTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && dTheta > 0) dTheta -= 2 * Math.PI;
+    if (sweep && dTheta < 0) dTheta += 2 * Math.PI;
+    const steps = Math.max(2, Math.ceil(segments * Math.abs(dTheta) / (Math.PI / 2)));
+    for (let s = 1; s <= steps; s++) {
+      const t = theta1 + dTheta * s / steps;
+      lineTo(
+        cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+        cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+      );
+    }
+  };
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (command === null) {
+      throw new Error("Malformed SVG path data");
+    }
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0, oy = relative ? y : 0;
+    switch (command.toUpperCase()) {
+      case "M":
+        x = startX = number() + ox;
+        y = startY = number() + oy;
+        polygon = null;
+        // Further coordinate pairs are implicit line-tos.
+        command = relative ? "l" : "L";
+        lastControl = null;
+        continue;
+      case "L":
+        lineTo(number() + ox, number() + oy);
+        lastControl = null;
+        break;
+      case "H":
+        lineTo(number() + ox, y);
+        lastControl = null;
+        break;
+      case "V":
+        lineTo(x, number() + oy);
+        lastControl = null;
+        break;
+      case "C": {
+        const x1 = number() + ox, y1 = number() + oy, x2 = number() + ox, y2 = number() + oy;
+        const x3 = number() + ox, y3 = number() + oy;
+        cubic(x1, y1, x2, y2, x3, y3);
+        lastControl = { type: "C", x: x2, y: y2 };
+        break;
+      }
+      case "S": {
+        const reflect = lastControl && lastControl.type === "C";
+        const x1 = reflect ? 2 * x - lastControl.x : x, y1 = reflect ? 2 * y - lastControl.y : y;
+        const x2 = number() + ox, y2 = number() + oy, x3 = number() + ox, y3 = number() + oy;
+        cubic(x1, y1, x2, y2, x3, y3);
+        lastControl = { type: "C", x: x2, y: y2 };
+        break;
+      }
+      case "Q": {
+        const x1 = number() + ox, y1 = number() + oy, x2 = number() + ox, y2 = number() + oy;
+        quadratic(x1, y1, x2, y2);
+        lastControl = { type: "Q", x: x1, y: y1 };
+        break;
+      }
+      case "T": {
+        const reflect = lastControl && lastControl.type === "Q";
+        const x1 = reflect ? 2 * x - lastControl.x : x, y1 = reflect ? 2 * y - lastControl.y : y;
+        quadratic(x1, y1, number() + ox, number() + oy);
+        lastControl = { type: "Q", x: x1, y: y1 };
+        break;
+      }
+      case "A": {
+        const rx = number(), ry = number(), rotation = number();
+        const largeArc = number() !== 0, sweep = number() !== 0;
+        arc(rx, ry, rotation, largeArc, sweep, number() + ox, number() + oy);
+        lastControl = null;
+        break;
+      }
+      case "Z":
+        if (polygon) lineTo(startX, startY);
+        polygon = null;
+        x = startX;
+        y = startY;
+        lastControl = null;
+        // Coordinates cannot follow a closepath without a new command.
+        command = null;
+        break;
+      default:
+        throw new Error(`Unsupported SVG path command "${command}"`);
+    }
+  }
+  return polygons.filter((p) => p.length >= 3);
+}
+
+// Path data of every <path> in an SVG document, joined into one path string.
+export function svgDocumentPaths(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  const paths = [...doc.querySelectorAll("path")].map((p) => p.getAttribute("d")).filter(Boolean);
+  if (paths.length === 0) throw new Error("No <path> elements found in the SVG file");
+  return paths.join(" ");
+}
+
+// ----- Shapes -----
+// Polygons in chord units with the pivot at the origin and y up.
+export function shapePolygons(shape) {
+  const aspect = shape.aspect ?? 0.5;
+  switch (shape.type) {
+    case "naca":
+      return [nacaAirfoil(shape.naca ?? "0012").map(([x, y]) => [x - 0.25, y])];
+    case "circle":
+      return [ellipsePolygon(0.5, 0.5)];
+    case "ellipse":
+      return [ellipsePolygon(0.5, aspect / 2)];
+    case "rectangle":
+      return [[[-0.5, -aspect / 2], [0.5, -aspect / 2], [0.5, aspect / 2], [-0.5, aspect / 2]]];
+    case "svg": {
+      // Scale the bounding box to unit width around its centre, flipping y up.
+      const polygons = parseSVGPath(shape.path ?? "");
+      if (polygons.length === 0) throw new Error("SVG path has no closed area");
+      const points = polygons.flat();
+      const xs = points.map((p) => p[0]), ys = points.map((p) => p[1]);
+      const minX = Math.min(...xs), maxX = Math.max(...xs);
+      const minY = Math.min(...ys), maxY = Math.max(...ys);
+      const size = maxX - minX || 1;
+      const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+      return polygons.map((p) => p.map(([x, y]) => [(x - cx) / size, (cy - y) / size]));
+    }
+    default:
+      throw new Error(`Unknown shape type "${shape.type}"`);
+  }
+}
+
+// Scale, rotate by the angle of attack and move the polygons into grid cells.
+export function placePolygons(polygons, { x, y, chord, angle = 0 }, gridWidth, gridHeight) {
+  const length = chord * gridWidth;
+  // Positive angle of attack pitches the leading edge (-x side) up: a clockwise rotation.
+  const a = -angle * Math.PI / 180;
+  const cos = Math.cos(a), sin = Math.sin(a);
+  const px = x * gridWidth, py = y * gridHeight;
+  return polygons.map((polygon) => polygon.map(([u, v]) => [
+    px + length * (u * cos - v * sin),
+    py + length * (u * sin + v * cos),
+  ]));
+}
+
+// Even-odd scanline fill sampled at cell centres.
+export function rasterizePolygons(polygons, gridWidth, gridHeight, mask = new Int32Array(gridWidth * gridHeight)) {
+  for (let y = 0; y < gridHeight; y++) {
+    const cy = y + 0.5;
+    const crossings = [];
+    for (const polygon of polygons) {
+      for (let i = 0; i < polygon.length; i++) {
+        const [x0, y0] = polygon[i];
+        const [x1, y1] = polygon[(i + 1) % polygon.length];
+        if ((y0 <= cy) !== (y1 <= cy)) {
+          crossings.push(x0 + (cy - y0) / (y1 - y0) * (x1 - x0));
+        }
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const end = Math.min(gridWidth - 1, Math.floor(crossings[i + 1] - 0.5));
+      for (let x = start; x <= end; x++) mask[y * gridWidth + x] = 1;
+    }
+  }
+  return mask;
+}
+
+export function shapeMask(shape, gridWidth, gridHeight) {
+  const polygons = placePolygons(shapePolygons(shape), shape, gridWidth, gridHeight);
+  return rasterizePolygons(polygons, gridWidth, gridHeight);
+}
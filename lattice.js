@@ -0,0 +1,168 @@
+// ----- D2Q9 Lattice -----
+// Lattice constants and host-side helpers shared by the simulation backends.
+export const numDirs = 9;
+export const weights = [4 / 9, 1 / 9, 1 / 9, 1 / 9, 1 / 9, 1 / 36, 1 / 36, 1 / 36, 1 / 36];
+export const ex = [0, 1, 0, -1, 0, 1, -1, -1, 1];
+export const ey = [0, 0, 1, 0, -1, 1, 1, -1, -1];
+export const opp = [0, 3, 4, 1, 2, 7, 8, 5, 6];
+
+// Second-order equilibrium distribution for direction d.
+export function equilibrium(d, density, ux, uy) {
+  const edotu = ex[d] * ux + ey[d] * uy;
+  const uSq = ux * ux + uy * uy;
+  return weights[d] * density * (1 + 3 * edotu + 4.5 * edotu * edotu - 1.5 * uSq);
+}
+
+// Fill a distribution array with uniform flow (density, velocity=(ux, uy)).
+export function fillEquilibrium(state, numCells, density, ux, uy) {
+  for (let d = 0; d < numDirs; d++) {
+    const feq = equilibrium(d, density, ux, uy);
+    for (let i = 0; i < numCells; i++) {
+      state[i * numDirs + d] = feq;
+    }
+  }
+  return state;
+}
+
+// The same with a density per cell.
+export function fillDensityEquilibrium(state, density, ux, uy) {
+  for (let i = 0; i < density.length; i++) {
+    for (let d = 0; d < numDirs; d++) state[i * numDirs + d] = equilibrium(d, density[i], ux, uy);
+  }
+  return state;
+}
+
+// ----- D2Q5 Thermal Lattice -----
+// Temperature distributions use the first five D2Q9 directions (rest and the
+// four axes), with cs^2 = 1/3 so the diffusivity is (tau - 1/2) / 3.
+export const thermalDirs = 5;
+export const thermalWeights = [1 / 3, 1 / 6, 1 / 6, 1 / 6, 1 / 6];
+
+// Linear equilibrium for direction k, advected at (ux, uy).
+export function thermalEquilibrium(k, temperature, ux, uy) {
+  return thermalWeights[k] * temperature * (1 + 3 * (ex[k] * ux + ey[k] * uy));
+}
+
+export function fillThermalEquilibrium(thermal, numCells, temperature, ux, uy) {
+  for (let k = 0; k < thermalDirs; k++) {
+    const geq = thermalEquilibrium(k, temperature, ux, uy);
+    for (let i = 0; i < numCells; i++) {
+      thermal[i * thermalDirs + k] = geq;
+    }
+  }
+  return thermal;
+}
+
+export function computeTemperature(thermal, numCells) {
+  const temperature = new Float32Array(numCells);
+  for (let i = 0; i < numCells; i++) {
+    for (let k = 0; k < thermalDirs; k++) temperature[i] += thermal[i * thermalDirs + k];
+  }
+  return temperature;
+}
+
+// Acceleration [ax, ay] of the uniform body force, bodyForce cells / step^2
+// at bodyForceAngle degrees counter-clockwise from +x, plus gravity pulling
+// down, from the simulation parameters or uniforms.
+export function bodyAcceleration({ bodyForce, bodyForceAngle, gravity }) {
+  const angle = bodyForceAngle * Math.PI / 180;
+  return [bodyForce * Math.cos(angle), bodyForce * Math.sin(angle) - gravity];
+}
+
+// Density and velocity of every cell, from an interleaved distribution array.
+// Under a body acceleration the velocity gains half of it, as with Guo forcing.
+export function computeMoments(state, numCells, acceleration = [0, 0]) {
+  const density = new Float32Array(numCells);
+  const ux = new Float32Array(numCells);
+  const uy = new Float32Array(numCells);
+  for (let i = 0; i < numCells; i++) {
+    let rho = 0, mx = 0, my = 0;
+    for (let d = 0; d < numDirs; d++) {
+      const f = state[i * numDirs + d];
+      rho += f;
+      mx += f * ex[d];
+      my += f * ey[d];
+    }
+    density[i] = rho;
+    if (rho > 0) {
+      ux[i] = mx / rho + 0.5 * acceleration[0];
+      uy[i] = my / rho + 0.5 * acceleration[1];
+    }
+  }
+  return { density, ux, uy };
+}
+
+// Bilinear resampling of every direction's distributions onto a new grid size
+// (dirs per cell, D2Q9 by default).
+export function resampleState(state, fromWidth, fromHeight, toWidth, toHeight, dirs = numDirs) {
+  const out = new Float32Array(toWidth * toHeight * dirs);
+  for (let y = 0; y < toHeight; y++) {
+    const sy = Math.min(Math.max((y + 0.5) * fromHeight / toHeight - 0.5, 0), fromHeight - 1);
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(y0 + 1, fromHeight - 1);
+    const ty = sy - y0;
+    for (let x = 0; x < toWidth; x++) {
+      const sx = Math.min(Math.max((x + 0.5) * fromWidth / toWidth - 0.5, 0), fromWidth - 1);
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(x0 + 1, fromWidth - 1);
+      const tx = sx - x0;
+      const i00 = (y0 * fromWidth + x0) * dirs;
+      const i10 = (y0 * fromWidth + x1) * dirs;
+      const i01 = (y1 * fromWidth + x0) * dirs;
+      const i11 = (y1 * fromWidth + x1) * dirs;
+      const target = (y * toWidth + x) * dirs;
+      for (let d = 0; d < dirs; d++) {
+        const top = state[i00 + d] * (1 - tx) + state[i10 + d] * tx;
+        const bottom = state[i01 + d] * (1 - tx) + state[i11 + d] * tx;
+        out[target + d] = top * (1 - ty) + bottom * ty;
+      }
+    }
+  }
+  return out;
+}
+
+// Nearest-neighbour resampling of a per-cell mask (or any per-cell typed
+// array, keeping its type) onto a new grid size.
+export function resampleMask(mask, fromWidth, fromHeight, toWidth, toHeight) {
+  const out = new mask.constructor(toWidth * toHeight);
+  for (let y = 0; y < toHeight; y++) {
+    const sy = Math.min(Math.floor((y + 0.5) * fromHeight / toHeight), fromHeight - 1);
+    for (let x = 0; x < toWidth; x++) {
+      const sx = Math.min(Math.floor((x + 0.5) * fromWidth / toWidth), fromWidth - 1);
+      out[y * toWidth + x] = mask[sy * fromWidth + sx];
+    }
+  }
+  return out;
+}
+
+export const fieldNames = ["density", "ux", "uy", "speed", "curl", "barriers", "distributions"];
+
+// Derive a named per-cell field from the distributions and barrier mask, the
+// velocity under the given body acceleration as in computeMoments. Curl is
+// duy/dx - dux/dy with central differences, zero on the grid edges.
+export function computeField(name, state, barriers, gridWidth, gridHeight, acceleration = [0, 0]) {
+  const numCells = gridWidth * gridHeight;
+  if (name === "distributions") return state;
+  if (name === "barriers") return Int32Array.from(barriers);
+  if (!fieldNames.includes(name)) throw new Error(`Unknown field "${name}"`);
+
+  const { density, ux, uy } = computeMoments(state, numCells, acceleration);
+  if (name === "density") return density;
+  if (name === "ux") return ux;
+  if (name === "uy") return uy;
+
+  const out = new Float32Array(numCells);
+  if (name === "speed") {
+    for (let i = 0; i < numCells; i++) out[i] = Math.hypot(ux[i], uy[i]);
+    return out;
+  }
+  for (let y = 1; y < gridHeight - 1; y++) {
+    for (let x = 1; x < gridWidth - 1; x++) {
+      const i = y * gridWidth + x;
+      const duydx = (uy[i + 1] - uy[i - 1]) * 0.5;
+      const duxdy = (ux[i + gridWidth] - ux[i - gridWidth]) * 0.5;
+      out[i] = duydx - duxdy;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,98 @@
+// ----- D3Q19 Lattice -----
+// Lattice constants and host-side helpers for the 3D backends. Cells are
+// stored x fastest, then y, then z: index = (z * gridHeight + y) * gridWidth + x.
+// Directions come in opposite pairs after the rest population: the six axes,
+// then the twelve edge diagonals.
+export const numDirs3D = 19;
+export const weights3D = [1 / 3, ...Array(6).fill(1 / 18), ...Array(12).fill(1 / 36)];
+export const ex3D = [0, 1, -1, 0, 0, 0, 0, 1, -1, 1, -1, 1, -1, 1, -1, 0, 0, 0, 0];
+export const ey3D = [0, 0, 0, 1, -1, 0, 0, 1, -1, -1, 1, 0, 0, 0, 0, 1, -1, 1, -1];
+export const ez3D = [0, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 1, -1, -1, 1, 1, -1, -1, 1];
+export const opp3D = ex3D.map((_, d) => d === 0 ? 0 : d % 2 === 1 ? d + 1 : d - 1);
+
+// Direction with the y or z component flipped, for walls across that axis.
+function mirrored(flipY, flipZ) {
+  return ex3D.map((x, d) => {
+    const y = flipY ? -ey3D[d] : ey3D[d];
+    const z = flipZ ? -ez3D[d] : ez3D[d];
+    return ex3D.findIndex((x2, k) => x2 === x && ey3D[k] === y && ez3D[k] === z);
+  });
+}
+export const mirrorY3D = mirrored(true, false);
+export const mirrorZ3D = mirrored(false, true);
+
+export function equilibrium3D(d, density, ux, uy, uz) {
+  const edotu = ex3D[d] * ux + ey3D[d] * uy + ez3D[d] * uz;
+  const uSq = ux * ux + uy * uy + uz * uz;
+  return weights3D[d] * density * (1 + 3 * edotu + 4.5 * edotu * edotu - 1.5 * uSq);
+}
+
+export function fillEquilibrium3D(state, numCells, density, ux, uy, uz) {
+  for (let d = 0; d < numDirs3D; d++) {
+    const feq = equilibrium3D(d, density, ux, uy, uz);
+    for (let i = 0; i < numCells; i++) {
+      state[i * numDirs3D + d] = feq;
+    }
+  }
+  return state;
+}
+
+// Density and velocity of every cell. Solid cells (barriers, if given) are at rest.
+export function computeMoments3D(state, numCells, barriers = null) {
+  const density = new Float32Array(numCells);
+  const ux = new Float32Array(numCells);
+  const uy = new Float32Array(numCells);
+  const uz = new Float32Array(numCells);
+  for (let i = 0; i < numCells; i++) {
+    let rho = 0, mx = 0, my = 0, mz = 0;
+    for (let d = 0; d < numDirs3D; d++) {
+      const f = state[i * numDirs3D + d];
+      rho += f;
+      mx += f * ex3D[d];
+      my += f * ey3D[d];
+      mz += f * ez3D[d];
+    }
+    density[i] = rho;
+    if (rho > 0 && !(barriers && barriers[i])) {
+      ux[i] = mx / rho;
+      uy[i] = my / rho;
+      uz[i] = mz / rho;
+    }
+  }
+  return { density, ux, uy, uz };
+}
+
+export const fieldNames3D = ["density", "ux", "uy", "uz", "speed", "vorticity", "barriers", "distributions"];
+
+// Derive a named per-cell field. Vorticity is the magnitude of the curl, with
+// central differences and zero on the faces of the grid.
+export function computeField3D(name, state, barriers, gridWidth, gridHeight, gridDepth) {
+  const numCells = gridWidth * gridHeight * gridDepth;
+  if (name === "distributions") return state;
+  if (name === "barriers") return Int32Array.from(barriers);
+  if (!fieldNames3D.includes(name)) throw new Error(`Unknown field "${name}"`);
+
+  const { density, ux, uy, uz } = computeMoments3D(state, numCells, barriers);
+  if (name === "density") return density;
+  if (name === "ux") return ux;
+  if (name === "uy") return uy;
+  if (name === "uz") return uz;
+  const out = new Float32Array(numCells);
+  if (name === "speed") {
+    for (let i = 0; i < numCells; i++) out[i] = Math.hypot(ux[i], uy[i], uz[i]);
+    return out;
+  }
+  const sy = gridWidth, sz = gridWidth * gridHeight;
+  for (let z = 1; z < gridDepth - 1; z++) {
+    for (let y = 1; y < gridHeight - 1; y++) {
+      for (let x = 1; x < gridWidth - 1; x++) {
+        const i = (z * gridHeight + y) * gridWidth + x;
+        const wx = (uz[i + sy] - uz[i - sy] - uy[i + sz] + uy[i - sz]) * 0.5;
+        const wy = (ux[i + sz] - ux[i - sz] - uz[i + 1] + uz[i - 1]) * 0.5;
+        const wz = (uy[i + 1] - uy[i - 1] - ux[i + sy] + ux[i - sy]) * 0.5;
+        out[i] = Math.hypot(wx, wy, wz);
+      }
+    }
+  }
+  return out;
+}
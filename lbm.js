@@ -0,0 +1,1081 @@
+import { numDirs, thermalDirs, weights } from "./lattice.js";
+import { LBMBase, edgeNames } from "./lbmbase.js";
+import {
+  uniformFields, maxTracers, trailLength, maxStreamlineSeeds, maxStreamlineLength, maxProbes, maxProbeSamples,
+  maxConvergenceSamples, populationStorage, collisionShaderCode, streamingShaderCode, fusedShaderCode,
+  renderShaderCode, forceShaderCode, tracerShaderCode, tracerRenderShaderCode, dyeShaderCode, streamlineShaderCode,
+  overlayShaderCode, probeShaderCode, rangeShaderCode, convergenceShaderCode, thermalShaderCode,
+} from "./shaders.js";
+
+export {
+  vizModes, collisionModels, boundaryTypes, edgeNames, tracerModes, tracerStyles, colorRanges, wallTemperatures,
+  multiphaseModes, multiphaseLayouts, defaultParameters,
+} from "./lbmbase.js";
+
+// ----- Half Floats -----
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+// Nearest f16 bit pattern of a number, for uploading f16 populations.
+function toHalf(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 112;
+  const mantissa = bits & 0x7fffff;
+  if (exponent >= 31) return sign | (exponent === 143 && mantissa ? 0x7e00 : 0x7c00);
+  if (exponent <= 0) {
+    if (exponent < -10) return sign;
+    return sign | ((((mantissa | 0x800000) >> (13 - exponent)) + 1) >> 1);
+  }
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+function fromHalf(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  let magnitude;
+  if (exponent === 0) magnitude = mantissa * 2 ** -24;
+  else if (exponent === 31) magnitude = mantissa ? NaN : Infinity;
+  else magnitude = (1 + mantissa / 1024) * 2 ** (exponent - 15);
+  return half & 0x8000 ? -magnitude : magnitude;
+}
+
+// ----- LBM Simulation -----
+// D2Q9 lattice Boltzmann solver on an existing GPUDevice, independent of the page.
+// The distributions are stored as populationStorage in shaders.js describes,
+// in f32 or, with precision "f16" on a device with shader-f16, in half floats;
+// readState and writeState convert from and to the interleaved f32 layout of
+// the rest of the code. Single-phase flows without a convective edge step with
+// the fused kernel, where the state buffers hold post-collision populations
+// (collided); the others take separate collision and streaming passes.
+export class LBMSimulation extends LBMBase {
+  constructor(device, {
+    gridWidth,
+    gridHeight,
+    measureForces = false,
+    format = "bgra8unorm",
+    precision = "f32",
+    ...params
+  } = {}) {
+    super({ gridWidth, gridHeight, measureForces });
+    if (!device) throw new Error("LBMSimulation needs a GPUDevice");
+    if (precision !== "f32" && precision !== "f16") throw new Error(`Unknown precision "${precision}"`);
+    if (precision === "f16" && !device.features.has("shader-f16")) {
+      throw new Error("f16 storage needs a device with the shader-f16 feature");
+    }
+    this.device = device;
+    this.format = format;
+    this.precision = precision;
+
+    this.uniformData = new Float32Array(uniformFields.length);
+    this.uniformBuffer = device.createBuffer({
+      size: this.uniformData.byteLength,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      label: "uniform"
+    });
+    // Index of the component each collision and streaming pass works on.
+    this.componentBuffers = [0, 1].map((k) => {
+      const buffer = device.createBuffer({
+        size: 4 * Float32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        label: "component" + k
+      });
+      device.queue.writeBuffer(buffer, 0, new Float32Array([k, 0, 0, 0]));
+      return buffer;
+    });
+    // Position and strength of the next addDye() splat.
+    this.splatBuffer = device.createBuffer({
+      size: 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      label: "splat"
+    });
+    this.particleBuffer = device.createBuffer({
+      size: maxTracers * 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "particles"
+    });
+    this.historyBuffer = device.createBuffer({
+      size: maxTracers * trailLength * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "history"
+    });
+    this.seedBuffer = device.createBuffer({
+      size: maxStreamlineSeeds * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "streamlineSeeds"
+    });
+    this.streamlineBuffer = device.createBuffer({
+      size: maxStreamlineSeeds * maxStreamlineLength * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "streamlines"
+    });
+    this.probeBuffer = device.createBuffer({
+      size: maxProbes * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "probes"
+    });
+    // Colour range [min, max] from the last auto-ranged render.
+    this.rangeBuffer = device.createBuffer({
+      size: 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+      label: "colorRange"
+    });
+    // Row count (padded to 16 bytes), then maxProbeSamples rows of maxProbes vec4 samples.
+    this.probeSampleBuffer = device.createBuffer({
+      size: 16 + maxProbeSamples * maxProbes * 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      label: "probeSamples"
+    });
+    // Row count (padded to 16 bytes), then maxConvergenceSamples check results of two vec4.
+    this.convergenceSampleBuffer = device.createBuffer({
+      size: 16 + maxConvergenceSamples * 8 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      label: "convergenceSamples"
+    });
+    // Cells the clamp has changed since the last convergence check, and a copy
+    // that readState restores it from.
+    this.clampedCellsBuffer = device.createBuffer({
+      size: Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      label: "clampedCells"
+    });
+    this.savedClampedCellsBuffer = device.createBuffer({
+      size: Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      label: "savedClampedCells"
+    });
+    // Start and end of the timed step() in timestamps, when the device has them.
+    if (device.features.has("timestamp-query")) {
+      this.querySet = device.createQuerySet({ type: "timestamp", count: 2, label: "stepTimestamps" });
+      this.timestampBuffer = device.createBuffer({
+        size: 2 * BigInt64Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+        label: "timestamps"
+      });
+      this.timestampReadBuffer = device.createBuffer({
+        size: 2 * BigInt64Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        label: "timestampReadback"
+      });
+      this.timestampReadPending = false;
+    }
+    this.initParameters(params);
+
+    this.createPipelines();
+    this.allocate();
+    this.writeBarriers(0, this.numCells);
+    this.reset();
+  }
+
+  // ----- Buffers -----
+  // (Re)create every grid-sized buffer for the current gridWidth x gridHeight.
+  allocate() {
+    const device = this.device;
+    if (this.stateBuffers) this.destroyBuffers();
+    const stateBufferSize = this.stateBufferSize();
+    this.stateBuffers = [0, 1].map((i) => device.createBuffer({
+      size: stateBufferSize,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+      label: "state" + i
+    }));
+    this.postCollisionBuffer = device.createBuffer({
+      size: stateBufferSize,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      label: "postCollision"
+    });
+    // Per cell (density, ux, uy, second component density) of the latest
+    // collision, read by every pass that only needs the flow.
+    this.momentsBuffer = device.createBuffer({
+      size: this.numCells * 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "moments"
+    });
+    this.thermalBuffers = [0, 1].map((i) => device.createBuffer({
+      size: this.numCells * thermalDirs * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+      label: "thermal" + i
+    }));
+    this.barrierBuffer = device.createBuffer({
+      size: this.numCells * Int32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+      label: "barrier"
+    });
+    this.wallVelocityBuffer = device.createBuffer({
+      size: this.numCells * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "wallVelocity"
+    });
+    this.solidFractionBuffer = device.createBuffer({
+      size: this.numCells * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "solidFraction"
+    });
+    // Workgroups of 256 cells for the force, colour range and convergence reductions.
+    this.reductionWorkgroups = Math.ceil(this.numCells / 256);
+    this.forcePartialsBuffer = device.createBuffer({
+      size: this.reductionWorkgroups * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "forcePartials"
+    });
+    this.forceTotalBuffer = device.createBuffer({
+      size: 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      label: "forceTotal"
+    });
+    this.rangePartialsBuffer = device.createBuffer({
+      size: this.reductionWorkgroups * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "rangePartials"
+    });
+    this.convergencePartialsBuffer = device.createBuffer({
+      size: this.reductionWorkgroups * 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "convergencePartials"
+    });
+    // Fluid velocity at the last convergence check.
+    this.convergenceReferenceBuffer = device.createBuffer({
+      size: this.numCells * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "convergenceReference"
+    });
+    this.dyeBuffers = [0, 1].map((i) => device.createBuffer({
+      size: this.numCells * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "dye" + i
+    }));
+    // The second component of a two-component flow, allocated on first use.
+    this.componentStateBuffers = null;
+    this.componentPostCollisionBuffer = null;
+    // Index of the state buffer holding the latest distributions (for both
+    // components), and the same for the temperature distributions.
+    this.current = 0;
+    // Whether those are the fused kernel's post-collision populations, and
+    // whether the moments predate the last writeState.
+    this.collided = false;
+    this.momentsStale = true;
+    this.bindGroups = new Map();
+    this.thermalCurrent = 0;
+    this.dyeCurrent = 0;
+    // Skip dye advection until something is painted.
+    this.dyeActive = false;
+  }
+
+  destroyBuffers() {
+    for (const buffer of this.stateBuffers) buffer.destroy();
+    this.postCollisionBuffer.destroy();
+    this.momentsBuffer.destroy();
+    for (const buffer of this.thermalBuffers) buffer.destroy();
+    this.barrierBuffer.destroy();
+    this.wallVelocityBuffer.destroy();
+    this.solidFractionBuffer.destroy();
+    this.forcePartialsBuffer.destroy();
+    this.forceTotalBuffer.destroy();
+    this.rangePartialsBuffer.destroy();
+    this.convergencePartialsBuffer.destroy();
+    this.convergenceReferenceBuffer.destroy();
+    for (const buffer of this.dyeBuffers) buffer.destroy();
+    if (this.componentStateBuffers) {
+      for (const buffer of this.componentStateBuffers) buffer.destroy();
+      this.componentPostCollisionBuffer.destroy();
+    }
+  }
+
+  allocateComponent() {
+    if (this.componentStateBuffers) return;
+    const size = this.stateBufferSize();
+    this.componentStateBuffers = [0, 1].map((i) => this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+      label: "componentState" + i
+    }));
+    this.componentPostCollisionBuffer = this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.STORAGE,
+      label: "componentPostCollision"
+    });
+  }
+
+  // Bytes of one set of populations, padded to whole words for f16.
+  stateBufferSize() {
+    const bytes = this.precision === "f16" ? 2 : Float32Array.BYTES_PER_ELEMENT;
+    return Math.ceil(this.numCells * numDirs * bytes / 4) * 4;
+  }
+
+  // The second component's latest distributions, or the first's when there
+  // is none, for the bindings that only read it in two-component flows.
+  otherStateBuffer() {
+    if (this.params.multiphase !== "twoComponent") return this.stateBuffers[this.current];
+    this.allocateComponent();
+    return this.componentStateBuffers[this.current];
+  }
+
+  // ----- Pipelines -----
+  createPipelines() {
+    const device = this.device;
+    const storage = populationStorage(this.precision);
+    const collisionModule = device.createShaderModule({
+      code: storage + collisionShaderCode,
+      label: "collisionModule"
+    });
+    this.collisionPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: collisionModule, entryPoint: 'main' },
+      label: "collisionPipeline"
+    });
+    const streamingModule = device.createShaderModule({
+      code: storage + streamingShaderCode,
+      label: "streamingModule"
+    });
+    this.streamingPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: streamingModule, entryPoint: 'main' },
+      label: "streamingPipeline"
+    });
+    const fusedModule = device.createShaderModule({ code: storage + fusedShaderCode, label: "fusedModule" });
+    this.fusedPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: fusedModule, entryPoint: 'main' },
+      label: "fusedPipeline"
+    });
+    const thermalModule = device.createShaderModule({ code: thermalShaderCode, label: "thermalModule" });
+    this.thermalPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: thermalModule, entryPoint: 'main' },
+      label: "thermalPipeline"
+    });
+    const forceModule = device.createShaderModule({ code: storage + forceShaderCode, label: "forceModule" });
+    this.forcePartialPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: forceModule, entryPoint: 'partial_sums' },
+      label: "forcePartialPipeline"
+    });
+    this.collidedForcePartialPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: forceModule, entryPoint: 'partial_sums', constants: { collided: 1 } },
+      label: "collidedForcePartialPipeline"
+    });
+    this.forceTotalPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: forceModule, entryPoint: 'total' },
+      label: "forceTotalPipeline"
+    });
+    const tracerModule = device.createShaderModule({ code: tracerShaderCode, label: "tracerModule" });
+    this.tracerPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: tracerModule, entryPoint: 'advect' },
+      label: "tracerPipeline"
+    });
+    const dyeModule = device.createShaderModule({ code: dyeShaderCode, label: "dyeModule" });
+    this.dyePipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: dyeModule, entryPoint: 'advect' },
+      label: "dyePipeline"
+    });
+    this.dyePaintPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: dyeModule, entryPoint: 'paint' },
+      label: "dyePaintPipeline"
+    });
+    const rangeModule = device.createShaderModule({ code: rangeShaderCode, label: "rangeModule" });
+    this.rangePartialPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: rangeModule, entryPoint: 'partial_range' },
+      label: "rangePartialPipeline"
+    });
+    this.rangeTotalPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: rangeModule, entryPoint: 'total_range' },
+      label: "rangeTotalPipeline"
+    });
+    const convergenceModule = device.createShaderModule({ code: convergenceShaderCode, label: "convergenceModule" });
+    this.convergencePartialPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: convergenceModule, entryPoint: 'partial_convergence' },
+      label: "convergencePartialPipeline"
+    });
+    this.convergenceTotalPipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: convergenceModule, entryPoint: 'total_convergence' },
+      label: "convergenceTotalPipeline"
+    });
+    const renderModule = device.createShaderModule({ code: renderShaderCode, label: "renderModule" });
+    this.renderPipeline = device.createRenderPipeline({
+      layout: 'auto',
+      vertex: { module: renderModule, entryPoint: 'vs_main' },
+      fragment: { module: renderModule, entryPoint: 'fs_main', targets: [{ format: this.format }] },
+      primitive: { topology: 'triangle-list' },
+      label: "renderPipeline"
+    });
+    const tracerRenderModule = device.createShaderModule({ code: tracerRenderShaderCode, label: "tracerRenderModule" });
+    const blend = {
+      color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+      alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha' },
+    };
+    // Indexed by tracerStyles: points, trails.
+    this.tracerRenderPipelines = [['vs_point', 'triangle-list'], ['vs_trail', 'line-list']].map(
+      ([entryPoint, topology]) => device.createRenderPipeline({
+        layout: 'auto',
+        vertex: { module: tracerRenderModule, entryPoint },
+        fragment: { module: tracerRenderModule, entryPoint: 'fs_main', targets: [{ format: this.format, blend }] },
+        primitive: { topology },
+        label: "tracerRenderPipeline"
+      }));
+    const streamlineModule = device.createShaderModule({ code: streamlineShaderCode, label: "streamlineModule" });
+    this.streamlinePipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: streamlineModule, entryPoint: 'trace' },
+      label: "streamlinePipeline"
+    });
+    const overlayModule = device.createShaderModule({ code: overlayShaderCode, label: "overlayModule" });
+    [this.arrowPipeline, this.streamlineRenderPipeline] = ['vs_arrow', 'vs_streamline'].map(
+      (entryPoint) => device.createRenderPipeline({
+        layout: 'auto',
+        vertex: { module: overlayModule, entryPoint },
+        fragment: { module: overlayModule, entryPoint: 'fs_main', targets: [{ format: this.format, blend }] },
+        primitive: { topology: 'line-list' },
+        label: "overlayPipeline"
+      }));
+    const probeModule = device.createShaderModule({ code: probeShaderCode, label: "probeModule" });
+    this.probePipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: probeModule, entryPoint: 'sample' },
+      label: "probePipeline"
+    });
+  }
+
+  // Bind groups are made once for each set of buffers, told apart by their
+  // labels, and reused until allocate() replaces the buffers.
+  bindGroup(pipeline, label, entries) {
+    const key = label + ":" + entries.map(([binding, buffer]) => `${binding}=${buffer.label}`).join(",");
+    let bindGroup = this.bindGroups.get(key);
+    if (!bindGroup) {
+      bindGroup = this.device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: entries.map(([binding, buffer]) => ({ binding, resource: { buffer } })),
+        label
+      });
+      this.bindGroups.set(key, bindGroup);
+    }
+    return bindGroup;
+  }
+
+  collisionBindGroup(stateBufferIn, otherStateBuffer, postCollisionBuffer, component) {
+    return this.bindGroup(this.collisionPipeline, "collisionBindGroup", [
+      [0, stateBufferIn],
+      [1, postCollisionBuffer],
+      [2, this.barrierBuffer],
+      [3, this.uniformBuffer],
+      [4, this.wallVelocityBuffer],
+      [5, this.thermalBuffers[this.thermalCurrent]],
+      [6, otherStateBuffer],
+      [7, this.componentBuffers[component]],
+      [8, this.solidFractionBuffer],
+      [9, this.momentsBuffer],
+    ]);
+  }
+
+  fusedBindGroup(stateBufferIn, stateBufferOut) {
+    return this.bindGroup(this.fusedPipeline, "fusedBindGroup", [
+      [0, stateBufferIn],
+      [1, stateBufferOut],
+      [2, this.barrierBuffer],
+      [3, this.uniformBuffer],
+      [4, this.wallVelocityBuffer],
+      [5, this.thermalBuffers[this.thermalCurrent]],
+      [6, this.componentBuffers[0]],
+      [7, this.solidFractionBuffer],
+      [8, this.momentsBuffer],
+      [9, this.clampedCellsBuffer],
+    ]);
+  }
+
+  thermalBindGroup() {
+    return this.bindGroup(this.thermalPipeline, "thermalBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.thermalBuffers[this.thermalCurrent]],
+      [2, this.thermalBuffers[1 - this.thermalCurrent]],
+      [3, this.barrierBuffer],
+      [4, this.uniformBuffer],
+    ]);
+  }
+
+  streamingBindGroup(stateBufferIn, stateBufferOut, postCollisionBuffer, component) {
+    return this.bindGroup(this.streamingPipeline, "streamingBindGroup", [
+      [0, postCollisionBuffer],
+      [1, stateBufferOut],
+      [2, this.uniformBuffer],
+      [3, stateBufferIn],
+      [4, this.componentBuffers[component]],
+      [5, this.clampedCellsBuffer],
+    ]);
+  }
+
+  // The fused kernel's post-collision state takes its own pipeline.
+  forcePartialBindGroup(stateBuffer, collided) {
+    const pipeline = collided ? this.collidedForcePartialPipeline : this.forcePartialPipeline;
+    return this.bindGroup(pipeline, collided ? "collidedForcePartialBindGroup" : "forcePartialBindGroup", [
+      [0, stateBuffer],
+      [1, this.barrierBuffer],
+      [2, this.forcePartialsBuffer],
+      [3, this.uniformBuffer],
+      [4, this.wallVelocityBuffer],
+    ]);
+  }
+
+  forceTotalBindGroup() {
+    return this.bindGroup(this.forceTotalPipeline, "forceTotalBindGroup", [
+      [0, this.forcePartialsBuffer],
+      [1, this.forceTotalBuffer],
+    ]);
+  }
+
+  tracerBindGroup() {
+    return this.bindGroup(this.tracerPipeline, "tracerBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.barrierBuffer],
+      [2, this.particleBuffer],
+      [3, this.historyBuffer],
+      [4, this.uniformBuffer],
+    ]);
+  }
+
+  dyeBindGroup(dyeBufferIn, dyeBufferOut) {
+    return this.bindGroup(this.dyePipeline, "dyeBindGroup", [
+      [0, this.momentsBuffer],
+      [1, dyeBufferIn],
+      [2, dyeBufferOut],
+      [3, this.barrierBuffer],
+      [4, this.uniformBuffer],
+    ]);
+  }
+
+  dyePaintBindGroup(dyeBuffer) {
+    return this.bindGroup(this.dyePaintPipeline, "dyePaintBindGroup", [
+      [2, dyeBuffer],
+      [3, this.barrierBuffer],
+      [4, this.uniformBuffer],
+      [5, this.splatBuffer],
+    ]);
+  }
+
+  renderBindGroup() {
+    return this.bindGroup(this.renderPipeline, "renderBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.uniformBuffer],
+      [2, this.barrierBuffer],
+      [3, this.dyeBuffers[this.dyeCurrent]],
+      [4, this.rangeBuffer],
+      [5, this.thermalBuffers[this.thermalCurrent]],
+    ]);
+  }
+
+  rangePartialBindGroup() {
+    return this.bindGroup(this.rangePartialPipeline, "rangePartialBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.barrierBuffer],
+      [2, this.rangePartialsBuffer],
+      [3, this.uniformBuffer],
+      [4, this.thermalBuffers[this.thermalCurrent]],
+    ]);
+  }
+
+  rangeTotalBindGroup() {
+    return this.bindGroup(this.rangeTotalPipeline, "rangeTotalBindGroup", [
+      [0, this.rangePartialsBuffer],
+      [1, this.rangeBuffer],
+      [3, this.uniformBuffer],
+    ]);
+  }
+
+  convergencePartialBindGroup() {
+    return this.bindGroup(this.convergencePartialPipeline, "convergencePartialBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.barrierBuffer],
+      [2, this.convergencePartialsBuffer],
+      [3, this.uniformBuffer],
+      [4, this.convergenceReferenceBuffer],
+    ]);
+  }
+
+  convergenceTotalBindGroup() {
+    return this.bindGroup(this.convergenceTotalPipeline, "convergenceTotalBindGroup", [
+      [0, this.convergencePartialsBuffer],
+      [1, this.convergenceSampleBuffer],
+      [2, this.clampedCellsBuffer],
+    ]);
+  }
+
+  // Points only read the particles, so their layout has no history binding.
+  tracerRenderBindGroup(trails) {
+    return this.bindGroup(this.tracerRenderPipelines[trails ? 1 : 0], "tracerRenderBindGroup", [
+      [0, this.particleBuffer],
+      ...(trails ? [[1, this.historyBuffer]] : []),
+      [2, this.uniformBuffer],
+    ]);
+  }
+
+  streamlineBindGroup() {
+    return this.bindGroup(this.streamlinePipeline, "streamlineBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.barrierBuffer],
+      [2, this.seedBuffer],
+      [3, this.streamlineBuffer],
+      [4, this.uniformBuffer],
+    ]);
+  }
+
+  // Arrows sample the flow; streamlines only read their traced points.
+  arrowBindGroup() {
+    return this.bindGroup(this.arrowPipeline, "arrowBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.barrierBuffer],
+      [3, this.uniformBuffer],
+    ]);
+  }
+
+  streamlineRenderBindGroup() {
+    return this.bindGroup(this.streamlineRenderPipeline, "streamlineRenderBindGroup", [
+      [2, this.streamlineBuffer],
+      [3, this.uniformBuffer],
+    ]);
+  }
+
+  probeBindGroup() {
+    return this.bindGroup(this.probePipeline, "probeBindGroup", [
+      [0, this.momentsBuffer],
+      [1, this.probeBuffer],
+      [2, this.probeSampleBuffer],
+      [3, this.uniformBuffer],
+    ]);
+  }
+
+  // ----- Parameters -----
+  writeUniform(name, value) {
+    const index = uniformFields.indexOf(name);
+    if (index < 0) throw new Error(`Unknown uniform "${name}"`);
+    this.uniformData[index] = value;
+    this.device.queue.writeBuffer(this.uniformBuffer, 0, this.uniformData.buffer);
+  }
+
+  // ----- Simulation State -----
+  // Interleaved f32 distributions, as readState returns them, to the stored
+  // layout and precision.
+  packState(state) {
+    const { numCells } = this;
+    const half = this.precision === "f16";
+    const packed = half ? new Uint16Array(this.stateBufferSize() / 2) : new Float32Array(numCells * numDirs);
+    for (let d = 0; d < numDirs; d++) {
+      for (let i = 0; i < numCells; i++) {
+        const value = state[i * numDirs + d] - weights[d];
+        packed[d * numCells + i] = half ? toHalf(value) : value;
+      }
+    }
+    return packed;
+  }
+
+  unpackState(data) {
+    const { numCells } = this;
+    const half = this.precision === "f16";
+    const packed = half ? new Uint16Array(data, 0, numCells * numDirs) : new Float32Array(data, 0, numCells * numDirs);
+    const state = new Float32Array(numCells * numDirs);
+    for (let d = 0; d < numDirs; d++) {
+      for (let i = 0; i < numCells; i++) {
+        const value = packed[d * numCells + i];
+        state[i * numDirs + d] = (half ? fromHalf(value) : value) + weights[d];
+      }
+    }
+    return state;
+  }
+
+  writeState(state) {
+    const packed = this.packState(state);
+    for (const buffer of this.stateBuffers) this.device.queue.writeBuffer(buffer, 0, packed);
+    this.collided = false;
+    this.momentsStale = true;
+  }
+
+  writeThermalState(thermal) {
+    for (const buffer of this.thermalBuffers) {
+      this.device.queue.writeBuffer(buffer, 0, thermal.buffer, thermal.byteOffset, thermal.byteLength);
+    }
+  }
+
+  writeComponentState(state) {
+    this.allocateComponent();
+    const packed = this.packState(state);
+    for (const buffer of this.componentStateBuffers) this.device.queue.writeBuffer(buffer, 0, packed);
+    this.momentsStale = true;
+  }
+
+  // ----- Barriers -----
+  writeBarriers(index, count) {
+    this.device.queue.writeBuffer(
+      this.barrierBuffer,
+      index * Int32Array.BYTES_PER_ELEMENT,
+      this.cellTypes,
+      index,
+      count
+    );
+  }
+
+  writeSolidFraction() {
+    this.device.queue.writeBuffer(this.solidFractionBuffer, 0, this.solidFraction);
+  }
+
+  writeWallVelocity(index, count) {
+    this.device.queue.writeBuffer(
+      this.wallVelocityBuffer,
+      index * 2 * Float32Array.BYTES_PER_ELEMENT,
+      this.wallVelocity,
+      index * 2,
+      count * 2
+    );
+  }
+
+  // ----- Tracers & Dye -----
+  writeTracers(particles) {
+    this.device.queue.writeBuffer(this.particleBuffer, 0, particles);
+  }
+
+  // Add dye in a disc of radius cells around grid point (x, y); negative amounts erase.
+  addDye(x, y, radius, amount = 1) {
+    if (amount > 0) this.dyeActive = true;
+    this.device.queue.writeBuffer(this.splatBuffer, 0, new Float32Array([x, y, radius, amount]));
+    const commandEncoder = this.device.createCommandEncoder();
+    const paintPass = commandEncoder.beginComputePass();
+    paintPass.setPipeline(this.dyePaintPipeline);
+    paintPass.setBindGroup(0, this.dyePaintBindGroup(this.dyeBuffers[this.dyeCurrent]));
+    paintPass.dispatchWorkgroups(Math.ceil(this.gridWidth / 16), Math.ceil(this.gridHeight / 16));
+    paintPass.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  clearDye() {
+    const commandEncoder = this.device.createCommandEncoder();
+    for (const buffer of this.dyeBuffers) commandEncoder.clearBuffer(buffer);
+    this.device.queue.submit([commandEncoder.finish()]);
+    this.dyeActive = false;
+  }
+
+  // ----- Streamlines -----
+  writeStreamlineSeeds(seeds) {
+    this.device.queue.writeBuffer(this.seedBuffer, 0, seeds);
+  }
+
+  // ----- Probes -----
+  writeProbes(positions) {
+    this.device.queue.writeBuffer(this.probeBuffer, 0, positions);
+    const commandEncoder = this.device.createCommandEncoder();
+    commandEncoder.clearBuffer(this.probeSampleBuffer);
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  // ----- Stepping -----
+  // Whether step() takes the fused kernel: not with Shan-Chen forces, which
+  // need the neighbours' densities of the same step, nor with a convective
+  // edge, which needs the cell's populations of the previous step.
+  fusable() {
+    return this.params.multiphase === "off"
+      && edgeNames.every((edge) => this.params[edge + "Boundary"] !== "convective");
+  }
+
+  // One compute pass of pipeline over the grid, dispatched once per bind group.
+  gridPass(commandEncoder, pipeline, bindGroups) {
+    const pass = commandEncoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    for (const bindGroup of bindGroups) {
+      pass.setBindGroup(0, bindGroup);
+      pass.dispatchWorkgroups(Math.ceil(this.gridWidth / 16), Math.ceil(this.gridHeight / 16));
+    }
+    pass.end();
+  }
+
+  // Stream the fused kernel's post-collision populations into target, which
+  // then holds the post-streaming state without taking a step.
+  streamCollided(commandEncoder, target) {
+    const state = this.stateBuffers[this.current];
+    this.gridPass(commandEncoder, this.streamingPipeline, [this.streamingBindGroup(state, target, state, 0)]);
+  }
+
+  // An empty pass writing timestamp index (0 start, 1 end) of the timed step().
+  writeTimestamp(commandEncoder, index) {
+    const timestampWrites = { querySet: this.querySet };
+    timestampWrites[index === 0 ? "beginningOfPassWriteIndex" : "endOfPassWriteIndex"] = index;
+    commandEncoder.beginComputePass({ timestampWrites }).end();
+  }
+
+  step(n = 1) {
+    const device = this.device;
+    const fused = this.fusable();
+    // Time this call unless the last timing is still being read back.
+    const timed = this.querySet && !this.timestampReadPending && n > 0;
+    let commandEncoder = device.createCommandEncoder();
+    if (timed) this.writeTimestamp(commandEncoder, 0);
+    for (let i = 0; i < n; i++) {
+      if (this.bodiesActive()) {
+        // Queue writes land before the next submission, so submit the steps
+        // encoded so far before moving the bodies for this one.
+        device.queue.submit([commandEncoder.finish()]);
+        commandEncoder = device.createCommandEncoder();
+        this.stepBodies();
+      }
+      if (this.measureForces) {
+        const forcePass = commandEncoder.beginComputePass();
+        forcePass.setPipeline(this.collided ? this.collidedForcePartialPipeline : this.forcePartialPipeline);
+        forcePass.setBindGroup(0, this.forcePartialBindGroup(this.stateBuffers[this.current], this.collided));
+        forcePass.dispatchWorkgroups(this.reductionWorkgroups);
+        forcePass.setPipeline(this.forceTotalPipeline);
+        forcePass.setBindGroup(0, this.forceTotalBindGroup());
+        forcePass.dispatchWorkgroups(1);
+        forcePass.end();
+      }
+
+      if (!fused && this.collided) {
+        this.streamCollided(commandEncoder, this.stateBuffers[1 - this.current]);
+        this.current = 1 - this.current;
+        this.collided = false;
+      }
+      const state = this.stateBuffers[this.current];
+      const next = this.stateBuffers[1 - this.current];
+      if (fused && this.collided) {
+        this.gridPass(commandEncoder, this.fusedPipeline, [this.fusedBindGroup(state, next)]);
+      } else if (fused) {
+        // Colliding post-streaming populations into the next buffer takes a
+        // whole step of the fused scheme, whose streaming comes first.
+        this.gridPass(commandEncoder, this.collisionPipeline, [this.collisionBindGroup(state, state, next, 0)]);
+        this.collided = true;
+      } else {
+        // With two components, each collides against the other's pre-collision state.
+        const other = this.otherStateBuffer();
+        const twoComponent = other !== state;
+        this.gridPass(commandEncoder, this.collisionPipeline, [
+          this.collisionBindGroup(state, other, this.postCollisionBuffer, 0),
+          ...(twoComponent ? [this.collisionBindGroup(other, state, this.componentPostCollisionBuffer, 1)] : []),
+        ]);
+        this.gridPass(commandEncoder, this.streamingPipeline, [
+          this.streamingBindGroup(state, next, this.postCollisionBuffer, 0),
+          ...(twoComponent ? [this.streamingBindGroup(
+            other, this.componentStateBuffers[1 - this.current], this.componentPostCollisionBuffer, 1)] : []),
+        ]);
+      }
+      this.momentsStale = false;
+
+      // Advected by the velocity in the moments of the step's collision, which
+      // read the temperatures before this pass replaces them.
+      if (this.params.thermal) {
+        this.gridPass(commandEncoder, this.thermalPipeline, [this.thermalBindGroup()]);
+        this.thermalCurrent = 1 - this.thermalCurrent;
+      }
+      this.current = 1 - this.current;
+
+      if (this.dyeActive) {
+        this.gridPass(commandEncoder, this.dyePipeline, [
+          this.dyeBindGroup(this.dyeBuffers[this.dyeCurrent], this.dyeBuffers[1 - this.dyeCurrent])]);
+        this.dyeCurrent = 1 - this.dyeCurrent;
+      }
+
+      if (this.scheduleProbeSample(this.stepCount + i + 1)) {
+        const probePass = commandEncoder.beginComputePass();
+        probePass.setPipeline(this.probePipeline);
+        probePass.setBindGroup(0, this.probeBindGroup());
+        probePass.dispatchWorkgroups(1);
+        probePass.end();
+      }
+      if (this.scheduleConvergenceCheck(this.stepCount + i + 1)) {
+        const convergencePass = commandEncoder.beginComputePass();
+        convergencePass.setPipeline(this.convergencePartialPipeline);
+        convergencePass.setBindGroup(0, this.convergencePartialBindGroup());
+        convergencePass.dispatchWorkgroups(this.reductionWorkgroups);
+        convergencePass.setPipeline(this.convergenceTotalPipeline);
+        convergencePass.setBindGroup(0, this.convergenceTotalBindGroup());
+        convergencePass.dispatchWorkgroups(1);
+        convergencePass.end();
+      }
+    }
+    if (this.prepareTracerStep(n)) {
+      const tracerPass = commandEncoder.beginComputePass();
+      tracerPass.setPipeline(this.tracerPipeline);
+      tracerPass.setBindGroup(0, this.tracerBindGroup());
+      tracerPass.dispatchWorkgroups(Math.ceil(this.params.tracerCount / 64));
+      tracerPass.end();
+    }
+    if (timed) {
+      this.writeTimestamp(commandEncoder, 1);
+      commandEncoder.resolveQuerySet(this.querySet, 0, 2, this.timestampBuffer, 0);
+      const size = this.timestampBuffer.size;
+      commandEncoder.copyBufferToBuffer(this.timestampBuffer, 0, this.timestampReadBuffer, 0, size);
+    }
+    device.queue.submit([commandEncoder.finish()]);
+    if (timed) this.readTimestamps(n, this.numCells);
+    this.finishStep(n);
+  }
+
+  async readTimestamps(steps, numCells) {
+    this.timestampReadPending = true;
+    try {
+      await this.timestampReadBuffer.mapAsync(GPUMapMode.READ);
+    } catch {
+      // Destroyed with the simulation.
+      return;
+    }
+    const [start, end] = new BigInt64Array(this.timestampReadBuffer.getMappedRange());
+    this.timestampReadBuffer.unmap();
+    this.timestampReadPending = false;
+    if (end > start) this.recordTiming(steps, Number(end - start) * 1e-9, numCells);
+  }
+
+  // ----- Rendering -----
+  render(targetView) {
+    const commandEncoder = this.device.createCommandEncoder();
+    const { showArrows, arrowSpacing, showStreamlines, streamlineLength } = this.params;
+    const seedCount = showStreamlines ? this.streamlineSeeds.length : 0;
+    if (this.momentsStale) {
+      // Moments of the state from writeState, which no step has collided yet.
+      const state = this.stateBuffers[this.current];
+      this.gridPass(commandEncoder, this.collisionPipeline, [
+        this.collisionBindGroup(state, this.otherStateBuffer(), this.postCollisionBuffer, 0)]);
+      this.momentsStale = false;
+    }
+    if (this.params.colorRange === "auto") {
+      const rangePass = commandEncoder.beginComputePass();
+      rangePass.setPipeline(this.rangePartialPipeline);
+      rangePass.setBindGroup(0, this.rangePartialBindGroup());
+      rangePass.dispatchWorkgroups(this.reductionWorkgroups);
+      rangePass.setPipeline(this.rangeTotalPipeline);
+      rangePass.setBindGroup(0, this.rangeTotalBindGroup());
+      rangePass.dispatchWorkgroups(1);
+      rangePass.end();
+    }
+    if (seedCount > 0) {
+      const streamlinePass = commandEncoder.beginComputePass();
+      streamlinePass.setPipeline(this.streamlinePipeline);
+      streamlinePass.setBindGroup(0, this.streamlineBindGroup());
+      streamlinePass.dispatchWorkgroups(Math.ceil(seedCount / 64));
+      streamlinePass.end();
+    }
+    const renderPass = commandEncoder.beginRenderPass({
+      colorAttachments: [{
+        view: targetView,
+        clearValue: { r: 0, g: 0, b: 0, a: 1 },
+        loadOp: 'clear',
+        storeOp: 'store',
+      }],
+    });
+    renderPass.setPipeline(this.renderPipeline);
+    renderPass.setBindGroup(0, this.renderBindGroup());
+    renderPass.draw(3, 1, 0, 0);
+    const { tracerMode, tracerStyle, tracerCount } = this.params;
+    if (tracerMode !== "off" && tracerCount > 0) {
+      const trails = tracerStyle === "trails";
+      renderPass.setPipeline(this.tracerRenderPipelines[trails ? 1 : 0]);
+      renderPass.setBindGroup(0, this.tracerRenderBindGroup(trails));
+      renderPass.draw(trails ? 2 * (trailLength - 1) : 6, tracerCount, 0, 0);
+    }
+    const arrowCount = Math.floor(this.gridWidth / arrowSpacing) * Math.floor(this.gridHeight / arrowSpacing);
+    if (showArrows && arrowCount > 0) {
+      renderPass.setPipeline(this.arrowPipeline);
+      renderPass.setBindGroup(0, this.arrowBindGroup());
+      renderPass.draw(6, arrowCount, 0, 0);
+    }
+    if (seedCount > 0) {
+      renderPass.setPipeline(this.streamlineRenderPipeline);
+      renderPass.setBindGroup(0, this.streamlineRenderBindGroup());
+      renderPass.draw(2 * (streamlineLength - 1), seedCount, 0, 0);
+    }
+    renderPass.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  // ----- Readback -----
+  // Copy a buffer back to the host, optionally zeroing it in the same submission.
+  async readBuffer(buffer, size = buffer.size, { clear = false } = {}) {
+    const readBuffer = this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+      label: "readback"
+    });
+    const commandEncoder = this.device.createCommandEncoder();
+    commandEncoder.copyBufferToBuffer(buffer, 0, readBuffer, 0, size);
+    if (clear) commandEncoder.clearBuffer(buffer, 0, size);
+    this.device.queue.submit([commandEncoder.finish()]);
+    await readBuffer.mapAsync(GPUMapMode.READ);
+    const data = readBuffer.getMappedRange().slice(0);
+    readBuffer.unmap();
+    readBuffer.destroy();
+    return data;
+  }
+
+  // The fused kernel's populations are streamed into the spare state buffer
+  // for reading, which its next step overwrites anyway.
+  async readState() {
+    if (!this.collided) return this.unpackState(await this.readBuffer(this.stateBuffers[this.current]));
+    const target = this.stateBuffers[1 - this.current];
+    const commandEncoder = this.device.createCommandEncoder();
+    // The next step streams the same populations and counts their clamps then.
+    const size = Uint32Array.BYTES_PER_ELEMENT;
+    commandEncoder.copyBufferToBuffer(this.clampedCellsBuffer, 0, this.savedClampedCellsBuffer, 0, size);
+    this.streamCollided(commandEncoder, target);
+    commandEncoder.copyBufferToBuffer(this.savedClampedCellsBuffer, 0, this.clampedCellsBuffer, 0, size);
+    this.device.queue.submit([commandEncoder.finish()]);
+    return this.unpackState(await this.readBuffer(target));
+  }
+
+  async readThermalState() {
+    return new Float32Array(await this.readBuffer(this.thermalBuffers[this.thermalCurrent]));
+  }
+
+  async readComponentState() {
+    this.allocateComponent();
+    return this.unpackState(await this.readBuffer(this.componentStateBuffers[this.current]));
+  }
+
+  async readForceTotal() {
+    return new Float32Array(await this.readBuffer(this.forceTotalBuffer, undefined, { clear: true }));
+  }
+
+  async readAutoRange() {
+    return Array.from(new Float32Array(await this.readBuffer(this.rangeBuffer)));
+  }
+
+  async readProbeSamples() {
+    const data = await this.readBuffer(this.probeSampleBuffer, undefined, { clear: true });
+    const rows = Math.min(new Uint32Array(data, 0, 1)[0], maxProbeSamples);
+    return new Float32Array(data, 16, rows * maxProbes * 4);
+  }
+
+  clearConvergenceSamples() {
+    const commandEncoder = this.device.createCommandEncoder();
+    commandEncoder.clearBuffer(this.convergenceSampleBuffer);
+    commandEncoder.clearBuffer(this.clampedCellsBuffer);
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  async readConvergenceSamples() {
+    const data = await this.readBuffer(this.convergenceSampleBuffer, undefined, { clear: true });
+    const rows = Math.min(new Uint32Array(data, 0, 1)[0], maxConvergenceSamples);
+    return new Float32Array(data, 16, rows * 8);
+  }
+
+  destroy() {
+    this.destroyBuffers();
+    this.uniformBuffer.destroy();
+    for (const buffer of this.componentBuffers) buffer.destroy();
+    this.splatBuffer.destroy();
+    this.particleBuffer.destroy();
+    this.historyBuffer.destroy();
+    this.seedBuffer.destroy();
+    this.streamlineBuffer.destroy();
+    this.probeBuffer.destroy();
+    this.probeSampleBuffer.destroy();
+    this.convergenceSampleBuffer.destroy();
+    this.clampedCellsBuffer.destroy();
+    this.savedClampedCellsBuffer.destroy();
+    this.rangeBuffer.destroy();
+    if (this.querySet) {
+      this.querySet.destroy();
+      this.timestampBuffer.destroy();
+      this.timestampReadBuffer.destroy();
+    }
+  }
+}
@@ -0,0 +1,240 @@
+import { numDirs3D } from "./lattice3d.js";
+import { LBM3DBase } from "./lbm3dbase.js";
+import {
+  uniformFields3D, collision3DShaderCode, streaming3DShaderCode, field3DShaderCode, render3DShaderCode,
+} from "./shaders3d.js";
+
+export {
+  vizModes3D, viewModes, sliceAxes, sideBoundaries, collisionModels3D, defaultParameters3D,
+} from "./lbm3dbase.js";
+
+// ----- 3D LBM Simulation -----
+// D3Q19 lattice Boltzmann solver on an existing GPUDevice.
+export class LBMSimulation3D extends LBM3DBase {
+  constructor(device, {
+    gridWidth,
+    gridHeight,
+    gridDepth,
+    format = "bgra8unorm",
+    ...params
+  } = {}) {
+    super({ gridWidth, gridHeight, gridDepth });
+    if (!device) throw new Error("LBMSimulation3D needs a GPUDevice");
+    const stateBufferSize = this.numCells * numDirs3D * Float32Array.BYTES_PER_ELEMENT;
+    if (stateBufferSize > device.limits.maxStorageBufferBindingSize) {
+      throw new Error(`A ${this.gridWidth}x${this.gridHeight}x${this.gridDepth} grid is too large for this GPU`);
+    }
+    this.device = device;
+    this.format = format;
+
+    this.uniformData = new Float32Array(uniformFields3D.length);
+    this.uniformBuffer = device.createBuffer({
+      size: this.uniformData.byteLength,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      label: "uniform3D"
+    });
+    this.rangeBuffer = device.createBuffer({
+      size: 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+      label: "colorRange3D"
+    });
+    this.initParameters(params);
+
+    this.createPipelines();
+    this.allocate();
+    this.writeBarriers();
+    this.reset();
+  }
+
+  // ----- Buffers -----
+  allocate() {
+    const device = this.device;
+    const stateBufferSize = this.numCells * numDirs3D * Float32Array.BYTES_PER_ELEMENT;
+    this.stateBuffers = [0, 1].map((i) => device.createBuffer({
+      size: stateBufferSize,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+      label: "state3D" + i
+    }));
+    this.postCollisionBuffer = device.createBuffer({
+      size: stateBufferSize,
+      usage: GPUBufferUsage.STORAGE,
+      label: "postCollision3D"
+    });
+    this.barrierBuffer = device.createBuffer({
+      size: this.numCells * Int32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      label: "barrier3D"
+    });
+    // Velocity and density per cell, then the scalar field the views show.
+    this.momentsBuffer = device.createBuffer({
+      size: this.numCells * 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "moments3D"
+    });
+    this.fieldBuffer = device.createBuffer({
+      size: this.numCells * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "field3D"
+    });
+    this.reductionWorkgroups = Math.ceil(this.numCells / 256);
+    this.rangePartialsBuffer = device.createBuffer({
+      size: this.reductionWorkgroups * 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE,
+      label: "rangePartials3D"
+    });
+    this.current = 0;
+  }
+
+  // ----- Pipelines -----
+  createPipelines() {
+    const device = this.device;
+    const compute = (code, entryPoints, label) => {
+      const module = device.createShaderModule({ code, label: label + "Module" });
+      return entryPoints.map((entryPoint) => device.createComputePipeline({
+        layout: 'auto',
+        compute: { module, entryPoint },
+        label: label + "Pipeline"
+      }));
+    };
+    [this.collisionPipeline] = compute(collision3DShaderCode, ['main'], "collision3D");
+    [this.streamingPipeline] = compute(streaming3DShaderCode, ['main'], "streaming3D");
+    [this.momentsPipeline, this.fieldPipeline, this.rangeTotalPipeline] = compute(
+      field3DShaderCode, ['moments_main', 'partial_range', 'total_range'], "field3D");
+    const renderModule = device.createShaderModule({ code: render3DShaderCode, label: "render3DModule" });
+    // Indexed by viewModes: the slice, then the volume and isosurface.
+    [this.slicePipeline, this.volumePipeline] = ['fs_slice', 'fs_volume'].map((entryPoint) => device.createRenderPipeline({
+      layout: 'auto',
+      vertex: { module: renderModule, entryPoint: 'vs_main' },
+      fragment: { module: renderModule, entryPoint, targets: [{ format: this.format }] },
+      primitive: { topology: 'triangle-list' },
+      label: "render3DPipeline"
+    }));
+  }
+
+  bindGroup(pipeline, buffers, label) {
+    return this.device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } })),
+      label
+    });
+  }
+
+  // ----- Parameters -----
+  writeUniform(name, value) {
+    const index = uniformFields3D.indexOf(name);
+    if (index < 0) throw new Error(`Unknown uniform "${name}"`);
+    this.uniformData[index] = value;
+    this.device.queue.writeBuffer(this.uniformBuffer, 0, this.uniformData.buffer);
+  }
+
+  // ----- Simulation State -----
+  writeState(state) {
+    for (const buffer of this.stateBuffers) {
+      this.device.queue.writeBuffer(buffer, 0, state.buffer, state.byteOffset, state.byteLength);
+    }
+  }
+
+  writeBarriers() {
+    this.device.queue.writeBuffer(this.barrierBuffer, 0, this.barriers);
+  }
+
+  // ----- Stepping -----
+  step(n = 1) {
+    const workgroups = [
+      Math.ceil(this.gridWidth / 8), Math.ceil(this.gridHeight / 8), Math.ceil(this.gridDepth / 4),
+    ];
+    const commandEncoder = this.device.createCommandEncoder();
+    for (let i = 0; i < n; i++) {
+      const collisionPass = commandEncoder.beginComputePass();
+      collisionPass.setPipeline(this.collisionPipeline);
+      collisionPass.setBindGroup(0, this.bindGroup(this.collisionPipeline, [
+        this.stateBuffers[this.current], this.postCollisionBuffer, this.barrierBuffer, this.uniformBuffer,
+      ], "collision3DBindGroup"));
+      collisionPass.dispatchWorkgroups(...workgroups);
+      collisionPass.end();
+
+      const streamingPass = commandEncoder.beginComputePass();
+      streamingPass.setPipeline(this.streamingPipeline);
+      streamingPass.setBindGroup(0, this.bindGroup(this.streamingPipeline, [
+        this.postCollisionBuffer, this.stateBuffers[1 - this.current], this.uniformBuffer,
+      ], "streaming3DBindGroup"));
+      streamingPass.dispatchWorkgroups(...workgroups);
+      streamingPass.end();
+      this.current = 1 - this.current;
+    }
+    this.device.queue.submit([commandEncoder.finish()]);
+    this.finishStep(n);
+  }
+
+  // ----- Rendering -----
+  render(targetView) {
+    const commandEncoder = this.device.createCommandEncoder();
+    const fieldPass = commandEncoder.beginComputePass();
+    fieldPass.setPipeline(this.momentsPipeline);
+    fieldPass.setBindGroup(0, this.bindGroup(this.momentsPipeline, [
+      this.stateBuffers[this.current], this.barrierBuffer, this.momentsBuffer, this.uniformBuffer,
+    ], "moments3DBindGroup"));
+    fieldPass.dispatchWorkgroups(
+      Math.ceil(this.gridWidth / 8), Math.ceil(this.gridHeight / 8), Math.ceil(this.gridDepth / 4));
+    fieldPass.setPipeline(this.fieldPipeline);
+    fieldPass.setBindGroup(0, this.bindGroup(this.fieldPipeline, [
+      this.momentsBuffer, this.barrierBuffer, this.fieldBuffer, this.uniformBuffer, this.rangePartialsBuffer,
+    ], "field3DBindGroup"));
+    fieldPass.dispatchWorkgroups(this.reductionWorkgroups);
+    fieldPass.setPipeline(this.rangeTotalPipeline);
+    fieldPass.setBindGroup(0, this.bindGroup(this.rangeTotalPipeline, [
+      this.rangePartialsBuffer, this.rangeBuffer,
+    ], "rangeTotal3DBindGroup"));
+    fieldPass.dispatchWorkgroups(1);
+    fieldPass.end();
+
+    const pipeline = this.params.viewMode === "slice" ? this.slicePipeline : this.volumePipeline;
+    const renderPass = commandEncoder.beginRenderPass({
+      colorAttachments: [{
+        view: targetView,
+        clearValue: { r: 0, g: 0, b: 0, a: 1 },
+        loadOp: 'clear',
+        storeOp: 'store',
+      }],
+    });
+    renderPass.setPipeline(pipeline);
+    renderPass.setBindGroup(0, this.bindGroup(pipeline, [
+      this.fieldBuffer, this.barrierBuffer, this.uniformBuffer, this.rangeBuffer,
+    ], "render3DBindGroup"));
+    renderPass.draw(3, 1, 0, 0);
+    renderPass.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  // ----- Readback -----
+  async readBuffer(buffer, size = buffer.size) {
+    const readBuffer = this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+      label: "readback3D"
+    });
+    const commandEncoder = this.device.createCommandEncoder();
+    commandEncoder.copyBufferToBuffer(buffer, 0, readBuffer, 0, size);
+    this.device.queue.submit([commandEncoder.finish()]);
+    await readBuffer.mapAsync(GPUMapMode.READ);
+    const data = readBuffer.getMappedRange().slice(0);
+    readBuffer.unmap();
+    readBuffer.destroy();
+    return data;
+  }
+
+  async readState() {
+    return new Float32Array(await this.readBuffer(this.stateBuffers[this.current]));
+  }
+
+  async readAutoRange() {
+    return Array.from(new Float32Array(await this.readBuffer(this.rangeBuffer)));
+  }
+
+  destroy() {
+    for (const buffer of [
+      ...this.stateBuffers, this.postCollisionBuffer, this.barrierBuffer, this.momentsBuffer, this.fieldBuffer,
+      this.rangePartialsBuffer, this.uniformBuffer, this.rangeBuffer,
+    ]) buffer.destroy();
+  }
+}
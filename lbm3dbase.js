@@ -0,0 +1,163 @@
+import { numDirs3D, fillEquilibrium3D, computeField3D } from "./lattice3d.js";
+import { colormaps } from "./colormaps.js";
+import { collisionModels, colorRanges } from "./lbmbase.js";
+
+export const vizModes3D = ["density", "speed", "vorticity"];
+export const viewModes = ["slice", "volume", "isosurface"];
+export const sliceAxes = ["x", "y", "z"];
+// Boundary of the four faces around the x axis; the flow always enters at
+// x = 0 and leaves at the far end.
+export const sideBoundaries = ["periodic", "freeSlip", "noSlip"];
+// BGK, or BGK with a Smagorinsky eddy viscosity (constant smagorinsky).
+export const collisionModels3D = collisionModels.filter((model) => model === "bgk" || model === "smagorinsky");
+
+// Parameters accepted by setParameter and the 3D backend constructors. The
+// slice view shows the sliceAxis plane at slicePosition, a fraction of the
+// grid along that axis. The volume and isosurface views look at the grid
+// from cameraYaw degrees around the y axis (0 looks along -z) and
+// cameraPitch degrees above it, cameraZoom times closer than the distance
+// that fits the whole grid. The volume view's opacity grows with
+// volumeOpacity; the isosurface is at isoLevel, a fraction of the colour range.
+export const defaultParameters3D = {
+  tau: 0.56,
+  inflow: 0.05,
+  sideBoundary: "freeSlip",
+  collisionModel: "smagorinsky",
+  smagorinsky: 0.1,
+  clampDistributions: false,
+  vizMode: "vorticity",
+  viewMode: "slice",
+  sliceAxis: "z",
+  slicePosition: 0.5,
+  colormap: "inferno",
+  colorRange: "auto",
+  colorMin: 0,
+  colorMax: 1,
+  isoLevel: 0.3,
+  volumeOpacity: 1,
+  cameraYaw: 35,
+  cameraPitch: 25,
+  cameraZoom: 1,
+};
+const enumParameters = {
+  sideBoundary: sideBoundaries,
+  collisionModel: collisionModels3D,
+  vizMode: vizModes3D,
+  viewMode: viewModes,
+  sliceAxis: sliceAxes,
+  colormap: colormaps,
+  colorRange: colorRanges,
+};
+const fractions = ["slicePosition", "isoLevel"];
+
+// ----- 3D Simulation Base -----
+// Parameters, barriers and events for the D3Q19 backends, with the grid size
+// fixed at construction. Subclasses implement allocate(), writeUniform(name,
+// value), writeBarriers(), writeState(state), readState() and readAutoRange().
+// Events: "step", "reset", "parameterchange", "barrierchange".
+export class LBM3DBase extends EventTarget {
+  constructor({ gridWidth, gridHeight, gridDepth }) {
+    super();
+    if (!(gridWidth > 0 && gridHeight > 0 && gridDepth > 0)) throw new Error("Grid size must be positive");
+    this.gridWidth = Math.floor(gridWidth);
+    this.gridHeight = Math.floor(gridHeight);
+    this.gridDepth = Math.floor(gridDepth);
+    this.numCells = this.gridWidth * this.gridHeight * this.gridDepth;
+    this.stepCount = 0;
+    this.params = {};
+    this.uniforms = {};
+    this.barriers = new Int32Array(this.numCells);
+  }
+
+  initParameters(params) {
+    this.setUniform("gridWidth", this.gridWidth);
+    this.setUniform("gridHeight", this.gridHeight);
+    this.setUniform("gridDepth", this.gridDepth);
+    this.setUniform("viewAspect", 1);
+    for (const [name, value] of [...Object.entries(defaultParameters3D), ...Object.entries(params)]) {
+      this.setParameter(name, value);
+    }
+  }
+
+  // ----- Simulation State -----
+  // Restart with uniform flow at density 1 and velocity (inflow, 0, 0).
+  reset(inflow = this.params.inflow) {
+    this.writeState(fillEquilibrium3D(new Float32Array(this.numCells * numDirs3D), this.numCells, 1.0, inflow, 0, 0));
+    this.stepCount = 0;
+    this.dispatchEvent(new CustomEvent("reset"));
+  }
+
+  // ----- Parameters -----
+  setUniform(name, value) {
+    this.uniforms[name] = value;
+    this.writeUniform(name, value);
+  }
+
+  // Any key of defaultParameters3D; the enumerated ones take names.
+  setParameter(name, value) {
+    if (!(name in defaultParameters3D)) throw new Error(`Unknown parameter "${name}"`);
+    let uniformValue = value;
+    if (name in enumParameters) {
+      uniformValue = enumParameters[name].indexOf(value);
+      if (uniformValue < 0) throw new Error(`Unknown ${name} "${value}"`);
+    } else if (name === "clampDistributions") {
+      value = !!value;
+      uniformValue = value ? 1 : 0;
+    } else if (name === "tau" && !(value > 0.5)) {
+      throw new Error("tau must be greater than 0.5");
+    } else if (name === "inflow" && !Number.isFinite(value)) {
+      throw new Error("inflow must be a finite number");
+    } else if (name === "smagorinsky" && !(value >= 0)) {
+      throw new Error("smagorinsky must not be negative");
+    } else if (fractions.includes(name) && !(value >= 0 && value <= 1)) {
+      throw new Error(`${name} must be between 0 and 1`);
+    } else if ((name === "volumeOpacity" || name === "cameraZoom") && !(value > 0)) {
+      throw new Error(`${name} must be positive`);
+    } else if (name === "cameraPitch" && !(value >= -89 && value <= 89)) {
+      throw new Error("cameraPitch must be between -89 and 89 degrees");
+    } else if ((name === "cameraYaw" || name === "colorMin" || name === "colorMax") && !Number.isFinite(value)) {
+      throw new Error(`${name} must be a finite number`);
+    }
+    this.setUniform(name, uniformValue);
+    this.params[name] = value;
+    this.dispatchEvent(new CustomEvent("parameterchange", { detail: { name, value } }));
+  }
+
+  // Width over height of the view the volume and slices are drawn into.
+  setViewSize(width, height) {
+    if (width > 0 && height > 0) this.setUniform("viewAspect", width / height);
+  }
+
+  // ----- Barriers -----
+  // Replace the whole solid mask (any array of numCells, nonzero = solid),
+  // e.g. from voxels.js.
+  setBarriers(mask) {
+    if (mask.length !== this.numCells) throw new Error("Barrier mask size does not match the grid");
+    for (let i = 0; i < this.numCells; i++) this.barriers[i] = mask[i] ? 1 : 0;
+    this.writeBarriers();
+    this.dispatchEvent(new CustomEvent("barrierchange"));
+  }
+
+  clearBarriers() {
+    this.setBarriers(new Int32Array(this.numCells));
+  }
+
+  // ----- Stepping -----
+  finishStep(n) {
+    this.stepCount += n;
+    this.dispatchEvent(new CustomEvent("step", { detail: { steps: n, stepCount: this.stepCount } }));
+  }
+
+  // ----- Readback -----
+  // [min, max] of the colour scale as last rendered.
+  async readColorRange() {
+    if (this.params.colorRange === "manual") return [this.params.colorMin, this.params.colorMax];
+    return this.readAutoRange();
+  }
+
+  // One of fieldNames3D from lattice3d.js, as a numCells array (x fastest, then y, then z).
+  async readField(name) {
+    const state = await this.readState();
+    return computeField3D(name, state, this.barriers, this.gridWidth, this.gridHeight, this.gridDepth);
+  }
+}
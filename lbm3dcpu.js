@@ -0,0 +1,354 @@
+import {
+  numDirs3D, weights3D, ex3D, ey3D, ez3D, opp3D, mirrorY3D, mirrorZ3D, equilibrium3D, computeMoments3D,
+} from "./lattice3d.js";
+import { LBM3DBase, sideBoundaries, vizModes3D, viewModes, sliceAxes } from "./lbm3dbase.js";
+import { colormaps, sampleColormap } from "./colormaps.js";
+
+// ----- CPU Reference Kernels (3D) -----
+// Ports of the shaders in shaders3d.js on the same interleaved layout, with
+// `uniforms` holding the fields of the WGSL Uniforms struct.
+const noSlipSide = sideBoundaries.indexOf("noSlip");
+const periodicSide = sideBoundaries.indexOf("periodic");
+const background = [0.06, 0.06, 0.08];
+const solidColor = [0.7, 0.7, 0.7];
+const edgeColor = [0.35, 0.35, 0.4];
+const light = [0.408, 0.816, 0.408];
+
+// Collision as collision3DShaderCode.
+export function collide3D(stateIn, postCollision, barriers, uniforms) {
+  const { gridWidth, gridHeight, gridDepth } = uniforms;
+  const numCells = gridWidth * gridHeight * gridDepth;
+  const smagorinsky = Math.round(uniforms.collisionModel) === 1;
+  const f = new Float64Array(numDirs3D);
+  const feq = new Float64Array(numDirs3D);
+  for (let index = 0; index < numCells; index++) {
+    const base = index * numDirs3D;
+    for (let d = 0; d < numDirs3D; d++) f[d] = stateIn[base + d];
+    if (barriers[index] === 1) {
+      for (let d = 0; d < numDirs3D; d++) postCollision[base + d] = f[opp3D[d]];
+      continue;
+    }
+    let density = 0, ux = 0, uy = 0, uz = 0;
+    for (let d = 0; d < numDirs3D; d++) {
+      density += f[d];
+      ux += f[d] * ex3D[d];
+      uy += f[d] * ey3D[d];
+      uz += f[d] * ez3D[d];
+    }
+    if (density > 0) {
+      ux /= density;
+      uy /= density;
+      uz /= density;
+    }
+    for (let d = 0; d < numDirs3D; d++) feq[d] = equilibrium3D(d, density, ux, uy, uz);
+    let tau = uniforms.tau;
+    if (smagorinsky) {
+      let xx = 0, yy = 0, zz = 0, xy = 0, xz = 0, yz = 0;
+      for (let d = 0; d < numDirs3D; d++) {
+        const fneq = f[d] - feq[d];
+        xx += ex3D[d] * ex3D[d] * fneq;
+        yy += ey3D[d] * ey3D[d] * fneq;
+        zz += ez3D[d] * ez3D[d] * fneq;
+        xy += ex3D[d] * ey3D[d] * fneq;
+        xz += ex3D[d] * ez3D[d] * fneq;
+        yz += ey3D[d] * ez3D[d] * fneq;
+      }
+      const norm = Math.sqrt(2 * (xx * xx + yy * yy + zz * zz + 2 * (xy * xy + xz * xz + yz * yz)));
+      const cs = uniforms.smagorinsky;
+      tau = 0.5 * (tau + Math.sqrt(tau * tau + 18 * cs * cs * norm / Math.max(density, 1e-6)));
+    }
+    for (let d = 0; d < numDirs3D; d++) postCollision[base + d] = f[d] - (f[d] - feq[d]) / tau;
+  }
+}
+
+// Streaming as streaming3DShaderCode.
+export function stream3D(postCollision, stateOut, uniforms) {
+  const { gridWidth: width, gridHeight: height, gridDepth: depth, inflow: U } = uniforms;
+  const side = Math.round(uniforms.sideBoundary);
+  const periodic = side === periodicSide;
+  const clamp = uniforms.clampDistributions > 0.5;
+  const fold = (v, size, wrap) => wrap ? (v + size) % size : Math.min(Math.max(v, 0), size - 1);
+  const cell = (x, y, z) => ((z * height + y) * width + x) * numDirs3D;
+  const inflow = weights3D.map((w, d) => w * (1 + 3 * ex3D[d] * U + 4.5 * (ex3D[d] * U) ** 2 - 1.5 * U * U));
+  for (let z = 0; z < depth; z++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const base = cell(x, y, z);
+        for (let d = 0; d < numDirs3D; d++) {
+          const sx = x - ex3D[d];
+          let sy = y - ey3D[d], sz = z - ez3D[d];
+          const outY = sy < 0 || sy >= height;
+          const outZ = sz < 0 || sz >= depth;
+          let f;
+          if (sx < 0) {
+            f = inflow[d];
+          } else if (sx >= width) {
+            f = postCollision[cell(x, fold(sy, height, periodic), fold(sz, depth, periodic)) + d];
+          } else if (!(outY || outZ) || periodic) {
+            f = postCollision[cell(sx, fold(sy, height, true), fold(sz, depth, true)) + d];
+          } else if (side === noSlipSide) {
+            f = postCollision[base + opp3D[d]];
+          } else {
+            let mirrored = d;
+            if (outY) {
+              mirrored = mirrorY3D[mirrored];
+              sy = y;
+            }
+            if (outZ) {
+              mirrored = mirrorZ3D[mirrored];
+              sz = z;
+            }
+            f = postCollision[cell(sx, sy, sz) + mirrored];
+          }
+          stateOut[base + d] = clamp ? Math.min(Math.max(1e-5, f), 1) : f;
+        }
+      }
+    }
+  }
+}
+
+// The scalar shown by vizMode per cell, as field3DShaderCode (0 in solid cells).
+export function fieldValues3D(state, barriers, uniforms) {
+  const { gridWidth: width, gridHeight: height, gridDepth: depth } = uniforms;
+  const numCells = width * height * depth;
+  const { density, ux, uy, uz } = computeMoments3D(state, numCells, barriers);
+  const mode = Math.round(uniforms.vizMode);
+  const values = new Float32Array(numCells);
+  const sy = width, sz = width * height;
+  for (let z = 0; z < depth; z++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (z * height + y) * width + x;
+        if (barriers[i] === 1) continue;
+        if (mode === vizModes3D.indexOf("density")) {
+          values[i] = density[i];
+        } else if (mode === vizModes3D.indexOf("speed")) {
+          values[i] = Math.hypot(ux[i], uy[i], uz[i]);
+        } else if (x > 0 && y > 0 && z > 0 && x < width - 1 && y < height - 1 && z < depth - 1) {
+          const wx = (uz[i + sy] - uz[i - sy] - uy[i + sz] + uy[i - sz]) * 0.5;
+          const wy = (ux[i + sz] - ux[i - sz] - uz[i + 1] + uz[i - 1]) * 0.5;
+          const wz = (uy[i + 1] - uy[i - 1] - ux[i + sy] + ux[i - sy]) * 0.5;
+          values[i] = Math.hypot(wx, wy, wz);
+        }
+      }
+    }
+  }
+  return values;
+}
+
+// [min, max] over the fluid cells, as total_range.
+export function autoColorRange3D(values, barriers) {
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (barriers[i] === 1 || !Number.isFinite(values[i])) continue;
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
+  return min > max ? [0, 1] : [min, max];
+}
+
+// Fill an RGBA8 image of imageWidth x imageHeight, top row first, as
+// render3DShaderCode would draw the view at that size.
+export function renderImage3D(values, barriers, uniforms, rgba, imageWidth, imageHeight, autoRange) {
+  const colormap = colormaps[Math.round(uniforms.colormap)];
+  const range = uniforms.colorRange < 0.5 ? autoRange : [uniforms.colorMin, uniforms.colorMax];
+  const view = Math.round(uniforms.viewMode) === viewModes.indexOf("slice") ? sliceColor : volumeColor;
+  const setup = { values, barriers, uniforms, colormap, range };
+  for (let j = 0; j < imageHeight; j++) {
+    for (let i = 0; i < imageWidth; i++) {
+      const color = view((i + 0.5) / imageWidth, 1 - (j + 0.5) / imageHeight, setup);
+      const out = (j * imageWidth + i) * 4;
+      rgba[out] = color[0] * 255;
+      rgba[out + 1] = color[1] * 255;
+      rgba[out + 2] = color[2] * 255;
+      rgba[out + 3] = 255;
+    }
+  }
+  return rgba;
+}
+
+function sliceColor(u, v, { values, barriers, uniforms, colormap, range }) {
+  const size = [uniforms.gridWidth, uniforms.gridHeight, uniforms.gridDepth];
+  const axis = Math.round(uniforms.sliceAxis);
+  const plane = axis === sliceAxes.indexOf("x") ? [size[2], size[1]]
+    : axis === sliceAxes.indexOf("y") ? [size[0], size[2]] : [size[0], size[1]];
+  const planeAspect = plane[0] / plane[1];
+  if (uniforms.viewAspect > planeAspect) {
+    u = (u - 0.5) * uniforms.viewAspect / planeAspect + 0.5;
+  } else {
+    v = (v - 0.5) * planeAspect / uniforms.viewAspect + 0.5;
+  }
+  if (u < 0 || v < 0 || u >= 1 || v >= 1) return background;
+  const a = Math.min(Math.floor(u * plane[0]), plane[0] - 1);
+  const b = Math.min(Math.floor(v * plane[1]), plane[1] - 1);
+  const layer = Math.min(Math.max(Math.floor(uniforms.slicePosition * size[axis]), 0), size[axis] - 1);
+  const [x, y, z] = axis === 0 ? [layer, b, a] : axis === 1 ? [a, layer, b] : [a, b, layer];
+  const index = (z * size[1] + y) * size[0] + x;
+  if (barriers[index] === 1) return solidColor;
+  return sampleColormap(colormap, (values[index] - range[0]) / Math.max(range[1] - range[0], 1e-12));
+}
+
+function volumeColor(u, v, { values, barriers, uniforms, colormap, range }) {
+  const size = [uniforms.gridWidth, uniforms.gridHeight, uniforms.gridDepth];
+  const index = (x, y, z) => (z * size[1] + y) * size[0] + x;
+  const fieldAt = (p) => {
+    const q = p.map((c, a) => Math.min(Math.max(c - 0.5, 0), size[a] - 1));
+    const p0 = q.map(Math.floor);
+    const p1 = p0.map((c, a) => Math.min(c + 1, size[a] - 1));
+    const t = q.map((c, a) => c - p0[a]);
+    let sum = 0;
+    for (let corner = 0; corner < 8; corner++) {
+      const c = [0, 1, 2].map((a) => (corner >> a) & 1);
+      const w = c.reduce((product, bit, a) => product * (bit ? t[a] : 1 - t[a]), 1);
+      sum += w * values[index(...c.map((bit, a) => bit ? p1[a] : p0[a]))];
+    }
+    return sum;
+  };
+  const solidAt = (p) => {
+    const c = p.map((x, a) => Math.min(Math.max(Math.floor(x), 0), size[a] - 1));
+    return barriers[index(...c)] === 1 ? 1 : 0;
+  };
+  const gradient = (sample, p) => [0, 1, 2].map((a) => {
+    const plus = p.slice(), minus = p.slice();
+    plus[a] += 1;
+    minus[a] -= 1;
+    return sample(plus) - sample(minus);
+  });
+  const add = (p, r, t) => p.map((c, a) => c + r[a] * t);
+  const normalize = (w) => {
+    const length = Math.hypot(...w);
+    return w.map((c) => c / length);
+  };
+  const shade = (color, g, ray) => {
+    const normal = Math.hypot(...g) > 0 ? normalize(g).map((c) => -c) : ray.map((c) => -c);
+    const lambert = Math.abs(normal[0] * light[0] + normal[1] * light[1] + normal[2] * light[2]);
+    return color.map((c) => c * (0.3 + 0.7 * lambert));
+  };
+
+  const yaw = uniforms.cameraYaw * Math.PI / 180;
+  const pitch = uniforms.cameraPitch * Math.PI / 180;
+  const toEye = [Math.cos(pitch) * Math.sin(yaw), Math.sin(pitch), Math.cos(pitch) * Math.cos(yaw)];
+  const tanHalf = 0.4142;
+  const distance = 1.1 * Math.hypot(...size) / tanHalf / 2 / Math.max(uniforms.cameraZoom, 0.01);
+  const eye = size.map((s, a) => 0.5 * s + toEye[a] * distance);
+  const forward = toEye.map((c) => -c);
+  const right = normalize([-forward[2], 0, forward[0]]);
+  const up = [
+    right[1] * forward[2] - right[2] * forward[1],
+    right[2] * forward[0] - right[0] * forward[2],
+    right[0] * forward[1] - right[1] * forward[0],
+  ];
+  const nx = 2 * u - 1, ny = 2 * v - 1;
+  const ray = normalize(forward.map((c, a) => c + tanHalf * (nx * uniforms.viewAspect * right[a] + ny * up[a])));
+
+  let tNear = 0, tFar = Infinity;
+  for (let a = 0; a < 3; a++) {
+    const t0 = (0 - eye[a]) / ray[a], t1 = (size[a] - eye[a]) / ray[a];
+    tNear = Math.max(tNear, Math.min(t0, t1));
+    tFar = Math.min(tFar, Math.max(t0, t1));
+  }
+  if (!(tNear < tFar)) return background;
+
+  const span = Math.max(range[1] - range[0], 1e-12);
+  const isosurface = Math.round(uniforms.viewMode) === viewModes.indexOf("isosurface");
+  const level = range[0] + uniforms.isoLevel * span;
+  const stepSize = 0.5;
+  let color = [0, 0, 0];
+  let alpha = 0;
+  let previous = fieldAt(add(eye, ray, tNear));
+  for (let i = 0, t = tNear; i < 4096 && t < tFar && alpha < 0.99; i++, t += stepSize) {
+    const p = add(eye, ray, t);
+    if (solidAt(p)) {
+      color = color.map((c, k) => c + (1 - alpha) * shade(solidColor, gradient(solidAt, p), ray)[k]);
+      alpha = 1;
+      break;
+    }
+    const value = fieldAt(p);
+    if (isosurface) {
+      if (value >= level && previous < level) {
+        const hit = add(p, ray, -stepSize * (value - level) / Math.max(value - previous, 1e-12));
+        color = shade(sampleColormap(colormap, uniforms.isoLevel), gradient(fieldAt, hit), ray);
+        alpha = 1;
+        break;
+      }
+    } else {
+      const s = Math.min(Math.max((value - range[0]) / span, 0), 1);
+      const a = 1 - (1 - Math.min(Math.max(uniforms.volumeOpacity * s * s, 0), 0.999)) ** stepSize;
+      const emitted = sampleColormap(colormap, s);
+      color = color.map((c, k) => c + (1 - alpha) * a * emitted[k]);
+      alpha += (1 - alpha) * a;
+    }
+    previous = value;
+  }
+  // The background, outlining the edges of the grid's box.
+  const entry = add(eye, ray, tNear);
+  const nearFaces = entry.filter((c, a) => Math.min(c, size[a] - c) < 0.5).length;
+  const behind = nearFaces >= 2 ? edgeColor : background;
+  return color.map((c, k) => c + (1 - alpha) * behind[k]);
+}
+
+// ----- CPU Simulation (3D) -----
+// Same API as LBMSimulation3D without a GPUDevice; render() takes a
+// CanvasRenderingContext2D and draws at a reduced resolution, coarser for the
+// ray-marched views.
+export class LBMSimulation3DCPU extends LBM3DBase {
+  constructor({ gridWidth, gridHeight, gridDepth, ...params } = {}) {
+    super({ gridWidth, gridHeight, gridDepth });
+    this.autoRange = [0, 1];
+    this.initParameters(params);
+    this.allocate();
+    this.reset();
+  }
+
+  allocate() {
+    this.state = new Float32Array(this.numCells * numDirs3D);
+    this.nextState = new Float32Array(this.numCells * numDirs3D);
+    this.postCollision = new Float32Array(this.numCells * numDirs3D);
+    this.imageCanvas = null;
+  }
+
+  // The kernels read this.uniforms and this.barriers directly.
+  writeUniform() { }
+  writeBarriers() { }
+
+  writeState(state) {
+    this.state.set(state);
+  }
+
+  step(n = 1) {
+    for (let i = 0; i < n; i++) {
+      collide3D(this.state, this.postCollision, this.barriers, this.uniforms);
+      stream3D(this.postCollision, this.nextState, this.uniforms);
+      [this.state, this.nextState] = [this.nextState, this.state];
+    }
+    this.finishStep(n);
+  }
+
+  render(context) {
+    const { width, height } = context.canvas;
+    this.setViewSize(width, height);
+    const maxWidth = this.params.viewMode === "slice" ? 480 : 200;
+    const imageWidth = Math.max(Math.min(width, maxWidth), 1);
+    const imageHeight = Math.max(Math.round(height * imageWidth / width), 1);
+    if (!this.imageCanvas || this.imageCanvas.width !== imageWidth || this.imageCanvas.height !== imageHeight) {
+      this.imageCanvas = new OffscreenCanvas(imageWidth, imageHeight);
+      this.imageData = new ImageData(imageWidth, imageHeight);
+    }
+    const values = fieldValues3D(this.state, this.barriers, this.uniforms);
+    this.autoRange = autoColorRange3D(values, this.barriers);
+    renderImage3D(values, this.barriers, this.uniforms, this.imageData.data, imageWidth, imageHeight, this.autoRange);
+    this.imageCanvas.getContext("2d").putImageData(this.imageData, 0, 0);
+    context.imageSmoothingEnabled = false;
+    context.drawImage(this.imageCanvas, 0, 0, width, height);
+  }
+
+  async readState() {
+    return this.state.slice();
+  }
+
+  async readAutoRange() {
+    return this.autoRange.slice();
+  }
+
+  destroy() { }
+}
@@ -0,0 +1,847 @@
+import {
+  numDirs, thermalDirs, fillEquilibrium, fillDensityEquilibrium, fillThermalEquilibrium, computeMoments,
+  computeTemperature, computeField, resampleState, resampleMask, bodyAcceleration,
+} from "./lattice.js";
+import { encodeSnapshot, decodeSnapshot } from "./snapshot.js";
+import { exportFormats, encodeFields } from "./fieldexport.js";
+import { colormaps } from "./colormaps.js";
+import { maxBodies, createBody, advanceBody, rasterizeBodies } from "./bodies.js";
+import { liquidFraction } from "./presets.js";
+import { darcyPermeability } from "./porous.js";
+import {
+  maxTracers, trailLength, maxStreamlineSeeds, maxStreamlineLength, maxProbes, maxProbeSamples,
+  maxConvergenceSamples,
+} from "./shaders.js";
+
+export const vizModes = ["density", "speed", "curl", "schlieren", "temperature", "phase"];
+export const collisionModels = ["bgk", "trt", "mrt", "smagorinsky"];
+// Per-edge boundary types. "equilibrium" fixes the incoming populations at
+// density 1 and velocity (inflow, 0), shaped across the edge by
+// inflowProfile; "velocity" and "pressure" are Zou-He
+// edges for that velocity or for density 1; "outflow" is zero-gradient and
+// "convective" advects the outflow at the inflow speed. "periodic" always
+// applies to both opposite edges.
+export const boundaryTypes = [
+  "equilibrium", "velocity", "pressure", "outflow", "convective", "periodic", "freeSlip", "noSlip",
+];
+// Inflow across an inlet edge: the same everywhere, or a parabola with the
+// same mean that vanishes at the far sides of the grid, as in a channel.
+export const inflowProfiles = ["uniform", "parabolic"];
+export const edgeNames = ["left", "right", "bottom", "top"];
+export const tracerModes = ["off", "rake", "inlet"];
+export const tracerStyles = ["points", "trails"];
+export const colorRanges = ["auto", "manual"];
+// Thermal condition of a wall edge or of the barriers: insulated, or held at
+// hotTemperature or coldTemperature.
+export const wallTemperatures = ["adiabatic", "hot", "cold"];
+export const multiphaseModes = ["off", "singleComponent", "twoComponent"];
+// Where reset puts the liquid: evenly mixed with the gas (it separates by
+// itself), a droplet in the middle, a gas bubble low down, a pool on the
+// floor, or nowhere.
+export const multiphaseLayouts = ["mixed", "droplet", "bubble", "pool", "gas"];
+
+// Parameters accepted by setParameter and the backend constructors.
+// trtMagic is the TRT magic parameter (3/16 puts bounce-back walls halfway
+// between nodes); the MRT rates apply to the non-hydrodynamic moments, the
+// shear rate always follows tau; smagorinsky is the constant Cs. Tracers are
+// released from rakeSeeds points on the line (rakeX0, rakeY0)-(rakeX1, rakeY1),
+// in fractions of the grid, or from the left edge, and are recycled after
+// tracerLifetime steps. The overlay draws an arrow every arrowSpacing cells,
+// arrowScale cells long per unit velocity, and streamlines of streamlineLength
+// half-cell steps from the seeds placed with addStreamlineSeed. Probes are
+// sampled after every step that is a multiple of probeInterval. The field is
+// coloured over [colorMin, colorMax], or over its current extent when
+// colorRange is "auto" (symmetric about zero for curl). With thermal on, a
+// D2Q5 temperature field with diffusivity thermalDiffusivity is advected by
+// the flow and pushes it upwards with the Boussinesq force buoyancy * density
+// * (T - inletTemperature). Free- and no-slip edges follow their
+// WallTemperature and the barriers barrierTemperature; equilibrium and
+// velocity edges bring in fluid at inletTemperature, which is also the
+// starting temperature. gravity pulls everything down, in cells per step^2,
+// and a uniform body force accelerates the fluid by bodyForce cells per step^2
+// at bodyForceAngle degrees counter-clockwise from +x; with periodic edges it
+// drives channel flow without inlets.
+// multiphase turns on the Shan-Chen model: a single component splitting into
+// liquid and gas under an attractive (negative) coupling, or two immiscible
+// components pushed apart by a positive componentCoupling. The phases have
+// densities near liquidDensity and gasDensity (for two components, those of
+// a component in its own phase and in the other's), and reset lays them out
+// by multiphaseLayout. wetting from -1 to 1 sets the contact angle on walls
+// and barriers, from non-wetting through neutral at 0 to fully wetting.
+// clampDistributions keeps every population between 1e-5 and the larger of 1
+// and the inlet density: an opt-in guard that keeps a failing run going but
+// hides the failure.
+// The velocity field is checked for convergence after every step that is a
+// multiple of convergenceInterval (see readConvergence), and counts as steady
+// once its relative change between checks is below convergenceTolerance.
+export const defaultParameters = {
+  tau: 0.6,
+  inflow: 0.1,
+  inflowProfile: "uniform",
+  leftBoundary: "equilibrium",
+  rightBoundary: "equilibrium",
+  bottomBoundary: "noSlip",
+  topBoundary: "noSlip",
+  vizMode: "curl",
+  collisionModel: "bgk",
+  trtMagic: 3 / 16,
+  mrtEnergyRate: 1.64,
+  mrtEpsilonRate: 1.54,
+  mrtFluxRate: 1.9,
+  smagorinsky: 0.1,
+  clampDistributions: false,
+  tracerMode: "off",
+  tracerStyle: "trails",
+  tracerCount: 2000,
+  tracerLifetime: 1500,
+  rakeSeeds: 20,
+  rakeX0: 0.05,
+  rakeY0: 0.2,
+  rakeX1: 0.05,
+  rakeY1: 0.8,
+  dyeDiffusion: 0.01,
+  showArrows: false,
+  arrowSpacing: 8,
+  arrowScale: 40,
+  showStreamlines: false,
+  streamlineLength: 200,
+  probeInterval: 10,
+  colormap: "diverging",
+  colorRange: "auto",
+  colorMin: 0,
+  colorMax: 1,
+  thermal: false,
+  thermalDiffusivity: 0.02,
+  buoyancy: 0,
+  hotTemperature: 1,
+  coldTemperature: 0,
+  inletTemperature: 0,
+  leftWallTemperature: "adiabatic",
+  rightWallTemperature: "adiabatic",
+  bottomWallTemperature: "adiabatic",
+  topWallTemperature: "adiabatic",
+  barrierTemperature: "adiabatic",
+  gravity: 0,
+  bodyForce: 0,
+  bodyForceAngle: 0,
+  multiphase: "off",
+  coupling: -5,
+  componentCoupling: 1.5,
+  wetting: 0,
+  liquidDensity: 1.9,
+  gasDensity: 0.12,
+  multiphaseLayout: "droplet",
+  convergenceInterval: 100,
+  convergenceTolerance: 1e-6,
+};
+const enumParameters = {
+  vizMode: vizModes,
+  collisionModel: collisionModels,
+  tracerMode: tracerModes,
+  tracerStyle: tracerStyles,
+  colormap: colormaps,
+  colorRange: colorRanges,
+  ...Object.fromEntries(edgeNames.map((edge) => [edge + "Boundary", boundaryTypes])),
+  ...Object.fromEntries(edgeNames.map((edge) => [edge + "WallTemperature", wallTemperatures])),
+  barrierTemperature: wallTemperatures,
+  multiphase: multiphaseModes,
+  multiphaseLayout: multiphaseLayouts,
+  inflowProfile: inflowProfiles,
+};
+const oppositeEdges = {
+  leftBoundary: "rightBoundary",
+  rightBoundary: "leftBoundary",
+  bottomBoundary: "topBoundary",
+  topBoundary: "bottomBoundary",
+};
+const booleanParameters = ["clampDistributions", "showArrows", "showStreamlines", "thermal"];
+const temperatures = ["hotTemperature", "coldTemperature", "inletTemperature"];
+const finiteParameters = ["buoyancy", ...temperatures, "gravity", "bodyForce", "bodyForceAngle", "coupling",
+  "componentCoupling"];
+const mrtRates = ["mrtEnergyRate", "mrtEpsilonRate", "mrtFluxRate"];
+const rakeCoordinates = ["rakeX0", "rakeY0", "rakeX1", "rakeY1"];
+// A convergence check reports divergence once the density anywhere exceeds
+// the largest density the flow should hold by this factor.
+const runawayDensity = 10;
+
+// ----- Simulation Base -----
+// Parameter, barrier and event handling shared by the GPU and CPU backends.
+// Subclasses implement allocate(), writeUniform(name, value),
+// writeBarriers(index, count), writeWallVelocity(index, count), writeSolidFraction(), writeState(state),
+// readState(), writeThermalState(thermal), readThermalState(), writeComponentState(state),
+// readComponentState(), readForceTotal(), writeTracers(particles), addDye(x, y, radius, amount),
+// clearDye() and writeStreamlineSeeds(seeds), writeProbes(positions),
+// readProbeSamples(), clearConvergenceSamples(), readConvergenceSamples() and
+// readAutoRange(). writeBarriers uploads cellTypes, not
+// barriers, and subclasses call stepBodies() before each step while
+// bodiesActive() is true.
+// Events: "step", "reset", "resize", "parameterchange", "barrierchange",
+// "probechange", "bodychange", "converged", "diverged".
+export class LBMBase extends EventTarget {
+  constructor({ gridWidth, gridHeight, measureForces = false }) {
+    super();
+    if (!(gridWidth > 0 && gridHeight > 0)) throw new Error("Grid size must be positive");
+    this.gridWidth = Math.floor(gridWidth);
+    this.gridHeight = Math.floor(gridHeight);
+    this.numCells = this.gridWidth * this.gridHeight;
+    this.stepCount = 0;
+    this.params = {};
+    // Numeric values as seen by the kernels, keyed by uniform name.
+    this.uniforms = {};
+    this.barriers = new Int32Array(this.numCells);
+    // Partial bounce-back weight of each fluid cell, 0 (open) to 1 (solid).
+    this.solidFraction = new Float32Array(this.numCells);
+    // Moving bodies (see bodies.js) and the steps they have moved for.
+    this.bodies = [];
+    this.bodyTime = 0;
+    this.allocateCellTypes();
+    // Streamline seeds as [x, y] in grid units, oldest first.
+    this.streamlineSeeds = [];
+    // Probes as { name, x, y } cells, and the steps of samples not yet read back.
+    this.probes = [];
+    this.pendingProbeSteps = [];
+    this.nextProbeNumber = 1;
+    // Accumulate the momentum-exchange force on the barriers every step.
+    this.measureForces = measureForces;
+    // Steps of the convergence checks not yet read back, each with the steps
+    // since the check before, and whether the run has converged or diverged.
+    this.pendingConvergenceChecks = [];
+    this.lastConvergenceStep = null;
+    this.converged = false;
+    this.diverged = false;
+    // { stepTime in ms, mlups } of the last timed step() call, or null. The GPU
+    // backend times steps with timestamp queries where the device has them.
+    this.timing = null;
+  }
+
+  // Defaults first, so that params win over anything a default would pair up.
+  initParameters(params) {
+    this.setUniform("gridWidth", this.gridWidth);
+    this.setUniform("gridHeight", this.gridHeight);
+    for (const name of ["tracerSteps", "tracerHead", "tracerSeed", "streamlineSeedCount", "probeCount"]) {
+      this.setUniform(name, 0);
+    }
+    for (const [name, value] of [...Object.entries(defaultParameters), ...Object.entries(params)]) {
+      this.setParameter(name, value);
+    }
+  }
+
+  // ----- Simulation State -----
+  // Restart with uniform rightward flow (density=1, velocity=(inflow,0)) at
+  // inletTemperature, perturbed by a little noise so that symmetric setups
+  // such as Rayleigh-Benard convection can break their symmetry. With
+  // multiphase on, the densities follow multiphaseLayout instead; the second
+  // component's distributions live apart from the first's, which readState returns.
+  reset(inflow = this.params.inflow) {
+    const { multiphase, liquidDensity: liquid, gasDensity: gas } = this.params;
+    if (multiphase === "off") {
+      this.writeState(fillEquilibrium(new Float32Array(this.numCells * numDirs), this.numCells, 1.0, inflow, 0.0));
+    } else {
+      const fraction = liquidFraction(this.params.multiphaseLayout, this.gridWidth, this.gridHeight);
+      const fill = (density) => fillDensityEquilibrium(new Float32Array(this.numCells * numDirs), density, inflow, 0.0);
+      this.writeState(fill(fraction.map((phi) => gas + phi * (liquid - gas))));
+      if (multiphase === "twoComponent") this.writeComponentState(fill(fraction.map((phi) => liquid - phi * (liquid - gas))));
+    }
+    const thermal = fillThermalEquilibrium(
+      new Float32Array(this.numCells * thermalDirs), this.numCells, this.params.inletTemperature, inflow, 0.0);
+    const noise = 1e-3 * Math.abs(this.params.hotTemperature - this.params.coldTemperature);
+    for (let i = 0; i < this.numCells; i++) thermal[i * thermalDirs] += noise * (Math.random() - 0.5);
+    this.writeThermalState(thermal);
+    this.bodyTime = 0;
+    for (const body of this.bodies) {
+      body.startTime = 0;
+      advanceBody(body, 0);
+    }
+    this.updateCellTypes(true);
+    this.clearDye();
+    this.resetTracers();
+    this.restartConvergence();
+    this.stepCount = 0;
+    this.dispatchEvent(new CustomEvent("reset"));
+  }
+
+  // Reallocate for a new grid size, resampling the current distributions and
+  // barrier mask onto it. Calls are serialised; resolves once the new grid is in use.
+  resize(gridWidth, gridHeight) {
+    gridWidth = Math.floor(gridWidth);
+    gridHeight = Math.floor(gridHeight);
+    if (!(gridWidth > 0 && gridHeight > 0)) throw new Error("Grid size must be positive");
+    return this.enqueueGridTask(async () => {
+      if (gridWidth === this.gridWidth && gridHeight === this.gridHeight) return;
+      const state = await this.readState();
+      const thermal = await this.readThermalState();
+      const component = this.params.multiphase === "twoComponent" ? await this.readComponentState() : null;
+      const { gridWidth: oldWidth, gridHeight: oldHeight } = this;
+      const barriers = resampleMask(this.barriers, oldWidth, oldHeight, gridWidth, gridHeight);
+      const solidFraction = resampleMask(this.solidFraction, oldWidth, oldHeight, gridWidth, gridHeight);
+      this.setGridSize(gridWidth, gridHeight);
+      this.writeState(resampleState(state, oldWidth, oldHeight, gridWidth, gridHeight));
+      this.writeThermalState(resampleState(thermal, oldWidth, oldHeight, gridWidth, gridHeight, thermalDirs));
+      if (component) this.writeComponentState(resampleState(component, oldWidth, oldHeight, gridWidth, gridHeight));
+      this.barriers.set(barriers);
+      this.updateCellTypes(true);
+      this.solidFraction.set(solidFraction);
+      this.writeSolidFraction();
+      this.dispatchEvent(new CustomEvent("resize", { detail: { gridWidth, gridHeight } }));
+    });
+  }
+
+  // Run tasks that replace the grid one at a time, in call order.
+  enqueueGridTask(task) {
+    this.pendingGridTask = (this.pendingGridTask || Promise.resolve()).catch(() => { }).then(task);
+    return this.pendingGridTask;
+  }
+
+  // Switch to a new grid size with freshly allocated (uninitialised) state.
+  setGridSize(gridWidth, gridHeight) {
+    const scaleX = gridWidth / this.gridWidth;
+    const scaleY = gridHeight / this.gridHeight;
+    this.gridWidth = gridWidth;
+    this.gridHeight = gridHeight;
+    this.numCells = gridWidth * gridHeight;
+    this.barriers = new Int32Array(this.numCells);
+    this.solidFraction = new Float32Array(this.numCells);
+    this.allocateCellTypes();
+    this.bodies.forEach((body) => scaleBody(body, scaleX, scaleY));
+    this.setUniform("gridWidth", gridWidth);
+    this.setUniform("gridHeight", gridHeight);
+    this.allocate();
+    this.resetTracers();
+    this.streamlineSeeds = this.streamlineSeeds.map(([x, y]) => [x * scaleX, y * scaleY]);
+    this.updateStreamlineSeeds();
+    this.probes = this.probes.map(({ name, x, y }) => ({
+      name,
+      x: Math.min(Math.floor((x + 0.5) * scaleX), gridWidth - 1),
+      y: Math.min(Math.floor((y + 0.5) * scaleY), gridHeight - 1),
+    }));
+    this.updateProbes();
+    this.restartConvergence();
+  }
+
+  // ----- Snapshots -----
+  // Binary snapshot of the parameters, barriers and distributions (see
+  // snapshot.js), with the temperature distributions when thermal is on, the
+  // solid fraction when there are porous cells and the second component's
+  // distributions in a two-component flow.
+  async saveSnapshot() {
+    const state = await this.readState();
+    const thermal = this.params.thermal ? await this.readThermalState() : null;
+    const component = this.params.multiphase === "twoComponent" ? await this.readComponentState() : null;
+    return encodeSnapshot({
+      gridWidth: this.gridWidth,
+      gridHeight: this.gridHeight,
+      tau: this.params.tau,
+      inflow: this.params.inflow,
+      boundaries: edgeNames.map((edge) => boundaryTypes.indexOf(this.params[edge + "Boundary"])),
+      stepCount: this.stepCount,
+      barriers: this.barriers,
+      state,
+      thermal,
+      solidFraction: this.hasPorousCells() ? this.solidFraction : null,
+      component,
+    });
+  }
+
+  // Restore a snapshot exactly, at its own grid size. Throws on an invalid file.
+  // thermal follows whether it holds temperature distributions; without them
+  // the temperature starts uniform at inletTemperature, should it be turned on.
+  // Without a solid fraction there are no porous cells. A second component
+  // makes the flow two-component; without one, a two-component flow turns
+  // multiphase off, as the single-component modes hold the whole fluid in the
+  // first. Moving bodies are removed: their scripts cannot be saved, so a
+  // snapshot holds only the barriers.
+  async loadSnapshot(buffer) {
+    const snapshot = decodeSnapshot(buffer);
+    return this.enqueueGridTask(() => {
+      const { gridWidth, gridHeight } = snapshot;
+      const resized = gridWidth !== this.gridWidth || gridHeight !== this.gridHeight;
+      if (resized) this.setGridSize(gridWidth, gridHeight);
+      this.setParameter("tau", snapshot.tau);
+      this.setParameter("inflow", snapshot.inflow);
+      const boundaries = snapshot.boundaries
+        ? snapshot.boundaries.map((type) => boundaryTypes[type])
+        // Version 1 only had the no-slip switch for the top and bottom edges.
+        : ["equilibrium", "equilibrium", ...Array(2).fill(snapshot.noSlip ? "noSlip" : "equilibrium")];
+      edgeNames.forEach((edge, i) => this.setParameter(edge + "Boundary", boundaries[i]));
+      this.writeState(snapshot.state);
+      if (snapshot.component) {
+        this.setParameter("multiphase", "twoComponent");
+        this.writeComponentState(snapshot.component);
+      } else if (this.params.multiphase === "twoComponent") {
+        this.setParameter("multiphase", "off");
+      }
+      this.setParameter("thermal", snapshot.thermal !== null);
+      const { numCells } = this;
+      this.writeThermalState(snapshot.thermal ?? fillThermalEquilibrium(
+        new Float32Array(numCells * thermalDirs), numCells, this.params.inletTemperature, snapshot.inflow, 0.0));
+      const hadBodies = this.bodies.length > 0;
+      this.bodies = [];
+      this.bodyTime = 0;
+      this.setBarriers(snapshot.barriers);
+      // Cells the bodies leave keep the snapshot's populations rather than being refilled.
+      this.updateCellTypes(true);
+      if (hadBodies) this.dispatchEvent(new CustomEvent("bodychange"));
+      this.setSolidFraction(snapshot.solidFraction ?? new Float32Array(numCells));
+      this.restartConvergence();
+      this.stepCount = snapshot.stepCount;
+      if (resized) this.dispatchEvent(new CustomEvent("resize", { detail: { gridWidth, gridHeight } }));
+      return snapshot;
+    });
+  }
+
+  // ----- Parameters -----
+  setUniform(name, value) {
+    this.uniforms[name] = value;
+    this.writeUniform(name, value);
+  }
+
+  // Any key of defaultParameters; vizMode and collisionModel take names.
+  setParameter(name, value) {
+    if (name === "gridWidth" || name === "gridHeight") {
+      throw new Error("Grid size cannot be changed with setParameter");
+    }
+    if (!(name in defaultParameters)) throw new Error(`Unknown parameter "${name}"`);
+    let uniformValue = value;
+    if (name in enumParameters) {
+      uniformValue = enumParameters[name].indexOf(value);
+      if (uniformValue < 0) throw new Error(`Unknown ${name} "${value}"`);
+    } else if (booleanParameters.includes(name)) {
+      value = !!value;
+      uniformValue = value ? 1 : 0;
+    } else if (name === "tau" && !(value > 0.5)) {
+      throw new Error("tau must be greater than 0.5");
+    } else if (name === "trtMagic" && !(value > 0)) {
+      throw new Error("trtMagic must be positive");
+    } else if (mrtRates.includes(name) && !(value > 0 && value < 2)) {
+      throw new Error(`${name} must be between 0 and 2`);
+    } else if (name === "smagorinsky" && !(value >= 0)) {
+      throw new Error("smagorinsky must not be negative");
+    } else if (name === "tracerCount" && !(Number.isInteger(value) && value >= 0 && value <= maxTracers)) {
+      throw new Error(`tracerCount must be an integer from 0 to ${maxTracers}`);
+    } else if (name === "rakeSeeds" && !(Number.isInteger(value) && value >= 1)) {
+      throw new Error("rakeSeeds must be a positive integer");
+    } else if (name === "tracerLifetime" && !(value > 0)) {
+      throw new Error("tracerLifetime must be positive");
+    } else if (rakeCoordinates.includes(name) && !(value >= 0 && value <= 1)) {
+      throw new Error(`${name} must be between 0 and 1`);
+    } else if (name === "dyeDiffusion" && !(value >= 0 && value <= 0.25)) {
+      throw new Error("dyeDiffusion must be between 0 and 0.25");
+    } else if (name === "arrowSpacing" && !(Number.isInteger(value) && value >= 2)) {
+      throw new Error("arrowSpacing must be an integer of at least 2");
+    } else if (name === "arrowScale" && !(value > 0)) {
+      throw new Error("arrowScale must be positive");
+    } else if (name === "streamlineLength" &&
+      !(Number.isInteger(value) && value >= 2 && value <= maxStreamlineLength)) {
+      throw new Error(`streamlineLength must be an integer from 2 to ${maxStreamlineLength}`);
+    } else if ((name === "probeInterval" || name === "convergenceInterval") &&
+      !(Number.isInteger(value) && value >= 1)) {
+      throw new Error(`${name} must be a positive integer`);
+    } else if (name === "convergenceTolerance" && !(value > 0)) {
+      throw new Error("convergenceTolerance must be positive");
+    } else if ((name === "colorMin" || name === "colorMax") && !Number.isFinite(value)) {
+      throw new Error(`${name} must be a finite number`);
+    } else if (name === "thermalDiffusivity" && !(value > 0)) {
+      throw new Error("thermalDiffusivity must be positive");
+    } else if (finiteParameters.includes(name) && !Number.isFinite(value)) {
+      throw new Error(`${name} must be a finite number`);
+    } else if (name === "wetting" && !(value >= -1 && value <= 1)) {
+      throw new Error("wetting must be between -1 and 1");
+    } else if ((name === "liquidDensity" || name === "gasDensity") && !(value > 0)) {
+      throw new Error(`${name} must be positive`);
+    }
+    this.setUniform(name, uniformValue);
+    this.params[name] = value;
+    this.dispatchEvent(new CustomEvent("parameterchange", { detail: { name, value } }));
+
+    // Keep periodic edges paired; the other edge of a broken pair gets its default.
+    const opposite = oppositeEdges[name];
+    if (opposite && opposite in this.params &&
+      (value === "periodic") !== (this.params[opposite] === "periodic")) {
+      this.setParameter(opposite, value === "periodic" ? "periodic" : defaultParameters[opposite]);
+    }
+  }
+
+  // ----- Barriers -----
+  // Replace the whole barrier mask (any array of numCells, nonzero = solid).
+  // barriers holds the static mask; the kernels see cellTypes, which adds the
+  // cells covered by bodies.
+  setBarriers(mask) {
+    if (mask.length !== this.numCells) throw new Error("Barrier mask size does not match the grid");
+    for (let i = 0; i < this.numCells; i++) this.barriers[i] = mask[i] ? 1 : 0;
+    this.updateCellTypes();
+    this.dispatchEvent(new CustomEvent("barrierchange"));
+  }
+
+  setBarrierAt(x, y, value) {
+    if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return;
+    const index = y * this.gridWidth + x;
+    this.barriers[index] = value ? 1 : 0;
+    this.cellTypes[index] = value || this.bodyCells[index] ? 1 : 0;
+    this.writeBarriers(index, 1);
+    this.dispatchEvent(new CustomEvent("barrierchange", { detail: { x, y } }));
+  }
+
+  clearBarriers() {
+    this.setBarriers(new Int32Array(this.numCells));
+  }
+
+  // ----- Porous Media -----
+  // Replace the solid fraction of every cell (any array of numCells, clamped
+  // to [0, 1]). Fluid cells bounce that fraction of their populations straight
+  // back after colliding (the gray lattice Boltzmann model of Walsh et al.
+  // 2009), slowing the flow like a porous medium; barrier cells stay fully solid.
+  setSolidFraction(fraction) {
+    if (fraction.length !== this.numCells) throw new Error("Solid fraction size does not match the grid");
+    for (let i = 0; i < this.numCells; i++) this.solidFraction[i] = Math.min(Math.max(fraction[i] || 0, 0), 1);
+    this.writeSolidFraction();
+    this.dispatchEvent(new CustomEvent("barrierchange"));
+  }
+
+  clearSolidFraction() {
+    this.setSolidFraction(new Float32Array(this.numCells));
+  }
+
+  hasPorousCells() {
+    return this.solidFraction.some((ns) => ns > 0);
+  }
+
+  // Permeability of the porous cells from the current mean flow (see
+  // darcyPermeability in porous.js), or null if it cannot be measured.
+  async readPermeability() {
+    const state = await this.readState();
+    return darcyPermeability(state, this.solidFraction, this.solidMask(), this.gridWidth, this.gridHeight,
+      (this.params.tau - 0.5) / 3, bodyAcceleration(this.params));
+  }
+
+  // Solid cells as the kernels see them, barriers and bodies alike.
+  solidMask() {
+    return Int32Array.from(this.cellTypes, (type) => (type === 1 ? 1 : 0));
+  }
+
+  // ----- Moving Bodies -----
+  // Cell types: 0 fluid, 1 solid (a barrier or a body), 2 fluid uncovered by a
+  // body this step, refilled from its neighbours. wallVelocity holds the
+  // velocity (x, y interleaved) of the body over each covered cell, and of the
+  // body that just left each refilled one.
+  allocateCellTypes() {
+    this.cellTypes = new Int32Array(this.numCells);
+    this.bodyCells = new Int32Array(this.numCells);
+    this.wallVelocity = new Float32Array(this.numCells * 2);
+    this.nextWallVelocity = new Float32Array(this.numCells * 2);
+    this.refillPending = false;
+  }
+
+  // Recompute the cell types and wall velocities from the barriers and the
+  // current body poses, uploading the range that changed (or all of it).
+  updateCellTypes(all = false) {
+    const { cellTypes, barriers, bodyCells, wallVelocity, numCells } = this;
+    const velocity = this.nextWallVelocity.fill(0);
+    bodyCells.fill(0);
+    rasterizeBodies(this.bodies, this.gridWidth, this.gridHeight, bodyCells, velocity);
+    let first = all ? 0 : numCells, last = all ? numCells - 1 : -1;
+    this.refillPending = false;
+    for (let i = 0; i < numCells; i++) {
+      let type = 0;
+      if (barriers[i] || bodyCells[i]) {
+        type = 1;
+      } else if (cellTypes[i] === 1 && !all) {
+        type = 2;
+        velocity[i * 2] = wallVelocity[i * 2];
+        velocity[i * 2 + 1] = wallVelocity[i * 2 + 1];
+        this.refillPending = true;
+      }
+      if (type !== cellTypes[i] || velocity[i * 2] !== wallVelocity[i * 2] ||
+        velocity[i * 2 + 1] !== wallVelocity[i * 2 + 1]) {
+        first = Math.min(first, i);
+        last = Math.max(last, i);
+      }
+      cellTypes[i] = type;
+    }
+    this.nextWallVelocity = wallVelocity;
+    this.wallVelocity = velocity;
+    if (last >= first) {
+      this.writeBarriers(first, last - first + 1);
+      this.writeWallVelocity(first, last - first + 1);
+    }
+  }
+
+  // Whether the bodies need to move before the next step: while any exist,
+  // and for one more step after the last is removed to refill its cells.
+  bodiesActive() {
+    return this.bodies.length > 0 || this.refillPending;
+  }
+
+  stepBodies() {
+    this.bodyTime++;
+    for (const body of this.bodies) advanceBody(body, this.bodyTime - body.startTime);
+    this.updateCellTypes();
+  }
+
+  // Add a body (see createBody in bodies.js) at its start pose; returns it.
+  addBody(options) {
+    if (this.bodies.length >= maxBodies) throw new Error(`At most ${maxBodies} bodies can be added`);
+    const body = createBody(options);
+    body.startTime = this.bodyTime;
+    advanceBody(body, 0);
+    this.bodies = [...this.bodies, body];
+    this.updateCellTypes();
+    this.dispatchEvent(new CustomEvent("bodychange"));
+    return body;
+  }
+
+  removeBody(body) {
+    this.bodies = this.bodies.filter((other) => other !== body);
+    this.updateCellTypes();
+    this.dispatchEvent(new CustomEvent("bodychange"));
+  }
+
+  clearBodies() {
+    this.bodies = [];
+    this.updateCellTypes();
+    this.dispatchEvent(new CustomEvent("bodychange"));
+  }
+
+  // Change a body's motion from its current pose, which becomes its start.
+  setBodyMotion(body, { vx = 0, vy = 0, omega = 0, script = null }) {
+    if (![vx, vy, omega].every(Number.isFinite)) throw new Error("Body velocity must be finite");
+    if (script !== null && typeof script !== "function") throw new Error("Body script must be a function");
+    Object.assign(body, { vx, vy, omega, script, start: { x: body.x, y: body.y, angle: body.angle } });
+    body.startTime = this.bodyTime;
+    body.scaleX = body.scaleY = 1;
+    advanceBody(body, 0);
+    this.updateCellTypes();
+    this.dispatchEvent(new CustomEvent("bodychange"));
+  }
+
+  // ----- Tracers -----
+  // Restart every tracer, staggering their release over one lifetime.
+  resetTracers() {
+    const particles = new Float32Array(maxTracers * 4);
+    for (let i = 0; i < maxTracers; i++) {
+      particles[i * 4 + 2] = -Math.random() * this.params.tracerLifetime;
+    }
+    this.writeTracers(particles);
+  }
+
+  // Set the per-call tracer uniforms for advancing n steps; false if tracers are off.
+  prepareTracerStep(n) {
+    if (this.params.tracerMode === "off" || n === 0) return false;
+    this.setUniform("tracerSteps", n);
+    this.setUniform("tracerHead", (this.uniforms.tracerHead + 1) % trailLength);
+    this.setUniform("tracerSeed", Math.floor(Math.random() * 0x1000000));
+    return true;
+  }
+
+  // ----- Streamlines -----
+  // Add a seed at grid position (x, y); beyond maxStreamlineSeeds the oldest is dropped.
+  addStreamlineSeed(x, y) {
+    if (!(x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight)) return;
+    this.streamlineSeeds = [...this.streamlineSeeds, [x, y]].slice(-maxStreamlineSeeds);
+    this.updateStreamlineSeeds();
+  }
+
+  clearStreamlineSeeds() {
+    this.streamlineSeeds = [];
+    this.updateStreamlineSeeds();
+  }
+
+  updateStreamlineSeeds() {
+    this.writeStreamlineSeeds(Float32Array.from(this.streamlineSeeds.flat()));
+    this.setUniform("streamlineSeedCount", this.streamlineSeeds.length);
+  }
+
+  // ----- Probes -----
+  // Place a named probe at cell (x, y); names default to P1, P2, ...
+  addProbe(x, y, name = `P${this.nextProbeNumber}`) {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) throw new Error("Probe is outside the grid");
+    if (this.probes.length >= maxProbes) throw new Error(`At most ${maxProbes} probes can be placed`);
+    if (this.probes.some((probe) => probe.name === name)) throw new Error(`Probe "${name}" already exists`);
+    const probe = { name, x, y };
+    this.probes = [...this.probes, probe];
+    this.nextProbeNumber++;
+    this.updateProbes();
+    return probe;
+  }
+
+  removeProbe(name) {
+    this.probes = this.probes.filter((probe) => probe.name !== name);
+    this.updateProbes();
+  }
+
+  clearProbes() {
+    this.probes = [];
+    this.nextProbeNumber = 1;
+    this.updateProbes();
+  }
+
+  // Samples still pending are dropped, as their columns no longer match the probes.
+  updateProbes() {
+    this.writeProbes(Float32Array.from(this.probes.flatMap(({ x, y }) => [x + 0.5, y + 0.5])));
+    this.setUniform("probeCount", this.probes.length);
+    this.pendingProbeSteps = [];
+    this.dispatchEvent(new CustomEvent("probechange"));
+  }
+
+  // Whether to sample the probes after the given step; records the step if so.
+  scheduleProbeSample(step) {
+    if (this.probes.length === 0 || step % this.params.probeInterval !== 0) return false;
+    if (this.pendingProbeSteps.length < maxProbeSamples) this.pendingProbeSteps.push(step);
+    return true;
+  }
+
+  // Probe samples taken since the last call, oldest first, as
+  // [{ step, values: { [name]: { density, ux, uy, vorticity } } }].
+  // Subclasses return the sampled rows, maxProbes * 4 floats each, from readProbeSamples().
+  async readProbes() {
+    const steps = this.pendingProbeSteps;
+    const probes = this.probes;
+    this.pendingProbeSteps = [];
+    const rows = await this.readProbeSamples();
+    return steps.slice(0, rows.length / (maxProbes * 4)).map((step, row) => ({
+      step,
+      values: Object.fromEntries(probes.map(({ name }, i) => {
+        const [density, ux, uy, vorticity] = rows.subarray((row * maxProbes + i) * 4, (row * maxProbes + i + 1) * 4);
+        return [name, { density, ux, uy, vorticity }];
+      })),
+    }));
+  }
+
+  // ----- Convergence -----
+  // Start over from a state unrelated to the last check, whose velocities the
+  // next check only records.
+  restartConvergence() {
+    this.pendingConvergenceChecks = [];
+    this.lastConvergenceStep = null;
+    this.converged = false;
+    this.diverged = false;
+    this.clearConvergenceSamples();
+  }
+
+  // Whether to check convergence after the given step; records the check if so.
+  scheduleConvergenceCheck(step) {
+    if (step % this.params.convergenceInterval !== 0) return false;
+    const interval = this.lastConvergenceStep === null ? null : step - this.lastConvergenceStep;
+    this.lastConvergenceStep = step;
+    if (this.pendingConvergenceChecks.length < maxConvergenceSamples) {
+      this.pendingConvergenceChecks.push({ step, interval });
+    }
+    return true;
+  }
+
+  // Convergence checks since the last call, oldest first, as [{ step, interval,
+  // residual, invalidCells, maxDensity, clampedCells, diverged }]. residual is
+  // the relative L2 change sqrt(sum |u - u0|^2 / sum |u|^2) of the fluid
+  // velocity u since u0 of the check interval steps before, or null for the
+  // first check after a reset, resize or snapshot load. clampedCells counts the
+  // cell updates since the previous check that clampDistributions had to bound.
+  // A check diverges when a cell has a NaN, infinite or non-positive density or
+  // velocity, the density runs away, or the clamp bounded a cell, as it holds
+  // down the populations of a failing run that would otherwise blow up.
+  // Dispatches "converged" when the residual first drops below
+  // convergenceTolerance (again once it has risen above it) and "diverged" on
+  // the first diverged check, with the check as detail.
+  // Subclasses return the rows of [sum |u - u0|^2, sum |u|^2, invalid cells,
+  // max density, clamped cells, 0, 0, 0] from readConvergenceSamples().
+  async readConvergence() {
+    const checks = this.pendingConvergenceChecks;
+    if (checks.length === 0) return [];
+    this.pendingConvergenceChecks = [];
+    const rows = await this.readConvergenceSamples();
+    const { multiphase, liquidDensity } = this.params;
+    const densityLimit = runawayDensity * (multiphase === "off" ? 1 : Math.max(liquidDensity, 1));
+    const results = checks.slice(0, rows.length / 8).map(({ step, interval }, row) => {
+      const [change, norm, invalidCells, maxDensity, clampedCells] = rows.subarray(row * 8, row * 8 + 5);
+      // Flow that has stopped everywhere has changed by all of itself.
+      const residual = interval === null ? null : norm > 0 ? Math.sqrt(change / norm) : change > 0 ? 1 : 0;
+      const diverged = invalidCells > 0 || maxDensity > densityLimit || clampedCells > 0;
+      return { step, interval, residual, invalidCells, maxDensity, clampedCells, diverged };
+    });
+    for (const check of results) {
+      if (check.diverged) {
+        if (!this.diverged) this.dispatchEvent(new CustomEvent("diverged", { detail: check }));
+        this.diverged = true;
+      } else if (check.residual !== null) {
+        const converged = check.residual < this.params.convergenceTolerance;
+        if (converged && !this.converged) this.dispatchEvent(new CustomEvent("converged", { detail: check }));
+        this.converged = converged;
+      }
+    }
+    return results;
+  }
+
+  // ----- Stepping -----
+  finishStep(n) {
+    this.stepCount += n;
+    this.dispatchEvent(new CustomEvent("step", { detail: { steps: n, stepCount: this.stepCount } }));
+  }
+
+  // Million lattice updates per second: cells times steps over the seconds taken.
+  recordTiming(steps, seconds, numCells = this.numCells) {
+    this.timing = { stepTime: 1000 * seconds / steps, mlups: numCells * steps / seconds / 1e6 };
+  }
+
+  // ----- Readback -----
+  // Mean force on the barrier cells per step since the last call, in lattice units.
+  // Subclasses return the running [fx, fy, steps] sums from readForceTotal() and reset them.
+  async readForces() {
+    const [fx, fy, steps] = await this.readForceTotal();
+    return steps > 0 ? { fx: fx / steps, fy: fy / steps, steps } : { fx: 0, fy: 0, steps: 0 };
+  }
+
+  // [min, max] of the colour scale as last rendered.
+  async readColorRange() {
+    if (this.params.colorRange === "manual") return [this.params.colorMin, this.params.colorMax];
+    return this.readAutoRange();
+  }
+
+  // One of fieldNames from lattice.js, "temperature" or "phase" (as in the
+  // phase view), as a numCells array (row-major, y up).
+  async readField(name) {
+    if (name === "temperature") return computeTemperature(await this.readThermalState(), this.numCells);
+    if (name === "phase") {
+      const { density } = computeMoments(await this.readState(), this.numCells);
+      if (this.params.multiphase === "twoComponent") {
+        const other = computeMoments(await this.readComponentState(), this.numCells).density;
+        return density.map((rho, i) => rho / Math.max(rho + other[i], 1e-12));
+      }
+      const { liquidDensity: liquid, gasDensity: gas } = this.params;
+      return density.map((rho) => (rho - gas) / (liquid - gas));
+    }
+    const state = await this.readState();
+    return computeField(name, state, this.solidMask(), this.gridWidth, this.gridHeight, bodyAcceleration(this.params));
+  }
+
+  // Density, velocity, vorticity and barriers with the grid size, tau, inflow
+  // and step, encoded as one of exportFormats (see fieldexport.js).
+  async exportFields(format) {
+    if (!exportFormats.includes(format)) throw new Error(`Unknown export format "${format}"`);
+    const { gridWidth, gridHeight, numCells, stepCount: step } = this;
+    const { tau, inflow } = this.params;
+    const barrier = this.solidMask();
+    const state = await this.readState();
+    const acceleration = bodyAcceleration(this.params);
+    const { density, ux, uy } = computeMoments(state, numCells, acceleration);
+    const vorticity = computeField("curl", state, barrier, gridWidth, gridHeight, acceleration);
+    return encodeFields(format, { density, ux, uy, vorticity, barrier }, { gridWidth, gridHeight, tau, inflow, step });
+  }
+}
+
+// Stretch a body with the grid it moves on.
+function scaleBody(body, scaleX, scaleY) {
+  const width = Math.max(Math.round(body.width * scaleX), 1);
+  const height = Math.max(Math.round(body.height * scaleY), 1);
+  body.mask = resampleMask(body.mask, body.width, body.height, width, height);
+  body.pivotX *= width / body.width;
+  body.pivotY *= height / body.height;
+  body.width = width;
+  body.height = height;
+  body.start = { ...body.start, x: body.start.x * scaleX, y: body.start.y * scaleY };
+  body.x *= scaleX;
+  body.y *= scaleY;
+  body.vx *= scaleX;
+  body.vy *= scaleY;
+  body.scaleX *= scaleX;
+  body.scaleY *= scaleY;
+}
@@ -0,0 +1,1062 @@
+import {
+  numDirs, weights, ex, ey, opp, equilibrium, thermalDirs, thermalWeights, thermalEquilibrium,
+  bodyAcceleration,
+} from "./lattice.js";
+import {
+  LBMBase, vizModes, boundaryTypes, inflowProfiles, tracerModes, tracerStyles, wallTemperatures,
+} from "./lbmbase.js";
+import { colormaps, sampleColormap } from "./colormaps.js";
+import {
+  maxTracers, trailLength, maxStreamlineSeeds, maxStreamlineLength, maxProbes, maxProbeSamples,
+  maxConvergenceSamples,
+} from "./shaders.js";
+
+// ----- CPU Reference Kernels -----
+// Plain JavaScript ports of collisionShaderCode, streamingShaderCode,
+// thermalShaderCode, renderShaderCode, tracerShaderCode, dyeShaderCode, streamlineShaderCode,
+// probeShaderCode, convergenceShaderCode and rangeShaderCode, operating on the same interleaved f32
+// layout. `uniforms` holds the same fields as the WGSL Uniforms struct.
+
+// Moment basis and squared row norms for MRT, as in collisionShaderCode.
+const mrtBasis = [
+  [1, 1, 1, 1, 1, 1, 1, 1, 1],
+  [-4, -1, -1, -1, -1, 2, 2, 2, 2],
+  [4, -2, -2, -2, -2, 1, 1, 1, 1],
+  [0, 1, 0, -1, 0, 1, -1, -1, 1],
+  [0, -2, 0, 2, 0, 1, -1, -1, 1],
+  [0, 0, 1, 0, -1, 1, 1, -1, -1],
+  [0, 0, -2, 0, 2, 1, 1, -1, -1],
+  [0, 1, -1, 1, -1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 1, -1, 1, -1],
+];
+const mrtNorms = [9, 36, 36, 6, 12, 6, 12, 4, 4];
+
+// Density of component k in a cell of the given liquid fraction, and the
+// density equilibrium and pressure edges hold it at, as phaseDensities.
+function phaseDensity(k, liquidFraction, uniforms) {
+  const fraction = k > 0.5 ? 1 - liquidFraction : liquidFraction;
+  return uniforms.gasDensity + (uniforms.liquidDensity - uniforms.gasDensity) * fraction;
+}
+
+function inletDensity(k, uniforms) {
+  return uniforms.multiphase < 0.5 ? 1 : phaseDensity(k, 1, uniforms);
+}
+
+function cellDensity(state, index) {
+  let density = 0;
+  for (let d = 0; d < numDirs; d++) density += state[index * numDirs + d];
+  return density;
+}
+
+// sum w value(x + e) e over the neighbours, value being the density of the
+// component in state or its pseudopotential, as interaction in collisionShaderCode.
+function interaction(state, barriers, x, y, pseudopotential, wallDensity, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  const boundaries = ["leftBoundary", "rightBoundary", "bottomBoundary", "topBoundary"]
+    .map((name) => Math.round(uniforms[name]));
+  let sumX = 0, sumY = 0;
+  for (let d = 1; d < numDirs; d++) {
+    let nx = x + ex[d], ny = y + ey[d];
+    let edge = -1;
+    if (nx < 0 || nx >= width) {
+      if (boundaries[0] === periodicBoundary) {
+        nx = (nx + width) % width;
+      } else {
+        edge = nx < 0 ? 0 : 1;
+        nx = x;
+      }
+    }
+    if (ny < 0 || ny >= height) {
+      if (boundaries[2] === periodicBoundary) {
+        ny = (ny + height) % height;
+      } else {
+        if (edge < 0) edge = ny < 0 ? 2 : 3;
+        ny = y;
+      }
+    }
+    const n = ny * width + nx;
+    const wall = (edge >= 0 && (boundaries[edge] === noSlipBoundary || boundaries[edge] === freeSlipBoundary)) ||
+      barriers[n] === 1;
+    const density = wall ? wallDensity : cellDensity(state, n);
+    const value = pseudopotential ? 1 - Math.exp(-density) : density;
+    sumX += weights[d] * value * ex[d];
+    sumY += weights[d] * value * ey[d];
+  }
+  return [sumX, sumY];
+}
+
+// Collision: BGK, TRT, MRT or Smagorinsky BGK by uniforms.collisionModel.
+// barriers holds cell types: solid cells (1) bounce back with the moving-wall
+// term for their wallVelocity, cells a body has just left (2) are refilled.
+// The body force and gravity, buoyancy from the thermal distributions and the
+// Shan-Chen forces enter through Guo forcing; with two components, stateIn
+// holds the one collided (component 0 or 1) and otherState the other.
+export function collide(stateIn, postCollision, barriers, wallVelocity, solidFraction, thermal, otherState, component, uniforms) {
+  const { gridWidth: width, gridHeight: height, tau, collisionModel } = uniforms;
+  const model = Math.round(collisionModel);
+  const multiphase = Math.round(uniforms.multiphase);
+  const wallFraction = 0.5 * (1 + uniforms.wetting);
+  const ownWall = phaseDensity(component, wallFraction, uniforms);
+  const otherWall = phaseDensity(1 - component, wallFraction, uniforms);
+  const tauMinus = uniforms.trtMagic / (tau - 0.5) + 0.5;
+  const rates = [0, uniforms.mrtEnergyRate, uniforms.mrtEpsilonRate, 0, uniforms.mrtFluxRate,
+    0, uniforms.mrtFluxRate, 1 / tau, 1 / tau];
+  const cs = uniforms.smagorinsky;
+  const f = new Float64Array(numDirs);
+  const feq = new Float64Array(numDirs);
+  const dm = new Float64Array(numDirs);
+  const source = new Float64Array(numDirs);
+  const acceleration = bodyAcceleration(uniforms);
+  for (let index = 0; index < width * height; index++) {
+    const base = index * numDirs;
+    if (barriers[index] === 1) {
+      const wx = wallVelocity[index * 2], wy = wallVelocity[index * 2 + 1];
+      for (let d = 0; d < numDirs; d++) {
+        postCollision[base + d] = stateIn[base + opp[d]] + 6 * weights[d] * (ex[d] * wx + ey[d] * wy);
+      }
+      continue;
+    }
+    if (barriers[index] === 2) {
+      refill(stateIn, postCollision, barriers, wallVelocity, index, width, height);
+      continue;
+    }
+    const x = index % width, y = Math.floor(index / width);
+    let density = 0, ux = 0, uy = 0;
+    for (let d = 0; d < numDirs; d++) {
+      f[d] = stateIn[base + d];
+      density += f[d];
+      ux += f[d] * ex[d];
+      uy += f[d] * ey[d];
+    }
+    let [accelerationX, accelerationY] = acceleration;
+    if (uniforms.thermal > 0.5) {
+      let temperature = 0;
+      for (let k = 0; k < thermalDirs; k++) temperature += thermal[index * thermalDirs + k];
+      accelerationY += uniforms.buoyancy * (temperature - uniforms.inletTemperature);
+    }
+    let forceX = accelerationX * density, forceY = accelerationY * density;
+    let totalDensity = density;
+    if (multiphase === 1) {
+      const psi = 1 - Math.exp(-density);
+      const [sx, sy] = interaction(stateIn, barriers, x, y, true, phaseDensity(0, wallFraction, uniforms), uniforms);
+      forceX -= uniforms.coupling * psi * sx;
+      forceY -= uniforms.coupling * psi * sy;
+    }
+    let totalForceX = forceX, totalForceY = forceY;
+    if (multiphase === 2) {
+      let otherDensity = 0;
+      for (let d = 0; d < numDirs; d++) {
+        const g = otherState[base + d];
+        otherDensity += g;
+        ux += g * ex[d];
+        uy += g * ey[d];
+      }
+      const coupling = uniforms.componentCoupling;
+      const [sx, sy] = interaction(otherState, barriers, x, y, false, otherWall, uniforms);
+      const [ox, oy] = interaction(stateIn, barriers, x, y, false, ownWall, uniforms);
+      forceX -= coupling * density * sx;
+      forceY -= coupling * density * sy;
+      totalDensity += otherDensity;
+      totalForceX = forceX + accelerationX * otherDensity - coupling * otherDensity * ox;
+      totalForceY = forceY + accelerationY * otherDensity - coupling * otherDensity * oy;
+    }
+    if (totalDensity > 0) {
+      ux = (ux + 0.5 * totalForceX) / totalDensity;
+      uy = (uy + 0.5 * totalForceY) / totalDensity;
+    }
+    for (let d = 0; d < numDirs; d++) feq[d] = equilibrium(d, density, ux, uy);
+    // Guo source, scaled by (1 - rate / 2) for each mode as in relax.
+    source.fill(0);
+    if (forceX !== 0 || forceY !== 0) {
+      for (let d = 0; d < numDirs; d++) {
+        const edotu = ex[d] * ux + ey[d] * uy;
+        source[d] = weights[d] * ((3 * (ex[d] - ux) + 9 * edotu * ex[d]) * forceX +
+          (3 * (ey[d] - uy) + 9 * edotu * ey[d]) * forceY);
+      }
+    }
+
+    if (model === 1) {
+      for (let d = 0; d < numDirs; d++) {
+        const o = opp[d];
+        const plus = 0.5 * (f[d] + f[o] - feq[d] - feq[o]);
+        const minus = 0.5 * (f[d] - f[o] - feq[d] + feq[o]);
+        const sourcePlus = 0.5 * (source[d] + source[o]);
+        const sourceMinus = 0.5 * (source[d] - source[o]);
+        postCollision[base + d] = f[d] - plus / tau - minus / tauMinus +
+          (1 - 0.5 / tau) * sourcePlus + (1 - 0.5 / tauMinus) * sourceMinus;
+      }
+    } else if (model === 2) {
+      const uSq = ux * ux + uy * uy;
+      const jx = density * ux, jy = density * uy;
+      const meq = [density, -2 * density + 3 * density * uSq, density - 3 * density * uSq,
+        jx, -jx, jy, -jy, density * (ux * ux - uy * uy), density * ux * uy];
+      for (let k = 0; k < numDirs; k++) {
+        let m = 0, sourceMoment = 0;
+        for (let d = 0; d < numDirs; d++) {
+          m += mrtBasis[k][d] * f[d];
+          sourceMoment += mrtBasis[k][d] * source[d];
+        }
+        dm[k] = (rates[k] * (m - meq[k]) - (1 - 0.5 * rates[k]) * sourceMoment) / mrtNorms[k];
+      }
+      for (let d = 0; d < numDirs; d++) {
+        let df = 0;
+        for (let k = 0; k < numDirs; k++) df += mrtBasis[k][d] * dm[k];
+        postCollision[base + d] = f[d] - df;
+      }
+    } else {
+      let tauEff = tau;
+      if (model === 3) {
+        let pxx = 0, pyy = 0, pxy = 0;
+        for (let d = 0; d < numDirs; d++) {
+          const fneq = f[d] - feq[d];
+          pxx += ex[d] * ex[d] * fneq;
+          pyy += ey[d] * ey[d] * fneq;
+          pxy += ex[d] * ey[d] * fneq;
+        }
+        const pi = Math.sqrt(2 * (pxx * pxx + pyy * pyy + 2 * pxy * pxy));
+        tauEff = 0.5 * (tau + Math.sqrt(tau * tau + 18 * cs * cs * pi / Math.max(density, 1e-6)));
+      }
+      for (let d = 0; d < numDirs; d++) {
+        postCollision[base + d] = f[d] - (f[d] - feq[d]) / tauEff + (1 - 0.5 / tauEff) * source[d];
+      }
+    }
+
+    const ns = solidFraction[index];
+    if (ns > 0) {
+      for (let d = 0; d < numDirs; d++) {
+        postCollision[base + d] = (1 - ns) * postCollision[base + d] + ns * f[opp[d]];
+      }
+    }
+  }
+}
+
+// Equilibrium at the wall velocity and the mean density of the fluid neighbours.
+function refill(stateIn, postCollision, barriers, wallVelocity, index, width, height) {
+  const x = index % width, y = Math.floor(index / width);
+  let sum = 0, count = 0;
+  for (let d = 1; d < numDirs; d++) {
+    const nx = x + ex[d], ny = y + ey[d];
+    if (nx < 0 || nx >= width || ny < 0 || ny >= height || barriers[ny * width + nx] !== 0) continue;
+    for (let k = 0; k < numDirs; k++) sum += stateIn[(ny * width + nx) * numDirs + k];
+    count++;
+  }
+  const density = count > 0 ? sum / count : 1;
+  for (let d = 0; d < numDirs; d++) {
+    postCollision[index * numDirs + d] = equilibrium(d, density, wallVelocity[index * 2], wallVelocity[index * 2 + 1]);
+  }
+}
+
+const mirrorX = [0, 3, 2, 1, 4, 6, 5, 8, 7];
+const mirrorY = [0, 1, 4, 3, 2, 8, 7, 6, 5];
+const [equilibriumBoundary, velocityBoundary, pressureBoundary, outflowBoundary,
+  convectiveBoundary, periodicBoundary, freeSlipBoundary, noSlipBoundary] = boundaryTypes.keys();
+const isZouHe = (boundary) => boundary === velocityBoundary || boundary === pressureBoundary;
+const fold = (v, size, periodic) => periodic ? (v + size) % size : Math.min(Math.max(v, 0), size - 1);
+const parabolicProfile = inflowProfiles.indexOf("parabolic");
+
+// Inflow speed at node (x, y) of an inlet edge, as inflowSampling.
+function inflowSpeed(x, y, acrossX, uniforms) {
+  if (Math.round(uniforms.inflowProfile) !== parabolicProfile) return uniforms.inflow;
+  const s = acrossX ? (x + 0.5) / uniforms.gridWidth : (y + 0.5) / uniforms.gridHeight;
+  return 6 * uniforms.inflow * s * (1 - s);
+}
+
+// Streaming with per-edge boundary types, as in streamingShaderCode; stateIn is
+// the pre-collision state, for the convective outflow. Clamped when enabled,
+// returning the number of cells the clamp changed. component picks the inlet
+// density of a multiphase flow.
+export function stream(stateIn, postCollision, stateOut, uniforms, component = 0) {
+  const { gridWidth: width, gridHeight: height, inflow, clampDistributions } = uniforms;
+  const inlet = inletDensity(component, uniforms);
+  const fMax = Math.max(inlet, 1);
+  const [left, right, bottom, top] = ["leftBoundary", "rightBoundary", "bottomBoundary", "topBoundary"]
+    .map((name) => Math.round(uniforms[name]));
+  const periodicX = left === periodicBoundary;
+  const periodicY = bottom === periodicBoundary;
+  const f = new Float64Array(numDirs);
+  const unknown = new Array(numDirs);
+  let clampedCells = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      let zouHeNormal = null, zouHeType = -1;
+      if (x === 0 && isZouHe(left)) [zouHeNormal, zouHeType] = [[1, 0], left];
+      else if (x === width - 1 && isZouHe(right)) [zouHeNormal, zouHeType] = [[-1, 0], right];
+      else if (y === 0 && isZouHe(bottom)) [zouHeNormal, zouHeType] = [[0, 1], bottom];
+      else if (y === height - 1 && isZouHe(top)) [zouHeNormal, zouHeType] = [[0, -1], top];
+
+      for (let d = 0; d < numDirs; d++) {
+        let srcX = x - ex[d];
+        let srcY = y - ey[d];
+        let boundary = -1, normal = null;
+        if (srcX < 0 || srcX >= width) {
+          if (periodicX) srcX = fold(srcX, width, true);
+          else [boundary, normal] = srcX < 0 ? [left, [1, 0]] : [right, [-1, 0]];
+        }
+        if (boundary < 0 && (srcY < 0 || srcY >= height)) {
+          if (periodicY) srcY = fold(srcY, height, true);
+          else [boundary, normal] = srcY < 0 ? [bottom, [0, 1]] : [top, [0, -1]];
+        }
+        unknown[d] = false;
+        if (boundary < 0) {
+          f[d] = postCollision[(srcY * width + srcX) * numDirs + d];
+          continue;
+        }
+
+        const tangentX = normal[0] === 0 ? fold(srcX, width, periodicX) : x;
+        const tangentY = normal[1] === 0 ? fold(srcY, height, periodicY) : y;
+        const tangentIdx = (tangentY * width + tangentX) * numDirs;
+        if (boundary === noSlipBoundary) {
+          f[d] = postCollision[index * numDirs + opp[d]];
+        } else if (boundary === freeSlipBoundary) {
+          f[d] = postCollision[tangentIdx + (normal[0] !== 0 ? mirrorX[d] : mirrorY[d])];
+        } else if (boundary === outflowBoundary || boundary === convectiveBoundary) {
+          f[d] = postCollision[tangentIdx + d];
+          if (boundary === convectiveBoundary) {
+            const U = Math.abs(inflow);
+            f[d] = (stateIn[index * numDirs + d] + U * f[d]) / (1 + U);
+          }
+        } else if (isZouHe(boundary) && normal[0] === zouHeNormal?.[0] && normal[1] === zouHeNormal?.[1]) {
+          unknown[d] = true;
+          f[d] = 0;
+        } else {
+          f[d] = equilibrium(d, inlet, inflowSpeed(x, y, normal[1] !== 0, uniforms), 0.0);
+        }
+      }
+
+      if (zouHeType >= 0) {
+        const [nx, ny] = zouHeNormal;
+        const [tx, ty] = [-ny, nx];
+        let known = 0, transverse = 0;
+        for (let d = 0; d < numDirs; d++) {
+          const en = ex[d] * nx + ey[d] * ny;
+          if (en === 0) {
+            known += f[d];
+            transverse += 0.5 * f[d] * (ex[d] * tx + ey[d] * ty);
+          } else if (en < 0) {
+            known += 2 * f[d];
+          }
+        }
+        let density = inlet, ux = inflowSpeed(x, y, ny !== 0, uniforms), uy = 0;
+        if (zouHeType === velocityBoundary) {
+          density = known / (1 - (ux * nx + uy * ny));
+        } else {
+          const un = 1 - known / density;
+          [ux, uy] = [un * nx, un * ny];
+        }
+        transverse -= density * (ux * tx + uy * ty) / 3;
+        for (let d = 0; d < numDirs; d++) {
+          if (!unknown[d]) continue;
+          f[d] = f[opp[d]] + 6 * weights[d] * density * (ex[d] * ux + ey[d] * uy)
+            - (ex[d] * tx + ey[d] * ty) * transverse;
+        }
+      }
+
+      let clamped = false;
+      for (let d = 0; d < numDirs; d++) {
+        if (clampDistributions > 0.5) {
+          const bounded = Math.min(Math.max(1e-5, f[d]), fMax);
+          if (bounded !== f[d]) clamped = true;
+          f[d] = bounded;
+        }
+        stateOut[index * numDirs + d] = f[d];
+      }
+      if (clamped) clampedCells++;
+    }
+  }
+  return clampedCells;
+}
+
+// D2Q5 temperature collide-and-pull step with wall and edge conditions, as in
+// thermalShaderCode; state holds the distributions the velocity comes from.
+export function advectTemperature(state, thermalIn, thermalOut, barriers, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  const boundaries = ["leftBoundary", "rightBoundary", "bottomBoundary", "topBoundary"]
+    .map((name) => Math.round(uniforms[name]));
+  const wallModes = ["leftWallTemperature", "rightWallTemperature", "bottomWallTemperature", "topWallTemperature"]
+    .map((name) => Math.round(uniforms[name]));
+  const barrierMode = Math.round(uniforms.barrierTemperature);
+  const [, hotWall, coldWall] = wallTemperatures.keys();
+  const periodicX = boundaries[0] === periodicBoundary;
+  const periodicY = boundaries[2] === periodicBoundary;
+  const tauT = 3 * uniforms.thermalDiffusivity + 0.5;
+  const relaxed = (index, k) => {
+    let temperature = 0;
+    for (let j = 0; j < thermalDirs; j++) temperature += thermalIn[index * thermalDirs + j];
+    const [ux, uy] = cellVelocity(state, index, uniforms);
+    const g = thermalIn[index * thermalDirs + k];
+    return g - (g - thermalEquilibrium(k, temperature, ux, uy)) / tauT;
+  };
+  const fromWall = (index, k, mode) => {
+    const reflected = relaxed(index, opp[k]);
+    if (mode === hotWall) return 2 * thermalWeights[k] * uniforms.hotTemperature - reflected;
+    if (mode === coldWall) return 2 * thermalWeights[k] * uniforms.coldTemperature - reflected;
+    return reflected;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const base = index * thermalDirs;
+      if (barriers[index] === 1) {
+        for (let k = 0; k < thermalDirs; k++) thermalOut[base + k] = thermalIn[base + k];
+        continue;
+      }
+      for (let k = 0; k < thermalDirs; k++) {
+        let srcX = x - ex[k];
+        let srcY = y - ey[k];
+        let edge = -1;
+        if (srcX < 0 || srcX >= width) {
+          if (periodicX) srcX = fold(srcX, width, true);
+          else edge = srcX < 0 ? 0 : 1;
+        }
+        if (srcY < 0 || srcY >= height) {
+          if (periodicY) srcY = fold(srcY, height, true);
+          else edge = srcY < 0 ? 2 : 3;
+        }
+        if (edge < 0) {
+          const src = srcY * width + srcX;
+          thermalOut[base + k] = barriers[src] === 1 ? fromWall(index, k, barrierMode) : relaxed(src, k);
+          continue;
+        }
+        const boundary = boundaries[edge];
+        if (boundary === noSlipBoundary || boundary === freeSlipBoundary) {
+          thermalOut[base + k] = fromWall(index, k, wallModes[edge]);
+        } else if (boundary === equilibriumBoundary || boundary === velocityBoundary) {
+          const U = inflowSpeed(x, y, edge >= 2, uniforms);
+          thermalOut[base + k] = thermalEquilibrium(k, uniforms.inletTemperature, U, 0);
+        } else {
+          thermalOut[base + k] = relaxed(index, k);
+        }
+      }
+    }
+  }
+}
+
+// Momentum-exchange force on the barrier cells, matching forceShaderCode.
+export function computeForce(state, barriers, wallVelocity, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  let fx = 0, fy = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      if (barriers[index] !== 1) continue;
+      for (let d = 1; d < numDirs; d++) {
+        const srcX = x - ex[d];
+        const srcY = y - ey[d];
+        if (srcX < 0 || srcX >= width || srcY < 0 || srcY >= height) continue;
+        if (barriers[srcY * width + srcX] === 1) continue;
+        const exchange = 2 * state[index * numDirs + d] -
+          6 * weights[d] * (ex[d] * wallVelocity[index * 2] + ey[d] * wallVelocity[index * 2 + 1]);
+        fx += exchange * ex[d];
+        fy += exchange * ey[d];
+      }
+    }
+  }
+  return [fx, fy];
+}
+
+// Velocity of one cell, with half the body acceleration as in
+// velocitySampling, and bilinearly interpolated between cell centres.
+function cellVelocity(state, index, uniforms) {
+  let density = 0, mx = 0, my = 0;
+  for (let d = 0; d < numDirs; d++) {
+    const f = state[index * numDirs + d];
+    density += f;
+    mx += f * ex[d];
+    my += f * ey[d];
+  }
+  if (!(density > 0)) return [0, 0];
+  const [ax, ay] = bodyAcceleration(uniforms);
+  return [mx / density + 0.5 * ax, my / density + 0.5 * ay];
+}
+
+function velocityAt(state, uniforms, x, y) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  const px = Math.min(Math.max(x - 0.5, 0), width - 1);
+  const py = Math.min(Math.max(y - 0.5, 0), height - 1);
+  const x0 = Math.floor(px), y0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+  const tx = px - x0, ty = py - y0;
+  const u00 = cellVelocity(state, y0 * width + x0, uniforms);
+  const u10 = cellVelocity(state, y0 * width + x1, uniforms);
+  const u01 = cellVelocity(state, y1 * width + x0, uniforms);
+  const u11 = cellVelocity(state, y1 * width + x1, uniforms);
+  return [0, 1].map((c) => {
+    const bottom = u00[c] * (1 - tx) + u10[c] * tx;
+    const top = u01[c] * (1 - tx) + u11[c] * tx;
+    return bottom * (1 - ty) + top * ty;
+  });
+}
+
+function seedPosition(i, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  if (Math.round(uniforms.tracerMode) === tracerModes.indexOf("inlet")) {
+    return [0.5, Math.random() * height];
+  }
+  const seeds = Math.max(Math.round(uniforms.rakeSeeds), 1);
+  const t = seeds > 1 ? (i % seeds) / (seeds - 1) : 0.5;
+  const x = (uniforms.rakeX0 + (uniforms.rakeX1 - uniforms.rakeX0) * t) * width;
+  const y = (uniforms.rakeY0 + (uniforms.rakeY1 - uniforms.rakeY0) * t) * height;
+  return [Math.min(Math.max(x, 0.5), width - 0.5), Math.min(Math.max(y, 0.5), height - 0.5)];
+}
+
+// Tracers: advect uniforms.tracerCount particles tracerSteps steps, as in tracerShaderCode.
+export function advectTracers(state, barriers, particles, history, uniforms) {
+  const { gridWidth: width, gridHeight: height, tracerLifetime } = uniforms;
+  const periodicX = Math.round(uniforms.leftBoundary) === periodicBoundary;
+  const periodicY = Math.round(uniforms.bottomBoundary) === periodicBoundary;
+  const head = Math.round(uniforms.tracerHead);
+  for (let i = 0; i < uniforms.tracerCount; i++) {
+    let x = particles[i * 4], y = particles[i * 4 + 1], age = particles[i * 4 + 2];
+    let respawned = false;
+    for (let s = 0; s < uniforms.tracerSteps; s++) {
+      if (age < 0) {
+        age += 1;
+        if (age >= 0) {
+          [x, y] = seedPosition(i, uniforms);
+          age = 0;
+          respawned = true;
+        }
+        continue;
+      }
+      const [u0x, u0y] = velocityAt(state, uniforms, x, y);
+      const [ux, uy] = velocityAt(state, uniforms, x + 0.5 * u0x, y + 0.5 * u0y);
+      x += ux;
+      y += uy;
+      age += 1;
+      if (periodicX) x -= Math.floor(x / width) * width;
+      if (periodicY) y -= Math.floor(y / height) * height;
+      const lost = age > tracerLifetime || x < 0 || y < 0 || x >= width || y >= height ||
+        barriers[Math.floor(y) * width + Math.floor(x)] === 1;
+      if (lost) {
+        [x, y] = seedPosition(i, uniforms);
+        age = 0;
+        respawned = true;
+      }
+    }
+    particles[i * 4] = x;
+    particles[i * 4 + 1] = y;
+    particles[i * 4 + 2] = age;
+    const base = i * trailLength * 2;
+    for (let k = respawned ? 0 : head; k < (respawned ? trailLength : head + 1); k++) {
+      history[base + k * 2] = x;
+      history[base + k * 2 + 1] = y;
+    }
+  }
+}
+
+// Streamlines: trace uniforms.streamlineSeedCount seeds (x, y pairs) into
+// maxStreamlineLength points each, as in streamlineShaderCode.
+export function traceStreamlines(state, barriers, seeds, points, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  const stepSize = 0.5;
+  for (let i = 0; i < uniforms.streamlineSeedCount; i++) {
+    let x = seeds[i * 2], y = seeds[i * 2 + 1];
+    let stopped = false;
+    for (let k = 0; k < uniforms.streamlineLength; k++) {
+      points[(i * maxStreamlineLength + k) * 2] = x;
+      points[(i * maxStreamlineLength + k) * 2 + 1] = y;
+      if (stopped) continue;
+      const [u0x, u0y] = velocityAt(state, uniforms, x, y);
+      const speed0 = Math.max(Math.hypot(u0x, u0y), 1e-6);
+      const [ux, uy] = velocityAt(state, uniforms,
+        x + 0.5 * stepSize * u0x / speed0, y + 0.5 * stepSize * u0y / speed0);
+      const speed = Math.max(Math.hypot(ux, uy), 1e-6);
+      const nx = x + stepSize * ux / speed, ny = y + stepSize * uy / speed;
+      stopped = speed0 <= 1e-6 || speed <= 1e-6 || nx < 0 || ny < 0 || nx >= width || ny >= height ||
+        barriers[Math.floor(ny) * width + Math.floor(nx)] === 1;
+      if (!stopped) [x, y] = [nx, ny];
+    }
+  }
+}
+
+// Probes: (density, ux, uy, vorticity) at the first uniforms.probeCount cell
+// positions into one row of maxProbes samples, as in probeShaderCode.
+export function sampleProbes(state, probes, row, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  for (let i = 0; i < uniforms.probeCount; i++) {
+    const x = Math.floor(probes[i * 2]), y = Math.floor(probes[i * 2 + 1]);
+    const index = y * width + x;
+    let density = 0;
+    for (let d = 0; d < numDirs; d++) density += state[index * numDirs + d];
+    let vorticity = 0;
+    if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
+      const velocity = (i) => cellVelocity(state, i, uniforms);
+      const duydx = (velocity(index + 1)[1] - velocity(index - 1)[1]) * 0.5;
+      const duxdy = (velocity(index + width)[0] - velocity(index - width)[0]) * 0.5;
+      vorticity = duydx - duxdy;
+    }
+    row.set([density, ...cellVelocity(state, index, uniforms), vorticity], i * 4);
+  }
+  return row;
+}
+
+// Change of the fluid velocity since reference, which it replaces, as
+// [sum |u - reference|^2, sum |u|^2, invalid cells, max density, clampedCells, 0, 0, 0]
+// like convergenceShaderCode, though from the distributions rather than the moments.
+export function checkConvergence(state, barriers, reference, uniforms, clampedCells = 0) {
+  const result = new Float32Array(8);
+  result[4] = clampedCells;
+  const numCells = uniforms.gridWidth * uniforms.gridHeight;
+  for (let i = 0; i < numCells; i++) {
+    if (barriers[i] === 1) continue;
+    const density = cellDensity(state, i);
+    const [ux, uy] = cellVelocity(state, i, uniforms);
+    if (!(density > 0 && Number.isFinite(density) && Number.isFinite(ux) && Number.isFinite(uy))) {
+      result[2] += 1;
+      continue;
+    }
+    const dx = ux - reference[i * 2], dy = uy - reference[i * 2 + 1];
+    result[0] += dx * dx + dy * dy;
+    result[1] += ux * ux + uy * uy;
+    result[3] = Math.max(result[3], density);
+    reference[i * 2] = ux;
+    reference[i * 2 + 1] = uy;
+  }
+  return result;
+}
+
+// Dye: semi-Lagrangian advection and diffusion, as in dyeShaderCode.
+export function advectDye(state, dyeIn, dyeOut, barriers, uniforms) {
+  const { gridWidth: width, gridHeight: height, dyeDiffusion } = uniforms;
+  const periodicX = Math.round(uniforms.leftBoundary) === periodicBoundary;
+  const periodicY = Math.round(uniforms.bottomBoundary) === periodicBoundary;
+  const dyeAt = (x, y) => {
+    if (x < 0 || x >= width) {
+      if (!periodicX) return 0;
+      x = (x + width) % width;
+    }
+    if (y < 0 || y >= height) {
+      if (!periodicY) return 0;
+      y = (y + height) % height;
+    }
+    return dyeIn[y * width + x];
+  };
+  const neighbourDye = (x, y, own) => {
+    if (!periodicX && (x < 0 || x >= width)) return own;
+    if (!periodicY && (y < 0 || y >= height)) return own;
+    const index = ((y + height) % height) * width + (x + width) % width;
+    return barriers[index] === 1 ? own : dyeIn[index];
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      if (barriers[index] === 1) {
+        dyeOut[index] = 0;
+        continue;
+      }
+      const [ux, uy] = cellVelocity(state, index, uniforms);
+      const backX = x - ux, backY = y - uy;
+      const x0 = Math.floor(backX), y0 = Math.floor(backY);
+      const tx = backX - x0, ty = backY - y0;
+      const bottom = dyeAt(x0, y0) * (1 - tx) + dyeAt(x0 + 1, y0) * tx;
+      const top = dyeAt(x0, y0 + 1) * (1 - tx) + dyeAt(x0 + 1, y0 + 1) * tx;
+      const own = dyeIn[index];
+      const laplacian = neighbourDye(x - 1, y, own) + neighbourDye(x + 1, y, own) +
+        neighbourDye(x, y - 1, own) + neighbourDye(x, y + 1, own) - 4 * own;
+      dyeOut[index] = Math.max(bottom * (1 - ty) + top * ty + dyeDiffusion * laplacian, 0);
+    }
+  }
+}
+
+// Add dye in a soft disc, in place, as the paint entry point of dyeShaderCode.
+export function paintDye(dye, barriers, uniforms, splatX, splatY, radius, amount) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  for (let y = Math.max(Math.floor(splatY - radius), 0); y < Math.min(Math.ceil(splatY + radius), height); y++) {
+    for (let x = Math.max(Math.floor(splatX - radius), 0); x < Math.min(Math.ceil(splatX + radius), width); x++) {
+      const index = y * width + x;
+      const r = Math.hypot(x + 0.5 - splatX, y + 0.5 - splatY);
+      if (r > radius || barriers[index] === 1) continue;
+      const t = Math.min(Math.max((r - 0.5 * radius) / (0.5 * radius), 0), 1);
+      const weight = 1 - t * t * (3 - 2 * t);
+      dye[index] = Math.min(Math.max(dye[index] + amount * weight, 0), 1);
+    }
+  }
+}
+
+const dyeColor = [1.0, 0.3, 0.6];
+
+// The scalar shown by uniforms.vizMode for every cell, as fieldValue in renderShaderCode.
+export function fieldValues(state, thermal, otherState, uniforms) {
+  const { gridWidth: width, gridHeight: height } = uniforms;
+  const numCells = width * height;
+  const mode = Math.round(uniforms.vizMode);
+  const density = new Float32Array(numCells);
+  const ux = new Float32Array(numCells);
+  const uy = new Float32Array(numCells);
+  const [ax, ay] = bodyAcceleration(uniforms);
+  for (let i = 0; i < numCells; i++) {
+    let mx = 0, my = 0;
+    for (let d = 0; d < numDirs; d++) {
+      const f = state[i * numDirs + d];
+      density[i] += f;
+      mx += f * ex[d];
+      my += f * ey[d];
+    }
+    if (density[i] > 0) {
+      ux[i] = mx / density[i] + 0.5 * ax;
+      uy[i] = my / density[i] + 0.5 * ay;
+    }
+  }
+  const values = new Float32Array(numCells);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (mode === 0) {
+        values[i] = density[i];
+      } else if (mode === 4) {
+        for (let k = 0; k < thermalDirs; k++) values[i] += thermal[i * thermalDirs + k];
+      } else if (mode === 5) {
+        values[i] = Math.round(uniforms.multiphase) === 2
+          ? density[i] / Math.max(density[i] + cellDensity(otherState, i), 1e-12)
+          : (density[i] - uniforms.gasDensity) / (uniforms.liquidDensity - uniforms.gasDensity);
+      } else if (mode === 1) {
+        values[i] = Math.hypot(ux[i], uy[i]);
+      } else if (mode === 2) {
+        if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
+          values[i] = (uy[i + 1] - uy[i - 1]) * 0.5 - (ux[i + width] - ux[i - width]) * 0.5;
+        }
+      } else {
+        const left = x > 0 ? density[i - 1] : density[i];
+        const right = x < width - 1 ? density[i + 1] : density[i];
+        const bottom = y > 0 ? density[i - width] : density[i];
+        const top = y < height - 1 ? density[i + width] : density[i];
+        values[i] = Math.hypot((right - left) * 0.5, (top - bottom) * 0.5);
+      }
+    }
+  }
+  return values;
+}
+
+// [min, max] of the values over fluid cells, as rangeShaderCode.
+export function autoColorRange(values, barriers, uniforms) {
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (barriers[i] === 1 || !Number.isFinite(values[i])) continue;
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
+  if (min > max) return [0, 1];
+  if (Math.round(uniforms.vizMode) === vizModes.indexOf("curl")) {
+    const extent = Math.max(Math.abs(min), Math.abs(max));
+    return [-extent, extent];
+  }
+  return [min, max];
+}
+
+// Visualization: fill an RGBA8 array of gridWidth x gridHeight, top row first,
+// from fieldValues, with autoRange used when uniforms.colorRange is auto.
+export function renderImage(values, barriers, uniforms, rgba, dye, autoRange) {
+  const { gridWidth: width, gridHeight: height, vizMode } = uniforms;
+  const colormap = colormaps[Math.round(uniforms.colormap)];
+  const [min, max] = uniforms.colorRange < 0.5 ? autoRange : [uniforms.colorMin, uniforms.colorMax];
+  const span = Math.max(max - min, 1e-12);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const out = ((height - 1 - y) * width + x) * 4;
+      let color;
+      if (barriers[index] === 1) {
+        color = vizMode < 1.5 ? [0, 0, 0] : [1, 0, 0];
+      } else {
+        color = sampleColormap(colormap, (values[index] - min) / span);
+        if (dye) {
+          const c = Math.min(Math.max(dye[index], 0), 1);
+          color = color.map((v, i) => v + (dyeColor[i] - v) * c);
+        }
+      }
+      rgba[out] = color[0] * 255;
+      rgba[out + 1] = color[1] * 255;
+      rgba[out + 2] = color[2] * 255;
+      rgba[out + 3] = 255;
+    }
+  }
+  return rgba;
+}
+
+// ----- CPU Simulation -----
+// Same API as LBMSimulation without a GPUDevice. render() takes a
+// CanvasRenderingContext2D instead of a texture view.
+export class LBMSimulationCPU extends LBMBase {
+  constructor({
+    gridWidth,
+    gridHeight,
+    measureForces = false,
+    ...params
+  } = {}) {
+    super({ gridWidth, gridHeight, measureForces });
+    this.forceTotal = new Float64Array(3);
+    this.autoRange = [0, 1];
+    this.seeds = new Float32Array(0);
+    this.streamlinePoints = new Float32Array(maxStreamlineSeeds * maxStreamlineLength * 2);
+    this.probePositions = new Float32Array(0);
+    this.probeSamples = [];
+    this.convergenceSamples = [];
+    this.clampedCells = 0;
+    this.initParameters(params);
+    this.allocate();
+    this.reset();
+  }
+
+  allocate() {
+    this.state = new Float32Array(this.numCells * numDirs);
+    this.nextState = new Float32Array(this.numCells * numDirs);
+    this.postCollision = new Float32Array(this.numCells * numDirs);
+    this.thermal = new Float32Array(this.numCells * thermalDirs);
+    this.nextThermal = new Float32Array(this.numCells * thermalDirs);
+    // The second component of a two-component flow, allocated on first use.
+    this.componentState = null;
+    this.dye = new Float32Array(this.numCells);
+    this.nextDye = new Float32Array(this.numCells);
+    this.dyeActive = false;
+    this.convergenceReference = new Float32Array(this.numCells * 2);
+    this.particles = new Float32Array(maxTracers * 4);
+    this.history = new Float32Array(maxTracers * trailLength * 2);
+    this.imageCanvas = null;
+  }
+
+  // The kernels read this.uniforms, this.cellTypes, this.wallVelocity and
+  // this.solidFraction directly.
+  writeUniform() { }
+  writeBarriers() { }
+  writeWallVelocity() { }
+  writeSolidFraction() { }
+
+  writeState(state) {
+    this.state.set(state);
+  }
+
+  writeThermalState(thermal) {
+    this.thermal.set(thermal);
+  }
+
+  allocateComponent() {
+    if (this.componentState) return;
+    this.componentState = new Float32Array(this.numCells * numDirs);
+    this.nextComponentState = new Float32Array(this.numCells * numDirs);
+    this.componentPostCollision = new Float32Array(this.numCells * numDirs);
+  }
+
+  writeComponentState(state) {
+    this.allocateComponent();
+    this.componentState.set(state);
+  }
+
+  writeTracers(particles) {
+    this.particles.set(particles);
+  }
+
+  addDye(x, y, radius, amount = 1) {
+    if (amount > 0) this.dyeActive = true;
+    paintDye(this.dye, this.cellTypes, this.uniforms, x, y, radius, amount);
+  }
+
+  clearDye() {
+    this.dye.fill(0);
+    this.dyeActive = false;
+  }
+
+  writeStreamlineSeeds(seeds) {
+    this.seeds = seeds;
+  }
+
+  writeProbes(positions) {
+    this.probePositions = positions;
+    this.probeSamples = [];
+  }
+
+  step(n = 1) {
+    const start = performance.now();
+    for (let i = 0; i < n; i++) {
+      if (this.bodiesActive()) this.stepBodies();
+      if (this.measureForces) {
+        const [fx, fy] = computeForce(this.state, this.cellTypes, this.wallVelocity, this.uniforms);
+        this.forceTotal[0] += fx;
+        this.forceTotal[1] += fy;
+        this.forceTotal[2] += 1;
+      }
+      const twoComponent = this.params.multiphase === "twoComponent";
+      if (twoComponent) this.allocateComponent();
+      const other = twoComponent ? this.componentState : this.state;
+      collide(this.state, this.postCollision, this.cellTypes, this.wallVelocity, this.solidFraction, this.thermal,
+        other, 0, this.uniforms);
+      if (twoComponent) {
+        collide(this.componentState, this.componentPostCollision, this.cellTypes, this.wallVelocity, this.solidFraction,
+          this.thermal, this.state, 1, this.uniforms);
+      }
+      if (this.params.thermal) {
+        advectTemperature(this.state, this.thermal, this.nextThermal, this.cellTypes, this.uniforms);
+        [this.thermal, this.nextThermal] = [this.nextThermal, this.thermal];
+      }
+      this.clampedCells += stream(this.state, this.postCollision, this.nextState, this.uniforms);
+      [this.state, this.nextState] = [this.nextState, this.state];
+      if (twoComponent) {
+        this.clampedCells += stream(this.componentState, this.componentPostCollision, this.nextComponentState,
+          this.uniforms, 1);
+        [this.componentState, this.nextComponentState] = [this.nextComponentState, this.componentState];
+      }
+      if (this.dyeActive) {
+        advectDye(this.state, this.dye, this.nextDye, this.cellTypes, this.uniforms);
+        [this.dye, this.nextDye] = [this.nextDye, this.dye];
+      }
+      if (this.scheduleProbeSample(this.stepCount + i + 1) && this.probeSamples.length < maxProbeSamples) {
+        this.probeSamples.push(sampleProbes(this.state, this.probePositions, new Float32Array(maxProbes * 4), this.uniforms));
+      }
+      if (this.scheduleConvergenceCheck(this.stepCount + i + 1)) {
+        const row = checkConvergence(this.state, this.cellTypes, this.convergenceReference, this.uniforms,
+          this.clampedCells);
+        this.clampedCells = 0;
+        if (this.convergenceSamples.length < maxConvergenceSamples) this.convergenceSamples.push(row);
+      }
+    }
+    if (this.prepareTracerStep(n)) {
+      advectTracers(this.state, this.cellTypes, this.particles, this.history, this.uniforms);
+    }
+    if (n > 0) this.recordTiming(n, (performance.now() - start) / 1000);
+    this.finishStep(n);
+  }
+
+  render(context) {
+    if (!this.imageCanvas) {
+      this.imageCanvas = new OffscreenCanvas(this.gridWidth, this.gridHeight);
+      this.imageData = new ImageData(this.gridWidth, this.gridHeight);
+    }
+    if (this.params.multiphase === "twoComponent") this.allocateComponent();
+    const values = fieldValues(this.state, this.thermal, this.componentState, this.uniforms);
+    if (this.params.colorRange === "auto") this.autoRange = autoColorRange(values, this.cellTypes, this.uniforms);
+    renderImage(values, this.cellTypes, this.uniforms, this.imageData.data, this.dye, this.autoRange);
+    this.imageCanvas.getContext("2d").putImageData(this.imageData, 0, 0);
+    context.imageSmoothingEnabled = false;
+    context.drawImage(this.imageCanvas, 0, 0, context.canvas.width, context.canvas.height);
+    if (this.params.tracerMode !== "off") this.drawTracers(context);
+    this.drawOverlay(context);
+  }
+
+  // Tracers as in tracerRenderShaderCode, drawn with the 2D context.
+  drawTracers(context) {
+    const { width, height } = context.canvas;
+    const sx = width / this.gridWidth, sy = height / this.gridHeight;
+    const head = this.uniforms.tracerHead;
+    const jump = 0.5 * Math.min(this.gridWidth, this.gridHeight);
+    const point = (slot, i) => {
+      const base = (i * trailLength + (slot + trailLength) % trailLength) * 2;
+      return [this.history[base], this.history[base + 1]];
+    };
+    context.save();
+    context.fillStyle = context.strokeStyle = "rgb(255, 217, 51)";
+    const released = [];
+    for (let i = 0; i < this.params.tracerCount; i++) {
+      if (this.particles[i * 4 + 2] >= 0) released.push(i);
+    }
+    if (this.params.tracerStyle === tracerStyles[0]) {
+      for (const i of released) {
+        const [x, y] = [this.particles[i * 4], this.particles[i * 4 + 1]];
+        context.fillRect((x - 0.75) * sx, height - (y + 0.75) * sy, 1.5 * sx, 1.5 * sy);
+      }
+    } else {
+      // One path per segment age, so each fade level is a single stroke.
+      for (let k = 0; k < trailLength - 1; k++) {
+        context.globalAlpha = 1 - (k + 0.5) / (trailLength - 1);
+        context.beginPath();
+        for (const i of released) {
+          const [x0, y0] = point(head - k, i);
+          const [x1, y1] = point(head - k - 1, i);
+          if (Math.hypot(x1 - x0, y1 - y0) > jump) continue;
+          context.moveTo(x0 * sx, height - y0 * sy);
+          context.lineTo(x1 * sx, height - y1 * sy);
+        }
+        context.stroke();
+      }
+    }
+    context.restore();
+  }
+
+  // Arrows and streamlines as in overlayShaderCode, drawn with the 2D context.
+  drawOverlay(context) {
+    const { showArrows, arrowSpacing: spacing, arrowScale, showStreamlines, streamlineLength } = this.params;
+    const { width, height } = context.canvas;
+    const sx = width / this.gridWidth, sy = height / this.gridHeight;
+    const toCanvas = (x, y) => [x * sx, height - y * sy];
+    context.save();
+    context.globalAlpha = 0.9;
+    if (showArrows) {
+      context.strokeStyle = "rgb(102, 255, 102)";
+      context.beginPath();
+      for (let j = 0; j < Math.floor(this.gridHeight / spacing); j++) {
+        for (let i = 0; i < Math.floor(this.gridWidth / spacing); i++) {
+          const cx = (i + 0.5) * spacing, cy = (j + 0.5) * spacing;
+          if (this.cellTypes[Math.floor(cy) * this.gridWidth + Math.floor(cx)] === 1) continue;
+          const [ux, uy] = velocityAt(this.state, this.uniforms, cx, cy).map((u) => u * arrowScale);
+          const tip = [cx + 0.5 * ux, cy + 0.5 * uy];
+          const back = [-0.3 * ux, -0.3 * uy];
+          const side = [-0.5 * back[1], 0.5 * back[0]];
+          context.moveTo(...toCanvas(cx - 0.5 * ux, cy - 0.5 * uy));
+          context.lineTo(...toCanvas(...tip));
+          context.lineTo(...toCanvas(tip[0] + back[0] + side[0], tip[1] + back[1] + side[1]));
+          context.moveTo(...toCanvas(...tip));
+          context.lineTo(...toCanvas(tip[0] + back[0] - side[0], tip[1] + back[1] - side[1]));
+        }
+      }
+      context.stroke();
+    }
+    if (showStreamlines && this.streamlineSeeds.length > 0) {
+      traceStreamlines(this.state, this.cellTypes, this.seeds, this.streamlinePoints, this.uniforms);
+      context.strokeStyle = "rgb(77, 230, 255)";
+      context.beginPath();
+      for (let i = 0; i < this.streamlineSeeds.length; i++) {
+        for (let k = 0; k < streamlineLength; k++) {
+          const base = (i * maxStreamlineLength + k) * 2;
+          const point = toCanvas(this.streamlinePoints[base], this.streamlinePoints[base + 1]);
+          if (k === 0) context.moveTo(...point);
+          else context.lineTo(...point);
+        }
+      }
+      context.stroke();
+    }
+    context.restore();
+  }
+
+  async readState() {
+    return this.state.slice();
+  }
+
+  async readThermalState() {
+    return this.thermal.slice();
+  }
+
+  async readComponentState() {
+    this.allocateComponent();
+    return this.componentState.slice();
+  }
+
+  async readAutoRange() {
+    return this.autoRange.slice();
+  }
+
+  async readProbeSamples() {
+    const rows = new Float32Array(this.probeSamples.length * maxProbes * 4);
+    this.probeSamples.forEach((row, i) => rows.set(row, i * maxProbes * 4));
+    this.probeSamples = [];
+    return rows;
+  }
+
+  clearConvergenceSamples() {
+    this.convergenceSamples = [];
+    this.clampedCells = 0;
+  }
+
+  async readConvergenceSamples() {
+    const rows = new Float32Array(this.convergenceSamples.length * 8);
+    this.convergenceSamples.forEach((row, i) => rows.set(row, i * 8));
+    this.convergenceSamples = [];
+    return rows;
+  }
+
+  async readForceTotal() {
+    const total = this.forceTotal.slice();
+    this.forceTotal.fill(0);
+    return total;
+  }
+
+  destroy() { }
+}
@@ -1,18 +1,57 @@
+import { LBMSimulation, edgeNames } from "./lbm.js";
+import { LBMSimulationCPU } from "./lbmcpu.js";
+import { barrierExtent, forceCoefficients } from "./forces.js";
+import { shapeMask, svgDocumentPaths } from "./geometry.js";
+import {
+  paintLine, paintRect, paintEllipse, floodFill, clampRect, liftSelection, placeSelection, EditHistory,
+} from "./barriertools.js";
+import { resampleMask } from "./lattice.js";
+import { bodyFromMask, oscillation } from "./bodies.js";
+import { channelPreset, multiphasePreset, thermalPreset } from "./presets.js";
+import { encodeScenario, decodeScenario, scenarioToHash, scenarioFromHash } from "./scenario.js";
+import { TimeSeriesChart } from "./chart.js";
+import { downloadFile, toCSV } from "./files.js";
+import { exportMimeType } from "./fieldexport.js";
+import { defaultColormaps, drawColorBar } from "./colormaps.js";
+import {
+  machNumber, reynoldsNumber, deriveLatticeParameters, timeStepForMach, stabilityIssues,
+} from "./units.js";
+import { probeQuantities, dominantFrequency, strouhalNumber } from "./probes.js";
+import { LBMSimulation3D } from "./lbm3d.js";
+import { LBMSimulation3DCPU } from "./lbm3dcpu.js";
+import { voxelizePrimitive, voxelizeMesh, parseMesh } from "./voxels.js";
+
 (async () => {
-  if (!navigator.gpu) {
-    document.body.textContent = "WebGPU is not supported in this browser.";
-    return;
-  }
   const ui = {
     panel: document.getElementById("controls"),
     collapse: document.getElementById("toggleSettings"),
     inflow: document.getElementById("velocity"),
     vizSelect: document.getElementById("visualization"),
+    colormap: document.getElementById("colormap"),
+    colorRange: document.getElementById("colorRange"),
+    colorRangeRow: document.getElementById("colorRangeRow"),
+    colorMin: document.getElementById("colorMin"),
+    colorMax: document.getElementById("colorMax"),
+    showLegend: document.getElementById("showLegend"),
+    colorLegend: document.getElementById("colorLegend"),
+    showTiming: document.getElementById("showTiming"),
+    timingOverlay: document.getElementById("timingOverlay"),
     velocitySlider: document.getElementById("velocity"),
     velocityValue: document.getElementById("velocityValue"),
     reInit: document.getElementById("reinit"),
     viscositySlider: document.getElementById("viscosity"),
     viscosityValue: document.getElementById("viscosityValue"),
+    unitMode: document.getElementById("unitMode"),
+    latticeRow: document.getElementById("latticeRow"),
+    physicalRow: document.getElementById("physicalRow"),
+    reynolds: document.getElementById("reynolds"),
+    physicalLength: document.getElementById("physicalLength"),
+    physicalViscosity: document.getElementById("physicalViscosity"),
+    timeStep: document.getElementById("timeStep"),
+    fitTimeStep: document.getElementById("fitTimeStep"),
+    physicalScales: document.getElementById("physicalScales"),
+    flowStats: document.getElementById("flowStats"),
+    flowWarnings: document.getElementById("flowWarnings"),
     simSpeedSlider: document.getElementById("simSpeed"),
     simSpeedValue: document.getElementById("simSpeedValue"),
     simResSlider: document.getElementById("simRes"),
@@ -20,11 +59,129 @@
     barrierUpload: document.getElementById("barrierUpload"),
     thresholdSlider: document.getElementById("threshold"),
     thresholdValue: document.getElementById("thresholdValue"),
+    thresholdRow: document.getElementById("thresholdRow"),
+    imageMode: document.getElementById("imageMode"),
+    permeability: document.getElementById("permeability"),
     barrierApply: document.getElementById("applyBarrierImage"),
     imageScale: document.getElementById("imageScale"),
     barrierInvert: document.getElementById("barrierInvert"),
     barrierClear: document.getElementById("clearBarriers"),
-    noSlip: document.getElementById("noSlip"),
+    boundaries: Object.fromEntries(edgeNames.map((edge) => [edge, document.getElementById(edge + "Boundary")])),
+    inflowProfile: document.getElementById("inflowProfile"),
+    collisionModel: document.getElementById("collisionModel"),
+    trtRow: document.getElementById("trtRow"),
+    mrtRow: document.getElementById("mrtRow"),
+    smagorinskyRow: document.getElementById("smagorinskyRow"),
+    clampDistributions: document.getElementById("clampDistributions"),
+    thermal: document.getElementById("thermal"),
+    thermalRow: document.getElementById("thermalRow"),
+    thermalPreset: document.getElementById("thermalPreset"),
+    loadThermalPreset: document.getElementById("loadThermalPreset"),
+    multiphase: document.getElementById("multiphase"),
+    multiphaseRow: document.getElementById("multiphaseRow"),
+    multiphasePreset: document.getElementById("multiphasePreset"),
+    loadMultiphasePreset: document.getElementById("loadMultiphasePreset"),
+    loadChannelPreset: document.getElementById("loadChannelPreset"),
+    mode3D: document.getElementById("mode3D"),
+    row3D: document.getElementById("row3D"),
+    grid3D: document.getElementById("grid3D"),
+    obstacle3D: document.getElementById("obstacle3D"),
+    meshRow3D: document.getElementById("meshRow3D"),
+    meshUpload: document.getElementById("meshUpload"),
+    obstacleSize3D: document.getElementById("obstacleSize3D"),
+    obstacleSize3DValue: document.getElementById("obstacleSize3DValue"),
+    placeObstacle3D: document.getElementById("placeObstacle3D"),
+    clearObstacle3D: document.getElementById("clearObstacle3D"),
+    collisionModel3D: document.getElementById("collisionModel3D"),
+    vizMode3D: document.getElementById("vizMode3D"),
+    viewMode: document.getElementById("viewMode"),
+    sliceRow3D: document.getElementById("sliceRow3D"),
+    volumeRow3D: document.getElementById("volumeRow3D"),
+    status3D: document.getElementById("status3D"),
+    tracerMode: document.getElementById("tracerMode"),
+    tracerStyle: document.getElementById("tracerStyle"),
+    tracerRow: document.getElementById("tracerRow"),
+    rakeRow: document.getElementById("rakeRow"),
+    dyeRadius: document.getElementById("dyeRadius"),
+    dyeRadiusValue: document.getElementById("dyeRadiusValue"),
+    clearDye: document.getElementById("clearDye"),
+    showArrows: document.getElementById("showArrows"),
+    showStreamlines: document.getElementById("showStreamlines"),
+    clearSeeds: document.getElementById("clearSeeds"),
+    mouseTool: document.getElementById("mouseTool"),
+    barrierToolRow: document.getElementById("barrierToolRow"),
+    barrierMode: document.getElementById("barrierMode"),
+    brushRadius: document.getElementById("brushRadius"),
+    brushRadiusValue: document.getElementById("brushRadiusValue"),
+    selectionRow: document.getElementById("selectionRow"),
+    selectionScale: document.getElementById("selectionScale"),
+    selectionScaleValue: document.getElementById("selectionScaleValue"),
+    selectionBox: document.getElementById("selectionBox"),
+    undoBarriers: document.getElementById("undoBarriers"),
+    redoBarriers: document.getElementById("redoBarriers"),
+    probeMarkers: document.getElementById("probeMarkers"),
+    probeSelect: document.getElementById("probeSelect"),
+    probeQuantity: document.getElementById("probeQuantity"),
+    probeValues: document.getElementById("probeValues"),
+    probeChart: document.getElementById("probeChart"),
+    downloadProbes: document.getElementById("downloadProbes"),
+    clearProbeData: document.getElementById("clearProbeData"),
+    removeProbe: document.getElementById("removeProbe"),
+    clearProbes: document.getElementById("clearProbes"),
+    backendNote: document.getElementById("backendNote"),
+    pauseOnConvergence: document.getElementById("pauseOnConvergence"),
+    convergenceValues: document.getElementById("convergenceValues"),
+    convergenceChart: document.getElementById("convergenceChart"),
+    downloadConvergence: document.getElementById("downloadConvergence"),
+    clearConvergence: document.getElementById("clearConvergence"),
+    measureForces: document.getElementById("measureForces"),
+    refLength: document.getElementById("refLength"),
+    forceValues: document.getElementById("forceValues"),
+    forceChart: document.getElementById("forceChart"),
+    downloadForces: document.getElementById("downloadForces"),
+    clearForces: document.getElementById("clearForces"),
+    shapeType: document.getElementById("shapeType"),
+    nacaRow: document.getElementById("nacaRow"),
+    nacaCode: document.getElementById("nacaCode"),
+    aspectRow: document.getElementById("aspectRow"),
+    shapeAspect: document.getElementById("shapeAspect"),
+    shapeAspectValue: document.getElementById("shapeAspectValue"),
+    svgRow: document.getElementById("svgRow"),
+    svgPath: document.getElementById("svgPath"),
+    svgUpload: document.getElementById("svgUpload"),
+    shapeX: document.getElementById("shapeX"),
+    shapeXValue: document.getElementById("shapeXValue"),
+    shapeY: document.getElementById("shapeY"),
+    shapeYValue: document.getElementById("shapeYValue"),
+    shapeChord: document.getElementById("shapeChord"),
+    shapeChordValue: document.getElementById("shapeChordValue"),
+    shapeAngle: document.getElementById("shapeAngle"),
+    shapeAngleValue: document.getElementById("shapeAngleValue"),
+    placeShape: document.getElementById("placeShape"),
+    removeShape: document.getElementById("removeShape"),
+    shapeStatus: document.getElementById("shapeStatus"),
+    makeBody: document.getElementById("makeBody"),
+    bodySelect: document.getElementById("bodySelect"),
+    bodyMotion: document.getElementById("bodyMotion"),
+    constantMotionRow: document.getElementById("constantMotionRow"),
+    oscillateMotionRow: document.getElementById("oscillateMotionRow"),
+    removeBody: document.getElementById("removeBody"),
+    clearBodies: document.getElementById("clearBodies"),
+    bodyStatus: document.getElementById("bodyStatus"),
+    saveSnapshot: document.getElementById("saveSnapshot"),
+    loadSnapshot: document.getElementById("loadSnapshot"),
+    snapshotUpload: document.getElementById("snapshotUpload"),
+    snapshotStatus: document.getElementById("snapshotStatus"),
+    exportScenario: document.getElementById("exportScenario"),
+    importScenario: document.getElementById("importScenario"),
+    scenarioUpload: document.getElementById("scenarioUpload"),
+    copyScenarioLink: document.getElementById("copyScenarioLink"),
+    scenarioStatus: document.getElementById("scenarioStatus"),
+    exportFormat: document.getElementById("exportFormat"),
+    exportFields: document.getElementById("exportFields"),
+    exportSequence: document.getElementById("exportSequence"),
+    exportInterval: document.getElementById("exportInterval"),
+    exportStatus: document.getElementById("exportStatus"),
   };
 
   let scale = 1;
@@ -32,446 +189,298 @@
   let width = window.innerWidth;
   let height = window.innerHeight;
 
-  // ----- Simulation Parameters -----
-  let gridWidth = Math.floor(width / scale); //1024;
-  let gridHeight = Math.floor(height / scale);
-  let numCells = gridWidth * gridHeight;
-  const numDirs = 9; // D2Q9
-  let tau = 0.6;   // Relaxation time
-
   let speed = 1;
 
-  // D2Q9 weights and lattice vectors.
-  const weights = [4 / 9, 1 / 9, 1 / 9, 1 / 9, 1 / 9, 1 / 36, 1 / 36, 1 / 36, 1 / 36];
-  const ex = [0, 1, 0, -1, 0, 1, -1, -1, 1];
-  const ey = [0, 0, 1, 0, -1, 1, 1, -1, -1];
-
   // ----- WebGPU Setup -----
+  // Falls back to the CPU backend without WebGPU, or with ?backend=cpu in the URL.
+  // ?precision=f16 stores the distributions in half floats where the device
+  // supports shader-f16. Timestamp queries, where available, time the steps.
   const canvas = document.getElementById("canvas");
   canvas.width = width;
   canvas.height = height;
-  const adapter = await navigator.gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-  const context = canvas.getContext("webgpu");
+  const searchParams = new URLSearchParams(location.search);
+  const forceCPU = searchParams.get("backend") === "cpu";
+  const adapter = navigator.gpu && !forceCPU ? await navigator.gpu.requestAdapter() : null;
+  const device = adapter ? await adapter.requestDevice({
+    requiredFeatures: ["shader-f16", "timestamp-query"].filter((feature) => adapter.features.has(feature)),
+  }) : null;
+  const precision = searchParams.get("precision") === "f16" && device?.features.has("shader-f16") ? "f16" : "f32";
   const swapChainFormat = "bgra8unorm";
-  context.configure({
-    device: device,
-    format: swapChainFormat,
-  });
-
-  // ----- Buffers -----
-  const stateBufferSize = numCells * numDirs * Float32Array.BYTES_PER_ELEMENT;
-  let stateBuffer0 = device.createBuffer({
-    size: stateBufferSize,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-    label: "state0"
-  });
-  let stateBuffer1 = device.createBuffer({
-    size: stateBufferSize,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-    label: "state1"
-  });
-  const postCollisionBuffer = device.createBuffer({
-    size: stateBufferSize,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
-    label: "postCollision"
-  });
-  const barrierBufferSize = numCells * Int32Array.BYTES_PER_ELEMENT;
-  const barrierBuffer = device.createBuffer({
-    size: barrierBufferSize,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-    label: "barrier"
-  });
-
-  // ----- Uniform Buffer -----
-  // Uniforms now include an extra "inflow" field (rightward flow velocity)
-  // Layout: [gridWidth, gridHeight, tau, vizMode, inflow, noSlip]
-  let inflow = parseFloat(ui.inflow.value);
-  const uniformData = new Float32Array([gridWidth, gridHeight, tau, 2, inflow, 1]);
-  const uniformBuffer = device.createBuffer({
-    size: uniformData.byteLength,
-    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    label: "uniform"
-  });
-  device.queue.writeBuffer(uniformBuffer, 0, uniformData.buffer);
-
-  // ----- Simulation Initialization -----
-  // Initialize with uniform rightward flow (density=1, velocity=(inflow,0))
-  function initializeState(rightwardFlow) {
-    const initialState = new Float32Array(numCells * numDirs);
-    const density = 1.0;
-    const u0 = rightwardFlow;
-    const u1 = 0.0;
-    const uSq = u0 * u0 + u1 * u1;
-    for (let i = 0; i < numCells; i++) {
-      for (let d = 0; d < numDirs; d++) {
-        const edotu = ex[d] * u0 + ey[d] * u1;
-        const feq = weights[d] * density * (1 + 3 * edotu + 4.5 * edotu * edotu - 1.5 * uSq);
-        initialState[i * numDirs + d] = feq;
-      }
-    }
-    device.queue.writeBuffer(stateBuffer0, 0, initialState.buffer);
-    device.queue.writeBuffer(stateBuffer1, 0, initialState.buffer);
-  }
-  initializeState(inflow);
-
-  // Initially, no barriers.
-  const barrierInit = new Int32Array(numCells);
-  device.queue.writeBuffer(barrierBuffer, 0, barrierInit.buffer);
-
-  // ----- Collision Compute Shader -----
-  // Note: Uniforms now include "inflow", though collision pass doesn't use it.
-  const collisionShaderCode = `
-    struct Uniforms {
-      gridWidth: f32,
-      gridHeight: f32,
-      tau: f32,
-      vizMode: f32,
-      inflow: f32,
-      noSlip: f32,
-    };
-    @group(0) @binding(0) var<storage, read> stateIn: array<f32>;
-    @group(0) @binding(1) var<storage, read_write> postCollision: array<f32>;
-    @group(0) @binding(2) var<storage, read> barriers: array<i32>;
-    @group(0) @binding(3) var<uniform> uniforms: Uniforms;
-
-    const numDirs: u32 = 9u;
-    const weights: array<f32, 9> = array<f32, 9>(4.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/36.0, 1.0/36.0, 1.0/36.0, 1.0/36.0);
-    const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
-    const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
-    const opp: array<u32, 9> = array<u32, 9>(0, 3, 4, 1, 2, 7, 8, 5, 6);
-
-    @compute @workgroup_size(16, 16)
-    fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
-      let x = i32(global_id.x);
-      let y = i32(global_id.y);
-      let width = i32(uniforms.gridWidth);
-      let height = i32(uniforms.gridHeight);
-      if (x >= width || y >= height) { return; }
-      let index = y * width + x;
-      let isBarrier = barriers[index];
-
-      var density: f32 = 0.0;
-      var ux: f32 = 0.0;
-      var uy: f32 = 0.0;
-      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-        let idx = index * i32(numDirs) + i32(d);
-        let f = stateIn[idx];
-        density = density + f;
-        ux = ux + f * f32(ex[d]);
-        uy = uy + f * f32(ey[d]);
-      }
-      if (density > 0.0) {
-        ux = ux / density;
-        uy = uy / density;
-      }
-      
-      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-        let idx = index * i32(numDirs) + i32(d);
-        let edotu = f32(ex[d]) * ux + f32(ey[d]) * uy;
-        let uSq = ux * ux + uy * uy;
-        let feq = weights[d] * density * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * uSq);
-        var f_post = stateIn[idx] - (stateIn[idx] - feq) / uniforms.tau;
-        if (isBarrier == 1) {
-          let oppIdx = index * i32(numDirs) + i32(opp[d]);
-          f_post = stateIn[oppIdx];
-        }
-        postCollision[idx] = f_post;
-      }
-    }
-  `;
-  const collisionModule = device.createShaderModule({ code: collisionShaderCode, label: "collisionModule" });
-  const collisionPipeline = device.createComputePipeline({
-    layout: 'auto',
-    compute: { module: collisionModule, entryPoint: 'main' },
-    label: "collisionPipeline"
-  });
-  const collisionBindGroup = (stateBufferIn) => device.createBindGroup({
-    layout: collisionPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: stateBufferIn } },
-      { binding: 1, resource: { buffer: postCollisionBuffer } },
-      { binding: 2, resource: { buffer: barrierBuffer } },
-      { binding: 3, resource: { buffer: uniformBuffer } },
-    ],
-    label: "collisionBindGroup"
-  });
-
-  // ----- Streaming Compute Shader -----
-  // Now with non–periodic horizontal boundaries. For x-direction, if the neighbor is out of bounds,
-  // the equilibrium distribution (with density=1, velocity=(inflow, 0)) is used.
-  const streamingShaderCode = `
-    struct Uniforms {
-      gridWidth: f32,
-      gridHeight: f32,
-      tau: f32,
-      vizMode: f32,
-      inflow: f32,
-      noSlip: f32,
-    };
-    @group(0) @binding(0) var<storage, read> postCollision: array<f32>;
-    @group(0) @binding(1) var<storage, read_write> stateOut: array<f32>;
-    @group(0) @binding(2) var<uniform> uniforms: Uniforms;
-
-    const numDirs: u32 = 9u;
-    const weights: array<f32, 9> = array<f32, 9>(4.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/36.0, 1.0/36.0, 1.0/36.0, 1.0/36.0);
-    const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
-    const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
-
-    @compute @workgroup_size(16, 16)
-    fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
-      let x = i32(global_id.x);
-      let y = i32(global_id.y);
-      let width = i32(uniforms.gridWidth);
-      let height = i32(uniforms.gridHeight);
-      if (x >= width || y >= height) { return; }
-      let index = y * width + x;
-      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-        let rawSrcX = x - i32(ex[d]);
-        let rawSrcY = y - i32(ey[d]);
-        var useEquilibrium = false;
-        var useBounceBack = false;
-        var useOutflow = false;
-        var srcIdx: i32 = 0;
-        if (rawSrcX < 0) {
-          useEquilibrium = true;
-        } else if (rawSrcX >= width) {
-          useEquilibrium = true;
-          // useOutflow = true;
-        } else if (rawSrcY < 0 || rawSrcY >= height) {
-          if (uniforms.noSlip > 0.5) {
-            useBounceBack = true;
-          } else {
-            useEquilibrium = true;
-          }
-        } else {
-          let srcX = rawSrcX;
-          let srcY = rawSrcY;
-          let srcIndex = srcY * width + srcX;
-          srcIdx = srcIndex * i32(numDirs) + i32(d);
-        }
-        let targetIdx = index * i32(numDirs) + i32(d);
-        if (useEquilibrium) {
-          let U = uniforms.inflow;
-          let edotu = f32(ex[d]) * U; // inflow is only in x, so uy=0.
-          let feq = weights[d] * 1.0 * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * (U * U));
-          stateOut[targetIdx] = feq;
-        } else if (useBounceBack) {
-          // Bounce-back: use the opposite direction value from the same cell.
-          let opp: array<u32, 9> = array<u32, 9>(0, 3, 4, 1, 2, 7, 8, 5, 6);
-          stateOut[targetIdx] = postCollision[index * i32(numDirs) + i32(opp[d])];
-        } else if (useOutflow) {
-          stateOut[targetIdx] = postCollision[index * i32(numDirs) + i32(d)];
-        } else {
-          stateOut[targetIdx] = postCollision[srcIdx];
-        }
-        stateOut[targetIdx] = min(max(1.e-5, stateOut[targetIdx]), 1);
-      }
-    }
-  `;
-  const streamingModule = device.createShaderModule({ code: streamingShaderCode, label: "streamingModule" });
-  const streamingPipeline = device.createComputePipeline({
-    layout: 'auto',
-    compute: { module: streamingModule, entryPoint: 'main' },
-    label: "streamingPipeline"
-  });
-  const streamingBindGroup = (stateBufferOut) => device.createBindGroup({
-    layout: streamingPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: postCollisionBuffer } },
-      { binding: 1, resource: { buffer: stateBufferOut } },
-      { binding: 2, resource: { buffer: uniformBuffer } },
-    ],
-    label: "streamingBindGroup"
-  });
-
-  // ----- Render Pipeline (Visualization) -----
-  // The render shader now also reads the barrier buffer and renders barriers in red.
-  const renderShaderCode = `
-    struct Uniforms {
-      gridWidth: f32,
-      gridHeight: f32,
-      tau: f32,
-      vizMode: f32,
-      inflow: f32,
-      noSlip: f32,
-    };
-    @group(0) @binding(0) var<storage, read> state: array<f32>;
-    @group(0) @binding(1) var<uniform> uniforms: Uniforms;
-    @group(0) @binding(2) var<storage, read> barriers: array<i32>;
+  let context;
+  if (device) {
+    context = canvas.getContext("webgpu");
+    context.configure({
+      device: device,
+      format: swapChainFormat,
+    });
+  } else {
+    context = canvas.getContext("2d");
+    // The CPU backend is far slower, start at a coarser resolution.
+    scale = 4;
+    ui.simResSlider.value = scale;
+    ui.simResValue.textContent = scale;
+    ui.backendNote.textContent = forceCPU
+      ? "Running on the CPU backend."
+      : "WebGPU is not supported in this browser, running on the CPU backend.";
+    ui.backendNote.classList.remove("hidden");
+  }
 
-    struct VertexOut {
-      @builtin(position) position: vec4<f32>,
-      @location(0) fragCoord: vec2<f32>,
-    };
+  // ----- Simulation -----
+  // Collision operator sliders: parameter (and element id), displayed decimals.
+  const collisionSliders = [
+    ["trtMagic", 4],
+    ["mrtEnergyRate", 2],
+    ["mrtEpsilonRate", 2],
+    ["mrtFluxRate", 2],
+    ["smagorinsky", 3],
+  ];
+  // Tracer and dye sliders, as above.
+  const tracerSliders = [
+    ["tracerCount", 0],
+    ["tracerLifetime", 0],
+    ["rakeSeeds", 0],
+    ["rakeX0", 2],
+    ["rakeY0", 2],
+    ["rakeX1", 2],
+    ["rakeY1", 2],
+    ["dyeDiffusion", 3],
+  ];
+  // Thermal sliders, as above.
+  const thermalSliders = [
+    ["thermalDiffusivity", 3],
+  ];
+  // Thermal number inputs and selects, which share their parameter's name.
+  const thermalInputs = ["buoyancy", "hotTemperature", "coldTemperature", "inletTemperature"];
+  const thermalSelects = [...edgeNames.map((edge) => edge + "WallTemperature"), "barrierTemperature"];
+  // Multiphase controls, likewise. The selects restart the flow.
+  const multiphaseSliders = [
+    ["wetting", 2],
+  ];
+  const multiphaseInputs = ["coupling", "componentCoupling", "liquidDensity", "gasDensity", "gravity"];
+  const multiphaseSelects = ["multiphase", "multiphaseLayout"];
+  // Body force magnitude and direction.
+  const forceSliders = [
+    ["bodyForceAngle", 0],
+  ];
+  const forceInputs = ["bodyForce"];
+  // Overlay, probe and convergence sliders, as above.
+  const overlaySliders = [
+    ["arrowSpacing", 0],
+    ["arrowScale", 0],
+    ["streamlineLength", 0],
+    ["probeInterval", 0],
+    ["convergenceInterval", 0],
+  ];
+  const convergenceInputs = ["convergenceTolerance"];
+  const parameterSliders = [
+    ...collisionSliders, ...tracerSliders, ...overlaySliders, ...thermalSliders, ...multiphaseSliders, ...forceSliders,
+  ];
+  // Barrier bounding box for the reference length, recomputed lazily after barrier edits.
+  let barrierBox;
+  const sim = createSimulation();
 
-    @vertex
-    fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
-      var pos = array<vec2<f32>, 3>(
-        vec2<f32>(-1.0,  3.0),
-        vec2<f32>( 3.0, -1.0),
-        vec2<f32>(-1.0, -1.0),
-      );
-      var output: VertexOut;
-      output.position = vec4<f32>(pos[vertexIndex], 0.0, 1.0);
-      output.fragCoord = 0.5 * (pos[vertexIndex] + vec2<f32>(1.0)) * vec2<f32>(uniforms.gridWidth, uniforms.gridHeight);
-      return output;
-    }
-
-    fn colorMap(value:f32) -> vec3<f32> {
-      return vec3<f32>(value, 1.0 - abs(value - 0.5), 1.0 - value);
-    }
-
-    @fragment
-    fn fs_main(@location(0) fragCoord: vec2<f32>) -> @location(0) vec4<f32> {
-      let x = i32(fragCoord.x);
-      let y = i32(fragCoord.y);
-      let width = i32(uniforms.gridWidth);
-      let index = y * width + x;
-      
-      // Render barriers
-      if (barriers[index] == 1) {
-        if (uniforms.vizMode < 1.5) {
-          return vec4<f32>(0.0);
-        } else {
-          return vec4<f32>(1.0, 0.0, 0.0, 1.0);
-        }
-      }
-      
-      let numDirs: u32 = 9u;
-      var density: f32 = 0.0;
-      var ux: f32 = 0.0;
-      var uy: f32 = 0.0;
-      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-        let f = state[index * i32(numDirs) + i32(d)];
-        density = density + f;
-        ux = ux + f * f32(array<i32,9>(0,1,0,-1,0,1,-1,-1,1)[d]);
-        uy = uy + f * f32(array<i32,9>(0,0,1,0,-1,1,1,-1,-1)[d]);
-      }
-      if (density > 0.0) {
-        ux = ux / density;
-        uy = uy / density;
-      }
-      let speed = sqrt(ux * ux + uy * uy);
-      //let speedScaled = speed * 0.5;
-      
-      var dudy: f32 = 0.0;
-      var dudx: f32 = 0.0;
-      if (x > 0 && x < width - 1) {
-        var uyL: f32 = 0.0;
-        var uyR: f32 = 0.0;
-        let indexL = y * width + (x - 1);
-        let indexR = y * width + (x + 1);
-        for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-          uyL = uyL + state[indexL * i32(numDirs) + i32(d)] * f32(array<i32,9>(0,0,1,0,-1,1,1,-1,-1)[d]);
-          uyR = uyR + state[indexR * i32(numDirs) + i32(d)] * f32(array<i32,9>(0,0,1,0,-1,1,1,-1,-1)[d]);
-        }
-        dudy = (uyR - uyL) * 0.5;
-      }
-      if (y > 0 && y < i32(uniforms.gridHeight) - 1) {
-        var uxT: f32 = 0.0;
-        var uxB: f32 = 0.0;
-        let indexT = (y - 1) * width + x;
-        let indexB = (y + 1) * width + x;
-        for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-          uxT = uxT + state[indexT * i32(numDirs) + i32(d)] * f32(array<i32,9>(0,1,0,-1,0,1,-1,-1,1)[d]);
-          uxB = uxB + state[indexB * i32(numDirs) + i32(d)] * f32(array<i32,9>(0,1,0,-1,0,1,-1,-1,1)[d]);
-        }
-        dudx = (uxB - uxT) * 0.5;
-      }
-      let curl = (dudy - dudx) * 50.0;
-      
-      var color: vec3<f32>;
-      if (uniforms.vizMode < 0.5) {
-        color = colorMap(density * 1.5 - 1.0); // 3 * (density/2 - 0.5) + 0.5
-      } else if (uniforms.vizMode < 1.5) {
-        color = colorMap(2.0 * speed - uniforms.inflow);
-      } else if (uniforms.vizMode < 2.5) {
-        color = vec3<f32>(abs(curl));
-      } else {
-        // Schlieren mode: compute gradient of density.
-        var densityL: f32 = 0.0;
-        var densityR: f32 = 0.0;
-        var densityT: f32 = 0.0;
-        var densityB: f32 = 0.0;
-        if (x > 0) {
-          let indexL = y * width + (x - 1);
-          for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-            densityL += state[indexL * i32(numDirs) + i32(d)];
-          }
-        } else { densityL = density; }
-        if (x < width - 1) {
-          let indexR = y * width + (x + 1);
-          for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-            densityR += state[indexR * i32(numDirs) + i32(d)];
-          }
-        } else { densityR = density; }
-        if (y > 0) {
-          let indexT = (y - 1) * width + x;
-          for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-            densityT += state[indexT * i32(numDirs) + i32(d)];
-          }
-        } else { densityT = density; }
-        if (y < i32(uniforms.gridHeight) - 1) {
-          let indexB = (y + 1) * width + x;
-          for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
-            densityB += state[indexB * i32(numDirs) + i32(d)];
-          }
-        } else { densityB = density; }
-        let dDensityX = (densityR - densityL) * 0.5;
-        let dDensityY = (densityB - densityT) * 0.5;
-        let gradDensity = sqrt(dDensityX * dDensityX + dDensityY * dDensityY);
-        color = vec3<f32>(gradDensity * 100.0);
-      }
-      return vec4<f32>(color, 1.0);
-    }
-  `;
-  const renderModule = device.createShaderModule({ code: renderShaderCode, label: "renderModule" });
-  const renderPipeline = device.createRenderPipeline({
-    layout: 'auto',
-    vertex: { module: renderModule, entryPoint: 'vs_main' },
-    fragment: { module: renderModule, entryPoint: 'fs_main', targets: [{ format: swapChainFormat }] },
-    primitive: { topology: 'triangle-list' },
-    label: "renderPipeline"
-  });
-  const renderBindGroup = (stateBufferForRender) => device.createBindGroup({
-    layout: renderPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: stateBufferForRender } },
-      { binding: 1, resource: { buffer: uniformBuffer } },
-      { binding: 2, resource: { buffer: barrierBuffer } },
-    ],
-    label: "renderBindGroup"
-  });
+  function createSimulation() {
+    const options = {
+      gridWidth: Math.floor(width / scale),
+      gridHeight: Math.floor(height / scale),
+      tau: 3 * parseFloat(ui.viscositySlider.value) + 0.5,
+      inflow: parseFloat(ui.velocitySlider.value),
+      ...Object.fromEntries(edgeNames.map((edge) => [edge + "Boundary", ui.boundaries[edge].value])),
+      inflowProfile: ui.inflowProfile.value,
+      vizMode: ui.vizSelect.value,
+      colormap: ui.colormap.value,
+      colorRange: ui.colorRange.value,
+      colorMin: parseFloat(ui.colorMin.value),
+      colorMax: parseFloat(ui.colorMax.value),
+      collisionModel: ui.collisionModel.value,
+      clampDistributions: ui.clampDistributions.checked,
+      tracerMode: ui.tracerMode.value,
+      tracerStyle: ui.tracerStyle.value,
+      showArrows: ui.showArrows.checked,
+      showStreamlines: ui.showStreamlines.checked,
+      ...Object.fromEntries(parameterSliders.map(([name]) => [name, parseFloat(document.getElementById(name).value)])),
+      thermal: ui.thermal.checked,
+      ...Object.fromEntries(thermalInputs.map((name) => [name, parseFloat(document.getElementById(name).value)])),
+      ...Object.fromEntries(thermalSelects.map((name) => [name, document.getElementById(name).value])),
+      ...Object.fromEntries(multiphaseInputs.map((name) => [name, parseFloat(document.getElementById(name).value)])),
+      ...Object.fromEntries(multiphaseSelects.map((name) => [name, document.getElementById(name).value])),
+      ...Object.fromEntries(forceInputs.map((name) => [name, parseFloat(document.getElementById(name).value)])),
+      ...Object.fromEntries(convergenceInputs.map((name) => [name, parseFloat(document.getElementById(name).value)])),
+      measureForces: ui.measureForces.checked,
+    };
+    const newSim = device
+      ? new LBMSimulation(device, { ...options, format: swapChainFormat, precision })
+      : new LBMSimulationCPU(options);
+    newSim.addEventListener("barrierchange", () => { barrierBox = undefined; });
+    newSim.addEventListener("resize", () => { barrierBox = undefined; });
+    newSim.addEventListener("bodychange", () => { barrierBox = undefined; });
+    return newSim;
+  }
 
   // ----- Visualization UI Control -----
+  // Each mode switches to its suggested colormap, which can then be changed.
   ui.vizSelect.addEventListener("change", () => {
-    const mode = ui.vizSelect.value;
-    const modeVal = mode === "density" ? 0 : mode === "speed" ? 1 : mode === "curl" ? 2 : 3;
-    uniformData[3] = modeVal;
-    device.queue.writeBuffer(uniformBuffer, 0, uniformData.buffer);
+    sim.setParameter("vizMode", ui.vizSelect.value);
+    ui.colormap.value = defaultColormaps[ui.vizSelect.value];
+    sim.setParameter("colormap", ui.colormap.value);
   });
+  ui.colormap.addEventListener("change", () => {
+    sim.setParameter("colormap", ui.colormap.value);
+  });
+
+  // Switching to a manual range starts from the range currently shown.
+  ui.colorRange.addEventListener("change", () => {
+    const manual = ui.colorRange.value === "manual";
+    if (manual && legendRange) {
+      [ui.colorMin.value, ui.colorMax.value] = legendRange.map((v) => v.toPrecision(3));
+      for (const name of ["colorMin", "colorMax"]) sim.setParameter(name, parseFloat(ui[name].value));
+    }
+    sim.setParameter("colorRange", ui.colorRange.value);
+    ui.colorRangeRow.classList.toggle("hidden", !manual);
+  });
+  for (const name of ["colorMin", "colorMax"]) {
+    ui[name].addEventListener("change", () => {
+      const v = parseFloat(ui[name].value);
+      if (Number.isFinite(v)) sim.setParameter(name, v);
+    });
+  }
+
+  // ----- Colour Bar -----
+  const fieldLabels = {
+    density: "density",
+    speed: "speed (lattice units)",
+    curl: "vorticity (1 / step)",
+    schlieren: "density gradient (1 / cell)",
+    temperature: "temperature",
+    phase: "liquid fraction",
+    vorticity: "vorticity magnitude (1 / step)",
+  };
+  let legendRange = null;
+  let legendReadPending = false;
+
+  ui.showLegend.addEventListener("change", () => {
+    ui.colorLegend.classList.toggle("hidden", !ui.showLegend.checked);
+  });
+
+  function updateLegend() {
+    if (!ui.showLegend.checked || legendReadPending) return;
+    legendReadPending = true;
+    const shown = sim3D ?? sim;
+    shown.readColorRange().then(([min, max]) => {
+      legendReadPending = false;
+      legendRange = [min, max];
+      drawColorBar(ui.colorLegend, { colormap: shown.params.colormap, min, max, label: fieldLabels[shown.params.vizMode] });
+    });
+  }
 
   // Rightward flow UI.
   ui.velocitySlider.addEventListener("input", () => {
     const v = parseFloat(ui.velocitySlider.value);
     ui.velocityValue.textContent = v.toFixed(2);
-    // Update uniform inflow parameter as well.
-    uniformData[4] = v;
-    device.queue.writeBuffer(uniformBuffer, 0, uniformData.buffer);
+    sim.setParameter("inflow", v);
   });
   ui.reInit.addEventListener("click", () => {
-    const v = parseFloat(ui.velocitySlider.value);
-    initializeState(v);
+    (sim3D ?? sim).reset();
   });
 
   // Viscosity
   ui.viscositySlider.addEventListener("input", () => {
     const v = parseFloat(ui.viscositySlider.value);
-    ui.viscosityValue.textContent = v.toFixed(2);
-    tau = (3 * v + 0.5);
-    uniformData[2] = tau;
-    device.queue.writeBuffer(uniformBuffer, 0, uniformData.buffer);
+    ui.viscosityValue.textContent = v.toFixed(3);
+    sim.setParameter("tau", 3 * v + 0.5);
+  });
+
+  // ----- Physical Units -----
+  // In physical mode inflow and tau follow from the target Reynolds number,
+  // the reference length of the barriers and the physical scales. Settings
+  // that would be unstable or too compressible are refused, keeping the
+  // previous ones. The stats are refreshed in the next frame after anything
+  // they depend on changes.
+  let flowStatsStale = true;
+  let physicalError = null;
+  const targetMach = 0.1;
+
+  function referenceLength() {
+    if (barrierBox === undefined) barrierBox = barrierExtent(sim.solidMask(), sim.gridWidth, sim.gridHeight);
+    if (!barrierBox) return null;
+    return ui.refLength.value === "height" ? barrierBox.height : barrierBox.chord;
+  }
+
+  function physicalInputs() {
+    return {
+      reynolds: parseFloat(ui.reynolds.value),
+      length: referenceLength(),
+      physicalLength: parseFloat(ui.physicalLength.value),
+      physicalViscosity: parseFloat(ui.physicalViscosity.value),
+    };
+  }
+
+  function applyPhysicalUnits() {
+    ui.physicalScales.textContent = "";
+    physicalError = null;
+    if (ui.unitMode.value !== "physical") return;
+    const inputs = physicalInputs();
+    if (!inputs.length) {
+      physicalError = "Draw a barrier to set the reference length";
+      return;
+    }
+    if (!(inputs.reynolds > 0 && inputs.physicalLength > 0 && inputs.physicalViscosity > 0)) {
+      physicalError = "The Reynolds number, body length and viscosity must be positive";
+      return;
+    }
+    if (!(parseFloat(ui.timeStep.value) > 0)) {
+      ui.timeStep.value = timeStepForMach(targetMach, inputs).toPrecision(3);
+    }
+    const derived = deriveLatticeParameters({ ...inputs, timeStep: parseFloat(ui.timeStep.value) });
+    ui.physicalScales.textContent =
+      `Cell: ${derived.cellSize.toPrecision(3)} m, inflow: ${derived.speed.toPrecision(3)} m/s`;
+    const errors = stabilityIssues(derived).filter(({ level }) => level === "error");
+    if (errors.length > 0) {
+      physicalError = `Not applied: ${errors.map(({ message }) => message).join("; ")}`;
+      return;
+    }
+    sim.setParameter("inflow", derived.inflow);
+    sim.setParameter("tau", derived.tau);
+    syncControls();
+  }
+
+  function updateFlowStats() {
+    const { inflow, tau } = sim.params;
+    const length = referenceLength();
+    const reynolds = length ? reynoldsNumber(inflow, length, tau).toFixed(1) : "- (no barriers)";
+    ui.flowStats.textContent = `Re: ${reynolds} Ma: ${machNumber(inflow).toFixed(3)} tau: ${tau.toFixed(4)}`;
+    const messages = stabilityIssues({ inflow, tau }).map(({ message }) => message);
+    if (physicalError) messages.unshift(physicalError);
+    ui.flowWarnings.textContent = messages.join(". ");
+  }
+
+  function refreshFlowStats() {
+    if (!flowStatsStale) return;
+    flowStatsStale = false;
+    applyPhysicalUnits();
+    updateFlowStats();
+  }
+
+  function setUnitMode(mode) {
+    ui.unitMode.value = mode;
+    ui.latticeRow.classList.toggle("hidden", mode !== "lattice");
+    ui.physicalRow.classList.toggle("hidden", mode !== "physical");
+    flowStatsStale = true;
+  }
+
+  ui.unitMode.addEventListener("change", () => setUnitMode(ui.unitMode.value));
+  for (const input of [ui.reynolds, ui.physicalLength, ui.physicalViscosity, ui.timeStep, ui.refLength]) {
+    input.addEventListener("change", () => { flowStatsStale = true; });
+  }
+  ui.fitTimeStep.addEventListener("click", () => {
+    ui.timeStep.value = "";
+    flowStatsStale = true;
+  });
+  for (const type of ["barrierchange", "resize", "bodychange"]) {
+    sim.addEventListener(type, () => { flowStatsStale = true; });
+  }
+  sim.addEventListener("parameterchange", ({ detail: { name } }) => {
+    if (name === "inflow" || name === "tau") flowStatsStale = true;
   });
 
   // Simulation speed
@@ -488,191 +497,1370 @@
     refreshGrid();
   });
 
-  // Refresh the grid, only works for decreasing size due to buffer sizes
+  // Resize the grid to the window and resolution, resampling the current flow and barriers
   function refreshGrid() {
-    gridWidth = Math.floor(width / scale);
-    gridHeight = Math.floor(height / scale);
-    numCells = gridWidth * gridHeight;
-    uniformData[0] = gridWidth;
-    uniformData[1] = gridHeight;
-    device.queue.writeBuffer(uniformBuffer, 0, uniformData.buffer);
-    initializeState(parseFloat(ui.velocitySlider.value));
-    clearBarriers();
+    sim.resize(Math.floor(width / scale), Math.floor(height / scale));
+  }
+
+  // Edge boundary types. Periodic edges are paired by the simulation, so the
+  // selects follow its parameters rather than the other way round.
+  for (const edge of edgeNames) {
+    ui.boundaries[edge].addEventListener("change", () => {
+      sim.setParameter(edge + "Boundary", ui.boundaries[edge].value);
+    });
+  }
+  sim.addEventListener("parameterchange", ({ detail: { name, value } }) => {
+    const edge = name.replace(/Boundary$/, "");
+    if (edge in ui.boundaries) ui.boundaries[edge].value = value;
+  });
+  ui.inflowProfile.addEventListener("change", () => {
+    sim.setParameter("inflowProfile", ui.inflowProfile.value);
+  });
+
+  // ----- Collision Operator -----
+  function updateCollisionControls() {
+    const model = ui.collisionModel.value;
+    ui.trtRow.classList.toggle("hidden", model !== "trt");
+    ui.mrtRow.classList.toggle("hidden", model !== "mrt");
+    ui.smagorinskyRow.classList.toggle("hidden", model !== "smagorinsky");
+  }
+  updateCollisionControls();
+
+  ui.collisionModel.addEventListener("change", () => {
+    sim.setParameter("collisionModel", ui.collisionModel.value);
+    updateCollisionControls();
+  });
+  for (const [name, digits] of parameterSliders) {
+    const slider = document.getElementById(name);
+    slider.addEventListener("input", () => {
+      const v = parseFloat(slider.value);
+      document.getElementById(name + "Value").textContent = v.toFixed(digits);
+      sim.setParameter(name, v);
+    });
+  }
+  ui.clampDistributions.addEventListener("click", () => {
+    sim.setParameter("clampDistributions", ui.clampDistributions.checked);
+  });
+
+  // ----- Thermal Flow -----
+  function updateThermalControls() {
+    ui.thermalRow.classList.toggle("hidden", !ui.thermal.checked);
   }
+  updateThermalControls();
 
-  // No-slip condition toggle
-  ui.noSlip.addEventListener("click", () => {
-    uniformData[5] = ui.noSlip.checked ? 1 : 0;
-    device.queue.writeBuffer(uniformBuffer, 0, uniformData.buffer);
+  ui.thermal.addEventListener("click", () => {
+    sim.setParameter("thermal", ui.thermal.checked);
+    updateThermalControls();
   });
+  for (const name of thermalInputs) {
+    const input = document.getElementById(name);
+    input.addEventListener("change", () => {
+      try {
+        sim.setParameter(name, parseFloat(input.value));
+      } catch {
+        input.value = sim.params[name];
+      }
+    });
+  }
+  for (const name of thermalSelects) {
+    const select = document.getElementById(name);
+    select.addEventListener("change", () => sim.setParameter(name, select.value));
+  }
 
-  // ----- Barrier Setting (Mouse Click) -----
-  // Flip the y coordinate so that clicking maps directly to simulation coordinates.
-  const barrierArray = new Int32Array(numCells);
+  // Presets are in lattice units and restart the flow from rest.
+  ui.loadThermalPreset.addEventListener("click", () => {
+    const { parameters, barriers } = thermalPreset(ui.thermalPreset.value, sim.gridWidth, sim.gridHeight);
+    setUnitMode("lattice");
+    for (const [name, value] of Object.entries(parameters)) sim.setParameter(name, value);
+    recordBarrierEdit();
+    shapeLayer = null;
+    sim.clearBodies();
+    sim.setBarriers(barriers);
+    syncControls();
+    sim.reset();
+  });
+
+  // ----- Multiphase Flow -----
+  function updateMultiphaseControls() {
+    ui.multiphaseRow.classList.toggle("hidden", ui.multiphase.value === "off");
+  }
+  updateMultiphaseControls();
+
+  for (const name of [...multiphaseInputs, ...forceInputs, ...convergenceInputs]) {
+    const input = document.getElementById(name);
+    input.addEventListener("change", () => {
+      try {
+        sim.setParameter(name, parseFloat(input.value));
+      } catch {
+        input.value = sim.params[name];
+      }
+    });
+  }
+  for (const name of multiphaseSelects) {
+    const select = document.getElementById(name);
+    select.addEventListener("change", () => {
+      sim.setParameter(name, select.value);
+      updateMultiphaseControls();
+      sim.reset();
+    });
+  }
+
+  // As for the thermal presets, except that the invasion preset keeps the
+  // current barriers for the liquid to run through.
+  ui.loadMultiphasePreset.addEventListener("click", () => {
+    const { parameters, barriers } = multiphasePreset(ui.multiphasePreset.value, sim.gridWidth, sim.gridHeight);
+    setUnitMode("lattice");
+    for (const [name, value] of Object.entries(parameters)) sim.setParameter(name, value);
+    sim.clearBodies();
+    if (barriers) {
+      recordBarrierEdit();
+      shapeLayer = null;
+      sim.setBarriers(barriers);
+    }
+    syncControls();
+    sim.reset();
+  });
+
+  // ----- Body Force -----
+  // Fully developed channel flow between the top and bottom walls, driven by
+  // the body force instead of an inlet.
+  ui.loadChannelPreset.addEventListener("click", () => {
+    const { parameters, barriers } = channelPreset(sim.gridWidth, sim.gridHeight);
+    setUnitMode("lattice");
+    for (const [name, value] of Object.entries(parameters)) sim.setParameter(name, value);
+    recordBarrierEdit();
+    shapeLayer = null;
+    sim.clearBodies();
+    sim.setBarriers(barriers);
+    sim.clearSolidFraction();
+    syncControls();
+    sim.reset();
+  });
+
+  // ----- 3D Mode -----
+  // A separate D3Q19 simulation replaces the 2D one on the canvas while the
+  // mode is on; the 2D flow is kept and resumes when it is switched off. The
+  // velocity, viscosity and colour controls apply to both.
+  const sliders3D = [
+    ["slicePosition", 2],
+    ["isoLevel", 2],
+    ["volumeOpacity", 1],
+    ["cameraZoom", 1],
+  ];
+  const selects3D = ["sideBoundary", "viewMode", "sliceAxis"];
+  let sim3D = null;
+  let meshTriangles = null;
+
+  function createSimulation3D() {
+    const [gridWidth, gridHeight, gridDepth] = ui.grid3D.value.split(",").map(Number);
+    const options = {
+      gridWidth,
+      gridHeight,
+      gridDepth,
+      tau: 3 * parseFloat(ui.viscositySlider.value) + 0.5,
+      inflow: parseFloat(ui.velocitySlider.value),
+      collisionModel: ui.collisionModel3D.value,
+      smagorinsky: parseFloat(document.getElementById("smagorinsky").value),
+      clampDistributions: ui.clampDistributions.checked,
+      vizMode: ui.vizMode3D.value,
+      colormap: defaultColormaps[ui.vizMode3D.value],
+      colorRange: ui.colorRange.value,
+      colorMin: parseFloat(ui.colorMin.value),
+      colorMax: parseFloat(ui.colorMax.value),
+      ...Object.fromEntries(sliders3D.map(([name]) => [name, parseFloat(document.getElementById(name).value)])),
+      ...Object.fromEntries(selects3D.map((name) => [name, document.getElementById(name).value])),
+    };
+    const newSim = device
+      ? new LBMSimulation3D(device, { ...options, format: swapChainFormat })
+      : new LBMSimulation3DCPU(options);
+    newSim.setViewSize(width, height);
+    return newSim;
+  }
+
+  // Grids that do not fit the GPU leave 3D mode off (or keep the previous grid).
+  function start3D() {
+    let newSim;
+    try {
+      newSim = createSimulation3D();
+    } catch (error) {
+      ui.status3D.textContent = error.message;
+      return false;
+    }
+    sim3D?.destroy();
+    sim3D = newSim;
+    placeObstacle3D();
+    return true;
+  }
+
+  function stop3D() {
+    sim3D?.destroy();
+    sim3D = null;
+  }
+
+  function updateControls3D() {
+    ui.row3D.classList.toggle("hidden", !ui.mode3D.checked);
+    ui.meshRow3D.classList.toggle("hidden", ui.obstacle3D.value !== "mesh");
+    ui.sliceRow3D.classList.toggle("hidden", ui.viewMode.value !== "slice");
+    ui.volumeRow3D.classList.toggle("hidden", ui.viewMode.value === "slice");
+    ui.probeMarkers.classList.toggle("hidden", ui.mode3D.checked);
+  }
+  // The CPU backend starts on the smallest grid.
+  if (!device) ui.grid3D.value = ui.grid3D.options[0].value;
+  updateControls3D();
+
+  function placeObstacle3D() {
+    const { gridWidth, gridHeight, gridDepth } = sim3D;
+    const size = parseFloat(ui.obstacleSize3D.value);
+    const type = ui.obstacle3D.value;
+    if (type === "mesh") {
+      if (!meshTriangles) {
+        ui.status3D.textContent = "Choose an OBJ or STL file to place.";
+        return;
+      }
+      sim3D.setBarriers(voxelizeMesh(meshTriangles, gridWidth, gridHeight, gridDepth, { size }));
+    } else {
+      sim3D.setBarriers(voxelizePrimitive({ type, size }, gridWidth, gridHeight, gridDepth));
+    }
+    const solid = sim3D.barriers.reduce((sum, b) => sum + b, 0);
+    ui.status3D.textContent = `${gridWidth}x${gridHeight}x${gridDepth} cells, ${solid} solid.`;
+  }
+
+  ui.mode3D.addEventListener("click", () => {
+    if (ui.mode3D.checked) ui.mode3D.checked = start3D();
+    else stop3D();
+    ui.colormap.value = (sim3D ?? sim).params.colormap;
+    updateControls3D();
+  });
+  ui.grid3D.addEventListener("change", () => {
+    if (sim3D && !start3D()) ui.grid3D.value = [sim3D.gridWidth, sim3D.gridHeight, sim3D.gridDepth].join(",");
+  });
+  ui.obstacle3D.addEventListener("change", () => {
+    updateControls3D();
+    if (sim3D && (ui.obstacle3D.value !== "mesh" || meshTriangles)) placeObstacle3D();
+  });
+  ui.obstacleSize3D.addEventListener("input", () => {
+    ui.obstacleSize3DValue.textContent = parseFloat(ui.obstacleSize3D.value).toFixed(2);
+  });
+  ui.obstacleSize3D.addEventListener("change", () => {
+    if (sim3D) placeObstacle3D();
+  });
+  ui.placeObstacle3D.addEventListener("click", () => {
+    if (sim3D) placeObstacle3D();
+  });
+  ui.clearObstacle3D.addEventListener("click", () => {
+    sim3D?.clearBarriers();
+  });
+  ui.meshUpload.addEventListener("change", async () => {
+    const file = ui.meshUpload.files[0];
+    if (!file) return;
+    try {
+      meshTriangles = parseMesh(file.name, await file.arrayBuffer());
+    } catch (error) {
+      ui.status3D.textContent = `Could not read ${file.name}: ${error.message}`;
+      return;
+    }
+    if (sim3D) placeObstacle3D();
+  });
+
+  ui.collisionModel3D.addEventListener("change", () => {
+    sim3D?.setParameter("collisionModel", ui.collisionModel3D.value);
+  });
+  ui.vizMode3D.addEventListener("change", () => {
+    if (!sim3D) return;
+    ui.colormap.value = defaultColormaps[ui.vizMode3D.value];
+    sim3D.setParameter("vizMode", ui.vizMode3D.value);
+    sim3D.setParameter("colormap", ui.colormap.value);
+  });
+  for (const [name, digits] of sliders3D) {
+    const slider = document.getElementById(name);
+    slider.addEventListener("input", () => {
+      const v = parseFloat(slider.value);
+      document.getElementById(name + "Value").textContent = v.toFixed(digits);
+      sim3D?.setParameter(name, v);
+    });
+  }
+  for (const name of selects3D) {
+    const select = document.getElementById(name);
+    select.addEventListener("change", () => {
+      sim3D?.setParameter(name, select.value);
+      updateControls3D();
+    });
+  }
+
+  // The shared controls; their 2D listeners have already run.
+  ui.velocitySlider.addEventListener("input", () => sim3D?.setParameter("inflow", sim.params.inflow));
+  ui.viscositySlider.addEventListener("input", () => sim3D?.setParameter("tau", sim.params.tau));
+  document.getElementById("smagorinsky").addEventListener("input", () => sim3D?.setParameter("smagorinsky", sim.params.smagorinsky));
+  ui.clampDistributions.addEventListener("click", () => sim3D?.setParameter("clampDistributions", ui.clampDistributions.checked));
+  const colorParameters = ["colormap", "colorRange", "colorMin", "colorMax"];
+  for (const control of colorParameters) {
+    ui[control].addEventListener("change", () => {
+      for (const name of colorParameters) sim3D?.setParameter(name, sim.params[name]);
+    });
+  }
+
+  // Dragging orbits the camera of the volume and isosurface views.
+  let orbitFrom = null;
+  canvas.addEventListener("pointerdown", (event) => {
+    if (event.button !== 0 || !sim3D) return;
+    canvas.setPointerCapture(event.pointerId);
+    orbitFrom = { x: event.clientX, y: event.clientY, yaw: sim3D.params.cameraYaw, pitch: sim3D.params.cameraPitch };
+  });
+  canvas.addEventListener("pointermove", (event) => {
+    if (!orbitFrom || !sim3D) return;
+    const yaw = orbitFrom.yaw - 0.4 * (event.clientX - orbitFrom.x);
+    const pitch = Math.min(Math.max(orbitFrom.pitch + 0.4 * (event.clientY - orbitFrom.y), -89), 89);
+    sim3D.setParameter("cameraYaw", ((yaw % 360) + 540) % 360 - 180);
+    sim3D.setParameter("cameraPitch", pitch);
+  });
+  for (const type of ["pointerup", "pointercancel"]) {
+    canvas.addEventListener(type, () => { orbitFrom = null; });
+  }
+
+  // ----- Tracers & Dye -----
+  function updateTracerControls() {
+    ui.tracerRow.classList.toggle("hidden", ui.tracerMode.value === "off");
+    ui.rakeRow.classList.toggle("hidden", ui.tracerMode.value !== "rake");
+  }
+  updateTracerControls();
+
+  ui.tracerMode.addEventListener("change", () => {
+    sim.setParameter("tracerMode", ui.tracerMode.value);
+    sim.resetTracers();
+    updateTracerControls();
+  });
+  ui.tracerStyle.addEventListener("change", () => {
+    sim.setParameter("tracerStyle", ui.tracerStyle.value);
+  });
+  ui.dyeRadius.addEventListener("input", () => {
+    ui.dyeRadiusValue.textContent = ui.dyeRadius.value;
+  });
+  ui.clearDye.addEventListener("click", () => {
+    sim.clearDye();
+  });
+
+  // ----- Arrows & Streamlines -----
+  for (const name of ["showArrows", "showStreamlines"]) {
+    ui[name].addEventListener("click", () => {
+      sim.setParameter(name, ui[name].checked);
+    });
+  }
+  ui.clearSeeds.addEventListener("click", () => {
+    sim.clearStreamlineSeeds();
+  });
+
+  // ----- Canvas Tools -----
+  // Pointer input (mouse, touch or pen) for the selected tool. Flip the y
+  // coordinate so that pointer positions map directly to simulation coordinates.
   let isDrawing = false;
-  let erase = null;
   let lastPos = null;
+  let startPos = null;
+  // Barrier mask from before the current gesture; shapes are redrawn onto a
+  // copy of it while dragging, and the whole gesture is one undo step.
+  let strokeBase = null;
+  const barrierTools = ["brush", "line", "rect", "ellipse", "fill", "select"];
 
-  canvas.addEventListener("mousedown", (event) => {
+  function updateToolControls() {
+    const tool = ui.mouseTool.value;
+    ui.barrierToolRow.classList.toggle("hidden", !barrierTools.includes(tool) || tool === "select");
+    ui.selectionRow.classList.toggle("hidden", tool !== "select");
+  }
+  updateToolControls();
+  ui.mouseTool.addEventListener("change", () => {
+    updateToolControls();
+    if (ui.mouseTool.value !== "select") dropSelection();
+  });
+  ui.brushRadius.addEventListener("input", () => {
+    ui.brushRadiusValue.textContent = ui.brushRadius.value;
+  });
+
+  canvas.addEventListener("pointerdown", (event) => {
+    if (event.button !== 0 || sim3D) return;
+    canvas.setPointerCapture(event.pointerId);
     isDrawing = true;
     lastPos = null;
-    placeBarrier(event);
+    startPos = null;
+    useTool(event);
   });
 
   canvas.addEventListener("pointermove", (event) => {
     if (!isDrawing) return;
-    event.getCoalescedEvents().forEach((e) => placeBarrier(e));
+    event.getCoalescedEvents().forEach((e) => useTool(e));
   });
 
-  canvas.addEventListener("mouseup", () => {
-    isDrawing = false;
-    erase = null;
-    lastPos = null;
-  });
+  for (const type of ["pointerup", "pointercancel"]) {
+    canvas.addEventListener(type, () => {
+      if (!isDrawing) return;
+      isDrawing = false;
+      if (ui.mouseTool.value === "select") finishSelection();
+      lastPos = null;
+      strokeBase = null;
+    });
+  }
 
-  function placeBarrier(event) {
+  function useTool(event) {
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / (scale * rect.width);
     const scaleY = canvas.height / (scale * rect.height);
     const x = Math.floor((event.clientX - rect.left) * scaleX);
-    const y = gridHeight - 1 - Math.floor((event.clientY - rect.top) * scaleY);
-
-    // Interpolate from lastPos to (x, y)
-    if (lastPos) {
-      const dx = x - lastPos.x;
-      const dy = y - lastPos.y;
-      const dist = Math.hypot(dx, dy);
-      const steps = Math.ceil(dist);
-      for (let i = 1; i <= steps; i++) {
-        const ix = Math.round(lastPos.x + dx * (i / steps));
-        const iy = Math.round(lastPos.y + dy * (i / steps));
-        placeBarrierAt(ix, iy);
+    const y = sim.gridHeight - 1 - Math.floor((event.clientY - rect.top) * scaleY);
+    const tool = ui.mouseTool.value;
+
+    if (tool === "dye") {
+      paintDye(x, y);
+      return;
+    }
+    if (tool === "probe") {
+      if (!lastPos) placeProbe(x, y);
+      lastPos = { x, y };
+      return;
+    }
+    // One seed per click, at the exact pointer position rather than the cell.
+    if (tool === "seed") {
+      if (!lastPos) {
+        sim.addStreamlineSeed((event.clientX - rect.left) * scaleX, sim.gridHeight - (event.clientY - rect.top) * scaleY);
+        ui.showStreamlines.checked = true;
+        sim.setParameter("showStreamlines", true);
       }
-    } else {
-      placeBarrierAt(x, y);
+      lastPos = { x, y };
+      return;
+    }
+    if (tool === "select") {
+      useSelection(x, y);
+      return;
     }
 
+    const { gridWidth, gridHeight } = sim;
+    const value = ui.barrierMode.value === "draw" ? 1 : 0;
+    const radius = parseInt(ui.brushRadius.value);
+    if (!startPos) {
+      startPos = { x, y };
+      recordBarrierEdit();
+      strokeBase = Int32Array.from(sim.barriers);
+    }
+    // The brush accumulates onto the stroke; the other tools redraw from the base.
+    const mask = tool === "brush" ? strokeBase : Int32Array.from(strokeBase);
+    if (tool === "brush") {
+      const from = lastPos || { x, y };
+      paintLine(mask, gridWidth, gridHeight, from.x, from.y, x, y, radius, value);
+    } else if (tool === "line") {
+      paintLine(mask, gridWidth, gridHeight, startPos.x, startPos.y, x, y, radius, value);
+    } else if (tool === "rect") {
+      paintRect(mask, gridWidth, gridHeight, startPos.x, startPos.y, x, y, value);
+    } else if (tool === "ellipse") {
+      paintEllipse(mask, gridWidth, gridHeight, startPos.x, startPos.y, x, y, value);
+    } else if (tool === "fill") {
+      if (lastPos) return;
+      floodFill(mask, gridWidth, gridHeight, x, y, value);
+    }
+    shapeLayer = null;
+    sim.setBarriers(mask);
+    lastPos = { x, y };
+  }
+
+  // Dye splats spaced half a brush radius apart along the stroke.
+  function paintDye(x, y) {
+    const radius = parseFloat(ui.dyeRadius.value);
+    const from = lastPos || { x, y };
+    const steps = lastPos ? Math.max(Math.ceil(Math.hypot(x - from.x, y - from.y) / (0.5 * radius)), 1) : 0;
+    for (let i = lastPos ? 1 : 0; i <= steps; i++) {
+      sim.addDye(from.x + (x - from.x) * (i / steps) + 0.5, from.y + (y - from.y) * (i / steps) + 0.5, radius);
+    }
     lastPos = { x, y };
   }
 
-  function placeBarrierAt(x, y) {
-    if (x < 0 || x >= gridWidth || y < 0 || y >= gridHeight) return;
-    const index = y * gridWidth + x;
+  // ----- Barrier Selection -----
+  // Dragging outside the selection selects a new box; dragging inside moves
+  // it. The selected cells are lifted out of the mask (see liftSelection) and
+  // placed again at their offset and the selection scale after each change.
+  let selection = null;
+  let selectionDrag = null;
+  let placingSelection = false;
+
+  function useSelection(x, y) {
+    if (!lastPos) {
+      const box = selection?.placed;
+      if (box && x >= box.minX && x <= box.maxX && y >= box.minY && y <= box.maxY) {
+        recordBarrierEdit();
+        selectionDrag = { move: true, x, y, dx: selection.dx, dy: selection.dy };
+      } else {
+        dropSelection();
+        selectionDrag = { move: false, x, y };
+      }
+    }
+    lastPos = { x, y };
+    if (selectionDrag.move) {
+      selection.dx = selectionDrag.dx + x - selectionDrag.x;
+      selection.dy = selectionDrag.dy + y - selectionDrag.y;
+      placeCurrentSelection();
+    } else {
+      showSelectionBox(clampRect(selectionDrag.x, selectionDrag.y, x, y, sim.gridWidth, sim.gridHeight));
+    }
+  }
 
-    // Set erase mode based on first contact
-    if (erase === null) {
-      erase = barrierArray[index] === 0 ? 1 : 0;
+  function finishSelection() {
+    if (selectionDrag && !selectionDrag.move && lastPos) {
+      const box = clampRect(selectionDrag.x, selectionDrag.y, lastPos.x, lastPos.y, sim.gridWidth, sim.gridHeight);
+      if (box) {
+        selection = { ...liftSelection(sim.barriers, sim.gridWidth, box), dx: 0, dy: 0, placed: box };
+        ui.selectionScale.value = 1;
+        ui.selectionScaleValue.textContent = "1.00";
+      }
     }
+    selectionDrag = null;
+  }
+
+  function placeCurrentSelection() {
+    const scaleFactor = parseFloat(ui.selectionScale.value);
+    const { mask, box } = placeSelection(selection, sim.gridWidth, sim.gridHeight, selection.dx, selection.dy, scaleFactor);
+    selection.placed = box;
+    placingSelection = true;
+    shapeLayer = null;
+    sim.setBarriers(mask);
+    placingSelection = false;
+    showSelectionBox(box);
+  }
 
-    barrierArray[index] = erase;
+  function dropSelection() {
+    selection = null;
+    showSelectionBox(null);
+  }
 
-    device.queue.writeBuffer(
-      barrierBuffer,
-      index * Int32Array.BYTES_PER_ELEMENT,
-      new Int32Array([barrierArray[index]])
-    );
+  function showSelectionBox(box) {
+    ui.selectionBox.classList.toggle("hidden", !box);
+    if (!box) return;
+    const rect = canvas.getBoundingClientRect();
+    const cellWidth = scale * rect.width / canvas.width;
+    const cellHeight = scale * rect.height / canvas.height;
+    ui.selectionBox.style.left = `${rect.left + box.minX * cellWidth}px`;
+    ui.selectionBox.style.top = `${rect.top + (sim.gridHeight - 1 - box.maxY) * cellHeight}px`;
+    ui.selectionBox.style.width = `${(box.maxX - box.minX + 1) * cellWidth}px`;
+    ui.selectionBox.style.height = `${(box.maxY - box.minY + 1) * cellHeight}px`;
   }
 
+  // One undo step per slider drag.
+  let scaleRecorded = false;
+  ui.selectionScale.addEventListener("input", () => {
+    ui.selectionScaleValue.textContent = parseFloat(ui.selectionScale.value).toFixed(2);
+    if (!selection) return;
+    if (!scaleRecorded) recordBarrierEdit();
+    scaleRecorded = true;
+    placeCurrentSelection();
+  });
+  ui.selectionScale.addEventListener("change", () => {
+    scaleRecorded = false;
+  });
+
+  // Any other barrier change leaves the lifted cells out of date.
+  sim.addEventListener("barrierchange", () => {
+    if (!placingSelection) dropSelection();
+  });
+  sim.addEventListener("resize", dropSelection);
+
+  // ----- Barrier Undo -----
+  // States are copies of the mask with its grid size, resampled on restore
+  // if the grid has been resized since.
+  const barrierHistory = new EditHistory();
+
+  function barrierState() {
+    return { mask: Uint8Array.from(sim.barriers), gridWidth: sim.gridWidth, gridHeight: sim.gridHeight };
+  }
+
+  function recordBarrierEdit() {
+    barrierHistory.record(barrierState());
+  }
+
+  function restoreBarriers(state) {
+    if (!state) return;
+    shapeLayer = null;
+    sim.setBarriers(resampleMask(state.mask, state.gridWidth, state.gridHeight, sim.gridWidth, sim.gridHeight));
+  }
+
+  ui.undoBarriers.addEventListener("click", () => restoreBarriers(barrierHistory.undo(barrierState())));
+  ui.redoBarriers.addEventListener("click", () => restoreBarriers(barrierHistory.redo(barrierState())));
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target?.tagName === "TEXTAREA" || ["text", "number"].includes(event.target?.type)) return;
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      restoreBarriers(barrierHistory.undo(barrierState()));
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+      restoreBarriers(barrierHistory.redo(barrierState()));
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
   // ----- Barrier Image Upload & Processing -----
   ui.thresholdSlider.addEventListener("input", () => {
     const t = parseFloat(ui.thresholdSlider.value);
     ui.thresholdValue.textContent = t.toFixed(2);
   });
+  // Brightness of the image, scaled and centred on the grid, per cell (0 outside it).
+  function imageBrightness(img) {
+    const { gridWidth, gridHeight } = sim;
+    const brightness = new Float32Array(sim.numCells);
+    // Get the UI scale factor.
+    const uiScale = parseFloat(ui.imageScale.value);
+    // Compute the maximum scale factor to fit the canvas.
+    const fitScale = Math.min(gridWidth / img.width, gridHeight / img.height);
+    // Final target size: original image scaled by fitScale and then by uiScale.
+    const targetWidth = Math.round(img.width * fitScale * uiScale);
+    const targetHeight = Math.round(img.height * fitScale * uiScale);
+    // Create offscreen canvas to draw the scaled image.
+    const offCanvas = document.createElement("canvas");
+    offCanvas.width = targetWidth;
+    offCanvas.height = targetHeight;
+    const offCtx = offCanvas.getContext("2d");
+    offCtx.drawImage(img, 0, 0, targetWidth, targetHeight);
+    const imageData = offCtx.getImageData(0, 0, targetWidth, targetHeight);
+    // Compute offsets to center the image in the simulation grid.
+    const offsetX = Math.floor((gridWidth - targetWidth) / 2);
+    const offsetY = Math.floor((gridHeight - targetHeight) / 2);
+    for (let j = 0; j < targetHeight; j++) {
+      for (let i = 0; i < targetWidth; i++) {
+        const idx = ((targetHeight - 1 - j) * targetWidth + i) * 4;
+        // Compute normalized brightness (average of R, G, B).
+        const b = (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / (3 * 255);
+        const simX = offsetX + i;
+        const simY = offsetY + j;
+        if (simX >= 0 && simX < gridWidth && simY >= 0 && simY < gridHeight) {
+          brightness[simY * gridWidth + simX] = ui.barrierInvert.checked ? 1 - b : b;
+        }
+      }
+    }
+    return brightness;
+  }
+
+  // Barriers where the brightness is above the threshold, or a porous medium
+  // with the brightness as its solid fraction.
   ui.barrierApply.addEventListener("click", () => {
     if (!ui.barrierUpload.files || ui.barrierUpload.files.length === 0) return;
-    clearBarriers();
     const file = ui.barrierUpload.files[0];
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
       img.onload = () => {
-        // Get the UI scale factor.
-        const uiScale = parseFloat(ui.imageScale.value);
-        // Compute the maximum scale factor to fit the canvas.
-        const fitScale = Math.min(gridWidth / img.width, gridHeight / img.height);
-        // Final target size: original image scaled by fitScale and then by uiScale.
-        const targetWidth = Math.round(img.width * fitScale * uiScale);
-        const targetHeight = Math.round(img.height * fitScale * uiScale);
-        // Create offscreen canvas to draw the scaled image.
-        const offCanvas = document.createElement("canvas");
-        offCanvas.width = targetWidth;
-        offCanvas.height = targetHeight;
-        const offCtx = offCanvas.getContext("2d");
-        offCtx.drawImage(img, 0, 0, targetWidth, targetHeight);
-        const imageData = offCtx.getImageData(0, 0, targetWidth, targetHeight);
-        // Compute offsets to center the barrier image in the simulation grid.
-        const offsetX = Math.floor((gridWidth - targetWidth) / 2);
-        const offsetY = Math.floor((gridHeight - targetHeight) / 2);
-        const threshold = parseFloat(ui.thresholdSlider.value);
-        // Update barrierArray: set to 1 for pixels with brightness above threshold.
-        for (let j = 0; j < targetHeight; j++) {
-          for (let i = 0; i < targetWidth; i++) {
-            const idx = ((targetHeight - j) * targetWidth + i) * 4;
-            // Compute normalized brightness (average of R, G, B).
-            const b = (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / (3 * 255);
-            const brightness = ui.barrierInvert.checked ? 1 - b : b;
-            if (brightness > threshold) {
-              const simX = offsetX + i;
-              const simY = offsetY + j;
-              if (simX >= 0 && simX < gridWidth && simY >= 0 && simY < gridHeight) {
-                barrierArray[simY * gridWidth + simX] = 1;
-              }
-            }
-          }
+        const brightness = imageBrightness(img);
+        if (ui.imageMode.value === "porous") {
+          sim.setSolidFraction(brightness);
+          return;
         }
-        device.queue.writeBuffer(barrierBuffer, 0, barrierArray.buffer);
+        const threshold = parseFloat(ui.thresholdSlider.value);
+        recordBarrierEdit();
+        shapeLayer = null;
+        sim.setBarriers(brightness.map((b) => (b > threshold ? 1 : 0)));
       };
       img.src = e.target.result;
     };
     reader.readAsDataURL(file);
   });
+  ui.imageMode.addEventListener("change", () => {
+    ui.thresholdRow.classList.toggle("hidden", ui.imageMode.value === "porous");
+  });
 
   ui.barrierClear.addEventListener("click", () => {
-    clearBarriers();
+    recordBarrierEdit();
+    shapeLayer = null;
+    sim.clearBarriers();
+    sim.clearSolidFraction();
   });
-  function clearBarriers() {
-    barrierArray.fill(0);
-    device.queue.writeBuffer(barrierBuffer, 0, barrierArray.buffer);
+
+  // ----- Parametric Geometry -----
+  // The live shape follows the geometry controls until another shape is placed.
+  // shapeLayer holds its rasterised cells ({ mask, gridWidth, gridHeight }) so
+  // they can be replaced on each edit.
+  let shapeLayer = null;
+
+  function readShape() {
+    return {
+      type: ui.shapeType.value,
+      naca: ui.nacaCode.value.trim(),
+      aspect: parseFloat(ui.shapeAspect.value),
+      path: ui.svgPath.value,
+      x: parseFloat(ui.shapeX.value),
+      y: parseFloat(ui.shapeY.value),
+      chord: parseFloat(ui.shapeChord.value),
+      angle: parseFloat(ui.shapeAngle.value),
+    };
   }
 
-  // ----- Simulation Loop -----
-  let useBuffer0 = true;
-  function frame() {
-    const commandEncoder = device.createCommandEncoder();
-    for (let i = 0; i < speed; i++) {
-      {
-        const collisionPass = commandEncoder.beginComputePass();
-        collisionPass.setPipeline(collisionPipeline);
-        collisionPass.setBindGroup(0, collisionBindGroup(useBuffer0 ? stateBuffer0 : stateBuffer1));
-        collisionPass.dispatchWorkgroups(Math.ceil(gridWidth / 16), Math.ceil(gridHeight / 16));
-        collisionPass.end();
+  function applyShape() {
+    let mask;
+    try {
+      mask = shapeMask(readShape(), sim.gridWidth, sim.gridHeight);
+    } catch (error) {
+      ui.shapeStatus.textContent = error.message;
+      return;
+    }
+    const barriers = Int32Array.from(sim.barriers);
+    if (shapeLayer) {
+      for (let i = 0; i < barriers.length; i++) if (shapeLayer.mask[i]) barriers[i] = 0;
+    }
+    for (let i = 0; i < barriers.length; i++) if (mask[i]) barriers[i] = 1;
+    shapeLayer = { mask, gridWidth: sim.gridWidth, gridHeight: sim.gridHeight };
+    sim.setBarriers(barriers);
+    ui.shapeStatus.textContent = "";
+  }
+
+  function updateShapeControls() {
+    const type = ui.shapeType.value;
+    ui.nacaRow.classList.toggle("hidden", type !== "naca");
+    ui.aspectRow.classList.toggle("hidden", type !== "ellipse" && type !== "rectangle");
+    ui.svgRow.classList.toggle("hidden", type !== "svg");
+    ui.shapeAspectValue.textContent = parseFloat(ui.shapeAspect.value).toFixed(2);
+    ui.shapeXValue.textContent = parseFloat(ui.shapeX.value).toFixed(2);
+    ui.shapeYValue.textContent = parseFloat(ui.shapeY.value).toFixed(2);
+    ui.shapeChordValue.textContent = parseFloat(ui.shapeChord.value).toFixed(2);
+    ui.shapeAngleValue.textContent = parseFloat(ui.shapeAngle.value).toFixed(1);
+  }
+
+  for (const control of [ui.shapeType, ui.nacaCode, ui.shapeAspect, ui.svgPath, ui.shapeX, ui.shapeY, ui.shapeChord, ui.shapeAngle]) {
+    control.addEventListener("input", () => {
+      updateShapeControls();
+      if (shapeLayer) applyShape();
+    });
+  }
+  ui.svgUpload.addEventListener("change", async () => {
+    const file = ui.svgUpload.files[0];
+    if (!file) return;
+    try {
+      ui.svgPath.value = svgDocumentPaths(await file.text());
+      if (shapeLayer) applyShape();
+    } catch (error) {
+      ui.shapeStatus.textContent = error.message;
+    }
+  });
+  ui.placeShape.addEventListener("click", () => {
+    // Keep the current live shape and start a new one.
+    recordBarrierEdit();
+    shapeLayer = null;
+    applyShape();
+  });
+  ui.removeShape.addEventListener("click", () => {
+    if (!shapeLayer) return;
+    recordBarrierEdit();
+    const barriers = Int32Array.from(sim.barriers);
+    for (let i = 0; i < barriers.length; i++) if (shapeLayer.mask[i]) barriers[i] = 0;
+    shapeLayer = null;
+    sim.setBarriers(barriers);
+  });
+  sim.addEventListener("resize", (event) => {
+    if (!shapeLayer) return;
+    // Carry the live shape over to the new grid, then re-rasterise it cleanly.
+    const { gridWidth, gridHeight } = event.detail;
+    shapeLayer.mask = resampleMask(shapeLayer.mask, shapeLayer.gridWidth, shapeLayer.gridHeight, gridWidth, gridHeight);
+    applyShape();
+  });
+  updateShapeControls();
+
+  // ----- Moving Bodies -----
+  // Motion sliders: element id, displayed decimals. The panel keeps each
+  // body's slider values so they can be shown again when it is selected.
+  const bodySliders = [
+    ["bodyVx", 3],
+    ["bodyVy", 3],
+    ["bodyOmega", 4],
+    ["bodyHeave", 0],
+    ["bodyPitch", 0],
+    ["bodyPeriod", 0],
+  ];
+  const bodySettings = new WeakMap();
+
+  function readBodySettings() {
+    return {
+      motion: ui.bodyMotion.value,
+      ...Object.fromEntries(bodySliders.map(([id]) => [id, parseFloat(document.getElementById(id).value)])),
+    };
+  }
+
+  function bodyMotion(settings) {
+    if (settings.motion === "oscillate") {
+      return {
+        script: oscillation({
+          heave: settings.bodyHeave,
+          pitch: settings.bodyPitch * Math.PI / 180,
+          period: settings.bodyPeriod,
+        }),
+      };
+    }
+    return { vx: settings.bodyVx, vy: settings.bodyVy, omega: settings.bodyOmega };
+  }
+
+  function selectedBody() {
+    return sim.bodies[parseInt(ui.bodySelect.value)] ?? null;
+  }
+
+  function updateBodyControls() {
+    ui.constantMotionRow.classList.toggle("hidden", ui.bodyMotion.value !== "constant");
+    ui.oscillateMotionRow.classList.toggle("hidden", ui.bodyMotion.value !== "oscillate");
+    for (const [id, digits] of bodySliders) {
+      document.getElementById(id + "Value").textContent = parseFloat(document.getElementById(id).value).toFixed(digits);
+    }
+  }
+
+  // The selection's cells if there is one, otherwise every barrier, become a
+  // body turning about their centroid with the current motion settings.
+  ui.makeBody.addEventListener("click", () => {
+    const cells = Int32Array.from(sim.barriers);
+    const box = selection?.placed;
+    if (box) {
+      for (let y = 0; y < sim.gridHeight; y++) {
+        for (let x = 0; x < sim.gridWidth; x++) {
+          if (x < box.minX || x > box.maxX || y < box.minY || y > box.maxY) cells[y * sim.gridWidth + x] = 0;
+        }
       }
+    }
+    const options = bodyFromMask(cells, sim.gridWidth, sim.gridHeight);
+    if (!options) {
+      ui.bodyStatus.textContent = "There are no barriers to make a body from";
+      return;
+    }
+    const settings = readBodySettings();
+    let body;
+    try {
+      body = sim.addBody({ ...options, ...bodyMotion(settings) });
+    } catch (error) {
+      ui.bodyStatus.textContent = error.message;
+      return;
+    }
+    bodySettings.set(body, settings);
+    ui.bodySelect.value = sim.bodies.indexOf(body);
+    recordBarrierEdit();
+    shapeLayer = null;
+    sim.setBarriers(sim.barriers.map((solid, i) => (cells[i] ? 0 : solid)));
+    ui.bodyStatus.textContent = "";
+  });
+
+  ui.bodySelect.addEventListener("change", () => {
+    const settings = bodySettings.get(selectedBody());
+    if (!settings) return;
+    ui.bodyMotion.value = settings.motion;
+    for (const [id] of bodySliders) document.getElementById(id).value = settings[id];
+    updateBodyControls();
+  });
+
+  // Motion changes apply when a control is released, from the body's current pose.
+  ui.bodyMotion.addEventListener("change", updateBodyControls);
+  for (const control of [ui.bodyMotion, ...bodySliders.map(([id]) => document.getElementById(id))]) {
+    control.addEventListener("input", updateBodyControls);
+    control.addEventListener("change", () => {
+      const body = selectedBody();
+      if (!body) return;
+      const settings = readBodySettings();
+      bodySettings.set(body, settings);
+      sim.setBodyMotion(body, bodyMotion(settings));
+    });
+  }
 
-      {
-        const streamingPass = commandEncoder.beginComputePass();
-        streamingPass.setPipeline(streamingPipeline);
-        streamingPass.setBindGroup(0, streamingBindGroup(useBuffer0 ? stateBuffer1 : stateBuffer0));
-        streamingPass.dispatchWorkgroups(Math.ceil(gridWidth / 16), Math.ceil(gridHeight / 16));
-        streamingPass.end();
+  ui.removeBody.addEventListener("click", () => {
+    const body = selectedBody();
+    if (body) sim.removeBody(body);
+  });
+  ui.clearBodies.addEventListener("click", () => sim.clearBodies());
+
+  sim.addEventListener("bodychange", () => {
+    const selected = ui.bodySelect.value;
+    ui.bodySelect.replaceChildren(...sim.bodies.map((body, i) => {
+      const option = document.createElement("option");
+      option.value = i;
+      option.textContent = `Body ${i + 1}`;
+      return option;
+    }));
+    if (selected < sim.bodies.length) ui.bodySelect.value = selected;
+  });
+  updateBodyControls();
+
+  // ----- Snapshots -----
+  ui.saveSnapshot.addEventListener("click", async () => {
+    const snapshot = await sim.saveSnapshot();
+    downloadFile(`lbm-${sim.gridWidth}x${sim.gridHeight}-step${sim.stepCount}.lbm`, snapshot);
+  });
+  ui.loadSnapshot.addEventListener("click", () => {
+    ui.snapshotUpload.click();
+  });
+  ui.snapshotUpload.addEventListener("change", async () => {
+    const file = ui.snapshotUpload.files[0];
+    if (!file) return;
+    ui.snapshotUpload.value = "";
+    try {
+      shapeLayer = null;
+      const bodies = sim.bodies.length;
+      const snapshot = await sim.loadSnapshot(await file.arrayBuffer());
+      setUnitMode("lattice");
+      syncControls();
+      const gridWidth = Math.floor(width / scale);
+      const gridHeight = Math.floor(height / scale);
+      let status = `Loaded ${file.name} at step ${snapshot.stepCount}.`;
+      if (bodies > 0) {
+        status += ` Removed ${bodies} moving ${bodies === 1 ? "body" : "bodies"}, which snapshots do not hold.`;
+      }
+      if (snapshot.gridWidth !== gridWidth || snapshot.gridHeight !== gridHeight) {
+        status += ` Resampled from ${snapshot.gridWidth}x${snapshot.gridHeight} to ${gridWidth}x${gridHeight}.`;
+        await sim.resize(gridWidth, gridHeight);
       }
-      useBuffer0 = !useBuffer0;
+      ui.snapshotStatus.textContent = status;
+    } catch (error) {
+      ui.snapshotStatus.textContent = `Could not load ${file.name}: ${error.message}`;
     }
+  });
 
-    const textureView = context.getCurrentTexture().createView();
-    const renderPass = commandEncoder.beginRenderPass({
-      colorAttachments: [{
-        view: textureView,
-        clearValue: { r: 0, g: 0, b: 0, a: 1 },
-        loadOp: 'clear',
-        storeOp: 'store',
-      }],
+  // ----- Scenarios -----
+  // A scenario holds the simulation parameters, the barriers and these
+  // panel-only settings (by element id), but not the flow itself.
+  const scenarioSettings = [
+    "simSpeed", "simRes", "unitMode", "reynolds", "physicalLength", "physicalViscosity", "timeStep", "refLength",
+    "threshold", "imageScale", "barrierInvert", "dyeRadius", "measureForces", "showLegend", "pauseOnConvergence",
+  ];
+
+  function currentScenario() {
+    return encodeScenario({
+      parameters: { ...sim.params },
+      settings: Object.fromEntries(scenarioSettings.map((id) => {
+        const element = document.getElementById(id);
+        return [id, element.type === "checkbox" ? element.checked : element.value];
+      })),
+      gridWidth: sim.gridWidth,
+      gridHeight: sim.gridHeight,
+      barriers: sim.barriers,
     });
-    renderPass.setPipeline(renderPipeline);
-    renderPass.setBindGroup(0, renderBindGroup(useBuffer0 ? stateBuffer1 : stateBuffer0));
-    renderPass.draw(3, 1, 0, 0);
-    renderPass.end();
+  }
 
-    device.queue.submit([commandEncoder.finish()]);
+  // Settings go first, since the resolution decides the grid that the
+  // barriers are resampled to. The flow restarts from rest. Returns the names
+  // of parameters that were not accepted.
+  async function applyScenario(text) {
+    const { parameters, settings, barriers } = decodeScenario(text);
+    for (const id of scenarioSettings) {
+      if (!(id in settings)) continue;
+      const element = document.getElementById(id);
+      if (element.type === "checkbox") element.checked = !!settings[id];
+      else element.value = settings[id];
+    }
+    speed = parseInt(ui.simSpeedSlider.value);
+    ui.simSpeedValue.textContent = speed;
+    scale = parseInt(ui.simResSlider.value);
+    ui.simResValue.textContent = scale;
+    ui.thresholdValue.textContent = parseFloat(ui.thresholdSlider.value).toFixed(2);
+    ui.dyeRadiusValue.textContent = ui.dyeRadius.value;
+    sim.measureForces = ui.measureForces.checked;
+    ui.colorLegend.classList.toggle("hidden", !ui.showLegend.checked);
+    setUnitMode(ui.unitMode.value);
+    await sim.resize(Math.floor(width / scale), Math.floor(height / scale));
+
+    const rejected = [];
+    for (const [name, value] of Object.entries(parameters)) {
+      try {
+        sim.setParameter(name, value);
+      } catch {
+        rejected.push(name);
+      }
+    }
+    recordBarrierEdit();
+    shapeLayer = null;
+    sim.setBarriers(resampleMask(barriers.mask, barriers.gridWidth, barriers.gridHeight, sim.gridWidth, sim.gridHeight));
+    syncControls();
+    sim.reset();
+    return rejected;
+  }
+
+  async function loadScenario(text, source) {
+    try {
+      const rejected = await applyScenario(text);
+      let status = `Loaded scenario from ${source}.`;
+      if (rejected.length > 0) status += ` Ignored ${rejected.join(", ")}.`;
+      ui.scenarioStatus.textContent = status;
+    } catch (error) {
+      ui.scenarioStatus.textContent = `Could not load scenario from ${source}: ${error.message}`;
+    }
+  }
+
+  ui.exportScenario.addEventListener("click", () => {
+    downloadFile("scenario.json", currentScenario(), "application/json");
+  });
+  ui.importScenario.addEventListener("click", () => {
+    ui.scenarioUpload.click();
+  });
+  ui.scenarioUpload.addEventListener("change", async () => {
+    const file = ui.scenarioUpload.files[0];
+    if (!file) return;
+    ui.scenarioUpload.value = "";
+    await loadScenario(await file.text(), file.name);
+  });
+  ui.copyScenarioLink.addEventListener("click", async () => {
+    const url = new URL(location.href);
+    url.hash = scenarioToHash(currentScenario());
+    history.replaceState(null, "", url.href);
+    try {
+      await navigator.clipboard.writeText(url.href);
+      ui.scenarioStatus.textContent = "Link copied to the clipboard.";
+    } catch {
+      ui.scenarioStatus.textContent = "Could not copy the link; it is in the address bar.";
+    }
+  });
+
+  // ----- Field Export -----
+  // A sequence export writes numbered files whenever the step count passes a
+  // multiple of the interval, so one file per interval at any speed.
+  let exportNumber = 0;
+  let nextExportStep = null;
+  let exportPending = false;
+
+  async function exportFields(filename) {
+    const format = ui.exportFormat.value;
+    exportPending = true;
+    try {
+      const data = await sim.exportFields(format);
+      downloadFile(`${filename}.${format}`, data, exportMimeType(format));
+      ui.exportStatus.textContent = `Exported ${filename}.${format}`;
+    } catch (error) {
+      ui.exportStatus.textContent = `Could not export: ${error.message}`;
+    } finally {
+      exportPending = false;
+    }
+  }
+
+  ui.exportFields.addEventListener("click", () => {
+    exportFields(`lbm-${sim.gridWidth}x${sim.gridHeight}-step${sim.stepCount}`);
+  });
+  ui.exportSequence.addEventListener("change", () => {
+    exportNumber = 0;
+    nextExportStep = null;
+  });
+
+  function exportSequence() {
+    const interval = Math.max(parseInt(ui.exportInterval.value) || 1, 1);
+    if (!ui.exportSequence.checked || exportPending) return;
+    if (nextExportStep === null || nextExportStep > sim.stepCount + interval) {
+      nextExportStep = sim.stepCount;
+    }
+    if (sim.stepCount < nextExportStep) return;
+    nextExportStep = (Math.floor(sim.stepCount / interval) + 1) * interval;
+    exportFields(`lbm-${String(exportNumber++).padStart(5, "0")}`);
+  }
+
+  // Update the panel from the simulation parameters, e.g. after loading a
+  // snapshot or scenario. Other parameters share their element's id.
+  const sliderDigits = new Map(parameterSliders);
+  function syncControls() {
+    const { inflow, tau, vizMode } = sim.params;
+    ui.velocitySlider.value = inflow;
+    ui.velocityValue.textContent = inflow.toFixed(2);
+    const viscosity = (tau - 0.5) / 3;
+    ui.viscositySlider.value = viscosity;
+    ui.viscosityValue.textContent = viscosity.toFixed(3);
+    ui.vizSelect.value = vizMode;
+    for (const [name, value] of Object.entries(sim.params)) {
+      const element = document.getElementById(name);
+      if (!element) continue;
+      if (element.type === "checkbox") element.checked = value;
+      else element.value = value;
+      if (sliderDigits.has(name)) document.getElementById(name + "Value").textContent = value.toFixed(sliderDigits.get(name));
+    }
+    updateCollisionControls();
+    updateThermalControls();
+    updateMultiphaseControls();
+    updateTracerControls();
+    ui.colorRangeRow.classList.toggle("hidden", sim.params.colorRange !== "manual");
+  }
+
+  // ----- Lift & Drag -----
+  const forceChart = new TimeSeriesChart(ui.forceChart, {
+    series: [{ name: "Cd", color: "#e8804c" }, { name: "Cl", color: "#4ca8e8" }],
+  });
+  let forceHistory = [];
+  let forceReadPending = false;
+
+  ui.measureForces.addEventListener("change", () => {
+    sim.measureForces = ui.measureForces.checked;
+  });
+  ui.clearForces.addEventListener("click", () => {
+    forceHistory = [];
+    forceChart.clear();
+    ui.forceValues.textContent = "Cd: - Cl: -";
+  });
+  ui.downloadForces.addEventListener("click", () => {
+    const csv = toCSV(["step", "fx", "fy", "cd", "cl"], forceHistory);
+    downloadFile("forces.csv", csv, "text/csv");
+  });
+
+  function sampleForces() {
+    if (!sim.measureForces || forceReadPending) return;
+    forceReadPending = true;
+    sim.readForces().then((force) => {
+      forceReadPending = false;
+      if (force.steps === 0) return;
+      const length = referenceLength();
+      if (!length) {
+        ui.forceValues.textContent = "Cd: - Cl: - (no barriers)";
+        return;
+      }
+      const { cd, cl } = forceCoefficients(force, sim.params.inflow, length);
+      forceHistory.push([sim.stepCount, force.fx, force.fy, cd, cl]);
+      forceChart.push(sim.stepCount, [cd, cl]);
+      forceChart.draw();
+      ui.forceValues.textContent = `Cd: ${cd.toFixed(3)} Cl: ${cl.toFixed(3)}`;
+    });
+  }
+
+  // ----- Permeability -----
+  // Measured every permeabilityInterval steps while there are porous cells;
+  // it settles once the flow through them is steady.
+  const permeabilityInterval = 200;
+  let permeabilityStep = -Infinity;
+  let permeabilityReadPending = false;
+  sim.addEventListener("barrierchange", () => { permeabilityStep = -Infinity; });
+
+  function samplePermeability() {
+    const { stepCount } = sim;
+    if (permeabilityReadPending ||
+      (stepCount >= permeabilityStep && stepCount < permeabilityStep + permeabilityInterval)) return;
+    permeabilityStep = stepCount;
+    const porous = sim.hasPorousCells();
+    ui.permeability.classList.toggle("hidden", !porous);
+    if (!porous) return;
+    permeabilityReadPending = true;
+    sim.readPermeability().then((result) => {
+      permeabilityReadPending = false;
+      ui.permeability.textContent = result
+        ? `Permeability: ${result.permeability.toPrecision(3)} cells^2 (Darcy velocity ${result.velocity.toFixed(4)})`
+        : "Permeability: - (no pressure drop across a porous region clear of the left and right edges)";
+    });
+  }
+
+  // ----- Convergence -----
+  const convergenceChart = new TimeSeriesChart(ui.convergenceChart, {
+    series: [{ name: "residual", color: "#7ddc6f" }],
+    logScale: true,
+  });
+  // Checks in step order, as returned by sim.readConvergence().
+  let convergenceHistory = [];
+  let convergenceReadPending = false;
+
+  function pauseSimulation() {
+    speed = 0;
+    ui.simSpeedSlider.value = 0;
+    ui.simSpeedValue.textContent = 0;
+  }
+
+  // The step, with the simulated time when physical units give a time step.
+  function simulatedTime(step) {
+    const timeStep = parseFloat(ui.timeStep.value);
+    if (ui.unitMode.value !== "physical" || !(timeStep > 0)) return `Step ${step}`;
+    return `Step ${step}, t = ${(step * timeStep).toPrecision(3)} s`;
+  }
+
+  function showConvergence(check) {
+    const { step, residual, invalidCells, maxDensity, clampedCells, diverged } = check;
+    let status;
+    if (diverged && invalidCells > 0) {
+      status = `diverged, NaN or non-positive density in ${invalidCells} cells`;
+    } else if (diverged && clampedCells > 0) {
+      status = `diverged, clamped ${clampedCells} cell updates, density up to ${maxDensity.toPrecision(3)}`;
+    } else if (diverged) {
+      status = `diverged, density up to ${maxDensity.toPrecision(3)}`;
+    } else if (residual === null) {
+      status = "residual - (first check)";
+    } else {
+      const steady = residual < sim.params.convergenceTolerance ? " (steady)" : "";
+      status = `residual ${residual.toExponential(2)}${steady}`;
+    }
+    ui.convergenceValues.textContent = `${simulatedTime(step)}: ${status}`;
+  }
+
+  function redrawConvergenceChart() {
+    convergenceChart.clear();
+    for (const { step, residual } of convergenceHistory.slice(-convergenceChart.maxPoints)) {
+      if (residual !== null) convergenceChart.push(step, [residual]);
+    }
+    convergenceChart.draw();
+  }
+
+  sim.addEventListener("converged", () => {
+    if (ui.pauseOnConvergence.checked) pauseSimulation();
+  });
+  sim.addEventListener("diverged", () => {
+    if (ui.pauseOnConvergence.checked) pauseSimulation();
+  });
+  ui.clearConvergence.addEventListener("click", () => {
+    convergenceHistory = [];
+    redrawConvergenceChart();
+    ui.convergenceValues.textContent = simulatedTime(sim.stepCount);
+  });
+  ui.downloadConvergence.addEventListener("click", () => {
+    const rows = convergenceHistory.map(({ step, residual, invalidCells, maxDensity, clampedCells, diverged }) =>
+      [step, residual, invalidCells, maxDensity, clampedCells, diverged ? 1 : 0]);
+    const csv = toCSV(["step", "residual", "invalidCells", "maxDensity", "clampedCells", "diverged"], rows);
+    downloadFile("convergence.csv", csv, "text/csv");
+  });
+
+  function sampleConvergence() {
+    if (convergenceReadPending) return;
+    convergenceReadPending = true;
+    sim.readConvergence().then((checks) => {
+      convergenceReadPending = false;
+      if (checks.length === 0) return;
+      // Steps running backwards mean a reset or a loaded snapshot.
+      if (convergenceHistory.length > 0 && checks[0].step <= convergenceHistory.at(-1).step) convergenceHistory = [];
+      convergenceHistory.push(...checks);
+      redrawConvergenceChart();
+      showConvergence(checks.at(-1));
+    });
+  }
+
+  // ----- Probes -----
+  const probeChart = new TimeSeriesChart(ui.probeChart, { series: [{ name: "", color: "#ffd933" }] });
+  // Samples in step order, as returned by sim.readProbes().
+  let probeHistory = [];
+  let probeReadPending = false;
+  const maxSpectrumSamples = 4096;
+
+  function placeProbe(x, y) {
+    try {
+      const { name } = sim.addProbe(x, y);
+      ui.probeSelect.value = name;
+      redrawProbeChart();
+    } catch (error) {
+      ui.probeValues.textContent = error.message;
+    }
+  }
+
+  // Rebuild the probe list and the on-canvas markers after probes change or the grid resizes.
+  sim.addEventListener("probechange", () => {
+    const selected = ui.probeSelect.value;
+    const rect = canvas.getBoundingClientRect();
+    const cellWidth = scale * rect.width / canvas.width;
+    const cellHeight = scale * rect.height / canvas.height;
+    ui.probeSelect.replaceChildren(...sim.probes.map(({ name }) => {
+      const option = document.createElement("option");
+      option.value = option.textContent = name;
+      return option;
+    }));
+    if (sim.probes.some(({ name }) => name === selected)) ui.probeSelect.value = selected;
+    ui.probeMarkers.replaceChildren(...sim.probes.map(({ name, x, y }) => {
+      const marker = document.createElement("div");
+      marker.className = "probe-marker";
+      marker.textContent = name;
+      marker.style.left = `${rect.left + (x + 0.5) * cellWidth}px`;
+      marker.style.top = `${rect.top + (sim.gridHeight - y - 0.5) * cellHeight}px`;
+      return marker;
+    }));
+    redrawProbeChart();
+  });
+
+  // Chart the selected probe and quantity, with the dominant frequency of the
+  // latest evenly spaced run of samples.
+  function redrawProbeChart() {
+    const name = ui.probeSelect.value;
+    const quantity = ui.probeQuantity.value;
+    const samples = probeHistory.filter(({ values }) => name in values);
+    probeChart.series[0].name = `${name} ${quantity}`;
+    probeChart.clear();
+    for (const { step, values } of samples.slice(-probeChart.maxPoints)) probeChart.push(step, [values[name][quantity]]);
+    probeChart.draw();
+
+    let start = samples.length - 1;
+    const interval = start > 0 ? samples[start].step - samples[start - 1].step : 0;
+    const first = Math.max(samples.length - maxSpectrumSamples, 0);
+    while (start > first && samples[start].step - samples[start - 1].step === interval) start--;
+    const frequency = dominantFrequency(samples.slice(start).map(({ values }) => values[name][quantity]), interval);
+    if (frequency === null) {
+      ui.probeValues.textContent = "f: - St: -";
+      return;
+    }
+    const length = referenceLength();
+    const strouhal = length ? strouhalNumber(frequency, length, sim.params.inflow).toFixed(3) : "- (no barriers)";
+    ui.probeValues.textContent = `f: ${frequency.toPrecision(3)} per step St: ${strouhal}`;
+  }
+
+  ui.probeSelect.addEventListener("change", redrawProbeChart);
+  ui.probeQuantity.addEventListener("change", redrawProbeChart);
+  ui.removeProbe.addEventListener("click", () => {
+    sim.removeProbe(ui.probeSelect.value);
+  });
+  ui.clearProbes.addEventListener("click", () => {
+    sim.clearProbes();
+  });
+  ui.clearProbeData.addEventListener("click", () => {
+    probeHistory = [];
+    redrawProbeChart();
+  });
+  // One column per probe and quantity, for every probe that was recorded.
+  ui.downloadProbes.addEventListener("click", () => {
+    const names = [...new Set(probeHistory.flatMap(({ values }) => Object.keys(values)))];
+    const columns = names.flatMap((name) => probeQuantities.map((quantity) => `${name}_${quantity}`));
+    const rows = probeHistory.map(({ step, values }) => [
+      step,
+      ...names.flatMap((name) => probeQuantities.map((quantity) => values[name]?.[quantity] ?? "")),
+    ]);
+    downloadFile("probes.csv", toCSV(["step", ...columns], rows), "text/csv");
+  });
+
+  function sampleProbes() {
+    if (sim.probes.length === 0 || probeReadPending) return;
+    probeReadPending = true;
+    sim.readProbes().then((samples) => {
+      probeReadPending = false;
+      if (samples.length === 0) return;
+      probeHistory.push(...samples);
+      redrawProbeChart();
+    });
+  }
+
+  // A scenario in the URL hash (from "Copy link") is applied on load.
+  try {
+    const linked = scenarioFromHash(location.hash);
+    if (linked !== null) await loadScenario(linked, "the link");
+  } catch (error) {
+    ui.scenarioStatus.textContent = `Could not read the scenario in the link: ${error.message}`;
+  }
+
+  // ----- Step Timing -----
+  // Time per step and million lattice updates per second of the latest timed
+  // step, refreshed twice a second.
+  let timingShownAt = 0;
+
+  ui.showTiming.addEventListener("change", () => {
+    ui.timingOverlay.classList.toggle("hidden", !ui.showTiming.checked);
+  });
+
+  function updateTiming() {
+    const now = performance.now();
+    if (!ui.showTiming.checked || now - timingShownAt < 500) return;
+    timingShownAt = now;
+    if (sim3D) {
+      ui.timingOverlay.textContent = "Step timing is only measured in 2D";
+    } else if (!sim.timing) {
+      ui.timingOverlay.textContent = device && !device.features.has("timestamp-query")
+        ? "Step timing needs timestamp queries, which this device lacks"
+        : "Step timing: -";
+    } else {
+      const kernel = device ? `GPU ${sim.precision}, ${sim.fusable() ? "fused" : "two-pass"}` : "CPU";
+      const { stepTime, mlups } = sim.timing;
+      ui.timingOverlay.textContent = `${kernel}: ${stepTime.toFixed(3)} ms / step, ${mlups.toFixed(1)} MLUPS`;
+    }
+  }
+
+  // ----- Simulation Loop -----
+  function frame() {
+    updateTiming();
+    if (sim3D) {
+      sim3D.step(speed);
+      sim3D.render(device ? context.getCurrentTexture().createView() : context);
+      updateLegend();
+      requestAnimationFrame(frame);
+      return;
+    }
+    refreshFlowStats();
+    sim.step(speed);
+    sampleForces();
+    samplePermeability();
+    sampleConvergence();
+    sampleProbes();
+    exportSequence();
+    sim.render(device ? context.getCurrentTexture().createView() : context);
+    updateLegend();
     requestAnimationFrame(frame);
   }
   requestAnimationFrame(frame);
@@ -687,9 +1875,9 @@
     }
   };
   window.onresize = () => {
-    if (window.innerWidth > canvas.width) location.reload();
     width = canvas.width = window.innerWidth;
     height = canvas.height = window.innerHeight;
     refreshGrid();
+    sim3D?.setViewSize(width, height);
   }
 })();
\ No newline at end of file
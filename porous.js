@@ -0,0 +1,48 @@
+import { computeMoments } from "./lattice.js";
+
+// ----- Porous Media -----
+// Columns holding any partially solid cell, or null when there are none.
+export function porousExtent(solidFraction, gridWidth, gridHeight) {
+  let minX = Infinity, maxX = -Infinity;
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      if (!(solidFraction[y * gridWidth + x] > 0)) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+    }
+  }
+  if (minX > maxX) return null;
+  return { minX, maxX, length: maxX - minX + 1 };
+}
+
+// Permeability of the porous region from Darcy's law, q = -(k / (rho nu)) dp/dx,
+// in cells^2. q is the superficial velocity, the mean ux over a whole column
+// with barrier cells counting as zero, and dp/dx the drop in p = rho / 3 from
+// the column just upstream of the region to the one just downstream. A body
+// acceleration along x drives the flow like a pressure gradient of rho * ax.
+// Null when there is no porous region, it reaches the left or right edge, or
+// nothing drives the flow through it.
+export function darcyPermeability(state, solidFraction, barriers, gridWidth, gridHeight, viscosity,
+  acceleration = [0, 0]) {
+  const extent = porousExtent(solidFraction, gridWidth, gridHeight);
+  if (!extent || extent.minX < 1 || extent.maxX > gridWidth - 2) return null;
+  const { density, ux } = computeMoments(state, gridWidth * gridHeight, acceleration);
+  const column = (x) => {
+    let rho = 0, flux = 0, fluid = 0;
+    for (let y = 0; y < gridHeight; y++) {
+      const i = y * gridWidth + x;
+      if (barriers[i]) continue;
+      rho += density[i];
+      flux += ux[i];
+      fluid++;
+    }
+    return { rho: fluid > 0 ? rho / fluid : 1, q: flux / gridHeight };
+  };
+  const upstream = column(extent.minX - 1);
+  const downstream = column(extent.maxX + 1);
+  const rho = 0.5 * (upstream.rho + downstream.rho);
+  const gradient = (upstream.rho - downstream.rho) / 3 / (extent.length + 1) + rho * acceleration[0];
+  if (!(gradient > 0)) return null;
+  const velocity = 0.5 * (upstream.q + downstream.q);
+  return { permeability: velocity * rho * viscosity / gradient, velocity, pressureGradient: gradient };
+}
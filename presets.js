@@ -0,0 +1,215 @@
+import { paintEllipse } from "./barriertools.js";
+
+// ----- Thermal Presets -----
+// Convection cases sized to the grid: parameters for setParameter and a
+// barrier mask. Temperatures run from cold 0 to hot 1, so the buoyancy
+// follows from the Rayleigh or Richardson number in lattice units.
+export const thermalPresets = ["rayleighBenard", "heatedCylinder"];
+const prandtl = 0.71;
+
+export function thermalPreset(name, gridWidth, gridHeight) {
+  const barriers = new Int32Array(gridWidth * gridHeight);
+  if (name === "rayleighBenard") {
+    // Ra = g beta dT H^3 / (nu alpha) = 1e5 between a hot floor and a cold
+    // lid, with the viscosity keeping the free-fall speed near 0.05 (or
+    // tau at 0.53 on small grids).
+    const rayleigh = 1e5;
+    const viscosity = Math.max(0.05 * gridHeight / Math.sqrt(rayleigh / prandtl), 0.01);
+    const diffusivity = viscosity / prandtl;
+    return {
+      parameters: {
+        ...thermalDefaults(viscosity, diffusivity),
+        inflow: 0,
+        leftBoundary: "periodic",
+        bottomBoundary: "noSlip",
+        topBoundary: "noSlip",
+        buoyancy: rayleigh * viscosity * diffusivity / gridHeight ** 3,
+        inletTemperature: 0.5,
+        bottomWallTemperature: "hot",
+        topWallTemperature: "cold",
+      },
+      barriers,
+    };
+  }
+  if (name === "heatedCylinder") {
+    // A hot cylinder an eighth of the height across in a cold stream, at
+    // Re = 100 (less on small grids, where tau stays at 0.53) and Richardson
+    // number g beta dT D / U^2 = 1.
+    const inflow = 0.05;
+    const diameter = Math.max(Math.round(gridHeight / 8), 4);
+    const viscosity = Math.max(inflow * diameter / 100, 0.01);
+    const cx = Math.round(gridWidth / 4), cy = Math.round(gridHeight / 2), r = Math.floor(diameter / 2);
+    paintEllipse(barriers, gridWidth, gridHeight, cx - r, cy - r, cx + r, cy + r, 1);
+    return {
+      parameters: {
+        ...thermalDefaults(viscosity, viscosity / prandtl),
+        inflow,
+        leftBoundary: "equilibrium",
+        rightBoundary: "outflow",
+        bottomBoundary: "freeSlip",
+        topBoundary: "freeSlip",
+        buoyancy: inflow * inflow / diameter,
+        inletTemperature: 0,
+        barrierTemperature: "hot",
+      },
+      barriers,
+    };
+  }
+  throw new Error(`Unknown thermal preset "${name}"`);
+}
+
+function thermalDefaults(viscosity, diffusivity) {
+  return {
+    tau: 3 * viscosity + 0.5,
+    thermal: true,
+    multiphase: "off",
+    gravity: 0,
+    bodyForce: 0,
+    thermalDiffusivity: diffusivity,
+    hotTemperature: 1,
+    coldTemperature: 0,
+    leftWallTemperature: "adiabatic",
+    rightWallTemperature: "adiabatic",
+    bottomWallTemperature: "adiabatic",
+    topWallTemperature: "adiabatic",
+    barrierTemperature: "adiabatic",
+    vizMode: "temperature",
+    colormap: "coolwarm",
+    colorRange: "manual",
+    colorMin: 0,
+    colorMax: 1,
+  };
+}
+
+// ----- Multiphase Layouts -----
+// Liquid fraction per cell for a multiphaseLayout, 0 gas to 1 liquid, with
+// interfaces a few cells wide so the first steps stay smooth.
+export function liquidFraction(layout, gridWidth, gridHeight) {
+  const fraction = new Float32Array(gridWidth * gridHeight);
+  const profile = (distance) => 0.5 - 0.5 * Math.tanh(distance / 2);
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      const px = x + 0.5, py = y + 0.5;
+      let phi = 0;
+      if (layout === "mixed") {
+        phi = 0.5 + 0.02 * (Math.random() - 0.5);
+      } else if (layout === "droplet") {
+        phi = profile(Math.hypot(px - gridWidth / 2, py - gridHeight / 2) - gridHeight / 5);
+      } else if (layout === "bubble") {
+        phi = 1 - profile(Math.hypot(px - gridWidth / 2, py - gridHeight / 4) - gridHeight / 8);
+      } else if (layout === "pool") {
+        phi = profile(py - gridHeight / 3);
+      } else if (layout !== "gas") {
+        throw new Error(`Unknown multiphase layout "${layout}"`);
+      }
+      fraction[y * gridWidth + x] = phi;
+    }
+  }
+  return fraction;
+}
+
+// ----- Multiphase Presets -----
+// Shan-Chen cases in the same form as the thermal presets, except that
+// barriers is null where the liquid should run through the current geometry.
+export const multiphasePresets = ["sessileDroplet", "risingBubble", "invasion"];
+
+export function multiphasePreset(name, gridWidth, gridHeight) {
+  if (name === "sessileDroplet") {
+    // A droplet settling onto a partially wetting floor.
+    return {
+      parameters: {
+        ...multiphaseDefaults("singleComponent"),
+        leftBoundary: "periodic",
+        bottomBoundary: "noSlip",
+        topBoundary: "noSlip",
+        gravity: 0.003 / gridHeight,
+        wetting: 0.3,
+        multiphaseLayout: "droplet",
+      },
+      barriers: new Int32Array(gridWidth * gridHeight),
+    };
+  }
+  if (name === "risingBubble") {
+    // A bubble of the lighter component rising through the heavier one in a
+    // closed box. A single component would condense a bubble this size.
+    return {
+      parameters: {
+        ...multiphaseDefaults("twoComponent"),
+        tau: 0.6,
+        leftBoundary: "noSlip",
+        rightBoundary: "noSlip",
+        bottomBoundary: "noSlip",
+        topBoundary: "noSlip",
+        gravity: 0.01 / gridHeight,
+        multiphaseLayout: "bubble",
+      },
+      barriers: new Int32Array(gridWidth * gridHeight),
+    };
+  }
+  if (name === "invasion") {
+    // The first component pushed in from the left, displacing the second
+    // through the barriers and out on the right.
+    return {
+      parameters: {
+        ...multiphaseDefaults("twoComponent"),
+        inflow: 0.02,
+        leftBoundary: "equilibrium",
+        rightBoundary: "outflow",
+        bottomBoundary: "noSlip",
+        topBoundary: "noSlip",
+        wetting: 0.5,
+        multiphaseLayout: "gas",
+      },
+      barriers: null,
+    };
+  }
+  throw new Error(`Unknown multiphase preset "${name}"`);
+}
+
+function multiphaseDefaults(multiphase) {
+  return {
+    tau: 1,
+    inflow: 0,
+    thermal: false,
+    gravity: 0,
+    bodyForce: 0,
+    multiphase,
+    coupling: -5,
+    componentCoupling: 1.5,
+    wetting: 0,
+    liquidDensity: 1.9,
+    gasDensity: 0.12,
+    vizMode: "phase",
+    colormap: "viridis",
+    colorRange: "manual",
+    colorMin: 0,
+    colorMax: 1,
+  };
+}
+
+// ----- Body Force Presets -----
+// Poiseuille flow: a periodic channel between no-slip walls at the top and
+// bottom edges, driven along x by a body force g = 8 nu U / H^2 that gives a
+// centreline speed U of 0.05 at Re = U H / nu = 50 (the walls sit half a cell
+// outside the grid, so H is the grid height).
+export function channelPreset(gridWidth, gridHeight) {
+  const centreSpeed = 0.05;
+  const viscosity = Math.min(Math.max(centreSpeed * gridHeight / 50, 0.01), 0.5);
+  return {
+    parameters: {
+      tau: 3 * viscosity + 0.5,
+      inflow: 0,
+      leftBoundary: "periodic",
+      bottomBoundary: "noSlip",
+      topBoundary: "noSlip",
+      thermal: false,
+      multiphase: "off",
+      gravity: 0,
+      bodyForce: 8 * viscosity * centreSpeed / gridHeight ** 2,
+      bodyForceAngle: 0,
+      vizMode: "speed",
+      colorRange: "auto",
+    },
+    barriers: new Int32Array(gridWidth * gridHeight),
+  };
+}
@@ -0,0 +1,66 @@
+// ----- Probe Analysis -----
+export const probeQuantities = ["density", "ux", "uy", "vorticity"];
+
+// In-place radix-2 FFT of (re, im); the length must be a power of two.
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size *= 2) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(angle * k), wi = Math.sin(angle * k);
+        const a = start + k, b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// Strongest nonzero frequency of evenly spaced samples, in cycles per unit of
+// sampleInterval: mean removed, Hann window, zero-padded to a power of two,
+// peak refined by parabolic interpolation. Null for fewer than 8 samples or a
+// constant signal.
+export function dominantFrequency(values, sampleInterval) {
+  const count = values.length;
+  if (count < 8) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / count;
+  const n = 2 ** Math.ceil(Math.log2(count));
+  const re = new Float64Array(n), im = new Float64Array(n);
+  for (let i = 0; i < count; i++) {
+    re[i] = (values[i] - mean) * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (count - 1)));
+  }
+  fft(re, im);
+  const power = (k) => re[k] * re[k] + im[k] * im[k];
+  let peak = 1;
+  for (let k = 2; k <= n / 2; k++) {
+    if (power(k) > power(peak)) peak = k;
+  }
+  if (!(power(peak) > 0)) return null;
+  let offset = 0;
+  if (peak < n / 2) {
+    const [a, b, c] = [power(peak - 1), power(peak), power(peak + 1)].map(Math.log);
+    const curvature = a - 2 * b + c;
+    if (curvature < 0 && isFinite(curvature)) offset = 0.5 * (a - c) / curvature;
+  }
+  return (peak + offset) / (n * sampleInterval);
+}
+
+// Strouhal number f L / U, with the frequency in cycles per lattice step.
+export function strouhalNumber(frequency, length, inflow) {
+  if (!(inflow > 0 && length > 0)) return 0;
+  return frequency * length / inflow;
+}
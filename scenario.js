@@ -0,0 +1,122 @@
+// ----- Scenario Format -----
+// A scenario is JSON text describing a setup rather than a flow state:
+//   format      "lbm-scenario"
+//   version     format version
+//   parameters  simulation parameters, as passed to setParameter
+//   settings    panel-only values (speed, resolution, units, ...) by element id
+//   barriers    { gridWidth, gridHeight, runs }, where runs is the barrier
+//               mask as run lengths, alternating fluid and solid and starting
+//               with fluid, each an unsigned LEB128 varint, all base64 encoded
+export const scenarioVersion = 1;
+const formatName = "lbm-scenario";
+const hashKey = "scenario=";
+
+export function encodeBarrierRuns(mask) {
+  const bytes = [];
+  const pushRun = (length) => {
+    for (; length >= 0x80; length = Math.floor(length / 0x80)) bytes.push((length & 0x7f) | 0x80);
+    bytes.push(length);
+  };
+  let solid = false;
+  let run = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (!!mask[i] === solid) {
+      run++;
+      continue;
+    }
+    pushRun(run);
+    solid = !solid;
+    run = 1;
+  }
+  pushRun(run);
+  return toBase64(Uint8Array.from(bytes));
+}
+
+export function decodeBarrierRuns(text, numCells) {
+  const bytes = fromBase64(text);
+  const mask = new Int32Array(numCells);
+  let position = 0;
+  let solid = false;
+  for (let i = 0; i < bytes.length;) {
+    let length = 0;
+    for (let scale = 1; ; scale *= 0x80) {
+      if (i >= bytes.length) throw new Error("Barrier runs end in the middle of a run");
+      const byte = bytes[i++];
+      length += (byte & 0x7f) * scale;
+      if (!(byte & 0x80)) break;
+    }
+    if (position + length > numCells) throw new Error("Barrier runs are longer than the grid");
+    if (solid) mask.fill(1, position, position + length);
+    position += length;
+    solid = !solid;
+  }
+  if (position !== numCells) throw new Error("Barrier runs do not cover the grid");
+  return mask;
+}
+
+export function encodeScenario({ parameters, settings, gridWidth, gridHeight, barriers }) {
+  return JSON.stringify({
+    format: formatName,
+    version: scenarioVersion,
+    parameters,
+    settings,
+    barriers: { gridWidth, gridHeight, runs: encodeBarrierRuns(barriers) },
+  }, null, 2);
+}
+
+// Parsed scenario with the barrier mask expanded to barriers.mask.
+export function decodeScenario(text) {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch {
+    throw new Error("Scenario is not valid JSON");
+  }
+  if (scenario?.format !== formatName) throw new Error("Not a simulation scenario");
+  if (!(scenario.version >= 1 && scenario.version <= scenarioVersion)) {
+    throw new Error(`Unsupported scenario version ${scenario.version} (expected 1 to ${scenarioVersion})`);
+  }
+  const { gridWidth, gridHeight, runs } = scenario.barriers ?? {};
+  if (!(Number.isInteger(gridWidth) && gridWidth > 0 && Number.isInteger(gridHeight) && gridHeight > 0)) {
+    throw new Error("Scenario barrier grid size must be positive integers");
+  }
+  return {
+    version: scenario.version,
+    parameters: scenario.parameters ?? {},
+    settings: scenario.settings ?? {},
+    barriers: { gridWidth, gridHeight, mask: decodeBarrierRuns(runs ?? "", gridWidth * gridHeight) },
+  };
+}
+
+// ----- URL Hash -----
+// "#scenario=" followed by the scenario JSON as base64url UTF-8.
+export function scenarioToHash(text) {
+  const base64 = toBase64(new TextEncoder().encode(text));
+  return "#" + hashKey + base64.replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+// Scenario JSON from a location hash, or null if it holds none.
+export function scenarioFromHash(hash) {
+  const body = hash.replace(/^#/, "");
+  if (!body.startsWith(hashKey)) return null;
+  const base64 = body.slice(hashKey.length).replaceAll("-", "+").replaceAll("_", "/");
+  return new TextDecoder().decode(fromBase64(base64));
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch {
+    throw new Error("Scenario contains invalid base64 data");
+  }
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
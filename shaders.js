@@ -0,0 +1,1667 @@
+import { colormaps, colormapStops, colormapStopCount } from "./colormaps.js";
+
+// ----- WGSL Shaders -----
+// All uniforms are f32 and laid out in the order of uniformFields, so the
+// host-side Float32Array and the WGSL struct stay in sync.
+export const uniformFields = [
+  "gridWidth", "gridHeight", "tau", "vizMode", "inflow",
+  "leftBoundary", "rightBoundary", "bottomBoundary", "topBoundary",
+  "collisionModel", "trtMagic", "mrtEnergyRate", "mrtEpsilonRate", "mrtFluxRate", "smagorinsky",
+  "clampDistributions",
+  "tracerMode", "tracerStyle", "tracerCount", "tracerLifetime",
+  "rakeSeeds", "rakeX0", "rakeY0", "rakeX1", "rakeY1", "dyeDiffusion",
+  "showArrows", "arrowSpacing", "arrowScale", "showStreamlines", "streamlineLength", "probeInterval",
+  "colormap", "colorRange", "colorMin", "colorMax",
+  "thermal", "thermalDiffusivity", "buoyancy", "hotTemperature", "coldTemperature", "inletTemperature",
+  "leftWallTemperature", "rightWallTemperature", "bottomWallTemperature", "topWallTemperature", "barrierTemperature",
+  "multiphase", "coupling", "componentCoupling", "wetting", "liquidDensity", "gasDensity", "gravity", "multiphaseLayout",
+  "bodyForce", "bodyForceAngle", "inflowProfile", "convergenceInterval", "convergenceTolerance",
+  // Set by the simulation rather than through setParameter.
+  "tracerSteps", "tracerHead", "tracerSeed", "streamlineSeedCount", "probeCount",
+];
+
+// Tracer buffers hold maxTracers particles, each with trailLength past positions.
+export const maxTracers = 16384;
+export const trailLength = 32;
+// Streamline buffers hold up to maxStreamlineLength points for each of maxStreamlineSeeds.
+export const maxStreamlineSeeds = 64;
+export const maxStreamlineLength = 512;
+// The probe sample buffer holds maxProbeSamples rows of maxProbes samples between readbacks.
+export const maxProbes = 16;
+export const maxProbeSamples = 256;
+// The convergence sample buffer holds this many checks between readbacks.
+export const maxConvergenceSamples = 256;
+
+const uniformStruct = `struct Uniforms {
+${uniformFields.map((name) => `    ${name}: f32,`).join("\n")}
+  };`;
+
+// ----- Population Storage -----
+// The kernels that touch the distributions store population d of cell i at
+// d * numCells + i (structure of arrays, so neighbouring threads read
+// neighbouring words), as its offset from the rest weight w_d, which keeps the
+// significant digits of low Mach flows in f16. Their modules start with
+// populationStorage(precision): "f32", or "f16" on a device with shader-f16.
+export function populationStorage(precision) {
+  if (precision === "f16") return "enable f16;\n  alias Population = f16;";
+  return "alias Population = f32;";
+}
+
+// Accessors over population buffers: name(cell, d) -> f32 reading buffer for
+// each [name, buffer] of reads, and name(cell, d, value) writing it for each of
+// writes. Expects uniforms and weights in the module.
+function populationAccess(reads, writes = []) {
+  return `fn populationIndex(cell: i32, d: u32) -> i32 {
+    return i32(d) * i32(uniforms.gridWidth) * i32(uniforms.gridHeight) + cell;
+  }
+${reads.map(([name, buffer]) => `
+  fn ${name}(cell: i32, d: u32) -> f32 {
+    return f32(${buffer}[populationIndex(cell, d)]) + weights[d];
+  }`).join("\n")}
+${writes.map(([name, buffer]) => `
+  fn ${name}(cell: i32, d: u32, value: f32) {
+    ${buffer}[populationIndex(cell, d)] = Population(value - weights[d]);
+  }`).join("\n")}`;
+}
+
+// Acceleration of the uniform body force and gravity, in cells / step^2.
+const bodyAcceleration = `fn bodyAcceleration() -> vec2<f32> {
+    let angle = radians(uniforms.bodyForceAngle);
+    return uniforms.bodyForce * vec2<f32>(cos(angle), sin(angle)) - vec2<f32>(0.0, uniforms.gravity);
+  }`;
+
+// Velocity of a cell, and bilinearly interpolated between cell centres (clamped
+// to the grid), from the moments the collision and fused kernels write: per
+// cell (density, ux, uy, density of the second component). Expects moments
+// and uniforms in the module.
+const velocitySampling = `fn cellVelocity(cx: i32, cy: i32) -> vec2<f32> {
+    return moments[cy * i32(uniforms.gridWidth) + cx].yz;
+  }
+
+  fn velocityAt(pos: vec2<f32>) -> vec2<f32> {
+    let size = vec2<f32>(uniforms.gridWidth, uniforms.gridHeight);
+    let p = clamp(pos - 0.5, vec2<f32>(0.0), size - 1.0);
+    let p0 = vec2<i32>(floor(p));
+    let p1 = min(p0 + 1, vec2<i32>(size) - 1);
+    let t = p - vec2<f32>(p0);
+    let bottom = mix(cellVelocity(p0.x, p0.y), cellVelocity(p1.x, p0.y), t.x);
+    let top = mix(cellVelocity(p0.x, p1.y), cellVelocity(p1.x, p1.y), t.x);
+    return mix(bottom, top, t.y);
+  }`;
+
+// Density of a cell, and the scalar shown by vizMode: density, speed,
+// vorticity (central differences, zero on the grid edges), the density
+// gradient magnitude for schlieren (one-sided on the edges), temperature or
+// phase: the liquid fraction, from the density between gasDensity and
+// liquidDensity, or with two components the first one's share of the density.
+// Expects cellVelocity from velocitySampling and the D2Q5 thermal array.
+const fieldSampling = `fn cellDensity(cx: i32, cy: i32) -> f32 {
+    return moments[cy * i32(uniforms.gridWidth) + cx].x;
+  }
+
+  fn fieldValue(x: i32, y: i32) -> f32 {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    let mode = round(uniforms.vizMode);
+    if (mode == 0.0) { return cellDensity(x, y); }
+    if (mode == 4.0) {
+      var temperature: f32 = 0.0;
+      for (var k: i32 = 0; k < 5; k = k + 1) {
+        temperature = temperature + thermal[(y * width + x) * 5 + k];
+      }
+      return temperature;
+    }
+    if (mode == 5.0) {
+      let density = cellDensity(x, y);
+      if (round(uniforms.multiphase) == 2.0) {
+        return density / max(density + moments[y * width + x].w, 1e-12);
+      }
+      return (density - uniforms.gasDensity) / (uniforms.liquidDensity - uniforms.gasDensity);
+    }
+    if (mode == 1.0) { return length(cellVelocity(x, y)); }
+    if (mode == 2.0) {
+      if (x == 0 || x == width - 1 || y == 0 || y == height - 1) { return 0.0; }
+      let duydx = (cellVelocity(x + 1, y).y - cellVelocity(x - 1, y).y) * 0.5;
+      let duxdy = (cellVelocity(x, y + 1).x - cellVelocity(x, y - 1).x) * 0.5;
+      return duydx - duxdy;
+    }
+    let density = cellDensity(x, y);
+    var left = density;
+    var right = density;
+    var bottom = density;
+    var top = density;
+    if (x > 0) { left = cellDensity(x - 1, y); }
+    if (x < width - 1) { right = cellDensity(x + 1, y); }
+    if (y > 0) { bottom = cellDensity(x, y - 1); }
+    if (y < height - 1) { top = cellDensity(x, y + 1); }
+    return length(vec2<f32>(right - left, top - bottom) * 0.5);
+  }`;
+
+// Which fluid component a collision or streaming pass works on: 0, or 1 for
+// the second component of a two-component flow.
+const componentStruct = `struct Component {
+    index: f32,
+  };`;
+
+// Density of component k in a cell of the given liquid fraction: gasDensity
+// to liquidDensity for the first component and the reverse for the second.
+// Walls act as cells of liquid fraction (1 + wetting) / 2, and equilibrium
+// and pressure edges hold each component at its liquid-phase density (1
+// without multiphase).
+const phaseDensities = `fn phaseDensity(k: f32, liquidFraction: f32) -> f32 {
+    var fraction = liquidFraction;
+    if (k > 0.5) { fraction = 1.0 - fraction; }
+    return mix(uniforms.gasDensity, uniforms.liquidDensity, fraction);
+  }
+
+  fn inletDensity() -> f32 {
+    if (uniforms.multiphase < 0.5) { return 1.0; }
+    return phaseDensity(component.index, 1.0);
+  }`;
+
+// The colormaps as one flat table of colormapStopCount stops per map, shared
+// with the 3D render shader.
+export const colormapTable = `const colormapStopCount: u32 = ${colormapStopCount}u;
+  const colormapTable = array<vec3<f32>, ${colormaps.length * colormapStopCount}>(
+${colormaps.flatMap((name) => colormapStops[name]).map(([r, g, b]) => `    vec3<f32>(${r.toFixed(3)}, ${g.toFixed(3)}, ${b.toFixed(3)}),`).join("\n")}
+  );`;
+
+// ----- Collision Compute Shader -----
+// collisionModel: 0 = BGK, 1 = TRT, 2 = MRT, 3 = BGK with a Smagorinsky eddy viscosity.
+// barriers holds cell types: 1 = solid, bounced back with the moving-wall
+// term for the cell's wall velocity (zero for static barriers); 2 = fluid a
+// moving body has just left, refilled at equilibrium with the wall velocity
+// and the mean density of its fluid neighbours. Body forces act through Guo
+// forcing: the velocity gains half the force and the relaxed populations a
+// source term. They are density times bodyAcceleration, and with thermal on
+// the Boussinesq buoyancy buoyancy * density * (T - inletTemperature) pushing up.
+// Fluid cells with a solidFraction ns > 0 then mix in bounce-back:
+// post = (1 - ns) * post + ns * f[opp], so ns = 1 acts as a solid cell.
+//
+// collisionSteps holds what the collision and fused kernels share. It expects
+// uniforms, barriers, wallVelocity, thermal, the lattice constants,
+// bodyAcceleration and population(cell, d), the pass's input populations.
+const collisionSteps = `// Orthogonal moment basis of Lallemand & Luo (2000): density, energy, energy
+  // squared, x momentum, x energy flux, y momentum, y energy flux, stresses.
+  const mrtBasis: array<array<f32, 9>, 9> = array<array<f32, 9>, 9>(
+    array<f32, 9>(1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0),
+    array<f32, 9>(-4.0, -1.0, -1.0, -1.0, -1.0, 2.0, 2.0, 2.0, 2.0),
+    array<f32, 9>(4.0, -2.0, -2.0, -2.0, -2.0, 1.0, 1.0, 1.0, 1.0),
+    array<f32, 9>(0.0, 1.0, 0.0, -1.0, 0.0, 1.0, -1.0, -1.0, 1.0),
+    array<f32, 9>(0.0, -2.0, 0.0, 2.0, 0.0, 1.0, -1.0, -1.0, 1.0),
+    array<f32, 9>(0.0, 0.0, 1.0, 0.0, -1.0, 1.0, 1.0, -1.0, -1.0),
+    array<f32, 9>(0.0, 0.0, -2.0, 0.0, 2.0, 1.0, 1.0, -1.0, -1.0),
+    array<f32, 9>(0.0, 1.0, -1.0, 1.0, -1.0, 0.0, 0.0, 0.0, 0.0),
+    array<f32, 9>(0.0, 0.0, 0.0, 0.0, 0.0, 1.0, -1.0, 1.0, -1.0)
+  );
+  // Squared norms of the basis rows, so the inverse is transpose / norm.
+  const mrtNorms: array<f32, 9> = array<f32, 9>(9.0, 36.0, 36.0, 6.0, 12.0, 6.0, 12.0, 4.0, 4.0);
+
+  // The moments buffer entry of a cell with pre-collision populations f: the
+  // density and the velocity with half the body acceleration, as
+  // velocitySampling reads them, and the second component's density.
+  fn cellMoments(f: array<f32, 9>, otherDensity: f32) -> vec4<f32> {
+    var density: f32 = 0.0;
+    var momentum = vec2<f32>(0.0);
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      density = density + f[d];
+      momentum = momentum + f[d] * vec2<f32>(f32(ex[d]), f32(ey[d]));
+    }
+    var u = vec2<f32>(0.0);
+    if (density > 0.0) { u = momentum / density + 0.5 * bodyAcceleration(); }
+    return vec4<f32>(density, u, otherDensity);
+  }
+
+  // Body acceleration of a fluid cell, with the buoyancy when thermal is on.
+  fn cellAcceleration(index: i32) -> vec2<f32> {
+    var acceleration = bodyAcceleration();
+    if (uniforms.thermal > 0.5) {
+      var temperature: f32 = 0.0;
+      for (var k: u32 = 0u; k < thermalDirs; k = k + 1u) {
+        temperature = temperature + thermal[index * i32(thermalDirs) + i32(k)];
+      }
+      acceleration.y = acceleration.y + uniforms.buoyancy * (temperature - uniforms.inletTemperature);
+    }
+    return acceleration;
+  }
+
+  // Post-collision populations of a solid (type 1) or refilled (type 2) cell.
+  fn solidPopulations(x: i32, y: i32, f: array<f32, 9>) -> array<f32, 9> {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    let index = y * width + x;
+    var post: array<f32, 9>;
+    if (barriers[index] == 1) {
+      let wall = wallVelocity[index];
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        let edotu = f32(ex[d]) * wall.x + f32(ey[d]) * wall.y;
+        post[d] = f[opp[d]] + 6.0 * weights[d] * edotu;
+      }
+      return post;
+    }
+    var sum: f32 = 0.0;
+    var count: f32 = 0.0;
+    for (var d: u32 = 1u; d < numDirs; d = d + 1u) {
+      let nx = x + ex[d];
+      let ny = y + ey[d];
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height || barriers[ny * width + nx] != 0) { continue; }
+      for (var k: u32 = 0u; k < numDirs; k = k + 1u) {
+        sum = sum + population(ny * width + nx, k);
+      }
+      count = count + 1.0;
+    }
+    var rho: f32 = 1.0;
+    if (count > 0.0) { rho = sum / count; }
+    let u = wallVelocity[index];
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      let edotu = f32(ex[d]) * u.x + f32(ey[d]) * u.y;
+      post[d] = weights[d] * rho * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * dot(u, u));
+    }
+    return post;
+  }
+
+  // Relax the populations f of a fluid cell of the given density towards the
+  // equilibrium at velocity (ux, uy), add the source of force and mix in
+  // bounce-back at solid fraction ns.
+  fn relax(populations: array<f32, 9>, density: f32, ux: f32, uy: f32, force: vec2<f32>, ns: f32) -> array<f32, 9> {
+    var f = populations;
+    let uSq = ux * ux + uy * uy;
+    var feq: array<f32, 9>;
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      let edotu = f32(ex[d]) * ux + f32(ey[d]) * uy;
+      feq[d] = weights[d] * density * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * uSq);
+    }
+    // Guo source of the force. Each model scales it by (1 - rate / 2) for the
+    // rate of every mode it feeds, so conserved moments take all of it.
+    var source: array<f32, 9>;
+    if (any(force != vec2<f32>(0.0))) {
+      let u = vec2<f32>(ux, uy);
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        let e = vec2<f32>(f32(ex[d]), f32(ey[d]));
+        source[d] = weights[d] * dot(3.0 * (e - u) + 9.0 * dot(e, u) * e, force);
+      }
+    }
+
+    var post: array<f32, 9>;
+    let model = i32(round(uniforms.collisionModel));
+    var tau = uniforms.tau;
+    if (model == 1) {
+      // TRT: symmetric parts relax with tau, antisymmetric parts with the
+      // rate fixed by the magic parameter (tau+ - 1/2)(tau- - 1/2).
+      let tauMinus = uniforms.trtMagic / (uniforms.tau - 0.5) + 0.5;
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        let o = opp[d];
+        let plus = 0.5 * (f[d] + f[o] - feq[d] - feq[o]);
+        let minus = 0.5 * (f[d] - f[o] - feq[d] + feq[o]);
+        let sourcePlus = 0.5 * (source[d] + source[o]);
+        let sourceMinus = 0.5 * (source[d] - source[o]);
+        post[d] = f[d] - plus / uniforms.tau - minus / tauMinus
+          + (1.0 - 0.5 / uniforms.tau) * sourcePlus + (1.0 - 0.5 / tauMinus) * sourceMinus;
+      }
+    } else if (model == 2) {
+      // MRT: relax each moment's departure from equilibrium at its own rate.
+      // Shear stresses relax with 1/tau; conserved moments are left alone.
+      let jx = density * ux;
+      let jy = density * uy;
+      var meq: array<f32, 9> = array<f32, 9>(
+        density, -2.0 * density + 3.0 * density * uSq, density - 3.0 * density * uSq,
+        jx, -jx, jy, -jy, density * (ux * ux - uy * uy), density * ux * uy);
+      var rates: array<f32, 9> = array<f32, 9>(
+        0.0, uniforms.mrtEnergyRate, uniforms.mrtEpsilonRate,
+        0.0, uniforms.mrtFluxRate, 0.0, uniforms.mrtFluxRate, 1.0 / uniforms.tau, 1.0 / uniforms.tau);
+      var dm: array<f32, 9>;
+      for (var k: u32 = 0u; k < numDirs; k = k + 1u) {
+        var m: f32 = 0.0;
+        var sourceMoment: f32 = 0.0;
+        for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+          m = m + mrtBasis[k][d] * f[d];
+          sourceMoment = sourceMoment + mrtBasis[k][d] * source[d];
+        }
+        dm[k] = (rates[k] * (m - meq[k]) - (1.0 - 0.5 * rates[k]) * sourceMoment) / mrtNorms[k];
+      }
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        var df: f32 = 0.0;
+        for (var k: u32 = 0u; k < numDirs; k = k + 1u) {
+          df = df + mrtBasis[k][d] * dm[k];
+        }
+        post[d] = f[d] - df;
+      }
+    } else {
+      if (model == 3) {
+        // Smagorinsky: local eddy viscosity from the non-equilibrium
+        // momentum flux, giving tau = (tau0 + sqrt(tau0^2 + 18 Cs^2 |Pi| / rho)) / 2.
+        var pxx: f32 = 0.0;
+        var pyy: f32 = 0.0;
+        var pxy: f32 = 0.0;
+        for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+          let fneq = f[d] - feq[d];
+          pxx = pxx + f32(ex[d] * ex[d]) * fneq;
+          pyy = pyy + f32(ey[d] * ey[d]) * fneq;
+          pxy = pxy + f32(ex[d] * ey[d]) * fneq;
+        }
+        let pi = sqrt(2.0 * (pxx * pxx + pyy * pyy + 2.0 * pxy * pxy));
+        let cs = uniforms.smagorinsky;
+        tau = 0.5 * (tau + sqrt(tau * tau + 18.0 * cs * cs * pi / max(density, 1e-6)));
+      }
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        post[d] = f[d] - (f[d] - feq[d]) / tau + (1.0 - 0.5 / tau) * source[d];
+      }
+    }
+
+    if (ns > 0.0) {
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        post[d] = (1.0 - ns) * post[d] + ns * f[opp[d]];
+      }
+    }
+    return post;
+  }`;
+
+// multiphase: 0 = off, 1 = single-component Shan-Chen, where the cell feels
+// -coupling * psi(x) * sum w psi(x + e) e with psi = 1 - exp(-density), and
+// 2 = two components, each pushed off the other by -componentCoupling *
+// density(x) * sum w otherDensity(x + e) e. The pass collides one component
+// (stateIn) while reading the other (otherState), both relaxing towards the
+// common velocity of the mixture. Barriers and wall edges take part at the
+// densities of phaseDensities, which sets the contact angle. The first
+// component's pass also writes the moments of its input.
+export const collisionShaderCode = `
+  ${uniformStruct}
+  ${componentStruct}
+  @group(0) @binding(0) var<storage, read> stateIn: array<Population>;
+  @group(0) @binding(1) var<storage, read_write> postCollision: array<Population>;
+  @group(0) @binding(2) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(4) var<storage, read> wallVelocity: array<vec2<f32>>;
+  @group(0) @binding(5) var<storage, read> thermal: array<f32>;
+  @group(0) @binding(6) var<storage, read> otherState: array<Population>;
+  @group(0) @binding(7) var<uniform> component: Component;
+  @group(0) @binding(8) var<storage, read> solidFraction: array<f32>;
+  @group(0) @binding(9) var<storage, read_write> moments: array<vec4<f32>>;
+
+  const numDirs: u32 = 9u;
+  const thermalDirs: u32 = 5u;
+  const weights: array<f32, 9> = array<f32, 9>(4.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/36.0, 1.0/36.0, 1.0/36.0, 1.0/36.0);
+  const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
+  const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
+  const opp: array<u32, 9> = array<u32, 9>(0, 3, 4, 1, 2, 7, 8, 5, 6);
+  const periodicBoundary: i32 = 5;
+  const freeSlipBoundary: i32 = 6;
+  const noSlipBoundary: i32 = 7;
+
+  ${populationAccess([["population", "stateIn"], ["otherPopulation", "otherState"]], [["setPostCollision", "postCollision"]])}
+
+  ${bodyAcceleration}
+
+  ${phaseDensities}
+
+  ${collisionSteps}
+
+  fn componentDensity(index: i32, other: bool) -> f32 {
+    var density: f32 = 0.0;
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      if (other) {
+        density = density + otherPopulation(index, d);
+      } else {
+        density = density + population(index, d);
+      }
+    }
+    return density;
+  }
+
+  // sum w value(x + e) e over the neighbours of (x, y), where value is the
+  // density of one component, or its pseudopotential. Neighbours across
+  // periodic edges wrap, barriers and wall edges give wallDensity, and other
+  // edges repeat the cell itself.
+  fn interaction(x: i32, y: i32, other: bool, pseudopotential: bool, wallDensity: f32) -> vec2<f32> {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    let boundaries = array<i32, 4>(
+      i32(round(uniforms.leftBoundary)), i32(round(uniforms.rightBoundary)),
+      i32(round(uniforms.bottomBoundary)), i32(round(uniforms.topBoundary)));
+    var sum = vec2<f32>(0.0);
+    for (var d: u32 = 1u; d < numDirs; d = d + 1u) {
+      var nx = x + ex[d];
+      var ny = y + ey[d];
+      var edge = -1;
+      if (nx < 0 || nx >= width) {
+        if (boundaries[0] == periodicBoundary) {
+          nx = (nx + width) % width;
+        } else {
+          edge = select(1, 0, nx < 0);
+          nx = x;
+        }
+      }
+      if (ny < 0 || ny >= height) {
+        if (boundaries[2] == periodicBoundary) {
+          ny = (ny + height) % height;
+        } else {
+          if (edge < 0) { edge = select(3, 2, ny < 0); }
+          ny = y;
+        }
+      }
+      var density: f32;
+      let n = ny * width + nx;
+      if ((edge >= 0 && (boundaries[edge] == noSlipBoundary || boundaries[edge] == freeSlipBoundary)) || barriers[n] == 1) {
+        density = wallDensity;
+      } else {
+        density = componentDensity(n, other);
+      }
+      var value = density;
+      if (pseudopotential) { value = 1.0 - exp(-density); }
+      sum = sum + weights[d] * value * vec2<f32>(f32(ex[d]), f32(ey[d]));
+    }
+    return sum;
+  }
+
+  @compute @workgroup_size(16, 16)
+  fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    if (x >= width || y >= height) { return; }
+    let index = y * width + x;
+
+    var f: array<f32, 9>;
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      f[d] = population(index, d);
+    }
+    let multiphase = round(uniforms.multiphase);
+    var otherDensity: f32 = 0.0;
+    if (multiphase == 2.0) { otherDensity = componentDensity(index, true); }
+    if (component.index < 0.5) { moments[index] = cellMoments(f, otherDensity); }
+
+    var post: array<f32, 9>;
+    if (barriers[index] != 0) {
+      post = solidPopulations(x, y, f);
+    } else {
+      var density: f32 = 0.0;
+      var momentum = vec2<f32>(0.0);
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        density = density + f[d];
+        momentum = momentum + f[d] * vec2<f32>(f32(ex[d]), f32(ey[d]));
+      }
+      let acceleration = cellAcceleration(index);
+      // Force on this component, and the density, momentum and force of the
+      // whole fluid in the cell, which give the common velocity.
+      var force = acceleration * density;
+      var totalDensity = density;
+      let wallFraction = 0.5 * (1.0 + uniforms.wetting);
+      if (multiphase == 1.0) {
+        let wallDensity = phaseDensity(0.0, wallFraction);
+        force = force - uniforms.coupling * (1.0 - exp(-density)) * interaction(x, y, false, true, wallDensity);
+      }
+      var totalForce = force;
+      if (multiphase == 2.0) {
+        let ownWall = phaseDensity(component.index, wallFraction);
+        let otherWall = phaseDensity(1.0 - component.index, wallFraction);
+        for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+          momentum = momentum + otherPopulation(index, d) * vec2<f32>(f32(ex[d]), f32(ey[d]));
+        }
+        force = force - uniforms.componentCoupling * density * interaction(x, y, true, false, otherWall);
+        let otherForce = acceleration * otherDensity
+          - uniforms.componentCoupling * otherDensity * interaction(x, y, false, false, ownWall);
+        totalDensity = totalDensity + otherDensity;
+        totalForce = force + otherForce;
+      }
+      var u = vec2<f32>(0.0);
+      if (totalDensity > 0.0) { u = (momentum + 0.5 * totalForce) / totalDensity; }
+      post = relax(f, density, u.x, u.y, force, solidFraction[index]);
+    }
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      setPostCollision(index, d, post[d]);
+    }
+  }
+`;
+
+// Inflow speed at node (x, y) of an inlet edge, across y for the left and
+// right edges or across x for the bottom and top: inflow everywhere, or with
+// the parabolic profile 6 * inflow * s * (1 - s), s running from 0 to 1 across
+// the grid, which has the same mean. Expects uniforms in the module.
+const inflowSampling = `fn inflowSpeed(x: i32, y: i32, acrossX: bool) -> f32 {
+    if (round(uniforms.inflowProfile) != parabolicProfile) { return uniforms.inflow; }
+    var s = (f32(y) + 0.5) / uniforms.gridHeight;
+    if (acrossX) { s = (f32(x) + 0.5) / uniforms.gridWidth; }
+    return 6.0 * uniforms.inflow * s * (1.0 - s);
+  }`;
+
+// ----- Streaming Compute Shader -----
+// Each edge has its own boundary type (an index into boundaryTypes in
+// lbmbase.js). Populations that would stream in from outside the grid are
+// supplied by the edge they cross; the x edges take precedence at corners.
+// Velocity and pressure edges use Zou-He: the unknown populations are
+// reconstructed per node from the known ones, for velocity (inflowSpeed, 0)
+// or the inlet density. That is 1, or with multiphase on the liquid-phase density
+// of the component streamed, which also raises the clamp's upper bound.
+//
+// streamedPopulations pulls a cell's populations from the post-collision
+// ones, collided(cell, d); the convective edge also reads the cell's previous
+// populations, previous(cell, d). It expects the lattice constants, uniforms
+// and component in the module, and counts the cells whose populations the
+// clamp changes in clampedCells for the convergence check.
+const streamedPopulations = `// Directions mirrored across a vertical (x) or horizontal (y) wall.
+  const mirrorX: array<u32, 9> = array<u32, 9>(0, 3, 2, 1, 4, 6, 5, 8, 7);
+  const mirrorY: array<u32, 9> = array<u32, 9>(0, 1, 4, 3, 2, 8, 7, 6, 5);
+
+  const equilibriumBoundary: i32 = 0;
+  const velocityBoundary: i32 = 1;
+  const pressureBoundary: i32 = 2;
+  const outflowBoundary: i32 = 3;
+  const convectiveBoundary: i32 = 4;
+  const periodicBoundary: i32 = 5;
+  const freeSlipBoundary: i32 = 6;
+  const noSlipBoundary: i32 = 7;
+
+  fn isZouHe(boundary: i32) -> bool {
+    return boundary == velocityBoundary || boundary == pressureBoundary;
+  }
+
+  // Bring a source row or column back into the grid, wrapping on periodic axes.
+  fn fold(v: i32, size: i32, periodic: bool) -> i32 {
+    if (periodic) { return (v + size) % size; }
+    return clamp(v, 0, size - 1);
+  }
+
+  ${phaseDensities}
+
+  const parabolicProfile: f32 = 1.0;
+
+  ${inflowSampling}
+
+  fn inflowEquilibrium(d: u32, U: f32) -> f32 {
+    let edotu = f32(ex[d]) * U; // inflow is only in x, so uy=0.
+    return weights[d] * inletDensity() * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * (U * U));
+  }
+
+  fn streamed(x: i32, y: i32) -> array<f32, 9> {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    let index = y * width + x;
+    let left = i32(round(uniforms.leftBoundary));
+    let right = i32(round(uniforms.rightBoundary));
+    let bottom = i32(round(uniforms.bottomBoundary));
+    let top = i32(round(uniforms.topBoundary));
+    let periodicX = left == periodicBoundary;
+    let periodicY = bottom == periodicBoundary;
+
+    // Inward normal of the Zou-He edge this node lies on, if any.
+    var zouHeNormal = vec2<i32>(0, 0);
+    var zouHeType = -1;
+    if (x == 0 && isZouHe(left)) {
+      zouHeNormal = vec2<i32>(1, 0);
+      zouHeType = left;
+    } else if (x == width - 1 && isZouHe(right)) {
+      zouHeNormal = vec2<i32>(-1, 0);
+      zouHeType = right;
+    } else if (y == 0 && isZouHe(bottom)) {
+      zouHeNormal = vec2<i32>(0, 1);
+      zouHeType = bottom;
+    } else if (y == height - 1 && isZouHe(top)) {
+      zouHeNormal = vec2<i32>(0, -1);
+      zouHeType = top;
+    }
+
+    var f: array<f32, 9>;
+    var unknown: array<bool, 9>;
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      var srcX = x - ex[d];
+      var srcY = y - ey[d];
+      var boundary = -1;
+      var normal = vec2<i32>(0, 0);
+      if (srcX < 0 || srcX >= width) {
+        if (periodicX) {
+          srcX = fold(srcX, width, true);
+        } else if (srcX < 0) {
+          boundary = left;
+          normal = vec2<i32>(1, 0);
+        } else {
+          boundary = right;
+          normal = vec2<i32>(-1, 0);
+        }
+      }
+      if (boundary < 0 && (srcY < 0 || srcY >= height)) {
+        if (periodicY) {
+          srcY = fold(srcY, height, true);
+        } else if (srcY < 0) {
+          boundary = bottom;
+          normal = vec2<i32>(0, 1);
+        } else {
+          boundary = top;
+          normal = vec2<i32>(0, -1);
+        }
+      }
+      unknown[d] = false;
+      if (boundary < 0) {
+        f[d] = collided(srcY * width + srcX, d);
+        continue;
+      }
+
+      // Along the edge the population still comes from the upstream cell.
+      var tangentX = x;
+      var tangentY = y;
+      if (normal.x == 0) { tangentX = fold(srcX, width, periodicX); }
+      if (normal.y == 0) { tangentY = fold(srcY, height, periodicY); }
+      let tangent = tangentY * width + tangentX;
+      if (boundary == noSlipBoundary) {
+        // Bounce-back: use the opposite direction value from the same cell.
+        f[d] = collided(index, opp[d]);
+      } else if (boundary == freeSlipBoundary) {
+        // Specular reflection: keep the tangential part, flip the normal part.
+        var mirrored = mirrorY[d];
+        if (normal.x != 0) { mirrored = mirrorX[d]; }
+        f[d] = collided(tangent, mirrored);
+      } else if (boundary == outflowBoundary || boundary == convectiveBoundary) {
+        // Zero gradient: the value the neighbour one cell inwards receives.
+        f[d] = collided(tangent, d);
+        if (boundary == convectiveBoundary) {
+          // Convective outflow df/dt + U df/dn = 0, advected at the inflow speed.
+          let U = abs(uniforms.inflow);
+          f[d] = (previous(index, d) + U * f[d]) / (1.0 + U);
+        }
+      } else if (isZouHe(boundary) && all(normal == zouHeNormal)) {
+        unknown[d] = true;
+        f[d] = 0.0;
+      } else {
+        // Fixed equilibrium edges, and Zou-He corners claimed by the other edge.
+        f[d] = inflowEquilibrium(d, inflowSpeed(x, y, normal.y != 0));
+      }
+    }
+
+    if (zouHeType >= 0) {
+      let n = vec2<f32>(zouHeNormal);
+      let t = vec2<f32>(-n.y, n.x);
+      var known: f32 = 0.0;
+      var transverse: f32 = 0.0;
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        let e = vec2<f32>(f32(ex[d]), f32(ey[d]));
+        let en = dot(e, n);
+        if (en == 0.0) {
+          known = known + f[d];
+          transverse = transverse + 0.5 * f[d] * dot(e, t);
+        } else if (en < 0.0) {
+          known = known + 2.0 * f[d];
+        }
+      }
+      var density = inletDensity();
+      var u = vec2<f32>(inflowSpeed(x, y, zouHeNormal.y != 0), 0.0);
+      if (zouHeType == velocityBoundary) {
+        density = known / (1.0 - dot(u, n));
+      } else {
+        u = n * (1.0 - known / density);
+      }
+      transverse = transverse - density * dot(u, t) / 3.0;
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        if (!unknown[d]) { continue; }
+        let e = vec2<f32>(f32(ex[d]), f32(ey[d]));
+        f[d] = f[opp[d]] + 6.0 * weights[d] * density * dot(e, u) - dot(e, t) * transverse;
+      }
+    }
+
+    if (uniforms.clampDistributions > 0.5) {
+      let fMax = max(inletDensity(), 1.0);
+      var clamped = false;
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        let bounded = min(max(1.e-5, f[d]), fMax);
+        clamped = clamped || bounded != f[d];
+        f[d] = bounded;
+      }
+      if (clamped) { atomicAdd(&clampedCells, 1u); }
+    }
+    return f;
+  }`;
+
+export const streamingShaderCode = `
+  ${uniformStruct}
+  ${componentStruct}
+  @group(0) @binding(0) var<storage, read> postCollision: array<Population>;
+  @group(0) @binding(1) var<storage, read_write> stateOut: array<Population>;
+  @group(0) @binding(2) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(3) var<storage, read> stateIn: array<Population>;
+  @group(0) @binding(4) var<uniform> component: Component;
+  @group(0) @binding(5) var<storage, read_write> clampedCells: atomic<u32>;
+
+  const numDirs: u32 = 9u;
+  const weights: array<f32, 9> = array<f32, 9>(4.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/36.0, 1.0/36.0, 1.0/36.0, 1.0/36.0);
+  const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
+  const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
+  const opp: array<u32, 9> = array<u32, 9>(0, 3, 4, 1, 2, 7, 8, 5, 6);
+
+  ${populationAccess([["collided", "postCollision"], ["previous", "stateIn"]], [["setState", "stateOut"]])}
+
+  ${streamedPopulations}
+
+  @compute @workgroup_size(16, 16)
+  fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(uniforms.gridWidth);
+    if (x >= width || y >= i32(uniforms.gridHeight)) { return; }
+    let index = y * width + x;
+    let f = streamed(x, y);
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      setState(index, d, f[d]);
+    }
+  }
+`;
+
+// ----- Fused Compute Shader -----
+// One pass per step in the pull scheme: the state buffers hold post-collision
+// populations, and each cell pulls its streamed populations (as the streaming
+// shader does), writes their moments and collides them into stateOut, so the
+// populations are read and written once per step. Covers everything but the
+// Shan-Chen forces and the convective edge, which stay on the two-pass
+// kernels. Refilled cells take the density of their neighbours' stored
+// populations, a step behind the collision shader.
+export const fusedShaderCode = `
+  ${uniformStruct}
+  ${componentStruct}
+  @group(0) @binding(0) var<storage, read> stateIn: array<Population>;
+  @group(0) @binding(1) var<storage, read_write> stateOut: array<Population>;
+  @group(0) @binding(2) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(4) var<storage, read> wallVelocity: array<vec2<f32>>;
+  @group(0) @binding(5) var<storage, read> thermal: array<f32>;
+  @group(0) @binding(6) var<uniform> component: Component;
+  @group(0) @binding(7) var<storage, read> solidFraction: array<f32>;
+  @group(0) @binding(8) var<storage, read_write> moments: array<vec4<f32>>;
+  @group(0) @binding(9) var<storage, read_write> clampedCells: atomic<u32>;
+
+  const numDirs: u32 = 9u;
+  const thermalDirs: u32 = 5u;
+  const weights: array<f32, 9> = array<f32, 9>(4.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/36.0, 1.0/36.0, 1.0/36.0, 1.0/36.0);
+  const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
+  const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
+  const opp: array<u32, 9> = array<u32, 9>(0, 3, 4, 1, 2, 7, 8, 5, 6);
+
+  // Every read goes to the stored post-collision populations.
+  ${populationAccess([["collided", "stateIn"], ["previous", "stateIn"], ["population", "stateIn"]], [["setState", "stateOut"]])}
+
+  ${bodyAcceleration}
+
+  ${streamedPopulations}
+
+  ${collisionSteps}
+
+  @compute @workgroup_size(16, 16)
+  fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(uniforms.gridWidth);
+    if (x >= width || y >= i32(uniforms.gridHeight)) { return; }
+    let index = y * width + x;
+
+    let f = streamed(x, y);
+    moments[index] = cellMoments(f, 0.0);
+    var post: array<f32, 9>;
+    if (barriers[index] != 0) {
+      post = solidPopulations(x, y, f);
+    } else {
+      var density: f32 = 0.0;
+      var momentum = vec2<f32>(0.0);
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        density = density + f[d];
+        momentum = momentum + f[d] * vec2<f32>(f32(ex[d]), f32(ey[d]));
+      }
+      let force = cellAcceleration(index) * density;
+      var u = vec2<f32>(0.0);
+      if (density > 0.0) { u = (momentum + 0.5 * force) / density; }
+      post = relax(f, density, u.x, u.y, force, solidFraction[index]);
+    }
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      setState(index, d, post[d]);
+    }
+  }
+`;
+
+// ----- Thermal Compute Shader -----
+// D2Q5 temperature distributions advected by the flow velocity, with BGK
+// relaxation at tau = 3 * thermalDiffusivity + 1/2, collided and streamed in
+// one pass: each population is pulled from its upstream cell and relaxed
+// there. Where the upstream cell is a barrier or lies beyond a wall edge
+// (free- or no-slip), the population bounces back for an adiabatic wall or
+// anti-bounces back to hold a hot or cold one at its temperature (the wall
+// temperature modes index wallTemperatures in lbmbase.js). Equilibrium and
+// velocity edges supply the equilibrium at inletTemperature and inflowSpeed;
+// pressure and outflow edges are zero-gradient. The velocity comes from the
+// moments of the step's collision.
+export const thermalShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> thermalIn: array<f32>;
+  @group(0) @binding(2) var<storage, read_write> thermalOut: array<f32>;
+  @group(0) @binding(3) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(4) var<uniform> uniforms: Uniforms;
+
+  const thermalDirs: u32 = 5u;
+  const thermalWeights: array<f32, 5> = array<f32, 5>(1.0/3.0, 1.0/6.0, 1.0/6.0, 1.0/6.0, 1.0/6.0);
+  const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
+  const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
+  const opp: array<u32, 5> = array<u32, 5>(0, 3, 4, 1, 2);
+
+  const equilibriumBoundary: i32 = 0;
+  const velocityBoundary: i32 = 1;
+  const periodicBoundary: i32 = 5;
+  const freeSlipBoundary: i32 = 6;
+  const noSlipBoundary: i32 = 7;
+  const hotWall: i32 = 1;
+  const coldWall: i32 = 2;
+  const parabolicProfile: f32 = 1.0;
+
+  ${velocitySampling}
+
+  ${inflowSampling}
+
+  // Post-collision population k of a cell.
+  fn relaxed(index: i32, k: u32) -> f32 {
+    var temperature: f32 = 0.0;
+    for (var j: u32 = 0u; j < thermalDirs; j = j + 1u) {
+      temperature = temperature + thermalIn[index * i32(thermalDirs) + i32(j)];
+    }
+    let width = i32(uniforms.gridWidth);
+    let u = cellVelocity(index % width, index / width);
+    let geq = thermalWeights[k] * temperature * (1.0 + 3.0 * (f32(ex[k]) * u.x + f32(ey[k]) * u.y));
+    let g = thermalIn[index * i32(thermalDirs) + i32(k)];
+    return g - (g - geq) / (3.0 * uniforms.thermalDiffusivity + 0.5);
+  }
+
+  // Population k entering the cell from a wall in the given temperature mode.
+  fn fromWall(index: i32, k: u32, mode: i32) -> f32 {
+    let reflected = relaxed(index, opp[k]);
+    if (mode == hotWall) { return 2.0 * thermalWeights[k] * uniforms.hotTemperature - reflected; }
+    if (mode == coldWall) { return 2.0 * thermalWeights[k] * uniforms.coldTemperature - reflected; }
+    return reflected;
+  }
+
+  @compute @workgroup_size(16, 16)
+  fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    if (x >= width || y >= height) { return; }
+    let index = y * width + x;
+    let base = index * i32(thermalDirs);
+    if (barriers[index] == 1) {
+      for (var k: u32 = 0u; k < thermalDirs; k = k + 1u) {
+        thermalOut[base + i32(k)] = thermalIn[base + i32(k)];
+      }
+      return;
+    }
+    let boundaries = array<i32, 4>(
+      i32(round(uniforms.leftBoundary)), i32(round(uniforms.rightBoundary)),
+      i32(round(uniforms.bottomBoundary)), i32(round(uniforms.topBoundary)));
+    let wallModes = array<i32, 4>(
+      i32(round(uniforms.leftWallTemperature)), i32(round(uniforms.rightWallTemperature)),
+      i32(round(uniforms.bottomWallTemperature)), i32(round(uniforms.topWallTemperature)));
+    let periodicX = boundaries[0] == periodicBoundary;
+    let periodicY = boundaries[2] == periodicBoundary;
+
+    for (var k: u32 = 0u; k < thermalDirs; k = k + 1u) {
+      var srcX = x - ex[k];
+      var srcY = y - ey[k];
+      // Edge crossed: 0 left, 1 right, 2 bottom, 3 top.
+      var edge = -1;
+      if (srcX < 0 || srcX >= width) {
+        if (periodicX) {
+          srcX = (srcX + width) % width;
+        } else if (srcX < 0) {
+          edge = 0;
+        } else {
+          edge = 1;
+        }
+      }
+      if (srcY < 0 || srcY >= height) {
+        if (periodicY) {
+          srcY = (srcY + height) % height;
+        } else if (srcY < 0) {
+          edge = 2;
+        } else {
+          edge = 3;
+        }
+      }
+      var g: f32;
+      if (edge < 0) {
+        let src = srcY * width + srcX;
+        if (barriers[src] == 1) {
+          g = fromWall(index, k, i32(round(uniforms.barrierTemperature)));
+        } else {
+          g = relaxed(src, k);
+        }
+      } else {
+        let boundary = boundaries[edge];
+        if (boundary == noSlipBoundary || boundary == freeSlipBoundary) {
+          g = fromWall(index, k, wallModes[edge]);
+        } else if (boundary == equilibriumBoundary || boundary == velocityBoundary) {
+          let U = inflowSpeed(x, y, edge >= 2);
+          g = thermalWeights[k] * uniforms.inletTemperature * (1.0 + 3.0 * f32(ex[k]) * U);
+        } else {
+          g = relaxed(index, k);
+        }
+      }
+      thermalOut[base + i32(k)] = g;
+    }
+  }
+`;
+
+// ----- Render Shader (Visualization) -----
+// Maps fieldValue through the selected colormap over [colorMin, colorMax], or
+// over the autoRange written by rangeShaderCode. Also reads the barrier buffer
+// and renders barriers in red, and blends the dye concentration over the field.
+export const renderShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(2) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(3) var<storage, read> dye: array<f32>;
+  @group(0) @binding(4) var<storage, read> autoRange: array<f32>;
+  @group(0) @binding(5) var<storage, read> thermal: array<f32>;
+
+  ${colormapTable}
+
+  ${velocitySampling}
+
+  ${fieldSampling}
+
+  const dyeColor: vec3<f32> = vec3<f32>(1.0, 0.3, 0.6);
+
+  struct VertexOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) fragCoord: vec2<f32>,
+  };
+
+  @vertex
+  fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
+    var pos = array<vec2<f32>, 3>(
+      vec2<f32>(-1.0,  3.0),
+      vec2<f32>( 3.0, -1.0),
+      vec2<f32>(-1.0, -1.0),
+    );
+    var output: VertexOut;
+    output.position = vec4<f32>(pos[vertexIndex], 0.0, 1.0);
+    output.fragCoord = 0.5 * (pos[vertexIndex] + vec2<f32>(1.0)) * vec2<f32>(uniforms.gridWidth, uniforms.gridHeight);
+    return output;
+  }
+
+  fn colorMap(t: f32) -> vec3<f32> {
+    let s = clamp(t, 0.0, 1.0) * f32(colormapStopCount - 1u);
+    let i = min(u32(s), colormapStopCount - 2u);
+    let base = u32(round(uniforms.colormap)) * colormapStopCount + i;
+    return mix(colormapTable[base], colormapTable[base + 1u], s - f32(i));
+  }
+
+  @fragment
+  fn fs_main(@location(0) fragCoord: vec2<f32>) -> @location(0) vec4<f32> {
+    let x = i32(fragCoord.x);
+    let y = i32(fragCoord.y);
+    let index = y * i32(uniforms.gridWidth) + x;
+
+    // Render barriers
+    if (barriers[index] == 1) {
+      if (uniforms.vizMode < 1.5) {
+        return vec4<f32>(0.0);
+      } else {
+        return vec4<f32>(1.0, 0.0, 0.0, 1.0);
+      }
+    }
+
+    var range = vec2<f32>(uniforms.colorMin, uniforms.colorMax);
+    if (uniforms.colorRange < 0.5) {
+      range = vec2<f32>(autoRange[0], autoRange[1]);
+    }
+    let t = (fieldValue(x, y) - range.x) / max(range.y - range.x, 1e-12);
+    let color = mix(colorMap(t), dyeColor, clamp(dye[index], 0.0, 1.0));
+    return vec4<f32>(color, 1.0);
+  }
+`;
+
+// ----- Force Reduction Shader -----
+// Momentum exchange on the barrier links: a distribution that streamed into a
+// barrier cell from a fluid neighbour is bounced straight back, transferring
+// (2 * f - 6 * w * e.u) * e to the body for wall velocity u. partial_sums
+// reduces the per-cell forces of each workgroup, total sums those into
+// forceTotal = [fx, fy, steps]. With collided set, state holds the fused
+// kernel's post-collision populations, where a barrier cell has already
+// bounced f back: it stores f[opp] + 6 * w * e.u in the opposite direction.
+export const forceShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> state: array<Population>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read_write> partials: array<vec2<f32>>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(4) var<storage, read> wallVelocity: array<vec2<f32>>;
+
+  const numDirs: u32 = 9u;
+  const weights: array<f32, 9> = array<f32, 9>(4.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/9.0, 1.0/36.0, 1.0/36.0, 1.0/36.0, 1.0/36.0);
+  const ex: array<i32, 9> = array<i32, 9>(0, 1, 0, -1, 0, 1, -1, -1, 1);
+  const ey: array<i32, 9> = array<i32, 9>(0, 0, 1, 0, -1, 1, 1, -1, -1);
+  const opp: array<u32, 9> = array<u32, 9>(0, 3, 4, 1, 2, 7, 8, 5, 6);
+  override collided: bool = false;
+
+  ${populationAccess([["population", "state"]])}
+
+  var<workgroup> sums: array<vec2<f32>, 256>;
+
+  fn reduceWorkgroup(local: u32) {
+    workgroupBarrier();
+    for (var stride: u32 = 128u; stride > 0u; stride = stride / 2u) {
+      if (local < stride) {
+        sums[local] = sums[local] + sums[local + stride];
+      }
+      workgroupBarrier();
+    }
+  }
+
+  @compute @workgroup_size(256)
+  fn partial_sums(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(local_invocation_index) local: u32,
+    @builtin(workgroup_id) group: vec3<u32>
+  ) {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    let index = i32(global_id.x);
+    var force = vec2<f32>(0.0);
+    if (index < width * height && barriers[index] == 1) {
+      let x = index % width;
+      let y = index / width;
+      let wall = wallVelocity[index];
+      for (var d: u32 = 1u; d < numDirs; d = d + 1u) {
+        let srcX = x - ex[d];
+        let srcY = y - ey[d];
+        if (srcX >= 0 && srcX < width && srcY >= 0 && srcY < height && barriers[srcY * width + srcX] != 1) {
+          let e = vec2<f32>(f32(ex[d]), f32(ey[d]));
+          var f = population(index, d);
+          if (collided) { f = population(index, opp[d]) + 6.0 * weights[d] * dot(e, wall); }
+          force = force + (2.0 * f - 6.0 * weights[d] * dot(e, wall)) * e;
+        }
+      }
+    }
+    sums[local] = force;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      partials[group.x] = sums[0];
+    }
+  }
+
+  @group(0) @binding(0) var<storage, read> totalPartials: array<vec2<f32>>;
+  @group(0) @binding(1) var<storage, read_write> forceTotal: array<f32>;
+
+  @compute @workgroup_size(256)
+  fn total(@builtin(local_invocation_index) local: u32) {
+    var sum = vec2<f32>(0.0);
+    for (var i: u32 = local; i < arrayLength(&totalPartials); i = i + 256u) {
+      sum = sum + totalPartials[i];
+    }
+    sums[local] = sum;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      forceTotal[0] = forceTotal[0] + sums[0].x;
+      forceTotal[1] = forceTotal[1] + sums[0].y;
+      forceTotal[2] = forceTotal[2] + 1.0;
+    }
+  }
+`;
+
+// ----- Tracer Compute Shader -----
+// Advects particles (x, y, age, unused) through the interpolated velocity
+// field, tracerSteps lattice steps per dispatch, and records the result in
+// each particle's ring of trailLength past positions at tracerHead.
+// A negative age counts down to the particle's release; leaving the grid,
+// entering a barrier or outliving tracerLifetime sends it back to its seed:
+// a point on the rake line, or a random point on the inlet edge.
+export const tracerShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read_write> particles: array<vec4<f32>>;
+  @group(0) @binding(3) var<storage, read_write> history: array<vec2<f32>>;
+  @group(0) @binding(4) var<uniform> uniforms: Uniforms;
+
+  const trailLength: u32 = ${trailLength}u;
+  const periodicBoundary: f32 = 5.0;
+  const inletMode: f32 = 2.0;
+
+  ${velocitySampling}
+
+  fn hash(n: u32) -> f32 {
+    var h = n * 747796405u + 2891336453u;
+    h = ((h >> ((h >> 28u) + 4u)) ^ h) * 277803737u;
+    h = (h >> 22u) ^ h;
+    return f32(h) / 4294967295.0;
+  }
+
+  fn seedPosition(i: u32) -> vec2<f32> {
+    let size = vec2<f32>(uniforms.gridWidth, uniforms.gridHeight);
+    if (round(uniforms.tracerMode) == inletMode) {
+      return vec2<f32>(0.5, hash(i ^ u32(uniforms.tracerSeed)) * size.y);
+    }
+    let seeds = max(round(uniforms.rakeSeeds), 1.0);
+    var t: f32 = 0.5;
+    if (seeds > 1.0) { t = f32(i % u32(seeds)) / (seeds - 1.0); }
+    let rake = mix(vec2<f32>(uniforms.rakeX0, uniforms.rakeY0), vec2<f32>(uniforms.rakeX1, uniforms.rakeY1), t);
+    return clamp(rake * size, vec2<f32>(0.5), size - 0.5);
+  }
+
+  @compute @workgroup_size(64)
+  fn advect(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let i = global_id.x;
+    if (i >= u32(uniforms.tracerCount)) { return; }
+    let size = vec2<f32>(uniforms.gridWidth, uniforms.gridHeight);
+    let periodicX = round(uniforms.leftBoundary) == periodicBoundary;
+    let periodicY = round(uniforms.bottomBoundary) == periodicBoundary;
+    var pos = particles[i].xy;
+    var age = particles[i].z;
+    var respawned = false;
+    for (var s: i32 = 0; s < i32(uniforms.tracerSteps); s = s + 1) {
+      if (age < 0.0) {
+        age = age + 1.0;
+        if (age >= 0.0) {
+          pos = seedPosition(i);
+          age = 0.0;
+          respawned = true;
+        }
+        continue;
+      }
+      // Midpoint rule over one lattice time step.
+      let mid = pos + 0.5 * velocityAt(pos);
+      pos = pos + velocityAt(mid);
+      age = age + 1.0;
+      if (periodicX) { pos.x = pos.x - floor(pos.x / size.x) * size.x; }
+      if (periodicY) { pos.y = pos.y - floor(pos.y / size.y) * size.y; }
+      var lost = age > uniforms.tracerLifetime || any(pos < vec2<f32>(0.0)) || any(pos >= size);
+      if (!lost) {
+        let cell = vec2<i32>(floor(pos));
+        lost = barriers[cell.y * i32(size.x) + cell.x] == 1;
+      }
+      if (lost) {
+        pos = seedPosition(i);
+        age = 0.0;
+        respawned = true;
+      }
+    }
+    particles[i] = vec4<f32>(pos, age, 0.0);
+
+    let base = i * trailLength;
+    if (respawned) {
+      for (var k: u32 = 0u; k < trailLength; k = k + 1u) {
+        history[base + k] = pos;
+      }
+    } else {
+      history[base + u32(uniforms.tracerHead)] = pos;
+    }
+  }
+`;
+
+// ----- Tracer Render Shader -----
+// vs_point draws each particle as a small quad (6 vertices per instance);
+// vs_trail draws line segments back through its history (2 vertices per
+// segment), fading with age. Drawn with alpha blending over the field.
+export const tracerRenderShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> particles: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> history: array<vec2<f32>>;
+  @group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+  const trailLength: u32 = ${trailLength}u;
+  const pointSize: f32 = 0.75;
+  const tracerColor: vec3<f32> = vec3<f32>(1.0, 0.85, 0.2);
+
+  struct TracerOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) alpha: f32,
+  };
+
+  fn toClip(pos: vec2<f32>) -> vec4<f32> {
+    return vec4<f32>(pos / vec2<f32>(uniforms.gridWidth, uniforms.gridHeight) * 2.0 - 1.0, 0.0, 1.0);
+  }
+
+  @vertex
+  fn vs_point(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) i: u32) -> TracerOut {
+    var corners = array<vec2<f32>, 6>(
+      vec2<f32>(-1.0, -1.0), vec2<f32>(1.0, -1.0), vec2<f32>(-1.0, 1.0),
+      vec2<f32>(-1.0, 1.0), vec2<f32>(1.0, -1.0), vec2<f32>(1.0, 1.0),
+    );
+    let particle = particles[i];
+    var output: TracerOut;
+    output.position = toClip(particle.xy + corners[vertexIndex] * pointSize);
+    output.alpha = select(1.0, 0.0, particle.z < 0.0);
+    return output;
+  }
+
+  @vertex
+  fn vs_trail(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) i: u32) -> TracerOut {
+    let segment = vertexIndex / 2u;
+    let k = segment + vertexIndex % 2u;
+    let head = u32(uniforms.tracerHead);
+    let base = i * trailLength;
+    let newer = history[base + (head + trailLength - segment) % trailLength];
+    let older = history[base + (head + trailLength - segment - 1u) % trailLength];
+    var output: TracerOut;
+    output.position = toClip(select(newer, older, k > segment));
+    output.alpha = 1.0 - f32(k) / f32(trailLength - 1u);
+    // Hide particles not yet released, and jumps across periodic edges.
+    let jump = 0.5 * min(uniforms.gridWidth, uniforms.gridHeight);
+    if (particles[i].z < 0.0 || distance(newer, older) > jump) { output.alpha = 0.0; }
+    return output;
+  }
+
+  @fragment
+  fn fs_main(@location(0) alpha: f32) -> @location(0) vec4<f32> {
+    return vec4<f32>(tracerColor, alpha);
+  }
+`;
+
+// ----- Dye Compute Shader -----
+// advect: semi-Lagrangian advection of a passive concentration by the lattice
+// velocity plus explicit diffusion at dyeDiffusion (stable up to 0.25). Dye
+// entering from outside the grid is clean; walls and barriers have zero flux.
+// paint: add splat.amount of dye (negative erases) in a soft disc, in place.
+export const dyeShaderCode = `
+  ${uniformStruct}
+  struct Splat {
+    x: f32,
+    y: f32,
+    radius: f32,
+    amount: f32,
+  };
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> dyeIn: array<f32>;
+  @group(0) @binding(2) var<storage, read_write> dyeOut: array<f32>;
+  @group(0) @binding(3) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(4) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(5) var<uniform> splat: Splat;
+
+  const periodicBoundary: f32 = 5.0;
+
+  ${velocitySampling}
+
+  // Dye at a cell; outside the grid it wraps on periodic axes, else is clean.
+  fn dyeAt(cx: i32, cy: i32) -> f32 {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    var x = cx;
+    var y = cy;
+    if (x < 0 || x >= width) {
+      if (round(uniforms.leftBoundary) != periodicBoundary) { return 0.0; }
+      x = (x + width) % width;
+    }
+    if (y < 0 || y >= height) {
+      if (round(uniforms.bottomBoundary) != periodicBoundary) { return 0.0; }
+      y = (y + height) % height;
+    }
+    return dyeIn[y * width + x];
+  }
+
+  // Neighbour value for diffusion; walls and barriers reflect the cell's own.
+  fn neighbourDye(cx: i32, cy: i32, own: f32) -> f32 {
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    let periodicX = round(uniforms.leftBoundary) == periodicBoundary;
+    let periodicY = round(uniforms.bottomBoundary) == periodicBoundary;
+    if (!periodicX && (cx < 0 || cx >= width)) { return own; }
+    if (!periodicY && (cy < 0 || cy >= height)) { return own; }
+    let x = (cx + width) % width;
+    let y = (cy + height) % height;
+    if (barriers[y * width + x] == 1) { return own; }
+    return dyeIn[y * width + x];
+  }
+
+  @compute @workgroup_size(16, 16)
+  fn advect(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(uniforms.gridWidth);
+    let height = i32(uniforms.gridHeight);
+    if (x >= width || y >= height) { return; }
+    let index = y * width + x;
+    if (barriers[index] == 1) {
+      dyeOut[index] = 0.0;
+      return;
+    }
+
+    let u = cellVelocity(x, y);
+
+    // Trace back one step and interpolate between the surrounding cells.
+    let back = vec2<f32>(f32(x), f32(y)) - u;
+    let p0 = vec2<i32>(floor(back));
+    let t = back - floor(back);
+    let bottom = mix(dyeAt(p0.x, p0.y), dyeAt(p0.x + 1, p0.y), t.x);
+    let top = mix(dyeAt(p0.x, p0.y + 1), dyeAt(p0.x + 1, p0.y + 1), t.x);
+    let advected = mix(bottom, top, t.y);
+
+    let own = dyeIn[index];
+    let laplacian = neighbourDye(x - 1, y, own) + neighbourDye(x + 1, y, own)
+      + neighbourDye(x, y - 1, own) + neighbourDye(x, y + 1, own) - 4.0 * own;
+    dyeOut[index] = max(advected + uniforms.dyeDiffusion * laplacian, 0.0);
+  }
+
+  @compute @workgroup_size(16, 16)
+  fn paint(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(uniforms.gridWidth);
+    if (x >= width || y >= i32(uniforms.gridHeight)) { return; }
+    let index = y * width + x;
+    let r = distance(vec2<f32>(f32(x) + 0.5, f32(y) + 0.5), vec2<f32>(splat.x, splat.y));
+    if (r > splat.radius || barriers[index] == 1) { return; }
+    let weight = 1.0 - smoothstep(0.5 * splat.radius, splat.radius, r);
+    dyeOut[index] = clamp(dyeOut[index] + splat.amount * weight, 0.0, 1.0);
+  }
+`;
+
+// ----- Streamline Compute Shader -----
+// Integrates a streamline downstream from each seed with the midpoint rule,
+// half a cell per step along the flow direction, into maxStreamlineLength
+// points per seed. After stalling, leaving the grid or reaching a barrier the
+// remaining points repeat the last position.
+export const streamlineShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read> seeds: array<vec2<f32>>;
+  @group(0) @binding(3) var<storage, read_write> points: array<vec2<f32>>;
+  @group(0) @binding(4) var<uniform> uniforms: Uniforms;
+
+  const maxStreamlineLength: u32 = ${maxStreamlineLength}u;
+  const stepSize: f32 = 0.5;
+
+  ${velocitySampling}
+
+  @compute @workgroup_size(64)
+  fn trace(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let i = global_id.x;
+    if (i >= u32(uniforms.streamlineSeedCount)) { return; }
+    let size = vec2<f32>(uniforms.gridWidth, uniforms.gridHeight);
+    var pos = seeds[i];
+    var stopped = false;
+    for (var k: u32 = 0u; k < u32(uniforms.streamlineLength); k = k + 1u) {
+      points[i * maxStreamlineLength + k] = pos;
+      if (stopped) { continue; }
+      let u0 = velocityAt(pos);
+      let mid = pos + 0.5 * stepSize * u0 / max(length(u0), 1e-6);
+      let u1 = velocityAt(mid);
+      let next = pos + stepSize * u1 / max(length(u1), 1e-6);
+      stopped = length(u0) < 1e-6 || length(u1) < 1e-6 || any(next < vec2<f32>(0.0)) || any(next >= size);
+      if (!stopped) {
+        let cell = vec2<i32>(floor(next));
+        stopped = barriers[cell.y * i32(size.x) + cell.x] == 1;
+      }
+      if (!stopped) { pos = next; }
+    }
+  }
+`;
+
+// ----- Overlay Render Shader -----
+// vs_arrow draws one arrow per instance on a sub-grid every arrowSpacing
+// cells, arrowScale cells long per unit velocity (6 vertices of a line list:
+// shaft and two head strokes). vs_streamline draws the traced streamline of
+// one seed per instance. Drawn with alpha blending over the field.
+export const overlayShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read> points: array<vec2<f32>>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+
+  const maxStreamlineLength: u32 = ${maxStreamlineLength}u;
+  const arrowColor: vec4<f32> = vec4<f32>(0.4, 1.0, 0.4, 0.9);
+  const streamlineColor: vec4<f32> = vec4<f32>(0.3, 0.9, 1.0, 0.9);
+
+  ${velocitySampling}
+
+  struct OverlayOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) color: vec4<f32>,
+  };
+
+  fn toClip(pos: vec2<f32>) -> vec4<f32> {
+    return vec4<f32>(pos / vec2<f32>(uniforms.gridWidth, uniforms.gridHeight) * 2.0 - 1.0, 0.0, 1.0);
+  }
+
+  @vertex
+  fn vs_arrow(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) i: u32) -> OverlayOut {
+    let spacing = uniforms.arrowSpacing;
+    let columns = u32(uniforms.gridWidth / spacing);
+    let centre = (vec2<f32>(f32(i % columns), f32(i / columns)) + 0.5) * spacing;
+    let u = velocityAt(centre) * uniforms.arrowScale;
+    let tip = centre + 0.5 * u;
+    let back = -0.3 * u;
+    let side = 0.5 * vec2<f32>(-back.y, back.x);
+    var vertices = array<vec2<f32>, 6>(centre - 0.5 * u, tip, tip, tip + back + side, tip, tip + back - side);
+    var output: OverlayOut;
+    output.position = toClip(vertices[vertexIndex]);
+    output.color = arrowColor;
+    let cell = vec2<i32>(centre);
+    if (barriers[cell.y * i32(uniforms.gridWidth) + cell.x] == 1) { output.color.a = 0.0; }
+    return output;
+  }
+
+  @vertex
+  fn vs_streamline(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) i: u32) -> OverlayOut {
+    let k = vertexIndex / 2u + vertexIndex % 2u;
+    var output: OverlayOut;
+    output.position = toClip(points[i * maxStreamlineLength + k]);
+    output.color = streamlineColor;
+    return output;
+  }
+
+  @fragment
+  fn fs_main(@location(0) color: vec4<f32>) -> @location(0) vec4<f32> {
+    return color;
+  }
+`;
+
+// ----- Probe Compute Shader -----
+// One workgroup samples (density, ux, uy, vorticity) at every probe cell into
+// the next row of the sample buffer, then advances its row count. Vorticity
+// uses central differences as in computeField, zero on the grid edges. Rows
+// past maxProbeSamples are dropped until the buffer is read back and cleared.
+export const probeShaderCode = `
+  ${uniformStruct}
+  struct ProbeSamples {
+    count: u32,
+    samples: array<vec4<f32>>,
+  };
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> probes: array<vec2<f32>>;
+  @group(0) @binding(2) var<storage, read_write> probeSamples: ProbeSamples;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+
+  const maxProbes: u32 = ${maxProbes}u;
+  const maxProbeSamples: u32 = ${maxProbeSamples}u;
+
+  ${velocitySampling}
+
+  @compute @workgroup_size(${maxProbes})
+  fn sample(@builtin(local_invocation_index) i: u32) {
+    let row = probeSamples.count;
+    storageBarrier();
+    if (row >= maxProbeSamples) { return; }
+    if (i < u32(uniforms.probeCount)) {
+      let width = i32(uniforms.gridWidth);
+      let height = i32(uniforms.gridHeight);
+      let cell = vec2<i32>(probes[i]);
+      let density = moments[cell.y * width + cell.x].x;
+      var vorticity: f32 = 0.0;
+      if (cell.x > 0 && cell.x < width - 1 && cell.y > 0 && cell.y < height - 1) {
+        let duydx = (cellVelocity(cell.x + 1, cell.y).y - cellVelocity(cell.x - 1, cell.y).y) * 0.5;
+        let duxdy = (cellVelocity(cell.x, cell.y + 1).x - cellVelocity(cell.x, cell.y - 1).x) * 0.5;
+        vorticity = duydx - duxdy;
+      }
+      probeSamples.samples[row * maxProbes + i] = vec4<f32>(density, cellVelocity(cell.x, cell.y), vorticity);
+    }
+    if (i == 0u) { probeSamples.count = row + 1u; }
+  }
+`;
+
+// ----- Colour Range Reduction Shader -----
+// Minimum and maximum of fieldValue over the fluid cells: partial_range
+// reduces each workgroup, total_range those partials into autoRange. Signed
+// vorticity gets a range symmetric about zero; with no fluid cells it is [0, 1].
+export const rangeShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read_write> partials: array<vec2<f32>>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(4) var<storage, read> thermal: array<f32>;
+
+  const empty: vec2<f32> = vec2<f32>(3.4e38, -3.4e38);
+
+  ${velocitySampling}
+
+  ${fieldSampling}
+
+  var<workgroup> ranges: array<vec2<f32>, 256>;
+
+  fn reduceWorkgroup(local: u32) {
+    workgroupBarrier();
+    for (var stride: u32 = 128u; stride > 0u; stride = stride / 2u) {
+      if (local < stride) {
+        ranges[local] = vec2<f32>(min(ranges[local].x, ranges[local + stride].x), max(ranges[local].y, ranges[local + stride].y));
+      }
+      workgroupBarrier();
+    }
+  }
+
+  @compute @workgroup_size(256)
+  fn partial_range(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(local_invocation_index) local: u32,
+    @builtin(workgroup_id) group: vec3<u32>
+  ) {
+    let width = i32(uniforms.gridWidth);
+    let index = i32(global_id.x);
+    var range = empty;
+    if (index < width * i32(uniforms.gridHeight) && barriers[index] != 1) {
+      let value = fieldValue(index % width, index / width);
+      // Skips NaN, which fails both comparisons.
+      if (value >= -3.4e38 && value <= 3.4e38) { range = vec2<f32>(value); }
+    }
+    ranges[local] = range;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      partials[group.x] = ranges[0];
+    }
+  }
+
+  @group(0) @binding(0) var<storage, read> totalPartials: array<vec2<f32>>;
+  @group(0) @binding(1) var<storage, read_write> autoRange: array<f32>;
+
+  @compute @workgroup_size(256)
+  fn total_range(@builtin(local_invocation_index) local: u32) {
+    var range = empty;
+    for (var i: u32 = local; i < arrayLength(&totalPartials); i = i + 256u) {
+      range = vec2<f32>(min(range.x, totalPartials[i].x), max(range.y, totalPartials[i].y));
+    }
+    ranges[local] = range;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      var result = ranges[0];
+      if (result.x > result.y) {
+        result = vec2<f32>(0.0, 1.0);
+      } else if (round(uniforms.vizMode) == 2.0) {
+        result = vec2<f32>(-1.0, 1.0) * max(abs(result.x), abs(result.y));
+      }
+      autoRange[0] = result.x;
+      autoRange[1] = result.y;
+    }
+  }
+`;
+
+// ----- Convergence Reduction Shader -----
+// Change of the fluid velocity since the previous check. partial_convergence
+// reduces (sum |u - reference|^2, sum |u|^2, invalid cells, max density) over
+// each workgroup and keeps u as the next check's reference; total_convergence
+// appends the totals of those partials to the sample buffer as its next row.
+// A cell with a NaN, infinite or non-positive density, or a NaN or infinite
+// velocity, is counted as invalid and left out of the sums and the reference.
+// Each row also takes the clampedCells count of the streaming passes since the
+// previous check, and resets it.
+// Rows past maxConvergenceSamples are dropped until the buffer is read back and cleared.
+export const convergenceShaderCode = `
+  ${uniformStruct}
+  // Two vec4 per row: the reduction totals, then (clamped cells, 0, 0, 0).
+  struct ConvergenceSamples {
+    count: u32,
+    samples: array<vec4<f32>>,
+  };
+  @group(0) @binding(0) var<storage, read> moments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read_write> partials: array<vec4<f32>>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(4) var<storage, read_write> reference: array<vec2<f32>>;
+
+  const maxConvergenceSamples: u32 = ${maxConvergenceSamples}u;
+
+  var<workgroup> sums: array<vec4<f32>, 256>;
+
+  // Sums of the first three components, maximum of the last.
+  fn combine(a: vec4<f32>, b: vec4<f32>) -> vec4<f32> {
+    return vec4<f32>(a.xyz + b.xyz, max(a.w, b.w));
+  }
+
+  fn reduceWorkgroup(local: u32) {
+    workgroupBarrier();
+    for (var stride: u32 = 128u; stride > 0u; stride = stride / 2u) {
+      if (local < stride) {
+        sums[local] = combine(sums[local], sums[local + stride]);
+      }
+      workgroupBarrier();
+    }
+  }
+
+  // False for NaN, which fails both comparisons, and for infinities.
+  fn finite(v: f32) -> bool {
+    return v >= -3.4e38 && v <= 3.4e38;
+  }
+
+  @compute @workgroup_size(256)
+  fn partial_convergence(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(local_invocation_index) local: u32,
+    @builtin(workgroup_id) group: vec3<u32>
+  ) {
+    let index = i32(global_id.x);
+    var sum = vec4<f32>(0.0);
+    if (index < i32(uniforms.gridWidth * uniforms.gridHeight) && barriers[index] != 1) {
+      let cell = moments[index];
+      let u = cell.yz;
+      if (cell.x > 0.0 && finite(cell.x) && finite(u.x) && finite(u.y)) {
+        let change = u - reference[index];
+        sum = vec4<f32>(dot(change, change), dot(u, u), 0.0, cell.x);
+        reference[index] = u;
+      } else {
+        sum = vec4<f32>(0.0, 0.0, 1.0, 0.0);
+      }
+    }
+    sums[local] = sum;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      partials[group.x] = sums[0];
+    }
+  }
+
+  @group(0) @binding(0) var<storage, read> totalPartials: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read_write> convergenceSamples: ConvergenceSamples;
+  @group(0) @binding(2) var<storage, read_write> clampedCells: atomic<u32>;
+
+  @compute @workgroup_size(256)
+  fn total_convergence(@builtin(local_invocation_index) local: u32) {
+    var sum = vec4<f32>(0.0);
+    for (var i: u32 = local; i < arrayLength(&totalPartials); i = i + 256u) {
+      sum = combine(sum, totalPartials[i]);
+    }
+    sums[local] = sum;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      let clamped = f32(atomicExchange(&clampedCells, 0u));
+      let row = convergenceSamples.count;
+      if (row < maxConvergenceSamples) {
+        convergenceSamples.samples[2u * row] = sums[0];
+        convergenceSamples.samples[2u * row + 1u] = vec4<f32>(clamped, 0.0, 0.0, 0.0);
+        convergenceSamples.count = row + 1u;
+      }
+    }
+  }
+`;
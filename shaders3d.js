@@ -0,0 +1,485 @@
+import { numDirs3D, weights3D, ex3D, ey3D, ez3D, opp3D, mirrorY3D, mirrorZ3D } from "./lattice3d.js";
+import { colormapTable } from "./shaders.js";
+
+// ----- WGSL Shaders (3D) -----
+// As in shaders.js, all uniforms are f32 in the order of uniformFields3D.
+export const uniformFields3D = [
+  "gridWidth", "gridHeight", "gridDepth", "tau", "inflow", "sideBoundary", "collisionModel", "smagorinsky",
+  "clampDistributions", "vizMode", "viewMode", "sliceAxis", "slicePosition",
+  "colormap", "colorRange", "colorMin", "colorMax", "isoLevel", "volumeOpacity",
+  "cameraYaw", "cameraPitch", "cameraZoom",
+  // Set by the simulation rather than through setParameter.
+  "viewAspect",
+];
+
+const uniformStruct = `struct Uniforms {
+${uniformFields3D.map((name) => `    ${name}: f32,`).join("\n")}
+  };`;
+
+const wgslArray = (type, values) => `array<${type}, ${values.length}>(${values.join(", ")})`;
+
+const lattice = `const numDirs: u32 = ${numDirs3D}u;
+  const weights = ${wgslArray("f32", weights3D.map((w) => `1.0/${Math.round(1 / w)}.0`))};
+  const ex = ${wgslArray("i32", ex3D)};
+  const ey = ${wgslArray("i32", ey3D)};
+  const ez = ${wgslArray("i32", ez3D)};
+  const opp = ${wgslArray("u32", opp3D)};`;
+
+// Cell index of a position on the grid, x fastest.
+const cellIndexing = `fn gridSize() -> vec3<i32> {
+    return vec3<i32>(i32(uniforms.gridWidth), i32(uniforms.gridHeight), i32(uniforms.gridDepth));
+  }
+
+  fn cellIndex(p: vec3<i32>) -> i32 {
+    let size = gridSize();
+    return (p.z * size.y + p.y) * size.x + p.x;
+  }`;
+
+// ----- Collision Compute Shader (3D) -----
+// BGK, or with collisionModel 1 BGK with a Smagorinsky eddy viscosity as in
+// 2D. Solid cells bounce their populations straight back.
+export const collision3DShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> stateIn: array<f32>;
+  @group(0) @binding(1) var<storage, read_write> postCollision: array<f32>;
+  @group(0) @binding(2) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+
+  ${lattice}
+
+  ${cellIndexing}
+
+  @compute @workgroup_size(8, 8, 4)
+  fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let p = vec3<i32>(global_id);
+    if (any(p >= gridSize())) { return; }
+    let index = cellIndex(p);
+    let base = index * i32(numDirs);
+
+    var f: array<f32, ${numDirs3D}>;
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      f[d] = stateIn[base + i32(d)];
+    }
+    if (barriers[index] == 1) {
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        postCollision[base + i32(d)] = f[opp[d]];
+      }
+      return;
+    }
+
+    var density: f32 = 0.0;
+    var u = vec3<f32>(0.0);
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      density = density + f[d];
+      u = u + f[d] * vec3<f32>(f32(ex[d]), f32(ey[d]), f32(ez[d]));
+    }
+    if (density > 0.0) { u = u / density; }
+    let uSq = dot(u, u);
+    var feq: array<f32, ${numDirs3D}>;
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      let edotu = dot(vec3<f32>(f32(ex[d]), f32(ey[d]), f32(ez[d])), u);
+      feq[d] = weights[d] * density * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * uSq);
+    }
+
+    var tau = uniforms.tau;
+    if (round(uniforms.collisionModel) == 1.0) {
+      // Momentum flux tensor of the non-equilibrium part: xx, yy, zz, xy, xz, yz.
+      var pi: array<f32, 6>;
+      for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+        let fneq = f[d] - feq[d];
+        pi[0] = pi[0] + f32(ex[d] * ex[d]) * fneq;
+        pi[1] = pi[1] + f32(ey[d] * ey[d]) * fneq;
+        pi[2] = pi[2] + f32(ez[d] * ez[d]) * fneq;
+        pi[3] = pi[3] + f32(ex[d] * ey[d]) * fneq;
+        pi[4] = pi[4] + f32(ex[d] * ez[d]) * fneq;
+        pi[5] = pi[5] + f32(ey[d] * ez[d]) * fneq;
+      }
+      let norm = sqrt(2.0 * (pi[0] * pi[0] + pi[1] * pi[1] + pi[2] * pi[2]
+        + 2.0 * (pi[3] * pi[3] + pi[4] * pi[4] + pi[5] * pi[5])));
+      let cs = uniforms.smagorinsky;
+      tau = 0.5 * (tau + sqrt(tau * tau + 18.0 * cs * cs * norm / max(density, 1e-6)));
+    }
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      postCollision[base + i32(d)] = f[d] - (f[d] - feq[d]) / tau;
+    }
+  }
+`;
+
+// ----- Streaming Compute Shader (3D) -----
+// The flow enters through the x = 0 face at equilibrium with velocity
+// (inflow, 0, 0) and leaves through the far x face with zero gradient. The
+// four side faces share sideBoundary: 0 = periodic, 1 = free-slip, 2 = no-slip.
+export const streaming3DShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> postCollision: array<f32>;
+  @group(0) @binding(1) var<storage, read_write> stateOut: array<f32>;
+  @group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+  ${lattice}
+  const mirrorY = ${wgslArray("u32", mirrorY3D)};
+  const mirrorZ = ${wgslArray("u32", mirrorZ3D)};
+
+  const periodicSide: i32 = 0;
+  const freeSlipSide: i32 = 1;
+  const noSlipSide: i32 = 2;
+
+  ${cellIndexing}
+
+  fn fold(v: i32, size: i32, periodic: bool) -> i32 {
+    if (periodic) { return (v + size) % size; }
+    return clamp(v, 0, size - 1);
+  }
+
+  fn inflowEquilibrium(d: u32) -> f32 {
+    let U = uniforms.inflow;
+    let edotu = f32(ex[d]) * U;
+    return weights[d] * (1.0 + 3.0 * edotu + 4.5 * edotu * edotu - 1.5 * (U * U));
+  }
+
+  @compute @workgroup_size(8, 8, 4)
+  fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let p = vec3<i32>(global_id);
+    let size = gridSize();
+    if (any(p >= size)) { return; }
+    let index = cellIndex(p);
+    let side = i32(round(uniforms.sideBoundary));
+    let periodic = side == periodicSide;
+
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      var src = p - vec3<i32>(ex[d], ey[d], ez[d]);
+      let outY = src.y < 0 || src.y >= size.y;
+      let outZ = src.z < 0 || src.z >= size.z;
+      var f: f32;
+      if (src.x < 0) {
+        f = inflowEquilibrium(d);
+      } else if (src.x >= size.x) {
+        // Zero gradient: the value the neighbour one cell inwards receives.
+        let tangent = vec3<i32>(p.x, fold(src.y, size.y, periodic), fold(src.z, size.z, periodic));
+        f = postCollision[cellIndex(tangent) * i32(numDirs) + i32(d)];
+      } else if (!(outY || outZ) || periodic) {
+        src = vec3<i32>(src.x, fold(src.y, size.y, true), fold(src.z, size.z, true));
+        f = postCollision[cellIndex(src) * i32(numDirs) + i32(d)];
+      } else if (side == noSlipSide) {
+        f = postCollision[index * i32(numDirs) + i32(opp[d])];
+      } else {
+        // Specular reflection off each wall crossed.
+        var mirrored = d;
+        if (outY) {
+          mirrored = mirrorY[mirrored];
+          src.y = p.y;
+        }
+        if (outZ) {
+          mirrored = mirrorZ[mirrored];
+          src.z = p.z;
+        }
+        f = postCollision[cellIndex(src) * i32(numDirs) + i32(mirrored)];
+      }
+      if (uniforms.clampDistributions > 0.5) {
+        f = min(max(1.e-5, f), 1.0);
+      }
+      stateOut[index * i32(numDirs) + i32(d)] = f;
+    }
+  }
+`;
+
+// ----- Field Compute Shader (3D) -----
+// moments writes (velocity, density) per cell, at rest in solid cells.
+// partial_range then writes the scalar shown by vizMode (density, speed or
+// the vorticity magnitude, zero on the faces of the grid) and reduces its
+// range over the fluid cells per workgroup, total_range over the workgroups.
+export const field3DShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> state: array<f32>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<storage, read_write> moments: array<vec4<f32>>;
+  @group(0) @binding(3) var<uniform> uniforms: Uniforms;
+
+  ${lattice}
+
+  ${cellIndexing}
+
+  @compute @workgroup_size(8, 8, 4)
+  fn moments_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let p = vec3<i32>(global_id);
+    if (any(p >= gridSize())) { return; }
+    let index = cellIndex(p);
+    var density: f32 = 0.0;
+    var u = vec3<f32>(0.0);
+    for (var d: u32 = 0u; d < numDirs; d = d + 1u) {
+      let f = state[index * i32(numDirs) + i32(d)];
+      density = density + f;
+      u = u + f * vec3<f32>(f32(ex[d]), f32(ey[d]), f32(ez[d]));
+    }
+    if (density > 0.0 && barriers[index] != 1) {
+      u = u / density;
+    } else {
+      u = vec3<f32>(0.0);
+    }
+    moments[index] = vec4<f32>(u, density);
+  }
+
+  @group(0) @binding(0) var<storage, read> cellMoments: array<vec4<f32>>;
+  @group(0) @binding(1) var<storage, read> fieldBarriers: array<i32>;
+  @group(0) @binding(2) var<storage, read_write> field: array<f32>;
+  @group(0) @binding(3) var<uniform> fieldUniforms: Uniforms;
+  @group(0) @binding(4) var<storage, read_write> partials: array<vec2<f32>>;
+
+  const empty: vec2<f32> = vec2<f32>(3.4e38, -3.4e38);
+  var<workgroup> ranges: array<vec2<f32>, 256>;
+
+  fn velocity(p: vec3<i32>) -> vec3<f32> {
+    let size = vec3<i32>(i32(fieldUniforms.gridWidth), i32(fieldUniforms.gridHeight), i32(fieldUniforms.gridDepth));
+    return cellMoments[(p.z * size.y + p.y) * size.x + p.x].xyz;
+  }
+
+  fn fieldValue(p: vec3<i32>, index: i32) -> f32 {
+    let mode = round(fieldUniforms.vizMode);
+    if (mode == 0.0) { return cellMoments[index].w; }
+    if (mode == 1.0) { return length(cellMoments[index].xyz); }
+    let size = vec3<i32>(i32(fieldUniforms.gridWidth), i32(fieldUniforms.gridHeight), i32(fieldUniforms.gridDepth));
+    if (any(p == vec3<i32>(0)) || any(p == size - 1)) { return 0.0; }
+    let dx = 0.5 * (velocity(p + vec3<i32>(1, 0, 0)) - velocity(p - vec3<i32>(1, 0, 0)));
+    let dy = 0.5 * (velocity(p + vec3<i32>(0, 1, 0)) - velocity(p - vec3<i32>(0, 1, 0)));
+    let dz = 0.5 * (velocity(p + vec3<i32>(0, 0, 1)) - velocity(p - vec3<i32>(0, 0, 1)));
+    return length(vec3<f32>(dy.z - dz.y, dz.x - dx.z, dx.y - dy.x));
+  }
+
+  fn reduceWorkgroup(local: u32) {
+    workgroupBarrier();
+    for (var stride: u32 = 128u; stride > 0u; stride = stride / 2u) {
+      if (local < stride) {
+        ranges[local] = vec2<f32>(min(ranges[local].x, ranges[local + stride].x), max(ranges[local].y, ranges[local + stride].y));
+      }
+      workgroupBarrier();
+    }
+  }
+
+  @compute @workgroup_size(256)
+  fn partial_range(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(local_invocation_index) local: u32,
+    @builtin(workgroup_id) group: vec3<u32>
+  ) {
+    let width = i32(fieldUniforms.gridWidth);
+    let height = i32(fieldUniforms.gridHeight);
+    let index = i32(global_id.x);
+    var range = empty;
+    if (index < width * height * i32(fieldUniforms.gridDepth)) {
+      let p = vec3<i32>(index % width, (index / width) % height, index / (width * height));
+      var value: f32 = 0.0;
+      if (fieldBarriers[index] != 1) {
+        value = fieldValue(p, index);
+        // Skips NaN, which fails both comparisons.
+        if (value >= -3.4e38 && value <= 3.4e38) { range = vec2<f32>(value); }
+      }
+      field[index] = value;
+    }
+    ranges[local] = range;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      partials[group.x] = ranges[0];
+    }
+  }
+
+  @group(0) @binding(0) var<storage, read> totalPartials: array<vec2<f32>>;
+  @group(0) @binding(1) var<storage, read_write> autoRange: array<f32>;
+
+  @compute @workgroup_size(256)
+  fn total_range(@builtin(local_invocation_index) local: u32) {
+    var range = empty;
+    for (var i: u32 = local; i < arrayLength(&totalPartials); i = i + 256u) {
+      range = vec2<f32>(min(range.x, totalPartials[i].x), max(range.y, totalPartials[i].y));
+    }
+    ranges[local] = range;
+    reduceWorkgroup(local);
+    if (local == 0u) {
+      var result = ranges[0];
+      if (result.x > result.y) { result = vec2<f32>(0.0, 1.0); }
+      autoRange[0] = result.x;
+      autoRange[1] = result.y;
+    }
+  }
+`;
+
+// ----- Render Shader (3D) -----
+// fs_slice shows the field on the sliceAxis plane at slicePosition (a
+// fraction of the grid along the axis), letterboxed to viewAspect: the x
+// plane is seen with z to the right, the y plane with z up. fs_volume
+// ray-marches the grid from a camera orbiting its centre (cameraYaw and
+// cameraPitch in degrees, closer with cameraZoom), either accumulating the
+// field as emission and absorption with an opacity growing with its square,
+// or shading the first isosurface at isoLevel (a fraction of the colour
+// range). Solid cells are grey in both, and the edges of the grid outlined.
+export const render3DShaderCode = `
+  ${uniformStruct}
+  @group(0) @binding(0) var<storage, read> field: array<f32>;
+  @group(0) @binding(1) var<storage, read> barriers: array<i32>;
+  @group(0) @binding(2) var<uniform> uniforms: Uniforms;
+  @group(0) @binding(3) var<storage, read> autoRange: array<f32>;
+
+  ${colormapTable}
+
+  ${cellIndexing}
+
+  const background: vec3<f32> = vec3<f32>(0.06, 0.06, 0.08);
+  const solidColor: vec3<f32> = vec3<f32>(0.7, 0.7, 0.7);
+  const edgeColor: vec3<f32> = vec3<f32>(0.35, 0.35, 0.4);
+  const light: vec3<f32> = vec3<f32>(0.408, 0.816, 0.408);
+
+  struct VertexOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>,
+  };
+
+  @vertex
+  fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
+    var pos = array<vec2<f32>, 3>(
+      vec2<f32>(-1.0,  3.0),
+      vec2<f32>( 3.0, -1.0),
+      vec2<f32>(-1.0, -1.0),
+    );
+    var output: VertexOut;
+    output.position = vec4<f32>(pos[vertexIndex], 0.0, 1.0);
+    output.uv = 0.5 * (pos[vertexIndex] + vec2<f32>(1.0));
+    return output;
+  }
+
+  fn colorMap(t: f32) -> vec3<f32> {
+    let s = clamp(t, 0.0, 1.0) * f32(colormapStopCount - 1u);
+    let i = min(u32(s), colormapStopCount - 2u);
+    let base = u32(round(uniforms.colormap)) * colormapStopCount + i;
+    return mix(colormapTable[base], colormapTable[base + 1u], s - f32(i));
+  }
+
+  fn colorRange() -> vec2<f32> {
+    if (uniforms.colorRange < 0.5) { return vec2<f32>(autoRange[0], autoRange[1]); }
+    return vec2<f32>(uniforms.colorMin, uniforms.colorMax);
+  }
+
+  @fragment
+  fn fs_slice(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let size = gridSize();
+    let axis = i32(round(uniforms.sliceAxis));
+    var plane = vec2<i32>(size.x, size.y);
+    if (axis == 0) { plane = vec2<i32>(size.z, size.y); }
+    if (axis == 1) { plane = vec2<i32>(size.x, size.z); }
+    let planeAspect = f32(plane.x) / f32(plane.y);
+    var st = uv;
+    if (uniforms.viewAspect > planeAspect) {
+      st.x = (st.x - 0.5) * uniforms.viewAspect / planeAspect + 0.5;
+    } else {
+      st.y = (st.y - 0.5) * planeAspect / uniforms.viewAspect + 0.5;
+    }
+    if (any(st < vec2<f32>(0.0)) || any(st >= vec2<f32>(1.0))) { return vec4<f32>(background, 1.0); }
+    let cell = min(vec2<i32>(st * vec2<f32>(plane)), plane - 1);
+    let layer = clamp(i32(uniforms.slicePosition * f32(size[axis])), 0, size[axis] - 1);
+    var p = vec3<i32>(cell.x, cell.y, layer);
+    if (axis == 0) { p = vec3<i32>(layer, cell.y, cell.x); }
+    if (axis == 1) { p = vec3<i32>(cell.x, layer, cell.y); }
+    let index = cellIndex(p);
+    if (barriers[index] == 1) { return vec4<f32>(solidColor, 1.0); }
+    let range = colorRange();
+    return vec4<f32>(colorMap((field[index] - range.x) / max(range.y - range.x, 1e-12)), 1.0);
+  }
+
+  // Trilinear between cell centres, clamped to the grid.
+  fn fieldAt(pos: vec3<f32>) -> f32 {
+    let size = gridSize();
+    let q = clamp(pos - 0.5, vec3<f32>(0.0), vec3<f32>(size - 1));
+    let p0 = vec3<i32>(floor(q));
+    let p1 = min(p0 + 1, size - 1);
+    let t = q - vec3<f32>(p0);
+    let c00 = mix(field[cellIndex(p0)], field[cellIndex(vec3<i32>(p1.x, p0.y, p0.z))], t.x);
+    let c10 = mix(field[cellIndex(vec3<i32>(p0.x, p1.y, p0.z))], field[cellIndex(vec3<i32>(p1.x, p1.y, p0.z))], t.x);
+    let c01 = mix(field[cellIndex(vec3<i32>(p0.x, p0.y, p1.z))], field[cellIndex(vec3<i32>(p1.x, p0.y, p1.z))], t.x);
+    let c11 = mix(field[cellIndex(vec3<i32>(p0.x, p1.y, p1.z))], field[cellIndex(p1)], t.x);
+    return mix(mix(c00, c10, t.y), mix(c01, c11, t.y), t.z);
+  }
+
+  fn solidAt(pos: vec3<f32>) -> f32 {
+    let p = clamp(vec3<i32>(floor(pos)), vec3<i32>(0), gridSize() - 1);
+    return select(0.0, 1.0, barriers[cellIndex(p)] == 1);
+  }
+
+  // The background behind the grid, outlining the edges of its box.
+  fn boxColor(entry: vec3<f32>, size: vec3<f32>) -> vec3<f32> {
+    let nearFace = min(entry, size - entry) < vec3<f32>(0.5);
+    if (u32(nearFace.x) + u32(nearFace.y) + u32(nearFace.z) >= 2u) { return edgeColor; }
+    return background;
+  }
+
+  fn shade(color: vec3<f32>, gradient: vec3<f32>, ray: vec3<f32>) -> vec3<f32> {
+    var normal = -ray;
+    if (length(gradient) > 0.0) { normal = -normalize(gradient); }
+    return color * (0.3 + 0.7 * abs(dot(normal, light)));
+  }
+
+  @fragment
+  fn fs_volume(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let size = vec3<f32>(gridSize());
+    let centre = 0.5 * size;
+    let yaw = radians(uniforms.cameraYaw);
+    let pitch = radians(uniforms.cameraPitch);
+    let toEye = vec3<f32>(cos(pitch) * sin(yaw), sin(pitch), cos(pitch) * cos(yaw));
+    // A 45 degree field of view that fits the whole grid at zoom 1.
+    let tanHalf = 0.4142;
+    let eye = centre + toEye * 1.1 * length(size) / tanHalf / 2.0 / max(uniforms.cameraZoom, 0.01);
+    let forward = -toEye;
+    let right = normalize(cross(forward, vec3<f32>(0.0, 1.0, 0.0)));
+    let up = cross(right, forward);
+    let ndc = 2.0 * uv - 1.0;
+    let ray = normalize(forward + tanHalf * (ndc.x * uniforms.viewAspect * right + ndc.y * up));
+
+    // Where the ray crosses the grid's bounding box.
+    let inv = 1.0 / ray;
+    let t0 = (vec3<f32>(0.0) - eye) * inv;
+    let t1 = (size - eye) * inv;
+    let tNear = max(max(min(t0.x, t1.x), min(t0.y, t1.y)), max(min(t0.z, t1.z), 0.0));
+    let tFar = min(min(max(t0.x, t1.x), max(t0.y, t1.y)), max(t0.z, t1.z));
+    if (tNear >= tFar) { return vec4<f32>(background, 1.0); }
+
+    let range = colorRange();
+    let span = max(range.y - range.x, 1e-12);
+    let isosurface = round(uniforms.viewMode) == 2.0;
+    let level = range.x + uniforms.isoLevel * span;
+    let stepSize: f32 = 0.5;
+    var color = vec3<f32>(0.0);
+    var alpha: f32 = 0.0;
+    var previous = fieldAt(eye + ray * tNear);
+    var t = tNear;
+    for (var i = 0; i < 4096 && t < tFar && alpha < 0.99; i = i + 1) {
+      let pos = eye + ray * t;
+      if (solidAt(pos) > 0.0) {
+        let gradient = vec3<f32>(
+          solidAt(pos + vec3<f32>(1.0, 0.0, 0.0)) - solidAt(pos - vec3<f32>(1.0, 0.0, 0.0)),
+          solidAt(pos + vec3<f32>(0.0, 1.0, 0.0)) - solidAt(pos - vec3<f32>(0.0, 1.0, 0.0)),
+          solidAt(pos + vec3<f32>(0.0, 0.0, 1.0)) - solidAt(pos - vec3<f32>(0.0, 0.0, 1.0)));
+        color = color + (1.0 - alpha) * shade(solidColor, gradient, ray);
+        alpha = 1.0;
+        break;
+      }
+      let value = fieldAt(pos);
+      if (isosurface) {
+        if (value >= level && previous < level) {
+          // Back to the crossing between the last two samples.
+          let hit = pos - ray * stepSize * (value - level) / max(value - previous, 1e-12);
+          let gradient = vec3<f32>(
+            fieldAt(hit + vec3<f32>(1.0, 0.0, 0.0)) - fieldAt(hit - vec3<f32>(1.0, 0.0, 0.0)),
+            fieldAt(hit + vec3<f32>(0.0, 1.0, 0.0)) - fieldAt(hit - vec3<f32>(0.0, 1.0, 0.0)),
+            fieldAt(hit + vec3<f32>(0.0, 0.0, 1.0)) - fieldAt(hit - vec3<f32>(0.0, 0.0, 1.0)));
+          color = shade(colorMap(uniforms.isoLevel), gradient, ray);
+          alpha = 1.0;
+          break;
+        }
+      } else {
+        let s = clamp((value - range.x) / span, 0.0, 1.0);
+        let a = 1.0 - pow(1.0 - clamp(uniforms.volumeOpacity * s * s, 0.0, 0.999), stepSize);
+        color = color + (1.0 - alpha) * a * colorMap(s);
+        alpha = alpha + (1.0 - alpha) * a;
+      }
+      previous = value;
+      t = t + stepSize;
+    }
+    return vec4<f32>(color + (1.0 - alpha) * boxColor(eye + ray * tNear, size), 1.0);
+  }
+`;
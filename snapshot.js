@@ -0,0 +1,165 @@
+import { numDirs, thermalDirs } from "./lattice.js";
+import { boundaryTypes } from "./lbmbase.js";
+
+// ----- Snapshot Format -----
+// Little-endian binary layout, version 3:
+//   0  char[4] magic "LBMS"
+//   4  u32     format version
+//   8  u32     header size in bytes (offset of the barrier mask)
+//  12  u32     gridWidth
+//  16  u32     gridHeight
+//  20  u8[4]   boundary type index of the left, right, bottom and top edges
+//              (version 1: u32 noSlip, 0 or 1, for the top and bottom edges)
+//  24  f64     tau
+//  32  f64     inflow
+//  40  f64     step count
+//  48  u8[numCells]            barrier mask, padded to a multiple of 4 bytes
+//      f32[numDirs][numCells]  distributions, one array per lattice direction
+// From version 3 the distributions are followed by optional sections, each a
+// char[4] tag, a u32 payload size in bytes and the payload. Readers skip tags
+// they do not know.
+//   "THRM" f32[thermalDirs][numCells]  temperature distributions, with thermal on
+//   "SOLD" f32[numCells]               solid fraction, with any porous cells
+//   "COMP" f32[numDirs][numCells]      second component's distributions, with
+//                                      multiphase "twoComponent"
+export const snapshotVersion = 3;
+const magic = "LBMS";
+const headerSize = 48;
+const sectionHeaderSize = 8;
+
+// Interleaved (cell-major) per-cell values to one array per direction, and back.
+function directionMajor(values, numCells, dirs) {
+  const out = new Float32Array(dirs * numCells);
+  for (let i = 0; i < numCells; i++) {
+    for (let d = 0; d < dirs; d++) out[d * numCells + i] = values[i * dirs + d];
+  }
+  return out;
+}
+
+function cellMajor(values, numCells, dirs) {
+  const out = new Float32Array(numCells * dirs);
+  for (let i = 0; i < numCells; i++) {
+    for (let d = 0; d < dirs; d++) out[i * dirs + d] = values[d * numCells + i];
+  }
+  return out;
+}
+
+// boundaries: the four edge boundary type indices, in header order. thermal
+// is the interleaved temperature distributions, solidFraction the solid
+// fraction of each cell and component the second component's interleaved
+// distributions, any of them null to leave it out.
+export function encodeSnapshot({
+  gridWidth, gridHeight, tau, inflow, boundaries, stepCount, barriers, state,
+  thermal = null, solidFraction = null, component = null,
+}) {
+  const numCells = gridWidth * gridHeight;
+  const maskSize = Math.ceil(numCells / 4) * 4;
+  const sections = [];
+  if (thermal) sections.push(["THRM", directionMajor(thermal, numCells, thermalDirs)]);
+  if (solidFraction) sections.push(["SOLD", Float32Array.from(solidFraction)]);
+  if (component) sections.push(["COMP", directionMajor(component, numCells, numDirs)]);
+  const dataSize = headerSize + maskSize + numDirs * numCells * Float32Array.BYTES_PER_ELEMENT;
+  const size = sections.reduce((total, [, payload]) => total + sectionHeaderSize + payload.byteLength, dataSize);
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  for (let i = 0; i < magic.length; i++) view.setUint8(i, magic.charCodeAt(i));
+  view.setUint32(4, snapshotVersion, true);
+  view.setUint32(8, headerSize, true);
+  view.setUint32(12, gridWidth, true);
+  view.setUint32(16, gridHeight, true);
+  boundaries.forEach((type, i) => view.setUint8(20 + i, type));
+  view.setFloat64(24, tau, true);
+  view.setFloat64(32, inflow, true);
+  view.setFloat64(40, stepCount, true);
+
+  const mask = new Uint8Array(buffer, headerSize, numCells);
+  for (let i = 0; i < numCells; i++) mask[i] = barriers[i] ? 1 : 0;
+  new Float32Array(buffer, headerSize + maskSize, numDirs * numCells).set(directionMajor(state, numCells, numDirs));
+  let offset = dataSize;
+  for (const [tag, payload] of sections) {
+    for (let i = 0; i < tag.length; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+    view.setUint32(offset + 4, payload.byteLength, true);
+    new Uint8Array(buffer, offset + sectionHeaderSize, payload.byteLength).set(new Uint8Array(payload.buffer));
+    offset += sectionHeaderSize + payload.byteLength;
+  }
+  return buffer;
+}
+
+// Payloads of the sections after dataSize bytes, keyed by tag.
+function decodeSections(buffer, dataSize) {
+  const view = new DataView(buffer);
+  const sections = {};
+  let offset = dataSize;
+  while (offset < buffer.byteLength) {
+    if (offset + sectionHeaderSize > buffer.byteLength) throw new Error("Snapshot section header is truncated");
+    const tag = String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+    const size = view.getUint32(offset + 4, true);
+    offset += sectionHeaderSize;
+    if (offset + size > buffer.byteLength) throw new Error(`Snapshot section "${tag}" is truncated`);
+    sections[tag] = buffer.slice(offset, offset + size);
+    offset += size;
+  }
+  return sections;
+}
+
+// The f32 section tag with dirs values per cell, cell-major, or null if absent.
+function sectionValues(sections, tag, numCells, dirs) {
+  if (!sections[tag]) return null;
+  if (sections[tag].byteLength !== dirs * numCells * Float32Array.BYTES_PER_ELEMENT) {
+    throw new Error(`Snapshot section "${tag}" does not match its grid`);
+  }
+  return cellMajor(new Float32Array(sections[tag]), numCells, dirs);
+}
+
+// Throws before anything is loaded if the header does not describe a grid the
+// simulation accepts: empty, overlapping the header, tau <= 0.5, a non-finite
+// inflow or an unknown boundary type.
+export function decodeSnapshot(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < headerSize) throw new Error("Snapshot file is too short");
+  const fileMagic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (fileMagic !== magic) throw new Error("Not a simulation snapshot file");
+  const version = view.getUint32(4, true);
+  if (version < 1 || version > snapshotVersion) {
+    throw new Error(`Unsupported snapshot version ${version} (expected 1 to ${snapshotVersion})`);
+  }
+  const dataOffset = view.getUint32(8, true);
+  const gridWidth = view.getUint32(12, true);
+  const gridHeight = view.getUint32(16, true);
+  if (gridWidth === 0 || gridHeight === 0) throw new Error("Snapshot grid is empty");
+  if (dataOffset < headerSize) throw new Error(`Snapshot header size ${dataOffset} is below ${headerSize}`);
+  const tau = view.getFloat64(24, true);
+  const inflow = view.getFloat64(32, true);
+  if (!(tau > 0.5)) throw new Error(`Snapshot tau ${tau} is not above 0.5`);
+  if (!Number.isFinite(inflow)) throw new Error(`Snapshot inflow ${inflow} is not finite`);
+  const boundaries = version === 1 ? null : Array.from(new Uint8Array(buffer, 20, 4));
+  if (boundaries && boundaries.some((type) => type >= boundaryTypes.length)) {
+    throw new Error(`Snapshot has unknown boundary types ${boundaries.join(", ")}`);
+  }
+  const numCells = gridWidth * gridHeight;
+  const maskSize = Math.ceil(numCells / 4) * 4;
+  const dataSize = dataOffset + maskSize + numDirs * numCells * Float32Array.BYTES_PER_ELEMENT;
+  // Only version 3 has sections after the distributions.
+  if (version < 3 ? buffer.byteLength !== dataSize : buffer.byteLength < dataSize) {
+    throw new Error(`Snapshot size does not match its ${gridWidth}x${gridHeight} grid`);
+  }
+
+  const barriers = Int32Array.from(new Uint8Array(buffer, dataOffset, numCells));
+  const dirs = new Float32Array(buffer.slice(dataOffset + maskSize, dataSize));
+  const state = cellMajor(dirs, numCells, numDirs);
+  const sections = decodeSections(buffer, dataSize);
+  return {
+    version,
+    gridWidth,
+    gridHeight,
+    tau,
+    inflow,
+    ...(version === 1 ? { noSlip: view.getUint32(20, true) === 1 } : { boundaries }),
+    stepCount: view.getFloat64(40, true),
+    barriers,
+    state,
+    thermal: sectionValues(sections, "THRM", numCells, thermalDirs),
+    solidFraction: sectionValues(sections, "SOLD", numCells, 1),
+    component: sectionValues(sections, "COMP", numCells, numDirs),
+  };
+}
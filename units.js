@@ -0,0 +1,66 @@
+// ----- Physical Units -----
+// Lattice units have dx = dt = 1 and a speed of sound of 1 / sqrt(3), so the
+// kinematic viscosity is (tau - 0.5) / 3. The model is only weakly
+// compressible: errors grow with the Mach number squared, and BGK-like
+// collisions lose stability as tau approaches 0.5.
+export const soundSpeed = 1 / Math.sqrt(3);
+export const machWarning = 0.2;
+export const machLimit = 0.3;
+export const tauWarning = 0.55;
+export const tauLimit = 0.505;
+
+export function latticeViscosity(tau) {
+  return (tau - 0.5) / 3;
+}
+
+export function machNumber(inflow) {
+  return Math.abs(inflow) / soundSpeed;
+}
+
+// Reynolds number U L / nu for a body length cells long.
+export function reynoldsNumber(inflow, length, tau) {
+  const viscosity = latticeViscosity(tau);
+  if (!(viscosity > 0 && length > 0)) return 0;
+  return Math.abs(inflow) * length / viscosity;
+}
+
+// Lattice inflow and tau that reproduce the target Reynolds number for a body
+// length cells long that is physicalLength metres long, in a fluid of
+// kinematic viscosity physicalViscosity (m^2/s), when each step advances
+// timeStep seconds. Also returns the cell size (m) and the physical inflow
+// speed (m/s).
+export function deriveLatticeParameters({ reynolds, length, physicalLength, physicalViscosity, timeStep }) {
+  const cellSize = physicalLength / length;
+  const speed = reynolds * physicalViscosity / physicalLength;
+  return {
+    inflow: speed * timeStep / cellSize,
+    tau: 3 * physicalViscosity * timeStep / (cellSize * cellSize) + 0.5,
+    cellSize,
+    speed,
+  };
+}
+
+// Time step (s) at which the derived inflow runs at the given Mach number.
+export function timeStepForMach(mach, { reynolds, length, physicalLength, physicalViscosity }) {
+  const cellSize = physicalLength / length;
+  const speed = reynolds * physicalViscosity / physicalLength;
+  return mach * soundSpeed * cellSize / speed;
+}
+
+// Problems with an inflow and tau, as { level, message } with level "error"
+// for settings that should not be run and "warning" for doubtful ones.
+export function stabilityIssues({ inflow, tau }) {
+  const issues = [];
+  const mach = machNumber(inflow);
+  if (mach > machLimit) {
+    issues.push({ level: "error", message: `Mach ${mach.toFixed(2)} is above ${machLimit}: the flow is too compressible` });
+  } else if (mach > machWarning) {
+    issues.push({ level: "warning", message: `Mach ${mach.toFixed(2)} is above ${machWarning}: expect compressibility errors` });
+  }
+  if (!(tau > tauLimit)) {
+    issues.push({ level: "error", message: `tau ${tau.toFixed(4)} is too close to 0.5 to stay stable` });
+  } else if (tau < tauWarning) {
+    issues.push({ level: "warning", message: `tau ${tau.toFixed(4)} is close to 0.5 and may go unstable` });
+  }
+  return issues;
+}
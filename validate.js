@@ -0,0 +1,36 @@
+import { validationCases, runValidation } from "./validation.js";
+
+// ----- Validation Runner -----
+// Headless benchmark run on the CPU kernels: node validate.js [case ...]
+// runs the named cases of validationCases (all by default), prints every
+// metric against its reference and tolerance, and exits with status 1 if
+// any fails.
+const names = process.argv.length > 2 ? process.argv.slice(2) : validationCases;
+const unknown = names.filter((name) => !validationCases.includes(name));
+if (unknown.length > 0) {
+  console.error(`Unknown case ${unknown.join(", ")}; the cases are ${validationCases.join(", ")}`);
+  process.exit(2);
+}
+
+const percent = (x) => `${(100 * x).toPrecision(3)}%`;
+
+// Error norms show as a percentage, coefficients with their reference and error.
+function formatMetric({ name, value, reference, error, tolerance, absolute, pass }) {
+  const shown = absolute ? (x) => x.toPrecision(3) : percent;
+  const result = reference === null
+    ? percent(value)
+    : `${value.toPrecision(5)} (reference ${reference.toPrecision(5)}, error ${shown(error)})`;
+  return `  ${pass ? "pass" : "FAIL"}  ${name}: ${result}, tolerance ${shown(tolerance)}`;
+}
+
+let failures = 0;
+for (const name of names) {
+  const start = performance.now();
+  const { metrics, steps, pass } = await runValidation(name);
+  const seconds = (performance.now() - start) / 1000;
+  console.log(`${name}: ${pass ? "pass" : "FAIL"} after ${steps} steps in ${seconds.toFixed(1)} s`);
+  for (const metric of metrics) console.log(formatMetric(metric));
+  if (!pass) failures++;
+}
+console.log(`${names.length - failures} of ${names.length} cases passed`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,426 @@
+import { numDirs, equilibrium, computeMoments } from "./lattice.js";
+import { forceCoefficients } from "./forces.js";
+import { channelPreset } from "./presets.js";
+import { collisionModels } from "./lbmbase.js";
+import { LBMSimulationCPU } from "./lbmcpu.js";
+
+// ----- Validation Cases -----
+// Benchmarks run on the CPU kernels against analytic solutions and published
+// data, in lattice units at resolutions small enough for each to finish in
+// ten minutes or less. Each reports metrics { name, value, reference, error,
+// tolerance, pass }: a coefficient against its reference (relative error
+// unless absolute is set), or an error norm, which has no reference. The
+// snapshot case checks that saved runs resume exactly and that malformed
+// files leave the simulation alone.
+const validationRunners = {
+  poiseuille: runPoiseuille,
+  channel: runChannel,
+  taylorGreen: runTaylorGreen,
+  cylinder20: runCylinder20,
+  cylinder100: runCylinder100,
+  cavity100: runCavity100,
+  snapshot: runSnapshot,
+};
+export const validationCases = Object.keys(validationRunners);
+
+// Run one of validationCases; resolves to { name, metrics, steps, pass }.
+export async function runValidation(name) {
+  const runner = validationRunners[name];
+  if (!runner) throw new Error(`Unknown validation case "${name}"`);
+  const { metrics, steps } = await runner();
+  return { name, metrics, steps, pass: metrics.every((metric) => metric.pass) };
+}
+
+function comparison(name, value, reference, tolerance, absolute = false) {
+  const error = Math.abs(value - reference) / (absolute ? 1 : Math.abs(reference));
+  return { name, value, reference, error, tolerance, absolute, pass: error <= tolerance };
+}
+
+function errorNorm(name, error, tolerance) {
+  return { name, value: error, reference: null, error, tolerance, absolute: false, pass: error <= tolerance };
+}
+
+// L2 norm of computed - exact relative to that of exact, and the root mean
+// square and largest differences relative to scale (by default the largest |exact|).
+function errorNorms(computed, exact, scale = Math.max(...exact.map(Math.abs))) {
+  let squared = 0, reference = 0, max = 0;
+  for (let i = 0; i < exact.length; i++) {
+    const difference = computed[i] - exact[i];
+    squared += difference * difference;
+    reference += exact[i] * exact[i];
+    max = Math.max(max, Math.abs(difference));
+  }
+  return {
+    l2: Math.sqrt(squared / reference),
+    rms: Math.sqrt(squared / exact.length) / scale,
+    max: Number.isFinite(squared) ? max / scale : NaN,
+  };
+}
+
+// Bilinear sample of a per-cell field at (x, y) in grid units, clamped to the cell centres.
+function sampleField(field, gridWidth, gridHeight, x, y) {
+  const px = Math.min(Math.max(x - 0.5, 0), gridWidth - 1);
+  const py = Math.min(Math.max(y - 0.5, 0), gridHeight - 1);
+  const x0 = Math.min(Math.floor(px), gridWidth - 2), y0 = Math.min(Math.floor(py), gridHeight - 2);
+  const tx = px - x0, ty = py - y0;
+  const at = (i, j) => field[j * gridWidth + i];
+  const bottom = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+  const top = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+  return bottom * (1 - ty) + top * ty;
+}
+
+async function readVelocity(sim) {
+  const [ux, uy] = [await sim.readField("ux"), await sim.readField("uy")];
+  const velocity = new Float64Array(2 * sim.numCells);
+  velocity.set(ux);
+  velocity.set(uy, sim.numCells);
+  return velocity;
+}
+
+// Step until the velocity changes by less than tolerance (relative L2 norm)
+// over interval steps, or for maxSteps in all. Stops early on a blow-up.
+async function runToSteadyState(sim, maxSteps, interval = 1000, tolerance = 1e-6) {
+  let previous = await readVelocity(sim);
+  while (sim.stepCount < maxSteps) {
+    sim.step(Math.min(interval, maxSteps - sim.stepCount));
+    const current = await readVelocity(sim);
+    const { l2 } = errorNorms(current, previous);
+    previous = current;
+    if (l2 < tolerance || !current.every(Number.isFinite)) break;
+  }
+}
+
+// ----- Channel Flow -----
+// Poiseuille flow in the periodic channel of channelPreset, driven by the
+// body force g: ux(y) = g / (2 nu) * y * (H - y), the bounce-back walls
+// lying half a cell outside the grid. Run with every collision model, which
+// must all take in the whole force, with and without the clamp, which must
+// leave a flow this gentle alone.
+async function runPoiseuille() {
+  const gridWidth = 4, gridHeight = 32;
+  const metrics = [];
+  let steps = 0;
+  for (const collisionModel of collisionModels) {
+    for (const clampDistributions of [false, true]) {
+      const sim = new LBMSimulationCPU({
+        gridWidth, gridHeight, ...channelPreset(gridWidth, gridHeight).parameters, collisionModel, clampDistributions,
+      });
+      const viscosity = (sim.params.tau - 0.5) / 3, force = sim.params.bodyForce;
+      await runToSteadyState(sim, 100000, 2000, 1e-7);
+      const ux = await sim.readField("ux");
+      const computed = [], exact = [];
+      for (let y = 0; y < gridHeight; y++) {
+        computed.push(ux[y * gridWidth]);
+        exact.push(force / (2 * viscosity) * (y + 0.5) * (gridHeight - y - 0.5));
+      }
+      const { l2, max } = errorNorms(computed, exact);
+      const label = `${collisionModel}${clampDistributions ? " clamped" : ""}`;
+      metrics.push(errorNorm(`${label} ux profile L2`, l2, 0.01), errorNorm(`${label} ux profile max`, max, 0.02));
+      steps += sim.stepCount;
+    }
+  }
+  return { metrics, steps };
+}
+
+// The same profile from a parabolic velocity inlet to a pressure outlet,
+// with mean speed U: ux(y) = 6 U s (1 - s), s = y / H, under the pressure
+// gradient dp/dx = -12 rho nu U / H^2, measured between the quarter points.
+async function runChannel() {
+  const gridWidth = 96, gridHeight = 24, inflow = 0.04, tau = 0.8;
+  const sim = new LBMSimulationCPU({
+    gridWidth, gridHeight, tau, inflow, inflowProfile: "parabolic",
+    leftBoundary: "velocity", rightBoundary: "pressure", bottomBoundary: "noSlip", topBoundary: "noSlip",
+  });
+  const viscosity = (tau - 0.5) / 3;
+  await runToSteadyState(sim, 30000, 2000, 1e-7);
+  const [ux, density] = [await sim.readField("ux"), await sim.readField("density")];
+  const middle = gridWidth / 2;
+  const computed = [], exact = [];
+  for (let y = 0; y < gridHeight; y++) {
+    const s = (y + 0.5) / gridHeight;
+    computed.push(sampleField(ux, gridWidth, gridHeight, middle, y + 0.5));
+    exact.push(6 * inflow * s * (1 - s));
+  }
+  const meanDensity = (x) => {
+    let sum = 0;
+    for (let y = 0; y < gridHeight; y++) sum += density[y * gridWidth + x];
+    return sum / gridHeight;
+  };
+  const x0 = gridWidth / 4, x1 = 3 * gridWidth / 4;
+  const gradient = (meanDensity(x0) - meanDensity(x1)) / 3 / (x1 - x0);
+  const { l2, max } = errorNorms(computed, exact);
+  return {
+    metrics: [
+      errorNorm("ux profile L2", l2, 0.02),
+      errorNorm("ux profile max", max, 0.03),
+      comparison("-dp/dx", gradient, 12 * meanDensity(middle) * viscosity * inflow / gridHeight ** 2, 0.03),
+    ],
+    steps: sim.stepCount,
+  };
+}
+
+// ----- Taylor-Green Vortex -----
+// Decaying vortices in a periodic box, u = U (-cos kx sin ky, sin kx cos ky)
+// exp(-2 nu k^2 t) with p = -rho U^2 / 4 (cos 2kx + cos 2ky) exp(-4 nu k^2 t).
+// The viscosity is recovered from the kinetic energy decay, after the first
+// steps have relaxed the non-equilibrium parts the start leaves out.
+async function runTaylorGreen() {
+  const size = 64, speed = 0.02, tau = 0.8, start = 100, steps = 1000;
+  const viscosity = (tau - 0.5) / 3, k = 2 * Math.PI / size;
+  const sim = new LBMSimulationCPU({
+    gridWidth: size, gridHeight: size, tau, inflow: 0, leftBoundary: "periodic", bottomBoundary: "periodic",
+  });
+  const field = (t) => {
+    const decay = Math.exp(-2 * viscosity * k * k * t);
+    const ux = new Float64Array(size * size), uy = new Float64Array(size * size);
+    const density = new Float64Array(size * size);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const i = y * size + x, kx = k * (x + 0.5), ky = k * (y + 0.5);
+        ux[i] = -speed * Math.cos(kx) * Math.sin(ky) * decay;
+        uy[i] = speed * Math.sin(kx) * Math.cos(ky) * decay;
+        density[i] = 1 - 0.75 * speed * speed * (Math.cos(2 * kx) + Math.cos(2 * ky)) * decay * decay;
+      }
+    }
+    return { ux, uy, density };
+  };
+  const initial = field(0);
+  const state = new Float32Array(size * size * numDirs);
+  for (let i = 0; i < size * size; i++) {
+    for (let d = 0; d < numDirs; d++) {
+      state[i * numDirs + d] = equilibrium(d, initial.density[i], initial.ux[i], initial.uy[i]);
+    }
+  }
+  sim.writeState(state);
+  const energy = async () => {
+    const [ux, uy] = [await sim.readField("ux"), await sim.readField("uy")];
+    return ux.reduce((sum, u, i) => sum + u * u + uy[i] * uy[i], 0);
+  };
+  sim.step(start);
+  const startEnergy = await energy();
+  sim.step(steps - start);
+  const decayViscosity = Math.log(startEnergy / await energy()) / (4 * k * k * (steps - start));
+  const exact = field(steps);
+  const velocity = await readVelocity(sim);
+  const { l2, max } = errorNorms(velocity, [...exact.ux, ...exact.uy]);
+  return {
+    metrics: [
+      comparison("viscosity", decayViscosity, viscosity, 0.01),
+      errorNorm("velocity L2", l2, 0.01),
+      errorNorm("velocity max", max, 0.02),
+    ],
+    steps: sim.stepCount,
+  };
+}
+
+// ----- Cylinder in a Channel -----
+// Schafer & Turek (1996): a cylinder of diameter D centred 2 D from the inlet
+// and the bottom wall of a channel 4.1 D high and 22 D long, parabolic inflow
+// of mean U from the left, outflow at density 1 on the right, Re = U D / nu.
+// Coefficients are per rho U^2 D / 2. The cylinder is 20 cells across, under
+// TRT, whose magic parameter keeps the staircase walls halfway between nodes
+// whatever tau; U = 0.05 keeps the compressibility error, which grows with
+// U^2 and dominates at coarser settings, to a few percent.
+const cylinderDiameter = 20;
+const cylinderInflow = 0.05;
+
+function cylinderChannel(diameter, reynolds, inflow) {
+  const gridWidth = 22 * diameter, gridHeight = Math.round(4.1 * diameter);
+  const sim = new LBMSimulationCPU({
+    gridWidth, gridHeight, measureForces: true, tau: 3 * inflow * diameter / reynolds + 0.5, inflow,
+    inflowProfile: "parabolic", leftBoundary: "velocity", rightBoundary: "pressure",
+    bottomBoundary: "noSlip", topBoundary: "noSlip", collisionModel: "trt", clampDistributions: false,
+  });
+  const barriers = new Int32Array(gridWidth * gridHeight);
+  const centre = 2 * diameter, radius = diameter / 2;
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      if (Math.hypot(x + 0.5 - centre, y + 0.5 - centre) <= radius) barriers[y * gridWidth + x] = 1;
+    }
+  }
+  sim.setBarriers(barriers);
+  sim.reset();
+  return sim;
+}
+
+// Steady flow at Re = 20 (case 2D-1): Cd = 5.5795, Cl = 0.0106 and a pressure
+// difference of 0.1175 at U = 0.2, so 2.9375 rho U^2, between the front and
+// back of the cylinder, here taken in the fluid cells next to it on the
+// centreline. Sound waves from the start never quite die out between the
+// inlet and outlet, so the forces are averaged over a few of their periods.
+async function runCylinder20() {
+  const diameter = cylinderDiameter, inflow = cylinderInflow;
+  const sim = cylinderChannel(diameter, 20, inflow);
+  await runToSteadyState(sim, 16000, 1000, 1e-5);
+  await sim.readForces();
+  sim.step(4000);
+  const { cd, cl } = forceCoefficients(await sim.readForces(), inflow, diameter);
+  const density = await sim.readField("density");
+  const { gridWidth, barriers } = sim;
+  const centre = 2 * diameter;
+  const surfaceDensity = (direction) => {
+    let x = centre;
+    while (barriers[centre * gridWidth + x] || barriers[(centre - 1) * gridWidth + x]) x += direction;
+    return 0.5 * (density[centre * gridWidth + x] + density[(centre - 1) * gridWidth + x]);
+  };
+  const pressureDrop = (surfaceDensity(-1) - surfaceDensity(1)) / 3 / (inflow * inflow);
+  return {
+    metrics: [
+      comparison("Cd", cd, 5.5795, 0.05),
+      comparison("Cl", cl, 0.0106, 0.002, true),
+      comparison("pressure drop", pressureDrop, 2.9375, 0.05),
+    ],
+    steps: sim.stepCount,
+  };
+}
+
+// Periodic vortex shedding at Re = 100 (case 2D-2): the maxima of Cd and Cl
+// over a period are 3.2362 and 1.0, and the Strouhal number D f / U is 0.3.
+// Once the shedding has settled the forces are averaged over windows of a few
+// steps, f comes from the upward zero crossings of Cl and Cl max is the mean
+// of its peaks. Sound waves between the inlet and outlet ripple the drag by
+// more than its swing over a period (under 2% in the reference), so Cd is
+// the mean over whole periods. To keep those waves small the inflow ramps up
+// smoothly from rest, then a nudge across the wake starts the shedding.
+async function runCylinder100() {
+  const diameter = cylinderDiameter, inflow = cylinderInflow;
+  const ramp = 4000, settle = 12000, record = 8000, window = 40;
+  const sim = cylinderChannel(diameter, 100, inflow);
+  sim.reset(0);
+  for (let step = 0; step < ramp; step += window) {
+    sim.setParameter("inflow", inflow * Math.sin(0.5 * Math.PI * (step + window) / ramp) ** 2);
+    sim.step(window);
+  }
+  await nudgeWake(sim, diameter, 0.1 * inflow);
+  sim.step(settle);
+  await sim.readForces();
+  const history = [];
+  for (let i = 0; i < record / window; i++) {
+    sim.step(window);
+    history.push(forceCoefficients(await sim.readForces(), inflow, diameter));
+  }
+  const crossings = [];
+  for (let i = 1; i < history.length; i++) {
+    const [a, b] = [history[i - 1].cl, history[i].cl];
+    if (a < 0 && b >= 0) crossings.push(i - 1 + a / (a - b));
+  }
+  const periods = crossings.length - 1;
+  const period = window * (crossings.at(-1) - crossings[0]) / periods;
+  const whole = history.slice(Math.ceil(crossings[0]), Math.ceil(crossings.at(-1)));
+  const peaks = crossings.slice(1).map((end, i) => {
+    return Math.max(...history.slice(Math.ceil(crossings[i]), Math.ceil(end)).map(({ cl }) => cl));
+  });
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  return {
+    metrics: [
+      comparison("Cd", mean(whole.map(({ cd }) => cd)), 3.2362, 0.05),
+      comparison("Cl max", mean(peaks), 1.0, 0.1),
+      comparison("Strouhal", diameter / period / inflow, 0.3, 0.05),
+    ],
+    steps: sim.stepCount,
+  };
+}
+
+// Add a cross-flow of speed to the fluid in the box 1 to 3 radii behind the
+// cylinder and within a radius of its axis.
+async function nudgeWake(sim, diameter, speed) {
+  const { gridWidth, gridHeight, numCells, barriers } = sim;
+  const state = await sim.readState();
+  const { density, ux, uy } = computeMoments(state, numCells);
+  const centre = 2 * diameter, radius = diameter / 2;
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      const i = y * gridWidth + x;
+      const inWake = x >= centre + radius && x <= centre + 3 * radius && Math.abs(y + 0.5 - centre) <= radius;
+      if (!inWake || barriers[i]) continue;
+      for (let d = 0; d < numDirs; d++) state[i * numDirs + d] = equilibrium(d, density[i], ux[i], uy[i] + speed);
+    }
+  }
+  sim.writeState(state);
+}
+
+// ----- Lid-Driven Cavity -----
+// Ghia, Ghia & Shin (1982) at Re = U L / nu = 100: ux / U along the vertical
+// centreline and uy / U along the horizontal one, at their tabulated points,
+// with the errors in units of U.
+const ghiaY = [1, 0.9766, 0.9688, 0.9609, 0.9531, 0.8516, 0.7344, 0.6172, 0.5, 0.4531, 0.2813, 0.1719,
+  0.1016, 0.0703, 0.0625, 0.0547, 0];
+const ghiaU = [1, 0.84123, 0.78871, 0.73722, 0.68717, 0.23151, 0.00332, -0.13641, -0.20581, -0.2109, -0.15662,
+  -0.1015, -0.06434, -0.04775, -0.04192, -0.03717, 0];
+const ghiaX = [1, 0.9688, 0.9609, 0.9531, 0.9453, 0.9063, 0.8594, 0.8047, 0.5, 0.2344, 0.2266, 0.1563,
+  0.0938, 0.0781, 0.0703, 0.0625, 0];
+const ghiaV = [0, -0.05906, -0.07391, -0.08864, -0.10313, -0.16914, -0.22445, -0.24533, 0.05454, 0.17527,
+  0.17507, 0.16077, 0.12317, 0.1089, 0.10091, 0.09233, 0];
+
+// The lid is a Zou-He velocity edge, which holds the top row of nodes at the
+// lid speed, so the cavity runs from the bounce-back floor half a cell below
+// the grid to the centres of the top row. Its corner nodes move with it,
+// which drives the vortex a little harder than in the reference at N = 64.
+async function runCavity100() {
+  const size = 64, lidSpeed = 0.1;
+  const sim = new LBMSimulationCPU({
+    gridWidth: size, gridHeight: size, tau: 3 * lidSpeed * size / 100 + 0.5, inflow: lidSpeed,
+    leftBoundary: "noSlip", rightBoundary: "noSlip", bottomBoundary: "noSlip", topBoundary: "velocity",
+  });
+  sim.reset(0);
+  await runToSteadyState(sim, 60000, 1000, 1e-6);
+  const [ux, uy] = [await sim.readField("ux"), await sim.readField("uy")];
+  const depth = size - 0.5;
+  const u = ghiaY.map((y) => sampleField(ux, size, size, size / 2, y * depth) / lidSpeed);
+  const v = ghiaX.map((x) => sampleField(uy, size, size, x * size, depth / 2) / lidSpeed);
+  const uNorms = errorNorms(u, ghiaU, 1), vNorms = errorNorms(v, ghiaV, 1);
+  return {
+    metrics: [
+      errorNorm("u centreline rms", uNorms.rms, 0.03),
+      errorNorm("u centreline max", uNorms.max, 0.05),
+      errorNorm("v centreline rms", vNorms.rms, 0.03),
+      errorNorm("v centreline max", vNorms.max, 0.05),
+    ],
+    steps: sim.stepCount,
+  };
+}
+
+// ----- Snapshots -----
+// A run saved at one grid size and loaded into another must match the saved
+// one exactly. Copies of the file with a header field (at its byte offset)
+// the simulation cannot take must be rejected with the grid, the state and
+// the resize events left as they were.
+const malformedSnapshots = [
+  ["unknown left boundary", 20, (view, offset) => view.setUint8(offset, 99)],
+  ["empty grid", 12, (view, offset) => view.setUint32(offset, 0, true)],
+  ["header size below 48", 8, (view, offset) => view.setUint32(offset, 8, true)],
+  ["tau of 0.5", 24, (view, offset) => view.setFloat64(offset, 0.5, true)],
+  ["infinite inflow", 32, (view, offset) => view.setFloat64(offset, Infinity, true)],
+];
+
+async function runSnapshot() {
+  const saved = new LBMSimulationCPU({ gridWidth: 30, gridHeight: 10, tau: 0.6, inflow: 0.05 });
+  saved.step(50);
+  const snapshot = await saved.saveSnapshot();
+  const expected = await saved.readState();
+  const sim = new LBMSimulationCPU({ gridWidth: 40, gridHeight: 20 });
+  await sim.loadSnapshot(snapshot);
+  const state = await sim.readState();
+  const difference = Math.max(...state.map((f, i) => Math.abs(f - expected[i])));
+  const metrics = [errorNorm("round trip max difference", state.length === expected.length ? difference : 1, 0)];
+
+  for (const [label, offset, corrupt] of malformedSnapshots) {
+    const buffer = snapshot.slice(0);
+    corrupt(new DataView(buffer), offset);
+    const target = new LBMSimulationCPU({ gridWidth: 40, gridHeight: 20 });
+    const before = await target.readState();
+    let resized = false;
+    target.addEventListener("resize", () => { resized = true; });
+    let rejected = false;
+    try {
+      await target.loadSnapshot(buffer);
+    } catch {
+      rejected = true;
+    }
+    const after = await target.readState();
+    const unchanged = target.gridWidth === 40 && target.gridHeight === 20 && !resized &&
+      after.every((f, i) => f === before[i]);
+    metrics.push(errorNorm(`${label} rejected, simulation unchanged`, rejected && unchanged ? 0 : 1, 0));
+  }
+  return { metrics, steps: saved.stepCount };
+}
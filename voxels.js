@@ -0,0 +1,149 @@
+// ----- Voxel Obstacles -----
+// Solid masks for the 3D grid, in the cell order of lattice3d.js, from
+// primitives or from triangle meshes.
+//
+// A primitive is { type, x, y, z, size, axis, length } where
+//   type     "sphere" | "box" | "cylinder"
+//   x, y, z  centre as fractions of the grid width, height and depth
+//   size     diameter (or edge) as a fraction of the grid height
+//   axis     "x" | "y" | "z", the cylinder's axis
+//   length   cylinder length as a fraction of the grid along its axis
+export const primitiveTypes = ["sphere", "box", "cylinder"];
+export const axes = ["x", "y", "z"];
+
+export function voxelizePrimitive(shape, gridWidth, gridHeight, gridDepth) {
+  const { type, x = 0.3, y = 0.5, z = 0.5, size = 0.25, axis = "z", length = 1 } = shape;
+  if (!primitiveTypes.includes(type)) throw new Error(`Unknown primitive "${type}"`);
+  if (!axes.includes(axis)) throw new Error(`Unknown axis "${axis}"`);
+  if (!(size > 0)) throw new Error("Obstacle size must be positive");
+  const mask = new Int32Array(gridWidth * gridHeight * gridDepth);
+  const centre = [x * gridWidth, y * gridHeight, z * gridDepth];
+  const radius = size * gridHeight / 2;
+  const along = axes.indexOf(axis);
+  const halfLength = length * [gridWidth, gridHeight, gridDepth][along] / 2;
+  const p = [0, 0, 0];
+  for (let k = 0; k < gridDepth; k++) {
+    for (let j = 0; j < gridHeight; j++) {
+      for (let i = 0; i < gridWidth; i++) {
+        p[0] = i + 0.5 - centre[0];
+        p[1] = j + 0.5 - centre[1];
+        p[2] = k + 0.5 - centre[2];
+        let inside;
+        if (type === "sphere") {
+          inside = Math.hypot(p[0], p[1], p[2]) <= radius;
+        } else if (type === "box") {
+          inside = Math.max(Math.abs(p[0]), Math.abs(p[1]), Math.abs(p[2])) <= radius;
+        } else {
+          const r = Math.hypot(...p.filter((_, a) => a !== along));
+          inside = r <= radius && Math.abs(p[along]) <= halfLength;
+        }
+        if (inside) mask[(k * gridHeight + j) * gridWidth + i] = 1;
+      }
+    }
+  }
+  return mask;
+}
+
+// ----- Meshes -----
+// Triangles as a flat Float32Array of 9 coordinates each.
+export function parseOBJ(text) {
+  const vertices = [];
+  const triangles = [];
+  for (const line of text.split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === "v") {
+      vertices.push(parts.slice(1, 4).map(Number));
+    } else if (parts[0] === "f") {
+      // Vertex indices are 1-based, or negative from the end; faces are fans.
+      const face = parts.slice(1).map((part) => {
+        const index = parseInt(part.split("/")[0], 10);
+        const vertex = vertices[index < 0 ? vertices.length + index : index - 1];
+        if (!vertex) throw new Error(`OBJ face refers to missing vertex ${index}`);
+        return vertex;
+      });
+      for (let i = 1; i + 1 < face.length; i++) triangles.push(...face[0], ...face[i], ...face[i + 1]);
+    }
+  }
+  if (triangles.length === 0) throw new Error("The OBJ file has no faces");
+  if (triangles.some((v) => !Number.isFinite(v))) throw new Error("The OBJ file has malformed vertices");
+  return new Float32Array(triangles);
+}
+
+// Binary STL when the size matches its triangle count, ASCII otherwise.
+export function parseSTL(buffer) {
+  if (buffer.byteLength >= 84) {
+    const view = new DataView(buffer);
+    const count = view.getUint32(80, true);
+    if (84 + 50 * count === buffer.byteLength) {
+      const triangles = new Float32Array(count * 9);
+      for (let t = 0; t < count; t++) {
+        // Skip the normal; the attribute count follows the vertices.
+        for (let v = 0; v < 9; v++) triangles[t * 9 + v] = view.getFloat32(84 + t * 50 + 12 + v * 4, true);
+      }
+      return triangles;
+    }
+  }
+  const text = new TextDecoder().decode(buffer);
+  const coordinates = [...text.matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)].flatMap((m) => m.slice(1, 4).map(Number));
+  if (coordinates.length === 0 || coordinates.length % 9 !== 0) throw new Error("Not a valid STL file");
+  if (coordinates.some((v) => !Number.isFinite(v))) throw new Error("The STL file has malformed vertices");
+  return new Float32Array(coordinates);
+}
+
+// By file extension, from the file's ArrayBuffer.
+export function parseMesh(fileName, buffer) {
+  if (/\.obj$/i.test(fileName)) return parseOBJ(new TextDecoder().decode(buffer));
+  if (/\.stl$/i.test(fileName)) return parseSTL(buffer);
+  throw new Error("Meshes must be .obj or .stl files");
+}
+
+// Solid mask of a closed mesh, scaled so that its largest extent is size
+// times the grid height and centred as a primitive would be. Rays along x
+// through each row of cell centres count the surface crossings, so cells
+// between the first and second crossing, the third and fourth and so on are inside.
+export function voxelizeMesh(triangles, gridWidth, gridHeight, gridDepth, { x = 0.3, y = 0.5, z = 0.5, size = 0.25 } = {}) {
+  const lo = [Infinity, Infinity, Infinity];
+  const hi = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < triangles.length; i++) {
+    lo[i % 3] = Math.min(lo[i % 3], triangles[i]);
+    hi[i % 3] = Math.max(hi[i % 3], triangles[i]);
+  }
+  const extent = Math.max(hi[0] - lo[0], hi[1] - lo[1], hi[2] - lo[2]);
+  if (!(extent > 0)) throw new Error("The mesh has no extent");
+  const scale = size * gridHeight / extent;
+  const centre = [x * gridWidth, y * gridHeight, z * gridDepth];
+  const grid = Float64Array.from(triangles, (v, i) => centre[i % 3] + (v - (lo[i % 3] + hi[i % 3]) / 2) * scale);
+
+  // Crossings per (y, z) row; the ray is nudged off the cell centre so that
+  // it never runs exactly through a shared edge or vertex.
+  const crossings = Array.from({ length: gridHeight * gridDepth }, () => []);
+  for (let t = 0; t < grid.length; t += 9) {
+    const [x0, y0, z0, x1, y1, z1, x2, y2, z2] = grid.subarray(t, t + 9);
+    const area = (y1 - y0) * (z2 - z0) - (y2 - y0) * (z1 - z0);
+    if (area === 0) continue;
+    const jMin = Math.max(Math.ceil(Math.min(y0, y1, y2) - 0.5), 0);
+    const jMax = Math.min(Math.floor(Math.max(y0, y1, y2) - 0.5), gridHeight - 1);
+    const kMin = Math.max(Math.ceil(Math.min(z0, z1, z2) - 0.5), 0);
+    const kMax = Math.min(Math.floor(Math.max(z0, z1, z2) - 0.5), gridDepth - 1);
+    for (let k = kMin; k <= kMax; k++) {
+      for (let j = jMin; j <= jMax; j++) {
+        const py = j + 0.5 + 1.3e-5, pz = k + 0.5 + 2.9e-5;
+        const a = ((y1 - py) * (z2 - pz) - (y2 - py) * (z1 - pz)) / area;
+        const b = ((y2 - py) * (z0 - pz) - (y0 - py) * (z2 - pz)) / area;
+        const c = 1 - a - b;
+        if (a < 0 || b < 0 || c < 0) continue;
+        crossings[k * gridHeight + j].push(a * x0 + b * x1 + c * x2);
+      }
+    }
+  }
+  const mask = new Int32Array(gridWidth * gridHeight * gridDepth);
+  crossings.forEach((row, r) => {
+    row.sort((a, b) => a - b);
+    for (let c = 0; c + 1 < row.length; c += 2) {
+      const iMin = Math.max(Math.ceil(row[c] - 0.5), 0);
+      const iMax = Math.min(Math.floor(row[c + 1] - 0.5), gridWidth - 1);
+      for (let i = iMin; i <= iMax; i++) mask[r * gridWidth + i] = 1;
+    }
+  });
+  return mask;
+}